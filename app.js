@@ -8,8 +8,9 @@
  * Key features:
  * 
  * - Initializes environment variables using dotenv.
- * - Sets up middleware for request parsing, logging, and CORS.
- * - Configures Sequelize database connection and synchronization.
+ * - Sets up middleware for request parsing, logging, rate limiting, and CORS.
+ * - Brings the database schema up to date with migrations and runs the seeders (in production, refuses to start with pending migrations).
+ * - Schedules the rotation of the token signing key, the purge of accounts deleted by their owners, and the removal of expired link tokens and authorization codes.
  * - Sets up Swagger documentation.
  * - Defines API routes.
  * - Handles 404 errors for undefined routes.
@@ -23,8 +24,12 @@ const pk = require('./package.json');
 const cors = require('cors');
 const swaggerConfig = require('./config/swagger.config');
 const config = require('./config/config');
-const db = require('./models');
-const { logger } = require('./middlewares');
+const migrator = require('./database/migrator');
+const rateLimit_config = require('./config/rateLimit.config');
+const { logger, rateLimit } = require('./middlewares');
+const scheduleKeyRotation = require('./jobs/keyRotation');
+const scheduleAccountPurge = require('./jobs/accountPurge');
+const scheduleTokenCleanup = require('./jobs/tokenCleanup');
 const app = express();
 
 // Middleware for parsing URL-encoded and JSON request bodies
@@ -34,6 +39,9 @@ app.use(express.json());
 // Apply logging middleware
 app.use(logger);
 
+// Apply the global rate limit; sensitive routes add stricter policies of their own
+app.use(rateLimit({ name: 'global', ...rateLimit_config.global }));
+
 // Configure CORS
 const allowlist = config.corsAllowList?.split(',');
 if (allowlist) {
@@ -57,9 +65,14 @@ if (allowlist) {
     app.use(cors());
 }
 
-// Synchronize the database and initialize roles
-db.sequelize.sync({ force: true }).then(() => {
-    initial();
+// Apply pending migrations and seed the default roles, or refuse to start in production while migrations are pending
+migrator.prepare().then(() => {
+    scheduleKeyRotation();
+    scheduleAccountPurge();
+    scheduleTokenCleanup();
+}).catch((error) => {
+    console.error('Error preparing the database:', error.message);
+    process.exit(1);
 });
 
 // Set up Swagger API documentation
@@ -77,6 +90,17 @@ app.get('/', (req, res) => {
 require('./routes/auth.route')(app);
 require('./routes/user.route')(app);
 require('./routes/role.route')(app);
+require('./routes/permission.route')(app);
+require('./routes/mfa.route')(app);
+require('./routes/session.route')(app);
+require('./routes/key.route')(app);
+require('./routes/password.route')(app);
+require('./routes/accessToken.route')(app);
+require('./routes/passkey.route')(app);
+require('./routes/serviceAccount.route')(app);
+require('./routes/invitation.route')(app);
+require('./routes/oidc.route')(app);
+require('./routes/oauthClient.route')(app);
 
 // Handle 404 errors for undefined routes
 app.use((req, res) => {
@@ -93,9 +117,3 @@ const server = app.listen(PORT, () => {
 });
 
 module.exports = server;
-
-// Initialize roles in the database
-async function initial() {
-    await db.role.create({ roleName: 'user', description: "User Role" });
-    await db.role.create({ roleName: 'admin', description: "Administrator role" });
-}
@@ -0,0 +1,32 @@
+/**
+ * @file account.config.js
+ * @description This file exports the configuration settings for creating and closing user accounts.
+ * It includes the grace period during which a user can cancel the deletion of their account,
+ * how often the background job purging accounts whose grace period has ended runs,
+ * the lifetimes of the links confirming an email change and reverting it,
+ * who can create an account, whether self-registered accounts need an administrator's approval, and the lifetime of invitations.
+ * 
+ * @constant {string} deletionGracePeriod - How long after a user deletes their account it is purged (e.g. `30d`). Defaults to `30d`.
+ * @constant {string} purgeInterval - How often accounts due for purging are looked for (e.g. `1h`). Defaults to `1h`.
+ * @constant {string} emailChangeExpiresIn - The lifetime of the link sent to a new email address to confirm it (e.g. `24h`). Defaults to `24h`.
+ * @constant {string} emailRevertExpiresIn - The lifetime of the link sent to the previous email address to revert a change (e.g. `7d`). Defaults to `7d`.
+ * @constant {string} signupMode - Who can create an account: `open` (anyone can sign up), `invite-only` (only invited people) or `disabled`
+ *   (no new accounts, not even by invitation). Defaults to `open`.
+ * @constant {boolean} signupRequiresApproval - Whether accounts created with `POST /signup` are `pending_approval` until an administrator
+ *   approves them. Invited accounts are active immediately. Defaults to `false`.
+ * @constant {string} invitationExpiresIn - The lifetime of invitations and the links sent with them (e.g. `7d`). Defaults to `7d`.
+ */
+const {
+    ACCOUNT_DELETION_GRACE_PERIOD, ACCOUNT_PURGE_INTERVAL, EMAIL_CHANGE_EXPIRES_IN, EMAIL_REVERT_EXPIRES_IN, SIGNUP_MODE, SIGNUP_REQUIRES_APPROVAL,
+    INVITATION_EXPIRES_IN
+} = process.env;
+
+module.exports = {
+    deletionGracePeriod: ACCOUNT_DELETION_GRACE_PERIOD || '30d',
+    purgeInterval: ACCOUNT_PURGE_INTERVAL || '1h',
+    emailChangeExpiresIn: EMAIL_CHANGE_EXPIRES_IN || '24h',
+    emailRevertExpiresIn: EMAIL_REVERT_EXPIRES_IN || '7d',
+    signupMode: SIGNUP_MODE || 'open',
+    signupRequiresApproval: SIGNUP_REQUIRES_APPROVAL === 'true',
+    invitationExpiresIn: INVITATION_EXPIRES_IN || '7d',
+};
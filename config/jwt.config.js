@@ -2,18 +2,33 @@
  * @file jwt.config.js
  * @description This file exports the configuration settings for JSON Web Token (JWT) authentication.
  * It includes the paths to the public and private key files for JWT signing and verification,
- * as well as the secret used for token generation.
+ * the secret used for token generation, the lifetimes of access and refresh tokens and of the tokens issued to service accounts, and the settings of the signing key store.
+ * The key files seed the key store with its first signing key; later keys are generated by rotation. The private keys are stored encrypted
+ * with `keyEncryptionKey`, which is required.
  * 
  * @constant {string} publicKeyPath - The file path to the public key used for verifying JWTs.
  * @constant {string} privateKeyPath - The file path to the private key used for signing JWTs.
  * @constant {string} secret - The secret key used for encoding and decoding JWTs.
+ * @constant {string} accessTokenExpiresIn - The lifetime of access tokens (e.g. `15m`). Defaults to `15m`.
+ * @constant {string} refreshTokenExpiresIn - The lifetime of refresh tokens (e.g. `7d`). Defaults to `7d`.
+ * @constant {string} serviceTokenExpiresIn - The lifetime of the access tokens issued to service accounts by the client credentials grant (e.g. `15m`). Defaults to `15m`.
+ * @constant {string} keyRotationInterval - How long a signing key is used before it is rotated automatically (e.g. `30d`). Defaults to `30d`.
+ * @constant {string} keyCacheTtl - How long signing keys are cached in memory before they are reloaded from the database. Defaults to `5m`.
+ * @constant {string} keyEncryptionKey - The secret the private signing keys are encrypted with in the database (a long random string).
  */
 const {
-    JWT_PUBLICKEY_PATH, JWT_PRIVATEKEY_PATH, JWT_SECRET
+    JWT_PUBLICKEY_PATH, JWT_PRIVATEKEY_PATH, JWT_SECRET, JWT_ACCESS_TOKEN_EXPIRES_IN, JWT_REFRESH_TOKEN_EXPIRES_IN,
+    JWT_SERVICE_TOKEN_EXPIRES_IN, JWT_KEY_ROTATION_INTERVAL, JWT_KEY_CACHE_TTL, JWT_KEY_ENCRYPTION_KEY
 } = process.env;
 
 module.exports = {
     publicKeyPath: JWT_PUBLICKEY_PATH,
     privateKeyPath: JWT_PRIVATEKEY_PATH,
     secret: JWT_SECRET,
+    accessTokenExpiresIn: JWT_ACCESS_TOKEN_EXPIRES_IN || '15m',
+    refreshTokenExpiresIn: JWT_REFRESH_TOKEN_EXPIRES_IN || '7d',
+    serviceTokenExpiresIn: JWT_SERVICE_TOKEN_EXPIRES_IN || '15m',
+    keyRotationInterval: JWT_KEY_ROTATION_INTERVAL || '30d',
+    keyCacheTtl: JWT_KEY_CACHE_TTL || '5m',
+    keyEncryptionKey: JWT_KEY_ENCRYPTION_KEY,
 };
@@ -0,0 +1,33 @@
+/**
+ * @file lockout.config.js
+ * @description This file exports the configuration settings for protecting `/login` against password guessing.
+ * Failed attempts are counted per account and per IP address. Once a counter reaches its delay threshold, every further
+ * attempt must wait an exponentially growing delay; once it reaches its lock threshold, the account (or IP address) is locked
+ * for a fixed duration. Counters are forgotten after a window without failures.
+ * 
+ * @constant {number} windowMinutes - Minutes without a failure after which a counter starts over. Defaults to `15`.
+ * @constant {number} delayBaseMs - The first delay once the delay threshold is reached, doubled for each further failure. Defaults to `1000`.
+ * @constant {number} delayMaxMs - The upper bound for a single delay. Defaults to `60000`.
+ * @constant {number} lockDurationMinutes - How long an account or IP address stays locked. Defaults to `15`.
+ * @constant {Object} account - Thresholds for failures of a single account (`delayThreshold` defaults to `3`, `lockThreshold` to `10`).
+ * @constant {Object} ip - Thresholds for failures from a single IP address (`delayThreshold` defaults to `10`, `lockThreshold` to `50`).
+ */
+const {
+    LOGIN_ATTEMPT_WINDOW_MINUTES, LOGIN_DELAY_BASE_MS, LOGIN_DELAY_MAX_MS, LOGIN_LOCK_DURATION_MINUTES,
+    LOGIN_DELAY_THRESHOLD, LOGIN_LOCK_THRESHOLD, LOGIN_IP_DELAY_THRESHOLD, LOGIN_IP_LOCK_THRESHOLD
+} = process.env;
+
+module.exports = {
+    windowMinutes: parseInt(LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    delayBaseMs: parseInt(LOGIN_DELAY_BASE_MS, 10) || 1000,
+    delayMaxMs: parseInt(LOGIN_DELAY_MAX_MS, 10) || 60000,
+    lockDurationMinutes: parseInt(LOGIN_LOCK_DURATION_MINUTES, 10) || 15,
+    account: {
+        delayThreshold: parseInt(LOGIN_DELAY_THRESHOLD, 10) || 3,
+        lockThreshold: parseInt(LOGIN_LOCK_THRESHOLD, 10) || 10,
+    },
+    ip: {
+        delayThreshold: parseInt(LOGIN_IP_DELAY_THRESHOLD, 10) || 10,
+        lockThreshold: parseInt(LOGIN_IP_LOCK_THRESHOLD, 10) || 50,
+    },
+};
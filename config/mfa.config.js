@@ -0,0 +1,19 @@
+/**
+ * @file mfa.config.js
+ * @description This file exports the configuration settings for two-factor authentication (2FA).
+ * It includes the issuer name shown in authenticator apps, the number of recovery codes generated per user,
+ * and the lifetime of the challenge token returned by `/login` when a second factor is required.
+ * 
+ * @constant {string} issuer - The service name displayed in authenticator apps. Defaults to `express-sequelize-api`.
+ * @constant {number} recoveryCodeCount - The number of one-time recovery codes generated for a user. Defaults to `10`.
+ * @constant {string} challengeExpiresIn - The lifetime of the "mfa pending" challenge token (e.g. `5m`). Defaults to `5m`.
+ */
+const {
+    MFA_ISSUER, MFA_RECOVERY_CODE_COUNT, MFA_CHALLENGE_EXPIRES_IN
+} = process.env;
+
+module.exports = {
+    issuer: MFA_ISSUER || 'express-sequelize-api',
+    recoveryCodeCount: parseInt(MFA_RECOVERY_CODE_COUNT, 10) || 10,
+    challengeExpiresIn: MFA_CHALLENGE_EXPIRES_IN || '5m',
+};
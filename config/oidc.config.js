@@ -0,0 +1,37 @@
+/**
+ * @file oidc.config.js
+ * @description This file exports the configuration settings for the OpenID Connect provider, which lets other applications
+ * log their users in with their account on this API (see `utils/oidc.js`).
+ * It includes the issuer identifier written to ID tokens, the page of the web app where users approve an authorization request,
+ * the lifetimes of the authorization codes and of the access and ID tokens issued to applications, and the scopes applications
+ * can request with the claims each releases. The issuer and authorization page default to `BASE_URL`.
+ *
+ * @constant {string} issuer - The issuer identifier, the URL applications discover the provider at (e.g. `https://id.example.com`). Defaults to `BASE_URL`.
+ * @constant {string} authorizationUrl - The page users are sent to by applications to log in and approve their request; it calls `/authorize`. Defaults to `<issuer>/authorize`.
+ * @constant {string} codeExpiresIn - The lifetime of authorization codes (e.g. `1m`). Defaults to `1m`.
+ * @constant {string} accessTokenExpiresIn - The lifetime of the access tokens issued to applications (e.g. `15m`). Defaults to `15m`.
+ * @constant {string} idTokenExpiresIn - The lifetime of ID tokens (e.g. `1h`). Defaults to `1h`.
+ * @constant {string[]} scopes - The scopes applications can request. `openid` is required in every request.
+ * @constant {Object<string, string[]>} claims - The claims released by each scope, in the ID token and at `/userinfo`.
+ */
+const {
+    BASE_URL, OIDC_ISSUER, OIDC_AUTHORIZATION_URL, OIDC_CODE_EXPIRES_IN, OIDC_ACCESS_TOKEN_EXPIRES_IN, OIDC_ID_TOKEN_EXPIRES_IN
+} = process.env;
+
+// The issuer is compared as a string by applications, so it never ends with a slash
+const issuer = (OIDC_ISSUER || BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+module.exports = {
+    issuer,
+    authorizationUrl: OIDC_AUTHORIZATION_URL || `${issuer}/authorize`,
+    codeExpiresIn: OIDC_CODE_EXPIRES_IN || '1m',
+    accessTokenExpiresIn: OIDC_ACCESS_TOKEN_EXPIRES_IN || '15m',
+    idTokenExpiresIn: OIDC_ID_TOKEN_EXPIRES_IN || '1h',
+    scopes: Object.freeze(['openid', 'profile', 'email', 'phone']),
+    claims: Object.freeze({
+        openid: ['sub'],
+        profile: ['name', 'preferred_username', 'updated_at'],
+        email: ['email', 'email_verified'],
+        phone: ['phone_number']
+    })
+};
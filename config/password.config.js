@@ -0,0 +1,48 @@
+/**
+ * @file password.config.js
+ * @description This file exports the configuration settings for the password policy applied when users sign up,
+ * reset their password or change it. It includes the length limits, the character classes a password must contain,
+ * whether passwords containing the username or email address, or found in the bundled list of common passwords, are refused,
+ * how many of a user's recent passwords cannot be reused, and after how many days a password expires.
+ * 
+ * @constant {number} minLength - The minimum length of a password. Defaults to `8`.
+ * @constant {number} maxLength - The maximum length of a password in bytes. Defaults to `72`, the number of bytes bcrypt hashes; longer passwords would be truncated.
+ * @constant {boolean} requireLowercase - Whether a password must contain a lowercase letter. Defaults to `true`.
+ * @constant {boolean} requireUppercase - Whether a password must contain an uppercase letter. Defaults to `true`.
+ * @constant {boolean} requireDigit - Whether a password must contain a digit. Defaults to `true`.
+ * @constant {boolean} requireSymbol - Whether a password must contain a character that is not a letter or digit. Defaults to `false`.
+ * @constant {boolean} disallowPersonalInfo - Whether a password may not contain the username or the name of the email address. Defaults to `true`.
+ * @constant {boolean} disallowCommon - Whether passwords from the bundled list of common passwords are refused. Defaults to `true`.
+ * @constant {number} historyCount - How many of the user's most recent passwords, including the current one, cannot be reused. `0` allows any reuse. Defaults to `5`.
+ * @constant {number} maxAgeDays - After how many days a password expires and must be changed before the account can be used again. `0` disables expiry. Defaults to `0`.
+ */
+const {
+    PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH, PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_DIGIT,
+    PASSWORD_REQUIRE_SYMBOL, PASSWORD_DISALLOW_PERSONAL_INFO, PASSWORD_DISALLOW_COMMON, PASSWORD_HISTORY_COUNT, PASSWORD_MAX_AGE_DAYS
+} = process.env;
+
+/**
+ * Parses a non-negative integer setting, for settings where `0` is meaningful.
+ *
+ * @function
+ * @param {string} value - The setting.
+ * @param {number} defaultValue - The value used when the setting is missing or invalid.
+ * @returns {number} The value.
+ */
+const parseCount = (value, defaultValue) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : defaultValue;
+};
+
+module.exports = {
+    minLength: parseInt(PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(PASSWORD_MAX_LENGTH, 10) || 72,
+    requireLowercase: PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireDigit: PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowPersonalInfo: PASSWORD_DISALLOW_PERSONAL_INFO !== 'false',
+    disallowCommon: PASSWORD_DISALLOW_COMMON !== 'false',
+    historyCount: parseCount(PASSWORD_HISTORY_COUNT, 5),
+    maxAgeDays: parseCount(PASSWORD_MAX_AGE_DAYS, 0),
+};
@@ -0,0 +1,32 @@
+/**
+ * @file rateLimit.config.js
+ * @description This file exports the configuration settings for request rate limiting.
+ * It selects the store that holds the request counters and defines the limits of the built-in policies:
+ * a lenient policy applied to every request, a strict policy applied to sensitive authentication routes
+ * (`/login`, `/login/mfa`, `/forgot-password` and `/resend-verification`), each of which is counted separately,
+ * and a policy for costly authenticated routes (`GET /user/export` per user and `GET /users` per personal access token).
+ * 
+ * @constant {string} store - The counter store, `memory` (single instance) or `sequelize` (shared through the database). Defaults to `memory`.
+ * @constant {Object} global - The policy applied to every request (`windowMs` defaults to `60000`, `max` to `100`).
+ * @constant {Object} auth - The policy applied to sensitive authentication routes (`windowMs` defaults to `900000`, `max` to `10`).
+ * @constant {Object} api - The policy applied to costly authenticated routes (`windowMs` defaults to `60000`, `max` to `20`).
+ */
+const {
+    RATE_LIMIT_STORE, RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX, RATE_LIMIT_AUTH_WINDOW_MS, RATE_LIMIT_AUTH_MAX, RATE_LIMIT_API_WINDOW_MS, RATE_LIMIT_API_MAX
+} = process.env;
+
+module.exports = {
+    store: RATE_LIMIT_STORE || 'memory',
+    global: {
+        windowMs: parseInt(RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+        max: parseInt(RATE_LIMIT_MAX, 10) || 100,
+    },
+    auth: {
+        windowMs: parseInt(RATE_LIMIT_AUTH_WINDOW_MS, 10) || 15 * 60 * 1000,
+        max: parseInt(RATE_LIMIT_AUTH_MAX, 10) || 10,
+    },
+    api: {
+        windowMs: parseInt(RATE_LIMIT_API_WINDOW_MS, 10) || 60 * 1000,
+        max: parseInt(RATE_LIMIT_API_MAX, 10) || 20,
+    },
+};
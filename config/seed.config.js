@@ -0,0 +1,21 @@
+/**
+ * @file seed.config.js
+ * @description This file exports the configuration settings for the database seeders.
+ * When a username, email and password are set, the seeders create a bootstrap administrator with them, so that a fresh
+ * installation has an account able to manage users and roles. The administrator is only created if no user with the email exists;
+ * its password is never changed by the seeders afterwards.
+ * 
+ * @constant {Object} admin - The bootstrap administrator (`name`, `username`, `email` and `password`). Not created when any of `username`, `email` or `password` is unset.
+ */
+const {
+    ADMIN_NAME, ADMIN_USERNAME, ADMIN_EMAIL, ADMIN_PASSWORD
+} = process.env;
+
+module.exports = {
+    admin: {
+        name: ADMIN_NAME || 'Administrator',
+        username: ADMIN_USERNAME,
+        email: ADMIN_EMAIL,
+        password: ADMIN_PASSWORD
+    }
+};
@@ -5,7 +5,8 @@
  * and `swagger-ui-express` to serve the documentation as a web interface.
  * 
  * The Swagger configuration includes the API title, version, description, and contact information,
- * as well as the server URL. The API routes are documented based on the paths provided.
+ * as well as the server URL and the ways requests are authenticated (a `Bearer` token, or a personal access token in the `X-API-Key` header).
+ * The API routes are documented based on the paths provided.
  * 
  * @module swagger.config
  * @requires swagger-jsdoc
@@ -38,11 +39,20 @@ const swaggerOptions = {
                     type: 'http',
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
+                    description: 'An access token from `POST /login`, or a personal access token from `POST /user/tokens`',
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'A personal access token from `POST /user/tokens`',
                 },
             },
         },
         security: [{
             bearerAuth: [],
+        }, {
+            apiKeyAuth: [],
         }],
     },
     apis: ['./routes/*.js'], // Path to the API routes files
@@ -0,0 +1,25 @@
+/**
+ * @file token.config.js
+ * @description This file exports the configuration settings for the single-use tokens sent to users in links.
+ * It includes the lifetimes of the email verification and password reset links, of the link sent to secure an account
+ * after its password was changed, of the login links,
+ * and how often the background job removing expired and used tokens runs.
+ * The lifetimes of the email change links are set in `account.config.js`.
+ * 
+ * @constant {string} verifyEmailExpiresIn - The lifetime of the email verification link (e.g. `1h`). Defaults to `1h`.
+ * @constant {string} resetPasswordExpiresIn - The lifetime of the password reset link (e.g. `1h`). Defaults to `1h`.
+ * @constant {string} secureAccountExpiresIn - The lifetime of the password reset link sent to notify a user that their password was changed (e.g. `7d`). Defaults to `7d`.
+ * @constant {string} magicLinkExpiresIn - The lifetime of the login link sent to log in without a password (e.g. `15m`). Defaults to `15m`.
+ * @constant {string} cleanupInterval - How often expired and used tokens, and expired rate limit and failed login counters, are removed (e.g. `1h`). Defaults to `1h`.
+ */
+const {
+    VERIFY_EMAIL_EXPIRES_IN, RESET_PASSWORD_EXPIRES_IN, SECURE_ACCOUNT_EXPIRES_IN, MAGIC_LINK_EXPIRES_IN, TOKEN_CLEANUP_INTERVAL
+} = process.env;
+
+module.exports = {
+    verifyEmailExpiresIn: VERIFY_EMAIL_EXPIRES_IN || '1h',
+    resetPasswordExpiresIn: RESET_PASSWORD_EXPIRES_IN || '1h',
+    secureAccountExpiresIn: SECURE_ACCOUNT_EXPIRES_IN || '7d',
+    magicLinkExpiresIn: MAGIC_LINK_EXPIRES_IN || '15m',
+    cleanupInterval: TOKEN_CLEANUP_INTERVAL || '1h',
+};
@@ -0,0 +1,24 @@
+/**
+ * @file webauthn.config.js
+ * @description This file exports the configuration settings for passkeys (WebAuthn credentials).
+ * It includes the relying party that passkeys are registered for, the origins the browser may report for a ceremony,
+ * and the lifetime of the challenges issued for registering a passkey and logging in with one.
+ * The relying party ID and origin default to the host and origin of `BASE_URL`.
+ * 
+ * @constant {string} rpName - The service name shown by browsers and authenticators. Defaults to `express-sequelize-api`.
+ * @constant {string} rpId - The relying party ID, a domain passkeys are scoped to (e.g. `example.com`). Defaults to the host of `BASE_URL`.
+ * @constant {string[]} origins - The origins of the pages allowed to register and use passkeys (e.g. `https://app.example.com`). Defaults to the origin of `BASE_URL`.
+ * @constant {string} challengeExpiresIn - The lifetime of registration and login challenges (e.g. `5m`). Defaults to `5m`.
+ */
+const {
+    BASE_URL, WEBAUTHN_RP_NAME, WEBAUTHN_RP_ID, WEBAUTHN_ORIGINS, WEBAUTHN_CHALLENGE_EXPIRES_IN
+} = process.env;
+
+const baseUrl = BASE_URL ? new URL(BASE_URL) : null;
+
+module.exports = {
+    rpName: WEBAUTHN_RP_NAME || 'express-sequelize-api',
+    rpId: WEBAUTHN_RP_ID || (baseUrl ? baseUrl.hostname : 'localhost'),
+    origins: WEBAUTHN_ORIGINS ? WEBAUTHN_ORIGINS.split(',').map((origin) => origin.trim()) : [baseUrl ? baseUrl.origin : 'http://localhost'],
+    challengeExpiresIn: WEBAUTHN_CHALLENGE_EXPIRES_IN || '5m',
+};
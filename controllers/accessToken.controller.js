@@ -0,0 +1,78 @@
+/**
+ * @file accessToken.controller.js
+ * @description This file contains the controller functions for managing personal access tokens, which scripts and CI jobs
+ * use to authenticate as a user without their password (see `utils/accessTokens.js`).
+ * It includes functionality for users to list their tokens, create a token limited to scopes and optionally expiring,
+ * and revoke a token. A token is only returned when it is created; afterwards, only its prefix identifies it.
+ * Creating and revoking tokens is recorded in the audit log.
+ */
+
+const accessTokens = require('../utils/accessTokens');
+const permissionService = require('../utils/permissionService');
+const auditLog = require('../utils/auditLog');
+
+/**
+ * @function listTokens
+ * @description Lists the personal access tokens of the currently authenticated user that have not expired,
+ * with their scopes and when and where they were last used. The tokens themselves are not returned.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listTokens = async (req, res) => {
+    try {
+        const tokens = await accessTokens.listAccessTokens(req.user.id);
+        res.status(200).json(tokens);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function createToken
+ * @description Creates a personal access token for the currently authenticated user. The scopes must be permissions
+ * the user holds (see `GET /user/permissions`), and tokens cannot be created with a personal access token,
+ * so that a leaked token cannot be used to mint others. The token is returned once and cannot be retrieved again.
+ * @param {Object} req - The request object (contains the name, scopes and optional expiry of the token).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.createToken = async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const granted = await permissionService.getUserPermissions(req.user);
+        const missing = scopes.filter((scope) => !granted.includes(scope));
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `You do not have the permissions requested as scopes: ${missing.join(', ')}` });
+        }
+
+        const { accessToken, token } = await accessTokens.createAccessToken(req.user.id, { name, scopes, expiresAt });
+        await auditLog.record(req.user.id, 'access_token.created', { tokenId: accessToken.id, name, scopes: accessToken.scopes });
+
+        res.status(201).json({ ...accessToken, token });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeToken
+ * @description Revokes one of the currently authenticated user's personal access tokens. It stops working immediately.
+ * @param {Object} req - The request object (contains the token ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeToken = async (req, res) => {
+    try {
+        const tokenId = parseInt(req.params.tokenId, 10);
+        const revoked = await accessTokens.revokeAccessToken(req.user.id, tokenId);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Token not found' });
+        }
+        await auditLog.record(req.user.id, 'access_token.revoked', { tokenId });
+
+        res.status(200).json({ message: 'Token revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
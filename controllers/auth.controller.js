@@ -1,90 +1,639 @@
 /**
  * @file auth.controller.js
  * @description This file contains the controller functions for handling user authentication and authorization.
- * It includes functionality for user login, signup, email verification, password reset, and user logout.
+ * It includes functionality for user login (including the two-factor authentication step, passwordless login links and passkeys), token refresh, the client credentials grant
+ * of service accounts, the authorization code grant of the applications using the OpenID Connect provider, signup, email verification, confirming and reverting email changes, password reset, and user logout.
  * JSON Web Tokens (JWT) are utilized for securing authentication and maintaining valid user sessions.
+ * Refresh tokens are rotated on every use, and replaying a used refresh token revokes its whole token family.
+ * Failed login attempts are counted per account and per IP address; repeated failures progressively delay and then temporarily lock further attempts.
+ * Suspended accounts cannot log in or refresh their tokens, and deleted accounts are not found.
+ * When self-registration requires approval, accounts created by signing up cannot log in until an administrator approves them.
+ * Service accounts have no email address or password, so they are excluded from the login, verification and password reset flows;
+ * they obtain access tokens with their client credentials instead.
+ * Signup can be restricted to invited people or disabled with the signup mode (see `utils/invitations.js`).
+ * The links sent for email verification, password reset, email changes and passwordless login carry single-use tokens bound to their purpose (see `utils/userTokens`);
+ * login links are also bound to the browser that requested them by a nonce.
  * The controller manages user authentication by verifying email addresses, generating tokens, and encrypting passwords.
  * It also handles sending verification and password reset emails, and manages user sessions with a database for token blacklisting and logout.
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const path = require('path');
-const fs = require('fs');
 const db = require('../models');
 const jwt_config = require('./../config/jwt.config');
 const config = require('./../config/config');
 const sendVerificationEmail = require('../utils/emailService');
+const tokenService = require('../utils/tokenService');
+const { normalizeEmail, normalizeUsername, whereEmail, whereLogin, wherePerson, findConflictingUser } = require('../utils/userIdentity');
+const mfaService = require('../utils/mfaService');
+const mfa_config = require('./../config/mfa.config');
+const loginThrottle = require('../utils/loginThrottle');
+const { isSuspended, getAccessRefusal } = require('../utils/accountStatus');
+const userTokens = require('../utils/userTokens');
+const token_config = require('./../config/token.config');
+const passwordPolicy = require('../utils/passwordPolicy');
+const passwordHistory = require('../utils/passwordHistory');
+const { completePasswordChange } = require('../utils/passwordChange');
+const serviceAccounts = require('../utils/serviceAccounts');
+const passkeys = require('../utils/passkeys');
+const accessTokens = require('../utils/accessTokens');
+const auditLog = require('../utils/auditLog');
+const oidc = require('../utils/oidc');
+const account_config = require('./../config/account.config');
+const { SIGNUP_MODES } = require('../utils/invitations');
 
+/**
+ * @function rejectThrottled
+ * @description Responds to a login attempt refused by the login throttle, with a `Retry-After` header.
+ * A locked account or IP address is reported with `423`, a progressive delay with `429`.
+ * @param {Object} res - The response object.
+ * @param {Object} state - The state returned by `loginThrottle.check`.
+ * @returns {void}
+ */
+const rejectThrottled = (res, state) => {
+    res.set('Retry-After', String(state.retryAfter));
+    if (state.locked) {
+        return res.status(423).json({ message: 'Account is temporarily locked due to too many failed login attempts', retryAfter: state.retryAfter });
+    }
+    return res.status(429).json({ message: 'Too many failed login attempts, please try again later', retryAfter: state.retryAfter });
+};
+
+/**
+ * @function readClientCredentials
+ * @description Reads the client credentials of a request to `POST /token`, from an HTTP Basic `Authorization` header
+ * or from the `client_id` and `client_secret` body parameters.
+ * @param {Object} req - The request object.
+ * @returns {{clientId: string|null, clientSecret: string|null}} The client ID and secret, as sent.
+ */
+const readClientCredentials = (req) => {
+    const [scheme, credentials] = req.headers['authorization']?.split(' ') || [];
+    if (scheme === 'Basic' && credentials) {
+        // HTTP Basic credentials are the URL encoded client ID and secret, separated by a colon
+        const decoded = Buffer.from(credentials, 'base64').toString();
+        const separator = decoded.indexOf(':');
+        return {
+            clientId: separator >= 0 ? decodeURIComponent(decoded.slice(0, separator)) : null,
+            clientSecret: separator >= 0 ? decodeURIComponent(decoded.slice(separator + 1)) : null
+        };
+    }
+    return { clientId: req.body.client_id || null, clientSecret: req.body.client_secret || null };
+};
+
+/**
+ * @function registerLoginFailure
+ * @description Records a failed login attempt for the account (if known) and the IP address.
+ * When the failure locks the account, the user is notified by email.
+ * @param {Object} req - The request object.
+ * @param {Object} [user] - The user the attempt was made for, if the identifier matched an account.
+ * @returns {Promise<void>}
+ */
+const registerLoginFailure = async (req, user) => {
+    await loginThrottle.registerFailure(loginThrottle.ipKey(req.ip), 'ip');
+    if (!user) {
+        return;
+    }
+
+    const { lockedNow, lockedUntil } = await loginThrottle.registerFailure(loginThrottle.userKey(user.id), 'account');
+    if (lockedNow && user.email) {
+        await sendVerificationEmail.sendNotification(
+            user.email,
+            'Account Locked',
+            `Your account has been temporarily locked until ${lockedUntil.toISOString()} after too many failed login attempts. If this was not you, please reset your password.`
+        );
+    }
+};
 
+/**
+ * Adds `passwordExpired: true` to the tokens returned on login when the user's password has expired,
+ * telling the client to have the user change their password before anything else.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {Object} tokens - The access and refresh tokens.
+ * @returns {Object} The response body.
+ */
+const withPasswordState = (user, tokens) => (passwordHistory.isExpired(user) ? { ...tokens, passwordExpired: true } : tokens);
 
 /**
  * @function login
- * @description Authenticates a user by verifying the provided username and password.
- * A JWT token is generated upon successful authentication. The token is used for securing subsequent requests.
+ * @description Authenticates a user by verifying the provided username (or email) and password.
+ * The user is identified case-insensitively by either their username or their email address.
+ * A short-lived access token and a long-lived refresh token are generated upon successful authentication.
+ * The access token is used for securing subsequent requests; the refresh token is exchanged for a new pair at `/token/refresh`.
  * The user's password is compared with the hashed password stored in the database.
- * The token is stored in the database for session management.
- * @param {Object} req - The request object (contains username and password).
+ * Both tokens are stored in the database for session management.
+ * Attempts from an IP address or for an account that is currently delayed or locked are refused with `429` or `423`
+ * before the password is checked, and every failure counts towards these limits. A successful login clears the account's counter.
+ * A suspended account, or one pending approval or rejected, is refused with `403` once the password has been checked, so the status is not revealed to someone guessing passwords.
+ * If the user has two-factor authentication enabled, no tokens are issued; instead a short-lived "mfa pending"
+ * challenge token is returned, which must be completed at `/login/mfa`.
+ * If the user's password has expired, the tokens are returned with `passwordExpired: true`; they only permit changing the password
+ * (and logging out) until the password is changed.
+ * @param {Object} req - The request object (contains username or email, and password).
  * @param {Object} res - The response object.
  * @returns {void}
  */
 exports.login = async (req, res) => {
-    const { username, password } = req.body;
+    const { username, email, password } = req.body;
+    const identifier = normalizeUsername(username) || normalizeEmail(email);
 
-    if (!username || !password) {
-        return res.status(400).json({ message: 'Username and password are required' });
+    if (!identifier || !password) {
+        return res.status(400).json({ message: 'Username or email and password are required' });
     }
 
     try {
-        // Find user by username
-        const user = await db.user.findOne({ where: { username } });
+        // Refuse attempts from a delayed or locked IP address
+        const ipState = await loginThrottle.check(loginThrottle.ipKey(req.ip), 'ip');
+        if (ipState.blocked) {
+            return rejectThrottled(res, ipState);
+        }
+
+        // Find user by username or email
+        const user = await db.user.findOne({ where: wherePerson(whereLogin(identifier)) });
         if (!user) {
+            await registerLoginFailure(req);
             return res.status(401).json({ message: 'Invalid username or password' });
         }
 
+        // Refuse attempts for a delayed or locked account
+        const accountState = await loginThrottle.check(loginThrottle.userKey(user.id), 'account');
+        if (accountState.blocked) {
+            return rejectThrottled(res, accountState);
+        }
+
         // Compare passwords
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await registerLoginFailure(req, user);
             return res.status(401).json({ message: 'Invalid username or password' });
         }
+        await loginThrottle.reset(loginThrottle.userKey(user.id));
 
-        // Load private key for signing JWT
-        const privateKeyPath = path.resolve(jwt_config.privateKeyPath);
-        const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(403).json({ message: refusal });
+        }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, username: user.username, verified: user.emailVerified },
-            privateKey,
-            { algorithm: 'RS256', expiresIn: '1h' }
-        );
-        await db.session.create({
-            token: token,
-            flag: false,
-            userId: user.id
+        // Require the second factor before issuing tokens
+        const mfa = await db.user_mfa.findOne({ where: { userId: user.id, enabled: true } });
+        if (mfa) {
+            const mfaToken = jwt.sign({ id: user.id, type: 'mfa' }, jwt_config.secret, { expiresIn: mfa_config.challengeExpiresIn });
+            return res.status(200).json({ mfaRequired: true, mfaToken });
+        }
+
+        // Generate access and refresh tokens for a new token family
+        const { token, refreshToken } = await tokenService.issueTokens(user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        req.user = { id: user.id };
+        res.status(200).json(withPasswordState(user, { token, refreshToken }));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+/**
+ * @function loginMfa
+ * @description Completes a login for a user with two-factor authentication enabled.
+ * The "mfa pending" challenge token returned by `login` is exchanged, together with a TOTP code or a one-time recovery code,
+ * for an access token and a refresh token.
+ * Invalid codes count as failed login attempts for the account and the IP address, like wrong passwords, and delayed or
+ * locked accounts and IP addresses are refused.
+ * If the user's password has expired, the tokens are returned with `passwordExpired: true`, as by `login`.
+ * @param {Object} req - The request object (contains the challenge token and a TOTP code or recovery code).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.loginMfa = async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ message: 'MFA token and code are required' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(mfaToken, jwt_config.secret);
+        if (!decoded || decoded.type !== 'mfa') {
+            throw new Error('Token is not an MFA challenge');
+        }
+    } catch (error) {
+        return res.status(401).json({ message: 'Invalid or expired MFA challenge', error: error.message });
+    }
+
+    try {
+        const ipState = await loginThrottle.check(loginThrottle.ipKey(req.ip), 'ip');
+        if (ipState.blocked) {
+            return rejectThrottled(res, ipState);
+        }
+
+        const user = await db.user.findByPk(decoded.id);
+        const mfa = user && await db.user_mfa.findOne({ where: { userId: user.id, enabled: true } });
+        if (!mfa) {
+            return res.status(401).json({ message: 'Invalid or expired MFA challenge' });
+        }
+
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(403).json({ message: refusal });
+        }
+
+        const accountState = await loginThrottle.check(loginThrottle.userKey(user.id), 'account');
+        if (accountState.blocked) {
+            return rejectThrottled(res, accountState);
+        }
+
+        const isValid = code
+            ? await mfaService.verifyCode(mfa, code)
+            : await mfaService.consumeRecoveryCode(user.id, recoveryCode);
+        if (!isValid) {
+            await registerLoginFailure(req, user);
+            return res.status(401).json({ message: 'Invalid verification code' });
+        }
+        await loginThrottle.reset(loginThrottle.userKey(user.id));
+
+        // Generate access and refresh tokens for a new token family
+        const { token, refreshToken } = await tokenService.issueTokens(user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        req.user = { id: user.id };
+        res.status(200).json(withPasswordState(user, { token, refreshToken }));
+    } catch (error) {
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+/**
+ * @function requestMagicLink
+ * @description Emails a login link to the user with the given email address, for logging in without a password.
+ * The link carries a short-lived single-use token bound to a nonce that is returned to the client making the request
+ * and never sent by email, so the link only works from the browser that asked for it, together with the nonce.
+ * Requesting another link invalidates the previous one. The response is the same whether or not an account has the address,
+ * so it does not reveal which addresses are registered; the nonce is then simply never usable.
+ * If the email cannot be sent, the link is revoked and `500` is returned.
+ * @param {Object} req - The request object (contains the email address in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.requestMagicLink = async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+
+    try {
+        const nonce = crypto.randomBytes(32).toString('base64url');
+        const user = await db.user.findOne({ where: wherePerson(whereEmail(email)) });
+        if (user) {
+            const token = await userTokens.issueToken(userTokens.PURPOSES.MAGIC_LINK, {
+                userId: user.id, email: user.email, nonce, expiresIn: token_config.magicLinkExpiresIn
+            });
+
+            const loginLink = `${config.baseUrl}/login/magic-link/${token}`;
+            try {
+                await sendVerificationEmail.sendEmail(
+                    user.email,
+                    'Your Login Link',
+                    `Please use the following link to log in. It can only be used once, from the browser where you requested it: ${loginLink}`
+                );
+            } catch (error) {
+                await userTokens.revokeToken(userTokens.PURPOSES.MAGIC_LINK, token);
+                throw error;
+            }
+        }
+
+        res.status(200).json({ message: 'If an account exists for this email, a login link has been sent to it', nonce });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function loginWithMagicLink
+ * @description Logs a user in with the token of a login link and the nonce returned when the link was requested.
+ * The token is consumed, so the link only works once, and it is refused if the user's email address changed since it was sent.
+ * Since following the link proves the user receives mail at the address, their email address is marked as verified.
+ * Otherwise the login proceeds as with a password: a suspended account, or one pending approval or rejected, is refused with `403`,
+ * users with two-factor authentication enabled get an "mfa pending" challenge token to complete at `/login/mfa`, and the
+ * access and refresh tokens of a new session are returned, with `passwordExpired: true` if the user's password has expired.
+ * @param {Object} req - The request object (contains the login token in the URL parameters and the nonce in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.loginWithMagicLink = async (req, res) => {
+    const { token } = req.params;
+    const { nonce } = req.body;
+
+    try {
+        const record = await userTokens.consumeToken(userTokens.PURPOSES.MAGIC_LINK, token, { nonce });
+        const user = record && await db.user.findOne({ where: wherePerson({ id: record.userId, email: record.email }) });
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired login link' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            await user.save();
+        }
+
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(403).json({ message: refusal });
+        }
+
+        // Require the second factor before issuing tokens
+        const mfa = await db.user_mfa.findOne({ where: { userId: user.id, enabled: true } });
+        if (mfa) {
+            const mfaToken = jwt.sign({ id: user.id, type: 'mfa' }, jwt_config.secret, { expiresIn: mfa_config.challengeExpiresIn });
+            return res.status(200).json({ mfaRequired: true, mfaToken });
+        }
+
+        // Generate access and refresh tokens for a new token family
+        const { token: accessToken, refreshToken } = await tokenService.issueTokens(user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        req.user = { id: user.id };
+        res.status(200).json(withPasswordState(user, { token: accessToken, refreshToken }));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function passkeyLoginOptions
+ * @description Starts a login with a passkey. Returns the options to pass to `navigator.credentials.get()`, including a
+ * single-use challenge valid for `challengeExpiresIn`. No account is named: the browser offers the passkeys it has for this site.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.passkeyLoginOptions = async (req, res) => {
+    try {
+        res.status(200).json(await passkeys.createAuthenticationOptions());
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function loginWithPasskey
+ * @description Logs a user in with the credential returned by `navigator.credentials.get()`, answering a challenge from
+ * `passkeyLoginOptions`. The passkey must be registered, sign the challenge with the user verified by the authenticator,
+ * and report an increased signature counter (see `utils/passkeys.js`).
+ * Since the passkey proves both possession and the user, the TOTP second factor is not asked for.
+ * Attempts from a delayed or locked IP address are refused with `429` or `423`, and failed attempts count towards these limits.
+ * A suspended account, or one pending approval or rejected, is refused with `403`.
+ * The access and refresh tokens of a new session are returned, with `passwordExpired: true` if the user's password has expired.
+ * @param {Object} req - The request object (contains the credential in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.loginWithPasskey = async (req, res) => {
+    try {
+        // Refuse attempts from a delayed or locked IP address
+        const ipState = await loginThrottle.check(loginThrottle.ipKey(req.ip), 'ip');
+        if (ipState.blocked) {
+            return rejectThrottled(res, ipState);
+        }
+
+        const passkey = await passkeys.authenticatePasskey(req.body.credential);
+        const user = passkey && await db.user.findOne({ where: wherePerson({ id: passkey.userId }) });
+        if (!user) {
+            await registerLoginFailure(req);
+            return res.status(401).json({ message: 'Invalid passkey' });
+        }
+
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(403).json({ message: refusal });
+        }
+
+        // Generate access and refresh tokens for a new token family
+        const { token, refreshToken } = await tokenService.issueTokens(user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        req.user = { id: user.id };
+        res.status(200).json(withPasswordState(user, { token, refreshToken }));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function clientCredentials
+ * @description Issues an access token to a service account, in exchange for its client ID and secret (the OAuth 2.0 client credentials grant).
+ * The credentials are read from an HTTP Basic `Authorization` header, or from the `client_id` and `client_secret` body parameters.
+ * The token is signed with the same keys as the tokens issued on login, and expires after `serviceTokenExpiresIn`; no refresh token is issued.
+ * Errors are reported with an OAuth 2.0 `error` code alongside the message.
+ * @param {Object} req - The request object (contains `grant_type`, and the client credentials in the body or the `Authorization` header).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.clientCredentials = async (req, res) => {
+    if (req.body.grant_type !== 'client_credentials') {
+        return res.status(400).json({ error: 'unsupported_grant_type', message: 'Only the client_credentials grant is supported' });
+    }
+
+    try {
+        const { clientId, clientSecret } = readClientCredentials(req);
+        const account = await serviceAccounts.authenticateClient(clientId, clientSecret);
+        if (!account) {
+            return res.status(401).json({ error: 'invalid_client', message: 'Invalid client credentials' });
+        }
+        if (isSuspended(account)) {
+            return res.status(403).json({ error: 'unauthorized_client', message: 'Account is suspended' });
+        }
+
+        const { token, expiresAt } = await tokenService.issueServiceToken(account, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+        req.user = { id: account.id };
+        res.status(200).json({
+            access_token: token,
+            token_type: 'Bearer',
+            expires_in: Math.round((expiresAt.getTime() - Date.now()) / 1000)
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function authorizationCode
+ * @description Exchanges an authorization code issued by the OpenID Connect provider for an access token and an ID token
+ * (the OAuth 2.0 authorization code grant, see `utils/oidc.js`). The application authenticates like a service account,
+ * except that public clients send only their `client_id`. The code must have been issued to the application, is exchanged
+ * once, and must come with the `redirect_uri` of the authorization request and the PKCE `code_verifier` matching its code challenge.
+ * The access token only gives access to `/userinfo`, and no refresh token is issued.
+ * Errors are reported with an OAuth 2.0 `error` code alongside the message.
+ * @param {Object} req - The request object (contains `code`, `redirect_uri`, `code_verifier` and the client credentials).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.authorizationCode = async (req, res) => {
+    const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    if (!code || !redirectUri || !codeVerifier) {
+        return res.status(400).json({ error: 'invalid_request', message: 'The code, redirect_uri and code_verifier parameters are required' });
+    }
+
+    try {
+        const { clientId, clientSecret } = readClientCredentials(req);
+        const client = await oidc.authenticateClient(clientId, clientSecret);
+        if (!client) {
+            return res.status(401).json({ error: 'invalid_client', message: 'Invalid client credentials' });
+        }
+
+        // The code is used up even if the rest of the request is wrong, so it cannot be tried again
+        const grant = await oidc.consumeAuthorizationCode(code, client);
+        if (!grant || grant.redirectUri !== redirectUri || !oidc.verifyCodeChallenge(codeVerifier, grant.codeChallenge)) {
+            return res.status(400).json({ error: 'invalid_grant', message: 'Invalid or expired authorization code' });
+        }
+
+        const user = await db.user.findOne({ where: wherePerson({ id: grant.userId }) });
+        if (!user) {
+            return res.status(400).json({ error: 'invalid_grant', message: 'Invalid or expired authorization code' });
+        }
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(400).json({ error: 'invalid_grant', message: refusal });
+        }
+
+        const { accessToken, idToken, expiresAt } = await oidc.issueTokens(user, {
+            client,
+            scopes: grant.scopes,
+            nonce: grant.nonce,
+            authenticatedAt: grant.authenticatedAt,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        req.user = { id: user.id };
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: Math.round((expiresAt.getTime() - Date.now()) / 1000),
+            id_token: idToken,
+            scope: grant.scopes.join(' ')
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function token
+ * @description The OAuth 2.0 token endpoint: hands the request to the grant named by `grant_type`, the client credentials
+ * grant of service accounts or the authorization code grant of the applications using the OpenID Connect provider.
+ * @param {Object} req - The request object (contains `grant_type` and the parameters of the grant).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.token = (req, res) => {
+    switch (req.body.grant_type) {
+        case 'client_credentials':
+            return exports.clientCredentials(req, res);
+        case 'authorization_code':
+            return exports.authorizationCode(req, res);
+        default:
+            return res.status(400).json({ error: 'unsupported_grant_type', message: 'Only the client_credentials and authorization_code grants are supported' });
+    }
+};
+
+/**
+ * @function refreshToken
+ * @description Exchanges a refresh token for a new access token and refresh token.
+ * The presented refresh token is rotated: it is marked as used and can never be exchanged again.
+ * If a refresh token that has already been used is presented again, it is treated as stolen and
+ * every token in its family (all access and refresh tokens descended from the same login) is revoked.
+ * @param {Object} req - The request object (contains the refresh token in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.refreshToken = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    let decoded;
+    try {
+        decoded = await tokenService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token', error: error.message });
+    }
+
+    try {
+        const session = await db.session.findOne({ where: { token: refreshToken, type: 'refresh' } });
+        if (!session || session.userId !== decoded.id) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        // Mark the token as used; a token that was already used (or loses the race to be used) is being replayed
+        const [updated] = await db.session.update({ flag: true }, { where: { id: session.id, flag: false } });
+        if (session.flag || !updated) {
+            await tokenService.revokeFamily(session.familyId);
+            return res.status(401).json({ message: 'Refresh token reuse detected, all sessions of this login have been revoked' });
+        }
+
+        const user = await db.user.findByPk(session.userId);
+        if (!user) {
+            return res.status(401).json({ message: 'User not found' });
+        }
+        const refusal = getAccessRefusal(user);
+        if (refusal) {
+            return res.status(403).json({ message: refusal });
+        }
+
+        // Issue a new token pair into the same family
+        const tokens = await tokenService.issueTokens(user, {
+            familyId: session.familyId,
+            authenticatedAt: session.authenticatedAt || session.createdAt,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
         });
         req.user = { id: user.id };
-        res.status(200).json({ token });
+        res.status(200).json(tokens);
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
+/**
+ * Issues an email verification token for a user and sends the verification link to their email address.
+ * Verification links sent to the user before are invalidated. If the email cannot be sent, the new link is revoked too.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} If the email cannot be sent.
+ */
+const sendVerificationLink = async (user) => {
+    const verificationToken = await userTokens.issueToken(userTokens.PURPOSES.VERIFY_EMAIL, {
+        userId: user.id, email: user.email, expiresIn: token_config.verifyEmailExpiresIn
+    });
+    try {
+        await sendVerificationEmail(user.email, `${config.baseUrl}/verification/${verificationToken}`);
+    } catch (error) {
+        await userTokens.revokeToken(userTokens.PURPOSES.VERIFY_EMAIL, verificationToken);
+        throw error;
+    }
+};
+
 /**
  * @function signup
  * @description Registers a new user by creating an account with provided username, email, and password.
- * The password is hashed before storing it in the database. A verification token is generated and sent to the user's email.
+ * Usernames and emails are normalized and must not already be in use by another account, compared case-insensitively.
+ * Unless the signup mode is `open`, signup is refused with `403`; people then join by accepting an invitation.
+ * When self-registration requires approval, the account is `pending_approval` and cannot log in until an administrator approves it.
+ * The password is hashed before storing it in the database. A verification token is generated and sent to the user's email;
+ * if the email cannot be sent, the account is deleted again, so the user can sign up anew, and `500` is returned.
  * If in a non-production environment, the verification token is returned directly.
  * @param {Object} req - The request object (contains username, email, and password).
  * @param {Object} res - The response object.
  * @returns {void}
  */
 exports.signup = async (req, res) => {
-    const { username, email, password } = req.body;
+    if (account_config.signupMode !== SIGNUP_MODES.OPEN) {
+        const message = account_config.signupMode === SIGNUP_MODES.INVITE_ONLY ? 'Signup is by invitation only' : 'Signup is disabled';
+        return res.status(403).json({ message });
+    }
+    const { password } = req.body;
+    const username = normalizeUsername(req.body.username);
+    const email = normalizeEmail(req.body.email);
 
     try {
-        // Check if user already exists
-        const existingUser = await db.user.findOne({ where: { email } });
+        // Check if the username or email is already registered
+        const existingUser = await findConflictingUser({ username, email });
         if (existingUser) {
             return res.status(400).json({ message: 'User already registered' });
         }
@@ -98,17 +647,23 @@ exports.signup = async (req, res) => {
             email,
             password: hashedPassword,
             emailVerified: false,
-            acceptedTerms: true
+            acceptedTerms: true,
+            status: account_config.signupRequiresApproval ? 'pending_approval' : 'active'
         });
         await db.user_roles.create({ userId: newUser.id, roleId: 1 });
         req.user = { id: newUser.id };
-        // Generate verification token
-        const verificationToken = jwt.sign({ id: newUser.id, email: newUser.email }, jwt_config.secret, { expiresIn: '1h' });
-        const verificationLink = `${config.baseUrl}/verification/${verificationToken}`;
-        // Send verification email
-        await sendVerificationEmail(email, verificationLink);
+        try {
+            await sendVerificationLink(newUser);
+        } catch (error) {
+            // An account that cannot be verified would keep the username and email from being registered again
+            await newUser.destroy({ force: true });
+            throw error;
+        }
 
-        res.status(201).json({ message: 'User registered successfully. Please check your email to verify your account.' });
+        const message = account_config.signupRequiresApproval
+            ? 'User registered successfully. Please check your email to verify your account. You can log in once an administrator approves your account.'
+            : 'User registered successfully. Please check your email to verify your account.';
+        res.status(201).json({ message });
     } catch (error) {
         res.status(500).json({ message: 'Internal server error', error: error.message });
     }
@@ -117,7 +672,8 @@ exports.signup = async (req, res) => {
 /**
  * @function resendVerificationEmail
  * @description Resends the verification email to the user if they have not yet verified their email address.
- * A new verification token is generated and sent to the user's email.
+ * A new verification token is generated and sent to the user's email, and the links sent before stop working.
+ * If the email cannot be sent, the new link is revoked as well and `500` is returned.
  * If in a non-production environment, the verification token is returned directly.
  * @param {Object} req - The request object (contains email of the user).
  * @param {Object} res - The response object.
@@ -128,7 +684,7 @@ exports.resendVerificationEmail = async (req, res) => {
 
     try {
         // Check if the user exists
-        const user = await db.user.findOne({ where: { email } });
+        const user = await db.user.findOne({ where: wherePerson(whereEmail(email)) });
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
@@ -139,14 +695,8 @@ exports.resendVerificationEmail = async (req, res) => {
         }
         req.user = { id: user.id };
 
-        // Generate verification token
-        const verificationToken = jwt.sign({ id: user.id, email: user.email }, jwt_config.secret, { expiresIn: '1h' });
-
-        // Generate verification link
-        const verificationLink = `${config.baseUrl}/verification/${verificationToken}`;
-
         // Send verification email
-        await sendVerificationEmail(email, verificationLink);
+        await sendVerificationLink(user);
 
         res.status(200).json({ message: 'Verification email resent successfully' });
     } catch (error) {
@@ -157,8 +707,8 @@ exports.resendVerificationEmail = async (req, res) => {
 /**
  * @function verification
  * @description Verifies a user's email address using a verification token.
- * The token is decoded and the user's email verification status is updated in the database.
- * If the token is invalid or expired, an error response is returned.
+ * The token is consumed and the user's email verification status is updated in the database.
+ * If the token is invalid, expired or already used, or the user's email has changed since it was sent, an error response is returned.
  * @param {Object} req - The request object (contains verification token in the URL parameters).
  * @param {Object} res - The response object.
  * @returns {void}
@@ -167,11 +717,14 @@ exports.verification = async (req, res) => {
     const { token } = req.params;
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, jwt_config.secret);
+        // Consume token
+        const record = await userTokens.consumeToken(userTokens.PURPOSES.VERIFY_EMAIL, token);
+        if (!record) {
+            return res.status(400).json({ message: 'Invalid or expired verification link' });
+        }
 
         // Find user
-        const user = await db.user.findOne({ where: { id: decoded.id, email: decoded.email } });
+        const user = await db.user.findOne({ where: { id: record.userId, email: record.email } });
         if (!user) {
             return res.status(400).json({ message: 'Invalid verification link' });
         }
@@ -182,7 +735,72 @@ exports.verification = async (req, res) => {
 
         res.status(200).json({ message: 'User verified successfully' });
     } catch (error) {
-        res.status(400).json({ message: 'Invalid or expired verification link', error: error.message });
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function confirmEmailChange
+ * @description Confirms a change of email address using the token sent to the new address.
+ * The user's pending email replaces their email and is marked as verified. The link only works once, while the address it was sent to
+ * is still the pending email, and is refused if another account has registered the address in the meantime.
+ * @param {Object} req - The request object (contains the confirmation token in the URL parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.confirmEmailChange = async (req, res) => {
+    try {
+        const record = await userTokens.consumeToken(userTokens.PURPOSES.EMAIL_CHANGE, req.params.token);
+        const user = record && await db.user.findByPk(record.userId);
+        if (!user || user.pendingEmail !== record.email) {
+            return res.status(400).json({ message: 'Invalid or expired email change link' });
+        }
+        if (await findConflictingUser({ email: record.email }, user.id)) {
+            return res.status(409).json({ message: 'Email is already registered' });
+        }
+
+        user.email = record.email;
+        user.pendingEmail = null;
+        user.emailVerified = true;
+        await user.save();
+
+        res.status(200).json({ message: 'Email changed successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revertEmailChange
+ * @description Reverts a change of email address using the token sent to the previous address.
+ * A pending change is cancelled; a change that was already confirmed is undone, restoring the previous address.
+ * Since the change may have been made from a hijacked session, every session of the account is revoked.
+ * @param {Object} req - The request object (contains the revert token in the URL parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revertEmailChange = async (req, res) => {
+    try {
+        const record = await userTokens.consumeToken(userTokens.PURPOSES.EMAIL_REVERT, req.params.token);
+        const user = record && await db.user.findByPk(record.userId);
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired email revert link' });
+        }
+        if (user.email !== record.email && await findConflictingUser({ email: record.email }, user.id)) {
+            return res.status(409).json({ message: 'Email is already registered' });
+        }
+
+        if (user.email !== record.email) {
+            user.email = record.email;
+            user.emailVerified = true;
+        }
+        user.pendingEmail = null;
+        await user.save();
+        await tokenService.revokeUserSessions(user.id);
+
+        res.status(200).json({ message: 'Email change reverted. All sessions have been signed out; please reset your password if you did not request the change.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
     }
 };
 
@@ -201,7 +819,8 @@ exports.verifyUser = (req, res) => {
 /**
  * @function forgotPassword
  * @description Initiates the password reset process by sending a password reset link to the user's email.
- * A token is generated and sent via email to allow the user to reset their password.
+ * A single-use token is generated and sent via email to allow the user to reset their password; reset links sent before stop working.
+ * If the email cannot be sent, the new link is revoked as well and `500` is returned.
  * If in a non-production environment, the token is returned directly.
  * @param {Object} req - The request object (contains email of the user).
  * @param {Object} res - The response object.
@@ -211,15 +830,22 @@ exports.forgotPassword = async (req, res) => {
     const { email } = req.body;
 
     try {
-        const user = await db.user.findOne({ where: { email } });
+        const user = await db.user.findOne({ where: wherePerson(whereEmail(email)) });
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        const token = jwt.sign({ id: user.id, username: user.username }, jwt_config.secret, { expiresIn: '1h' });
+        const token = await userTokens.issueToken(userTokens.PURPOSES.RESET_PASSWORD, {
+            userId: user.id, email: user.email, expiresIn: token_config.resetPasswordExpiresIn
+        });
 
         const resetLink = `${config.baseUrl}/reset-password/${token}`;
-        await sendVerificationEmail(user.email, 'Password Reset', `Please use the following link to reset your password: ${resetLink}`);
+        try {
+            await sendVerificationEmail.sendEmail(user.email, 'Password Reset', `Please use the following link to reset your password: ${resetLink}`);
+        } catch (error) {
+            await userTokens.revokeToken(userTokens.PURPOSES.RESET_PASSWORD, token);
+            throw error;
+        }
 
         res.status(200).json({ message: 'Password reset link sent successfully' });
     } catch (error) {
@@ -230,37 +856,56 @@ exports.forgotPassword = async (req, res) => {
 /**
  * @function resetPassword
  * @description Resets the user's password using a password reset token.
- * The token is verified and the new password is hashed and saved in the database.
- * If the token is invalid or expired, an error response is returned.
- * @param {Object} req - The request object (contains reset token and new password).
+ * The new password must comply with the password policy, including not containing the user's username or email address,
+ * and must not be one of the user's recent passwords; a refused password leaves the link usable. The token is then consumed and the new password is hashed and saved in the database.
+ * Every session of the user is revoked, outstanding password reset, email change and login links are invalidated, a pending email change
+ * is cancelled, the reset is recorded in the audit log and the user is notified by email.
+ * If the token is invalid, expired or already used, an error response is returned.
+ * @param {Object} req - The request object (contains the reset token in the URL parameters and the new password).
  * @param {Object} res - The response object.
  * @returns {void}
  */
 exports.resetPassword = async (req, res) => {
-    const { token, newPassword } = req.body;
+    const { token } = req.params;
+    const { newPassword } = req.body;
 
     try {
-        const decoded = jwt.verify(token, jwt_config.secret);
-
-        const user = await db.user.findOne({ where: { id: decoded.id, username: decoded.username } });
+        const record = await userTokens.findToken(userTokens.PURPOSES.RESET_PASSWORD, token);
+        const user = record && await db.user.findByPk(record.userId);
         if (!user) {
             return res.status(400).json({ message: 'Invalid or expired token' });
         }
 
+        const failures = passwordPolicy.checkPassword(newPassword, user);
+        if (failures.length > 0) {
+            return res.status(400).json({ errors: passwordPolicy.toValidationErrors(failures, 'newPassword') });
+        }
+        if (await passwordHistory.isReused(user, newPassword)) {
+            return res.status(400).json({ errors: passwordPolicy.toValidationErrors([passwordHistory.reuseFailure()], 'newPassword') });
+        }
+
+        // Use the token, unless a concurrent request already did
+        if (!await userTokens.consumeToken(userTokens.PURPOSES.RESET_PASSWORD, token)) {
+            return res.status(400).json({ message: 'Invalid or expired token' });
+        }
+
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        user.password = hashedPassword;
+        await passwordHistory.recordPasswordChange(user, hashedPassword);
+        user.pendingEmail = null;
         await user.save();
+        await completePasswordChange(user, { event: 'password.reset', ipAddress: req.ip });
 
         res.status(200).json({ message: 'Password reset successfully' });
     } catch (error) {
-        res.status(400).json({ message: 'Invalid or expired token', error: error.message });
+        res.status(500).json({ message: 'Internal server error', error: error.message });
     }
 };
 
 /**
  * @function logout
  * @description Logs out the current user by invalidating their session.
- * The token is removed from the database to prevent further use.
+ * Every token issued from the same login (the access token and its refresh tokens) is revoked to prevent further use.
+ * A request made with a personal access token, as a `Bearer` token or in the `X-API-Key` header, revokes that token instead.
  * @param {Object} req - The request object (contains user information and token from the authentication middleware).
  * @param {Object} res - The response object.
  * @returns {void}
@@ -268,8 +913,19 @@ exports.resetPassword = async (req, res) => {
 exports.logout = async (req, res) => {
     try {
         const userId = req.user.id;
-        const token = req.headers.authorization.split(' ')[1];
-        await db.session.update({ flag: true }, { where: { token: token, userId: userId } });
+        if (req.user.accessTokenId) {
+            await accessTokens.revokeAccessToken(userId, req.user.accessTokenId);
+            await auditLog.record(userId, 'access_token.revoked', { tokenId: req.user.accessTokenId });
+            return res.status(200).json({ message: 'Logged out successfully' });
+        }
+
+        const token = req.headers.authorization?.split(' ')[1];
+        const session = await db.session.findOne({ where: { token: token, userId: userId } });
+        if (session?.familyId) {
+            await tokenService.revokeFamily(session.familyId);
+        } else {
+            await db.session.update({ flag: true }, { where: { token: token, userId: userId } });
+        }
         res.status(200).json({ message: 'Logged out successfully' });
     } catch (error) {
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -0,0 +1,210 @@
+/**
+ * @file invitation.controller.js
+ * @description This file contains the controller functions for invitations, through which administrators create accounts
+ * for people on deployments that do not let everyone sign up (see `utils/invitations.js`).
+ * It includes functionality for administrators to list invitations, invite an email address with the roles the account
+ * will be given, and revoke a pending invitation, and for invitees to accept an invitation by choosing their username
+ * and password. Invitations cannot be sent or accepted when the signup mode is `disabled`.
+ * Sending, revoking and accepting invitations is recorded in the audit log.
+ */
+
+const bcrypt = require('bcrypt');
+const db = require('../models');
+const config = require('./../config/config');
+const account_config = require('./../config/account.config');
+const sendVerificationEmail = require('../utils/emailService');
+const invitations = require('../utils/invitations');
+const userTokens = require('../utils/userTokens');
+const passwordPolicy = require('../utils/passwordPolicy');
+const auditLog = require('../utils/auditLog');
+const permissionService = require('../utils/permissionService');
+const { normalizeEmail, normalizeUsername, findConflictingUser } = require('../utils/userIdentity');
+
+/**
+ * Responds with `403` when the signup mode allows no new accounts.
+ *
+ * @function
+ * @param {Object} res - The response object.
+ * @returns {boolean} Whether the request was refused.
+ */
+const rejectSignupDisabled = (res) => {
+    if (account_config.signupMode !== invitations.SIGNUP_MODES.DISABLED) {
+        return false;
+    }
+    res.status(403).json({ message: 'Signup is disabled' });
+    return true;
+};
+
+/**
+ * @function listInvitations
+ * @description Lists one page of invitations, most recently sent first, optionally filtered by status, with the names of their roles.
+ * @param {Object} req - The request object (contains `page`, `limit` and `status` in the query).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listInvitations = async (req, res) => {
+    try {
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 20;
+
+        const { rows, count } = await db.invitation.findAndCountAll({
+            where: req.query.status ? invitations.whereStatus(req.query.status) : {},
+            order: [['createdAt', 'DESC'], ['id', 'ASC']],
+            limit,
+            offset: (page - 1) * limit
+        });
+        const roles = await db.role.findAll({ where: { id: [...new Set(rows.flatMap((invitation) => invitation.roleIds))] } });
+
+        res.status(200).json({
+            invitations: rows.map((invitation) => invitations.toInvitationData(invitation, roles)),
+            pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function createInvitation
+ * @description Invites an email address to create an account, with the given roles (the `user` role by default),
+ * and emails it the invitation link. The address must not already be in use by an account. Inviting an address again
+ * revokes the invitation sent to it before. Inviting with other roles than the default requires the `roles:assign` permission.
+ * If the email cannot be sent, the new invitation is deleted and `500` is returned.
+ * @param {Object} req - The request object (contains the email address and optionally the role names in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.createInvitation = async (req, res) => {
+    if (rejectSignupDisabled(res)) {
+        return;
+    }
+    const email = normalizeEmail(req.body.email);
+    const { roles: roleNames = ['user'] } = req.body;
+
+    try {
+        const defaultRoles = roleNames.length === 1 && roleNames[0] === 'user';
+        if (!defaultRoles && !(await permissionService.hasPermission(req.user, 'roles:assign'))) {
+            return res.status(403).json({ message: 'Forbidden: Assigning roles requires the roles:assign permission' });
+        }
+        if (await findConflictingUser({ email })) {
+            return res.status(409).json({ message: 'Email is already in use' });
+        }
+
+        const roles = roleNames.length > 0 ? await db.role.findAll({ where: { roleName: roleNames } }) : [];
+        const missing = roleNames.filter((roleName) => !roles.some((role) => role.roleName === roleName));
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Role not found: ${missing.join(', ')}` });
+        }
+
+        const { invitation, token } = await invitations.createInvitation({
+            email, roleIds: roles.map((role) => role.id), invitedBy: req.user.id
+        });
+        try {
+            await sendVerificationEmail.sendEmail(
+                email,
+                'You Have Been Invited',
+                `You have been invited to create an account. Use the following link to choose your username and password before ${invitation.expiresAt.toISOString()}: `
+                + `${config.baseUrl}/accept-invitation/${token}`
+            );
+        } catch (error) {
+            await userTokens.revokeToken(userTokens.PURPOSES.INVITE, token);
+            await invitation.destroy();
+            throw error;
+        }
+        await auditLog.record(req.user.id, 'invitation.created', { invitationId: invitation.id, email, roles: roleNames });
+
+        res.status(201).json(invitations.toInvitationData(invitation, roles));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeInvitation
+ * @description Revokes a pending invitation. Its link stops working immediately.
+ * @param {Object} req - The request object (contains the invitation ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await db.invitation.findByPk(req.params.invitationId);
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+        if (invitations.getInvitationStatus(invitation) !== 'pending') {
+            return res.status(409).json({ message: 'Invitation is no longer pending' });
+        }
+
+        await invitations.revokeInvitation(invitation);
+        await auditLog.record(req.user.id, 'invitation.revoked', { invitationId: invitation.id, email: invitation.email });
+
+        res.status(200).json({ message: 'Invitation revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function acceptInvitation
+ * @description Creates the account of an invitee from the invitation link. The invitee chooses their username and password;
+ * the account has the invited email address, already verified, and the roles of the invitation.
+ * The username must not already be in use and the password must comply with the password policy, including not containing
+ * the username or the invited email address; a refused request leaves the link usable. The link can only be used once.
+ * @param {Object} req - The request object (contains the invitation token in the URL parameters, and the username, password and optional name in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.acceptInvitation = async (req, res) => {
+    if (rejectSignupDisabled(res)) {
+        return;
+    }
+    const { token } = req.params;
+    const { password, name } = req.body;
+    const username = normalizeUsername(req.body.username);
+
+    try {
+        const invitation = await invitations.findPendingInvitation(token);
+        if (!invitation) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        const failures = passwordPolicy.checkPassword(password, { username, email: invitation.email });
+        if (failures.length > 0) {
+            return res.status(400).json({ errors: passwordPolicy.toValidationErrors(failures, 'password') });
+        }
+        if (await findConflictingUser({ username })) {
+            return res.status(409).json({ message: 'Username is already in use' });
+        }
+        if (await findConflictingUser({ email: invitation.email })) {
+            return res.status(409).json({ message: 'Email is already in use' });
+        }
+
+        // Use the link, unless a concurrent request already did
+        if (!await userTokens.consumeToken(userTokens.PURPOSES.INVITE, token)) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        const user = await db.user.create({
+            username,
+            email: invitation.email,
+            name,
+            password: await bcrypt.hash(password, 10),
+            emailVerified: true,
+            acceptedTerms: true
+        });
+        const roles = await db.role.findAll({ where: { id: invitation.roleIds } });
+        for (const role of roles) {
+            await db.user_roles.create({ userId: user.id, roleId: role.id });
+        }
+
+        invitation.acceptedAt = new Date();
+        invitation.userId = user.id;
+        await invitation.save();
+        await auditLog.record(user.id, 'invitation.accepted', { invitationId: invitation.id, invitedBy: invitation.invitedBy });
+
+        res.status(201).json({ message: 'Account created successfully. You can now log in.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
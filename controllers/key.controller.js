@@ -0,0 +1,44 @@
+/**
+ * @file key.controller.js
+ * @description This file contains the controller functions for the keys that sign access and refresh tokens.
+ * It includes functionality for publishing the public keys as a JSON Web Key Set (JWKS), so that other services can
+ * validate tokens issued by this API, and for rotating the signing key on demand.
+ * Rotation also happens automatically on a schedule (see `jobs/keyRotation.js`); retired keys stay in the JWKS until the tokens they signed have expired.
+ */
+
+const keyStore = require('../utils/keyStore');
+
+/**
+ * @function getJwks
+ * @description Returns the public keys that currently verify tokens as a JSON Web Key Set.
+ * The response may be cached briefly by clients; tokens name their key with the `kid` header.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getJwks = async (req, res) => {
+    try {
+        const jwks = await keyStore.getJwks();
+        res.set('Cache-Control', 'public, max-age=300');
+        res.status(200).json(jwks);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function rotateKeys
+ * @description Generates a new signing key and retires the current one, which keeps verifying tokens until they expire.
+ * Intended for administrators; the route is protected by permission authorization.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.rotateKeys = async (req, res) => {
+    try {
+        const signingKey = await keyStore.rotate();
+        res.status(200).json({ message: 'Signing key rotated', kid: signingKey.kid });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * @file mfa.controller.js
+ * @description This file contains the controller functions for managing TOTP two-factor authentication (2FA).
+ * It includes functionality for checking the 2FA status, starting and confirming enrollment, regenerating recovery codes, and disabling 2FA.
+ * Enrollment returns a shared secret and an `otpauth://` URI for authenticator apps; 2FA is only enabled once the user confirms it with a valid code.
+ * The secret is stored encrypted, and is not retrievable after enrollment.
+ * Confirming enrollment returns one-time recovery codes, which are shown once and stored hashed.
+ * The second factor cannot be changed with a personal access token, so that a leaked token cannot be used to replace or remove it.
+ * Completing a login for a user with 2FA enabled is handled by the auth controller.
+ */
+
+const bcrypt = require('bcrypt');
+const db = require('../models');
+const totp = require('../utils/totp');
+const mfaService = require('../utils/mfaService');
+const mfa_config = require('../config/mfa.config');
+
+/**
+ * @function getStatus
+ * @description Retrieves the 2FA status of the currently authenticated user, including the number of unused recovery codes.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getStatus = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const mfa = await db.user_mfa.findOne({ where: { userId } });
+        const enabled = Boolean(mfa?.enabled);
+        const recoveryCodesRemaining = enabled ? await db.mfa_recovery_code.count({ where: { userId, usedAt: null } }) : 0;
+
+        res.status(200).json({ enabled, confirmedAt: enabled ? mfa.confirmedAt : null, recoveryCodesRemaining });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function enroll
+ * @description Starts 2FA enrollment by generating a new TOTP secret for the currently authenticated user.
+ * The secret and an `otpauth://` URI are returned so the user can add the account to an authenticator app.
+ * 2FA remains disabled until the enrollment is confirmed. Starting again replaces an unconfirmed secret.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.enroll = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const user = await db.user.findByPk(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const existing = await db.user_mfa.findOne({ where: { userId } });
+        if (existing?.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        if (existing) {
+            existing.secret = mfaService.encryptSecret(secret);
+            existing.lastUsedStep = null;
+            await existing.save();
+        } else {
+            await db.user_mfa.create({ userId, secret: mfaService.encryptSecret(secret), enabled: false });
+        }
+
+        const otpauthUri = totp.keyUri({ secret, label: user.email || user.username, issuer: mfa_config.issuer });
+        res.status(200).json({ secret, otpauthUri });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function confirm
+ * @description Confirms 2FA enrollment with a code from the authenticator app and enables 2FA.
+ * A fresh set of recovery codes is generated and returned; they are not retrievable afterwards.
+ * @param {Object} req - The request object (contains the TOTP code).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.confirm = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { code } = req.body;
+
+        const mfa = await db.user_mfa.findOne({ where: { userId } });
+        if (!mfa) {
+            return res.status(400).json({ message: 'Two-factor enrollment has not been started' });
+        }
+        if (mfa.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const isValid = await mfaService.verifyCode(mfa, code);
+        if (!isValid) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        mfa.enabled = true;
+        mfa.confirmedAt = new Date();
+        await mfa.save();
+
+        const recoveryCodes = await mfaService.generateRecoveryCodes(userId);
+        res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function regenerateRecoveryCodes
+ * @description Replaces the recovery codes of the currently authenticated user. A valid TOTP code is required.
+ * All previously issued recovery codes stop working.
+ * @param {Object} req - The request object (contains the TOTP code).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { code } = req.body;
+
+        const mfa = await db.user_mfa.findOne({ where: { userId, enabled: true } });
+        if (!mfa) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        const isValid = await mfaService.verifyCode(mfa, code);
+        if (!isValid) {
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await mfaService.generateRecoveryCodes(userId);
+        res.status(200).json({ recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function disable
+ * @description Disables 2FA for the currently authenticated user after re-confirming their password.
+ * The TOTP secret and all recovery codes are removed.
+ * @param {Object} req - The request object (contains the user's password).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.disable = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { password } = req.body;
+
+        const user = await db.user.findByPk(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Password is incorrect' });
+        }
+
+        const mfa = await db.user_mfa.findOne({ where: { userId, enabled: true } });
+        if (!mfa) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        await db.mfa_recovery_code.destroy({ where: { userId } });
+        await mfa.destroy();
+
+        res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * @file oauthClient.controller.js
+ * @description This file contains the controller functions for managing OAuth clients, the applications that log their users in
+ * with the OpenID Connect provider (see `utils/oidc.js`). Intended for administrators.
+ * It includes functionality for listing, reading, registering, updating and deleting applications, and rotating their client secret.
+ * Confidential clients get a client secret, which is only returned when it is generated; public clients, such as single-page and
+ * mobile apps, get none and rely on PKCE alone. Deleting an application removes the consents users gave it.
+ */
+
+const db = require('../models');
+const oidc = require('../utils/oidc');
+const auditLog = require('../utils/auditLog');
+
+/**
+ * @function listClients
+ * @description Lists the registered applications, most recently registered first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listClients = async (req, res) => {
+    try {
+        const clients = await db.oauth_client.findAll({ order: [['createdAt', 'DESC'], ['id', 'ASC']] });
+        res.status(200).json(clients.map(oidc.toClientData));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getClient
+ * @description Retrieves a registered application. The client secret is not returned.
+ * @param {Object} req - The request object (contains the client's ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getClient = async (req, res) => {
+    try {
+        const client = await db.oauth_client.findByPk(req.params.oauthClientId);
+        if (!client) {
+            return res.status(404).json({ message: 'OAuth client not found' });
+        }
+
+        res.status(200).json(oidc.toClientData(client));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function createClient
+ * @description Registers an application with a new client ID and, unless it is a public client, a client secret.
+ * The application may request every scope unless `scopes` limits them; `openid` is always allowed.
+ * The client secret is returned once and cannot be retrieved again.
+ * @param {Object} req - The request object (contains the name and redirect URIs, and optionally the scopes and `confidential`).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.createClient = async (req, res) => {
+    const { name, redirectUris, scopes = oidc.SCOPES, confidential = true } = req.body;
+
+    try {
+        const { clientId, clientSecret, clientSecretHash } = oidc.generateClientCredentials({ confidential });
+        const client = await db.oauth_client.create({
+            clientId,
+            clientSecretHash,
+            name,
+            redirectUris,
+            scopes: [...new Set(['openid', ...scopes])],
+            createdBy: req.user.id
+        });
+        await auditLog.record(req.user.id, 'oauth_client.created', { clientId, name });
+
+        res.status(201).json({ ...oidc.toClientData(client), ...(clientSecret ? { clientSecret } : {}) });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function updateClient
+ * @description Updates the name, redirect URIs or scopes of a registered application. Consents users already gave are kept,
+ * but only the scopes still allowed can be requested.
+ * @param {Object} req - The request object (contains the client's ID in the route parameters and the new details in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.updateClient = async (req, res) => {
+    const { name, redirectUris, scopes } = req.body;
+
+    try {
+        const client = await db.oauth_client.findByPk(req.params.oauthClientId);
+        if (!client) {
+            return res.status(404).json({ message: 'OAuth client not found' });
+        }
+
+        if (name !== undefined) {
+            client.name = name;
+        }
+        if (redirectUris !== undefined) {
+            client.redirectUris = redirectUris;
+        }
+        if (scopes !== undefined) {
+            client.scopes = [...new Set(['openid', ...scopes])];
+        }
+        await client.save();
+
+        res.status(200).json(oidc.toClientData(client));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function rotateSecret
+ * @description Replaces the client secret of a confidential application, for instance after it leaked. The client ID is kept
+ * and the previous secret stops working immediately. The new secret is returned once and cannot be retrieved again.
+ * @param {Object} req - The request object (contains the client's ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.rotateSecret = async (req, res) => {
+    try {
+        const client = await db.oauth_client.findByPk(req.params.oauthClientId);
+        if (!client) {
+            return res.status(404).json({ message: 'OAuth client not found' });
+        }
+        if (!client.clientSecretHash) {
+            return res.status(400).json({ message: 'Public clients have no client secret' });
+        }
+
+        const { clientSecret, clientSecretHash } = oidc.generateClientCredentials();
+        client.clientSecretHash = clientSecretHash;
+        await client.save();
+        await auditLog.record(req.user.id, 'oauth_client.secret_rotated', { clientId: client.clientId });
+
+        res.status(200).json({ clientId: client.clientId, clientSecret });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function deleteClient
+ * @description Deletes a registered application, with the consents users gave it and its outstanding authorization codes.
+ * The access tokens it was issued stop working, as the consents they were issued under are gone.
+ * @param {Object} req - The request object (contains the client's ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.deleteClient = async (req, res) => {
+    try {
+        const client = await db.oauth_client.findByPk(req.params.oauthClientId);
+        if (!client) {
+            return res.status(404).json({ message: 'OAuth client not found' });
+        }
+
+        await client.destroy();
+        await auditLog.record(req.user.id, 'oauth_client.deleted', { clientId: client.clientId });
+
+        res.status(200).json({ message: 'OAuth client deleted' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
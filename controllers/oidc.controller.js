@@ -0,0 +1,290 @@
+/**
+ * @file oidc.controller.js
+ * @description This file contains the controller functions of the OpenID Connect provider, through which other applications
+ * log their users in with their account on this API (see `utils/oidc.js`).
+ * It includes functionality for publishing the provider's configuration, for the authorization page of the web app to check an
+ * authorization request and approve or deny it on behalf of the logged in user, for applications to read the claims of the user
+ * at the userinfo endpoint, and for users to list the applications they consented to and revoke their consent.
+ * The authorization code is exchanged for tokens at `POST /token`, handled by the auth controller.
+ *
+ * Once the application and its redirect URI are recognized, problems with an authorization request are reported to the
+ * application, by redirecting the user back to it with an OAuth 2.0 `error` code. Since the API holds no browser session,
+ * the redirect is returned as `redirectTo` for the authorization page to follow.
+ * Applications cannot be authorized with a personal access token. Granting and revoking consent is recorded in the audit log.
+ */
+
+const db = require('../models');
+const oidc = require('../utils/oidc');
+const oidc_config = require('./../config/oidc.config');
+const auditLog = require('../utils/auditLog');
+const { wherePerson } = require('../utils/userIdentity');
+const { getAccessRefusal } = require('../utils/accountStatus');
+
+/**
+ * Builds the URI sending the user back to the application, with parameters added to the redirect URI's query.
+ *
+ * @function
+ * @param {string} redirectUri - The redirect URI of the request.
+ * @param {Object<string, string>} params - The parameters to add; missing values are left out.
+ * @returns {string} The URI.
+ */
+const buildRedirect = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+            url.searchParams.set(name, value);
+        }
+    }
+    return url.toString();
+};
+
+/**
+ * Checks an authorization request. The application and its redirect URI must be registered; otherwise the user must not be
+ * sent to the redirect URI, and the request is rejected. Other problems are reported to the application through the redirect URI:
+ * the response type must be `code`, the scopes must include `openid` and be allowed for the application, and a PKCE code
+ * challenge with the `S256` method must be present.
+ *
+ * @function
+ * @param {Object} params - The parameters of the request.
+ * @returns {Promise<Object>} `{ rejection }` with the reason the request is rejected, `{ redirectTo }` with the error
+ *   redirect, or `{ client, scopes, redirect }` for a valid request, where `redirect` builds the redirect back to the application.
+ */
+const resolveAuthorizationRequest = async (params) => {
+    const client = await db.oauth_client.findOne({ where: { clientId: params.client_id } });
+    if (!client || !client.redirectUris.includes(params.redirect_uri)) {
+        return { rejection: 'Unknown client or unregistered redirect URI' };
+    }
+
+    // The state is handed back unchanged, so the application can match the response with its request
+    const redirect = (query) => buildRedirect(params.redirect_uri, { ...query, state: params.state });
+    if (params.response_type !== 'code') {
+        return { redirectTo: redirect({ error: 'unsupported_response_type', error_description: 'Only the code response type is supported' }) };
+    }
+    const scopes = oidc.parseScopes(params.scope);
+    if (!scopes.includes('openid') || scopes.some((scope) => !client.scopes.includes(scope))) {
+        return { redirectTo: redirect({ error: 'invalid_scope', error_description: 'The openid scope is required and every scope must be allowed for the client' }) };
+    }
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+        return { redirectTo: redirect({ error: 'invalid_request', error_description: 'A PKCE code challenge with the S256 method is required' }) };
+    }
+
+    return { client, scopes, redirect };
+};
+
+/**
+ * Issues the authorization code answering a request approved by the user, and returns the redirect back to the application with it.
+ * The ID token reports when the user logged in, taken from their session.
+ *
+ * @function
+ * @param {Object} req - The request object (contains the user ID and session ID from the verifyToken middleware).
+ * @param {Object} params - The parameters of the request.
+ * @param {Object} request - The valid request returned by `resolveAuthorizationRequest`.
+ * @returns {Promise<string>} The redirect URI, with the code and state.
+ */
+const issueCode = async (req, params, { client, scopes, redirect }) => {
+    const session = req.user.sessionId ? await db.session.findOne({ where: { familyId: req.user.sessionId } }) : null;
+    const code = await oidc.issueAuthorizationCode({
+        client,
+        userId: req.user.id,
+        redirectUri: params.redirect_uri,
+        scopes,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        authenticatedAt: session?.authenticatedAt
+    });
+    return redirect({ code });
+};
+
+/**
+ * @function getConfiguration
+ * @description Returns the OpenID Connect discovery document, with the endpoints, scopes, claims and algorithms of the provider.
+ * The response may be cached briefly by applications.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getConfiguration = (req, res) => {
+    const { issuer } = oidc_config;
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+        issuer,
+        authorization_endpoint: oidc_config.authorizationUrl,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/.well-known/jwks.json`,
+        scopes_supported: oidc.SCOPES,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: ['authorization_code', 'client_credentials'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        prompt_values_supported: ['none', 'consent'],
+        claims_supported: ['iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash', ...Object.values(oidc.CLAIMS).flat()]
+    });
+};
+
+/**
+ * @function authorize
+ * @description Checks an authorization request for the currently authenticated user, from the query parameters the application
+ * sent the user with. If the user already consented to the requested scopes, an authorization code is issued and the redirect back
+ * to the application is returned as `redirectTo`. Otherwise the application and the scopes to ask the user about are returned with
+ * `consentRequired`, unless the application asked not to prompt the user (`prompt=none`), or to ask again (`prompt=consent`).
+ * @param {Object} req - The request object (contains the parameters of the authorization request in the query).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.authorize = async (req, res) => {
+    try {
+        const request = await resolveAuthorizationRequest(req.query);
+        if (request.rejection) {
+            return res.status(400).json({ error: 'invalid_request', message: request.rejection });
+        }
+        if (request.redirectTo) {
+            return res.status(200).json({ redirectTo: request.redirectTo });
+        }
+
+        const { client, scopes, redirect } = request;
+        const consent = await oidc.findConsent(req.user.id, client);
+        const consented = Boolean(consent) && scopes.every((scope) => consent.scopes.includes(scope));
+        if (consented && req.query.prompt !== 'consent') {
+            return res.status(200).json({ redirectTo: await issueCode(req, req.query, request) });
+        }
+        if (req.query.prompt === 'none') {
+            return res.status(200).json({ redirectTo: redirect({ error: 'consent_required', error_description: 'The user has not consented to the requested scopes' }) });
+        }
+
+        res.status(200).json({ consentRequired: true, client: { clientId: client.clientId, name: client.name }, scopes });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function decideAuthorization
+ * @description Records the decision of the currently authenticated user on an authorization request, sent with the same
+ * parameters as `authorize` and `approve`. When approved, the consent is recorded and an authorization code is issued;
+ * when denied, the application is told with the `access_denied` error. Either way, the redirect back to the application
+ * is returned as `redirectTo`.
+ * @param {Object} req - The request object (contains the parameters of the authorization request and `approve` in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.decideAuthorization = async (req, res) => {
+    try {
+        const request = await resolveAuthorizationRequest(req.body);
+        if (request.rejection) {
+            return res.status(400).json({ error: 'invalid_request', message: request.rejection });
+        }
+        if (request.redirectTo) {
+            return res.status(200).json({ redirectTo: request.redirectTo });
+        }
+
+        const { client, scopes, redirect } = request;
+        if (!req.body.approve) {
+            return res.status(200).json({ redirectTo: redirect({ error: 'access_denied', error_description: 'The user denied the request' }) });
+        }
+
+        await oidc.grantConsent(req.user.id, client, scopes);
+        await auditLog.record(req.user.id, 'oauth.consent_granted', { clientId: client.clientId, scopes });
+
+        res.status(200).json({ redirectTo: await issueCode(req, req.body, request) });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getUserInfo
+ * @description Returns the claims about the user an access token was issued for, limited to the scopes it was granted.
+ * The claims are built from the same data as `GET /user`. Only the access tokens issued to applications by the authorization
+ * code grant are accepted; errors are reported with an OAuth 2.0 `error` code and a `WWW-Authenticate` header.
+ * @param {Object} req - The request object (contains the access token in the `Authorization` header).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getUserInfo = async (req, res) => {
+    const [scheme, token] = req.headers['authorization']?.split(' ') || [];
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'invalid_token', message: 'No token provided' });
+    }
+
+    let decoded;
+    try {
+        decoded = await oidc.verifyAccessToken(token);
+    } catch {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token', message: 'Invalid or expired token' });
+    }
+
+    try {
+        const scopes = oidc.parseScopes(decoded.scope);
+        if (!scopes.includes('openid')) {
+            res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="openid"');
+            return res.status(403).json({ error: 'insufficient_scope', message: 'The openid scope is required' });
+        }
+
+        const user = await db.user.findOne({ where: wherePerson({ id: decoded.id }) });
+        if (!user || getAccessRefusal(user)) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'invalid_token', message: 'Invalid or expired token' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(oidc.toClaims(user, scopes));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function listConsents
+ * @description Lists the applications the currently authenticated user consented to, with the scopes they allowed,
+ * most recently granted first.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listConsents = async (req, res) => {
+    try {
+        const consents = await db.oauth_consent.findAll({
+            where: { userId: req.user.id },
+            include: [{ model: db.oauth_client, as: 'client', attributes: ['clientId', 'name'] }],
+            order: [['updatedAt', 'DESC']]
+        });
+        res.status(200).json(consents.map((consent) => ({
+            id: consent.id,
+            client: consent.client ? { clientId: consent.client.clientId, name: consent.client.name } : null,
+            scopes: consent.scopes,
+            createdAt: consent.createdAt,
+            updatedAt: consent.updatedAt
+        })));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeConsent
+ * @description Revokes the consent the currently authenticated user gave an application. The access tokens it was issued stop
+ * working, and the application must ask for consent again the next time it sends the user to log in.
+ * @param {Object} req - The request object (contains the consent ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeConsent = async (req, res) => {
+    try {
+        const consentId = parseInt(req.params.consentId, 10);
+        const deleted = await db.oauth_consent.destroy({ where: { id: consentId, userId: req.user.id } });
+        if (!deleted) {
+            return res.status(404).json({ message: 'Consent not found' });
+        }
+        await auditLog.record(req.user.id, 'oauth.consent_revoked', { consentId });
+
+        res.status(200).json({ message: 'Consent revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
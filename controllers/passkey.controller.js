@@ -0,0 +1,125 @@
+/**
+ * @file passkey.controller.js
+ * @description This file contains the controller functions for managing passkeys, the WebAuthn credentials users log in with
+ * instead of a password (see `utils/passkeys.js`).
+ * It includes functionality for users to start and complete the registration of a passkey, list their passkeys, rename them
+ * and remove them. Passkeys cannot be registered with a personal access token, so that a leaked token cannot be turned into
+ * a way to log in. Registering and removing passkeys is recorded in the audit log.
+ * Logging in with a passkey is handled by the auth controller.
+ */
+
+const db = require('../models');
+const passkeys = require('../utils/passkeys');
+const auditLog = require('../utils/auditLog');
+
+/**
+ * @function listPasskeys
+ * @description Lists the passkeys of the currently authenticated user, most recently registered first.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listPasskeys = async (req, res) => {
+    try {
+        const rows = await db.passkey.findAll({ where: { userId: req.user.id }, order: [['createdAt', 'DESC']] });
+        res.status(200).json(rows.map(passkeys.toPasskeyData));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function registrationOptions
+ * @description Starts the registration of a passkey for the currently authenticated user. Returns the options to pass to
+ * `navigator.credentials.create()`, with binary values base64url encoded, including a challenge valid for `challengeExpiresIn`.
+ * Starting again replaces the previous challenge.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.registrationOptions = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(await passkeys.createRegistrationOptions(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function registerPasskey
+ * @description Completes the registration of a passkey with the credential returned by `navigator.credentials.create()`.
+ * The credential must answer the challenge issued to the user, for this relying party and with the user verified by the
+ * authenticator, and must not already be registered.
+ * @param {Object} req - The request object (contains the credential and optionally the name of the passkey in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.registerPasskey = async (req, res) => {
+    const { credential, name = 'Passkey' } = req.body;
+
+    try {
+        const { passkey, conflict } = await passkeys.registerPasskey(req.user.id, credential, name);
+        if (conflict) {
+            return res.status(409).json({ message: 'Passkey is already registered' });
+        }
+        if (!passkey) {
+            return res.status(400).json({ message: 'Invalid or expired passkey registration' });
+        }
+        await auditLog.record(req.user.id, 'passkey.registered', { passkeyId: passkey.id, name });
+
+        res.status(201).json(passkeys.toPasskeyData(passkey));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function renamePasskey
+ * @description Renames one of the currently authenticated user's passkeys.
+ * @param {Object} req - The request object (contains the passkey ID in the route parameters and the new name in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.renamePasskey = async (req, res) => {
+    try {
+        const passkey = await db.passkey.findOne({ where: { id: req.params.passkeyId, userId: req.user.id } });
+        if (!passkey) {
+            return res.status(404).json({ message: 'Passkey not found' });
+        }
+
+        passkey.name = req.body.name;
+        await passkey.save();
+
+        res.status(200).json(passkeys.toPasskeyData(passkey));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function deletePasskey
+ * @description Removes one of the currently authenticated user's passkeys. It can no longer be used to log in;
+ * the sessions started with it are kept.
+ * @param {Object} req - The request object (contains the passkey ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.deletePasskey = async (req, res) => {
+    try {
+        const passkeyId = parseInt(req.params.passkeyId, 10);
+        const deleted = await db.passkey.destroy({ where: { id: passkeyId, userId: req.user.id } });
+        if (!deleted) {
+            return res.status(404).json({ message: 'Passkey not found' });
+        }
+        await auditLog.record(req.user.id, 'passkey.removed', { passkeyId });
+
+        res.status(200).json({ message: 'Passkey removed' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * @file password.controller.js
+ * @description This file contains the controller functions for the password policy applied when users sign up,
+ * reset their password or change it (see `utils/passwordPolicy.js`).
+ * It includes functionality for describing the rules in force and checking a password against them,
+ * so that clients can give live feedback while a user types a new password.
+ */
+
+const passwordPolicy = require('../utils/passwordPolicy');
+
+/**
+ * @function getPolicy
+ * @description Returns the rules of the password policy in force, with the message reported when a password fails each of them.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getPolicy = (req, res) => {
+    res.status(200).json({ rules: passwordPolicy.describePolicy() });
+};
+
+/**
+ * @function checkPassword
+ * @description Checks a password against the password policy and lists every rule it fails.
+ * The username and email address of the user, when given, are used to refuse passwords containing them.
+ * Nothing is stored; the endpoint is meant for live feedback on signup, password reset and password change forms.
+ * @param {Object} req - The request object (contains the password, and optionally the username and email).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.checkPassword = (req, res) => {
+    const { password, username, email } = req.body;
+    const failures = passwordPolicy.checkPassword(password, { username, email });
+    res.status(200).json({ valid: failures.length === 0, failures });
+};
@@ -0,0 +1,139 @@
+/**
+ * @file permission.controller.js
+ * @description This file contains the controller functions for managing permissions within the application.
+ * Permissions name single actions (`<resource>:<action>`, e.g. `users:read`) and are granted to roles; a user's effective
+ * permissions are the union of the permissions granted to their roles, and routes are guarded by the `requirePermission` middleware.
+ * It includes functions to list and create permissions, list, grant and revoke the permissions of a role,
+ * and retrieve the effective permissions of the currently authenticated user.
+ */
+
+const db = require('../models');
+const permissionService = require('../utils/permissionService');
+
+/**
+ * @function listPermissions
+ * @description Lists every permission, sorted by name.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listPermissions = async (req, res) => {
+    try {
+        const permissions = await db.permission.findAll({ attributes: ['id', 'name', 'description'], order: [['name', 'ASC']] });
+        res.status(200).json(permissions);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function createPermission
+ * @description Creates a new permission. The permission is not granted to any role until it is granted explicitly.
+ * @param {Object} req - The request object (contains the permission name and description in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.createPermission = async (req, res) => {
+    const { name, description } = req.body;
+    try {
+        const existing = await db.permission.findOne({ where: { name } });
+        if (existing) {
+            return res.status(409).json({ message: 'Permission already exists' });
+        }
+
+        const permission = await db.permission.create({ name, description });
+        res.status(201).json(permission);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getRolePermissions
+ * @description Lists the names of the permissions granted to a role.
+ * @param {Object} req - The request object (contains the role ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getRolePermissions = async (req, res) => {
+    try {
+        const role = await db.role.findByPk(req.params.roleId, { include: [db.permission] });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        const permissions = (role.Permissions || []).map((permission) => permission.name).sort();
+        res.status(200).json(permissions);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function grantPermission
+ * @description Grants a permission to a role. Granting a permission the role already has succeeds without changes.
+ * @param {Object} req - The request object (contains the role ID in the route parameters and the permission name in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.grantPermission = async (req, res) => {
+    try {
+        const role = await db.role.findByPk(req.params.roleId);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        const permission = await db.permission.findOne({ where: { name: req.body.permission } });
+        if (!permission) {
+            return res.status(404).json({ message: 'Permission not found' });
+        }
+
+        await db.role_permission.findOrCreate({ where: { roleId: role.id, permissionId: permission.id } });
+        res.status(200).json({ message: 'Permission granted' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokePermission
+ * @description Revokes a permission from a role.
+ * @param {Object} req - The request object (contains the role ID and the permission name in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokePermission = async (req, res) => {
+    try {
+        const role = await db.role.findByPk(req.params.roleId);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        const permission = await db.permission.findOne({ where: { name: req.params.permission } });
+        if (!permission) {
+            return res.status(404).json({ message: 'Permission not found' });
+        }
+
+        const revoked = await db.role_permission.destroy({ where: { roleId: role.id, permissionId: permission.id } });
+        if (!revoked) {
+            return res.status(404).json({ message: 'Permission is not granted to the role' });
+        }
+        res.status(200).json({ message: 'Permission revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getMyPermissions
+ * @description Lists the effective permissions of the currently authenticated user, granted through any of their roles.
+ * @param {Object} req - The request object (contains user information from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getMyPermissions = async (req, res) => {
+    try {
+        const permissions = await permissionService.getUserPermissions(req.user);
+        res.status(200).json(permissions);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
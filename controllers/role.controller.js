@@ -1,12 +1,89 @@
 /**
  * @file role.controller.js
  * @description This file contains the controller functions for managing user roles within the application.
- * It includes functions to create new roles, assign roles to users, and retrieve roles assigned to a specific user.
+ * It includes functions to list, create, retrieve, update and delete roles, assign roles to users and revoke them, and retrieve roles assigned to a specific user.
+ * The built-in `user` and `admin` roles cannot be renamed or deleted, and the `admin` role cannot be revoked from the last active administrator.
  * The role management system helps in implementing role-based access control (RBAC), ensuring that users have the appropriate permissions.
  * The controller interacts with the database to perform CRUD operations related to user roles.
  */
 
 const db = require('../models');
+const { hasOtherActiveAdministrator } = require('../utils/accountStatus');
+
+/**
+ * The roles created by the seeders, which the application depends on.
+ *
+ * @constant {string[]}
+ */
+const BUILT_IN_ROLES = ['user', 'admin'];
+
+/**
+ * Counts the users holding each role.
+ *
+ * @function
+ * @param {number[]} [roleIds] - The roles to count the users of; every role if omitted.
+ * @returns {Promise<Object<number, number>>} The number of users per role ID.
+ */
+const countUsers = async (roleIds) => {
+    const rows = await db.user_roles.findAll({
+        attributes: ['roleId', [db.sequelize.fn('COUNT', db.sequelize.col('userId')), 'userCount']],
+        where: roleIds ? { roleId: roleIds } : {},
+        group: ['roleId'],
+        raw: true
+    });
+    return Object.fromEntries(rows.map((row) => [row.roleId, Number(row.userCount)]));
+};
+
+/**
+ * Controller function to list all roles
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object to send back the roles or an error message
+ * @returns {void}
+ * @description This function retrieves every role with the number of users holding it.
+ *  If an error occurs during the process, it returns a 500 status code with an error message.
+ */
+exports.listRoles = async (req, res) => {
+    try {
+        const roles = await db.role.findAll({ attributes: ['id', 'roleName', 'description'], order: [['id', 'ASC']] });
+        const userCounts = await countUsers();
+        res.status(200).json(roles.map((role) => ({
+            id: role.id,
+            roleName: role.roleName,
+            description: role.description,
+            userCount: userCounts[role.id] || 0
+        })));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching roles', error: error.message });
+    }
+};
+
+/**
+ * Controller function to get a role
+ * @param {Object} req - The request object containing roleId as a URL parameter
+ * @param {Object} res - The response object to send back the role or an error message
+ * @returns {void}
+ * @description This function retrieves a role with the number of users holding it and the names of its permissions.
+ *  If the role is not found, it returns a 404 status code. If an error occurs during the process, it returns a 500 status code with an error message.
+ */
+exports.getRole = async (req, res) => {
+    try {
+        const role = await db.role.findByPk(req.params.roleId, { include: [db.permission] });
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        const userCounts = await countUsers([role.id]);
+        res.status(200).json({
+            id: role.id,
+            roleName: role.roleName,
+            description: role.description,
+            userCount: userCounts[role.id] || 0,
+            permissions: (role.Permissions || []).map((permission) => permission.name).sort()
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching role', error: error.message });
+    }
+};
 
 /**
  * Controller function to create a new role
@@ -14,7 +91,7 @@ const db = require('../models');
  * @param {Object} res - The response object to send back the created role or an error message
  * @returns {void}
  * @description This function takes the role name and description from the request body, creates a new role in the database, and returns the created role.
- *  If an error occurs during the process, it returns a 500 status code with an error message.
+ *  If a role with the name already exists, it returns a 409 status code. If an error occurs during the process, it returns a 500 status code with an error message.
  */
 exports.createRole = async (req, res) => {
     const { roleName, description } = req.body;
@@ -22,6 +99,9 @@ exports.createRole = async (req, res) => {
         const role = await db.role.create({ roleName, description });
         res.status(201).json(role);
     } catch (error) {
+        if (error instanceof db.Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ message: 'Role already exists' });
+        }
         res.status(500).json({ message: 'Error creating role', error: error.message });
     }
 };
@@ -32,18 +112,120 @@ exports.createRole = async (req, res) => {
  * @param {Object} res - The response object to send back a success message or an error message
  * @returns {void}
  * @description This function takes the user ID and role ID from the request body, assigns the specified role to the user in the database, 
- * and returns a success message. If an error occurs during the process, it returns a 500 status code with an error message.
+ * and returns a success message. If the user or the role does not exist, it returns a 404 status code, and if the user already has the role, a 409 status code.
+ * If an error occurs during the process, it returns a 500 status code with an error message.
  */
 exports.assignRoleToUser = async (req, res) => {
     const { userId, roleId } = req.body;
     try {
+        if (!(await db.user.findByPk(userId, { attributes: ['id'] }))) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!(await db.role.findByPk(roleId, { attributes: ['id'] }))) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
         await db.user_roles.create({ userId, roleId });
         res.status(200).json({ message: 'Role assigned successfully' });
     } catch (error) {
+        if (error instanceof db.Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ message: 'User already has the role' });
+        }
         res.status(500).json({ message: 'Error assigning role', error: error.message });
     }
 };
 
+/**
+ * Controller function to revoke a role from a user
+ * @param {Object} req - The request object containing userId and roleId in the body
+ * @param {Object} res - The response object to send back a success message or an error message
+ * @returns {void}
+ * @description This function removes the specified role from the user. If the user does not have the role, it returns a 404 status code.
+ * Revoking the `admin` role from the last active administrator is refused with a 409 status code, so that the roles can still be managed.
+ * If an error occurs during the process, it returns a 500 status code with an error message.
+ */
+exports.revokeRoleFromUser = async (req, res) => {
+    const { userId, roleId } = req.body;
+    try {
+        const assignment = await db.user_roles.findOne({ where: { userId, roleId } });
+        if (!assignment) {
+            return res.status(404).json({ message: 'Role assignment not found' });
+        }
+
+        const role = await db.role.findByPk(roleId);
+        if (role?.roleName === 'admin' && !(await hasOtherActiveAdministrator(userId))) {
+            return res.status(409).json({ message: 'Cannot revoke the admin role from the last administrator' });
+        }
+
+        await db.user_roles.destroy({ where: { userId, roleId } });
+        res.status(200).json({ message: 'Role revoked successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error revoking role', error: error.message });
+    }
+};
+
+/**
+ * Controller function to update a role
+ * @param {Object} req - The request object containing roleId as a URL parameter and the role name and description in the body
+ * @param {Object} res - The response object to send back the updated role or an error message
+ * @returns {void}
+ * @description This function updates the name and/or description of a role. The built-in roles can only have their description changed.
+ * If the role is not found, it returns a 404 status code; if the new name is taken or a built-in role would be renamed, a 409 status code.
+ * If an error occurs during the process, it returns a 500 status code with an error message.
+ */
+exports.updateRole = async (req, res) => {
+    const { roleName, description } = req.body;
+    try {
+        const role = await db.role.findByPk(req.params.roleId);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (roleName !== undefined && roleName !== role.roleName && BUILT_IN_ROLES.includes(role.roleName)) {
+            return res.status(409).json({ message: 'Built-in roles cannot be renamed' });
+        }
+
+        if (roleName !== undefined) {
+            role.roleName = roleName;
+        }
+        if (description !== undefined) {
+            role.description = description;
+        }
+        await role.save();
+        res.status(200).json({ id: role.id, roleName: role.roleName, description: role.description });
+    } catch (error) {
+        if (error instanceof db.Sequelize.UniqueConstraintError) {
+            return res.status(409).json({ message: 'Role already exists' });
+        }
+        res.status(500).json({ message: 'Error updating role', error: error.message });
+    }
+};
+
+/**
+ * Controller function to delete a role
+ * @param {Object} req - The request object containing roleId as a URL parameter
+ * @param {Object} res - The response object to send back a success message or an error message
+ * @returns {void}
+ * @description This function deletes a role; the role is removed from every user holding it. The built-in roles cannot be deleted.
+ * If the role is not found, it returns a 404 status code; for a built-in role, a 409 status code.
+ * If an error occurs during the process, it returns a 500 status code with an error message.
+ */
+exports.deleteRole = async (req, res) => {
+    try {
+        const role = await db.role.findByPk(req.params.roleId);
+        if (!role) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+        if (BUILT_IN_ROLES.includes(role.roleName)) {
+            return res.status(409).json({ message: 'Built-in roles cannot be deleted' });
+        }
+
+        await role.destroy();
+        res.status(200).json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting role', error: error.message });
+    }
+};
+
 /**
  * Controller function to get roles assigned to a specific user
  * @param {Object} req - The request object containing userId as a URL parameter
@@ -0,0 +1,202 @@
+/**
+ * @file serviceAccount.controller.js
+ * @description This file contains the controller functions for managing service accounts, the accounts other systems use
+ * to call the API (see `utils/serviceAccounts.js`). Intended for administrators.
+ * It includes functionality for listing, reading, creating, renaming and deleting service accounts, and rotating their client secret.
+ * A service account is a user without an email address or password, so it is assigned roles like any user, through the
+ * role assignment endpoints or when it is created, and can be suspended and reactivated like any user.
+ * The client secret is only returned when it is generated. Rotating the secret or deleting the account revokes its access tokens.
+ */
+
+const db = require('../models');
+const serviceAccounts = require('../utils/serviceAccounts');
+const tokenService = require('../utils/tokenService');
+const auditLog = require('../utils/auditLog');
+const permissionService = require('../utils/permissionService');
+const { normalizeUsername, findConflictingUser } = require('../utils/userIdentity');
+
+/**
+ * Finds a service account by ID, with its roles. Accounts of people are not found.
+ *
+ * @function
+ * @param {number|string} id - The ID of the service account.
+ * @returns {Promise<Object|null>} The `User` instance of the service account, or `null` if it is not found.
+ */
+const findServiceAccount = (id) => db.user.findOne({
+    where: { id, accountType: serviceAccounts.ACCOUNT_TYPES.SERVICE },
+    include: [db.role]
+});
+
+/**
+ * @function listServiceAccounts
+ * @description Lists the service accounts, most recently created first, with the names of their roles.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listServiceAccounts = async (req, res) => {
+    try {
+        const accounts = await db.user.findAll({
+            where: { accountType: serviceAccounts.ACCOUNT_TYPES.SERVICE },
+            include: [{ model: db.role, attributes: ['roleName'], through: { attributes: [] } }],
+            order: [['createdAt', 'DESC'], ['id', 'ASC']]
+        });
+        res.status(200).json(accounts.map(serviceAccounts.toServiceAccountData));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getServiceAccount
+ * @description Retrieves a service account, with the names of its roles. The client secret is not returned.
+ * @param {Object} req - The request object (contains the service account ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getServiceAccount = async (req, res) => {
+    try {
+        const account = await findServiceAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ message: 'Service account not found' });
+        }
+
+        res.status(200).json(serviceAccounts.toServiceAccountData(account));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function createServiceAccount
+ * @description Creates a service account with a new client ID and secret, and assigns it the given roles.
+ * The username must not already be in use by another account. The client secret is returned once and cannot be retrieved again.
+ * Assigning roles requires the `roles:assign` permission, as with the role assignment endpoints.
+ * @param {Object} req - The request object (contains the username, and optionally the name and role names of the service account).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.createServiceAccount = async (req, res) => {
+    const username = normalizeUsername(req.body.username);
+    const { name, roles: roleNames = [] } = req.body;
+
+    try {
+        if (roleNames.length > 0 && !(await permissionService.hasPermission(req.user, 'roles:assign'))) {
+            return res.status(403).json({ message: 'Forbidden: Assigning roles requires the roles:assign permission' });
+        }
+        if (await findConflictingUser({ username })) {
+            return res.status(409).json({ message: 'Username is already in use' });
+        }
+
+        const roles = roleNames.length > 0 ? await db.role.findAll({ where: { roleName: roleNames } }) : [];
+        const missing = roleNames.filter((roleName) => !roles.some((role) => role.roleName === roleName));
+        if (missing.length > 0) {
+            return res.status(400).json({ message: `Role not found: ${missing.join(', ')}` });
+        }
+
+        const { clientId, clientSecret, clientSecretHash } = serviceAccounts.generateCredentials();
+        const account = await db.user.create({
+            accountType: serviceAccounts.ACCOUNT_TYPES.SERVICE,
+            username,
+            name,
+            clientId,
+            clientSecretHash
+        });
+        for (const role of roles) {
+            await db.user_roles.create({ userId: account.id, roleId: role.id });
+        }
+        await auditLog.record(account.id, 'service_account.created', { createdBy: req.user.id, roles: roleNames });
+
+        res.status(201).json({ ...serviceAccounts.toServiceAccountData(account), roles: roleNames, clientSecret });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function updateServiceAccount
+ * @description Updates the username or name of a service account. A new username must not already be in use by another account.
+ * Its roles are managed with the role assignment endpoints.
+ * @param {Object} req - The request object (contains the service account ID in the route parameters and the new details in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.updateServiceAccount = async (req, res) => {
+    const username = normalizeUsername(req.body.username);
+    const { name } = req.body;
+
+    try {
+        const account = await findServiceAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ message: 'Service account not found' });
+        }
+        if (username && await findConflictingUser({ username }, account.id)) {
+            return res.status(409).json({ message: 'Username is already in use' });
+        }
+
+        if (username) {
+            account.username = username;
+        }
+        if (name !== undefined) {
+            account.name = name;
+        }
+        await account.save();
+
+        res.status(200).json(serviceAccounts.toServiceAccountData(account));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function rotateSecret
+ * @description Replaces the client secret of a service account, for instance after it leaked. The client ID is kept.
+ * The previous secret stops working immediately and the access tokens issued with it are revoked.
+ * The new secret is returned once and cannot be retrieved again.
+ * @param {Object} req - The request object (contains the service account ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.rotateSecret = async (req, res) => {
+    try {
+        const account = await findServiceAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ message: 'Service account not found' });
+        }
+
+        const { clientSecret, clientSecretHash } = serviceAccounts.generateCredentials();
+        account.clientSecretHash = clientSecretHash;
+        await account.save();
+        await tokenService.revokeUserSessions(account.id);
+        await auditLog.record(account.id, 'service_account.secret_rotated', { rotatedBy: req.user.id });
+
+        res.status(200).json({ clientId: account.clientId, clientSecret });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function deleteServiceAccount
+ * @description Deletes a service account and revokes its access tokens. Like the accounts of people, it is soft deleted,
+ * so its username stays reserved.
+ * @param {Object} req - The request object (contains the service account ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.deleteServiceAccount = async (req, res) => {
+    try {
+        const account = await findServiceAccount(req.params.accountId);
+        if (!account) {
+            return res.status(404).json({ message: 'Service account not found' });
+        }
+
+        await account.destroy();
+        await tokenService.revokeUserSessions(account.id);
+        await auditLog.record(account.id, 'service_account.deleted', { deletedBy: req.user.id });
+
+        res.status(200).json({ message: 'Service account deleted' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -0,0 +1,127 @@
+/**
+ * @file session.controller.js
+ * @description This file contains the controller functions for managing user sessions.
+ * A session is everything issued from one login (an access token and a refresh token, rotated as they are used), so it
+ * corresponds to one logged in device. Sessions are identified by their token family ID.
+ * It includes functionality for users to list their active sessions, revoke one of them, and log out all other devices,
+ * and the equivalent functionality for administrators managing the sessions of any user.
+ * Revoking a session blacklists every token in it, so its refresh token can no longer be exchanged.
+ */
+
+const db = require('../models');
+const tokenService = require('../utils/tokenService');
+
+/**
+ * @function listSessions
+ * @description Lists the active sessions of the currently authenticated user, including when each was created and last used,
+ * its IP address and user agent. The session making the request is marked as `current`.
+ * @param {Object} req - The request object (contains user and session IDs from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = await tokenService.listSessions(req.user.id, req.user.sessionId);
+        res.status(200).json(sessions);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeSession
+ * @description Revokes one of the currently authenticated user's sessions. Revoking the current session logs the user out.
+ * @param {Object} req - The request object (contains the session ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeSession = async (req, res) => {
+    try {
+        const revoked = await tokenService.revokeSession(req.user.id, req.params.sessionId);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeOtherSessions
+ * @description Logs out all other devices by revoking every session of the currently authenticated user except the current one.
+ * Requests made with a personal access token have no current session to keep, so they are refused.
+ * @param {Object} req - The request object (contains user and session IDs from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeOtherSessions = async (req, res) => {
+    try {
+        await tokenService.revokeUserSessions(req.user.id, req.user.sessionId);
+        res.status(200).json({ message: 'All other sessions revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function listUserSessions
+ * @description Lists the active sessions of any user. Intended for administrators; the route is protected by permission authorization.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listUserSessions = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const sessions = await tokenService.listSessions(user.id, req.user.sessionId);
+        res.status(200).json(sessions);
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeUserSession
+ * @description Revokes one session of any user. Intended for administrators; the route is protected by permission authorization.
+ * @param {Object} req - The request object (contains the user ID and session ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeUserSession = async (req, res) => {
+    try {
+        const revoked = await tokenService.revokeSession(Number(req.params.userId), req.params.sessionId);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function revokeUserSessions
+ * @description Revokes every session of any user, logging them out on all devices.
+ * Intended for administrators; the route is protected by permission authorization.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.revokeUserSessions = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await tokenService.revokeUserSessions(user.id);
+        res.status(200).json({ message: 'All sessions revoked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -1,18 +1,134 @@
 /**
  * @file user.controller.js
  * @description This file contains the controller functions for managing user accounts.
- * It includes functionality for retrieving user details, updating user information, and changing user passwords.
+ * It includes functionality for retrieving user details, updating user information, changing user passwords, exporting a user's data,
+ * closing an account after a grace period during which the deletion can be cancelled, and unlocking accounts locked after failed logins,
+ * and for administrators, browsing accounts with search, filtering and pagination, reading, updating and deleting any account,
+ * approving or rejecting self-registered accounts awaiting approval, and suspending, reactivating and restoring accounts. Deleting an account is a soft delete, and suspending or deleting an account revokes its sessions.
  * The controller handles interactions with the database to fetch, update, and manage user data securely.
  * Password changes are handled with encryption to ensure security. Sensitive user information is protected and excluded from responses.
  */
 
 const db = require('../models');
 const bcrypt = require('bcrypt');
+const { normalizeEmail, normalizeUsername, wherePerson, findConflictingUser, toUserData } = require('../utils/userIdentity');
+const loginThrottle = require('../utils/loginThrottle');
+const accountStatus = require('../utils/accountStatus');
+const sendVerificationEmail = require('../utils/emailService');
+const { requestEmailChange } = require('../utils/emailChange');
+const passwordPolicy = require('../utils/passwordPolicy');
+const passwordHistory = require('../utils/passwordHistory');
+const { completePasswordChange } = require('../utils/passwordChange');
+const { toPasskeyData } = require('../utils/passkeys');
+const { toAccessTokenData } = require('../utils/accessTokens');
+
+/**
+ * The columns users can be sorted by.
+ *
+ * @constant {string[]}
+ */
+const SORTABLE_COLUMNS = ['id', 'username', 'email', 'name', 'createdAt', 'updatedAt'];
+
+/**
+ * Checks whether a user holds the `admin` role. The user's roles must have been loaded.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {boolean} Whether the user is an administrator.
+ */
+const isAdministrator = (user) => Boolean(user.Roles?.some((role) => role.roleName === 'admin'));
+
+/**
+ * Updates the profile of a user. A new username or email must not already be in use by another account (compared case-insensitively).
+ * If the email is changed, the email verification status is reset unless a new status is given. With `stageEmail`, a new email
+ * is not applied but returned as `pendingEmail`, for the caller to have it confirmed (see `emailChange.requestEmailChange`).
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {Object} changes - The new `username`, `email`, `name`, `phoneNumber` and `emailVerified`; missing values are left unchanged.
+ * @param {Object} [options] - The update options.
+ * @param {boolean} [options.stageEmail=false] - Whether a new email must be confirmed before it replaces the current one.
+ * @returns {Promise<{conflict?: string, pendingEmail?: string}>} The conflict message if the username or email is taken, or the staged email.
+ */
+const updateProfile = async (user, { username, email, name, phoneNumber, emailVerified }, { stageEmail = false } = {}) => {
+    // Ensure the new username and email are not held by another account
+    const conflictingUser = await findConflictingUser({ username, email }, user.id);
+    if (conflictingUser) {
+        const emailTaken = email && normalizeEmail(conflictingUser.email) === email;
+        return { conflict: emailTaken ? 'Email is already registered' : 'Username is already taken' };
+    }
+    const emailChanged = Boolean(email) && email !== normalizeEmail(user.email);
+
+    // Update user details
+    user.username = username || user.username;
+    user.name = name || user.name;
+    user.phoneNumber = phoneNumber || user.phoneNumber;
+    if (stageEmail) {
+        await user.save();
+        return emailChanged ? { pendingEmail: email } : {};
+    }
+
+    user.email = email || user.email;
+    if (emailVerified !== undefined) {
+        user.emailVerified = emailVerified;
+    } else if (emailChanged) {
+        user.emailVerified = false;
+    }
+
+    await user.save();
+    return {};
+};
+
+/**
+ * Builds the `where` clause for the user search filters.
+ *
+ * @function
+ * @param {Object} query - The query parameters (`q`, `role`, `status`, `emailVerified`, `createdFrom` and `createdTo`).
+ * @returns {Object} The `where` clause.
+ */
+const userFilters = ({ q, role, status, emailVerified, createdFrom, createdTo }) => {
+    const { Op } = db.Sequelize;
+    const where = {};
+
+    if (q) {
+        // Match the text anywhere in the username, email or name, treating LIKE wildcards literally
+        const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+        where[Op.or] = ['username', 'email', 'name'].map((column) => ({ [column]: { [Op.iLike]: pattern } }));
+    }
+    if (status === 'deleted') {
+        // Deleted users are only returned when the query is not paranoid
+        where.deletedAt = { [Op.ne]: null };
+    } else if (status) {
+        where.status = status;
+    }
+    if (emailVerified !== undefined) {
+        where.emailVerified = emailVerified;
+    }
+    if (createdFrom || createdTo) {
+        where.createdAt = {};
+        if (createdFrom) {
+            where.createdAt[Op.gte] = new Date(createdFrom);
+        }
+        if (createdTo) {
+            where.createdAt[Op.lte] = new Date(createdTo);
+        }
+    }
+    if (role) {
+        // Filter with a subquery, so that the roles included in the results are not filtered as well
+        where.id = {
+            [Op.in]: db.sequelize.literal(
+                `(SELECT "UserRoles"."userId" FROM "UserRoles" INNER JOIN "Roles" ON "Roles"."id" = "UserRoles"."roleId" WHERE "Roles"."roleName" = ${db.sequelize.escape(role)})`
+            )
+        };
+    }
+    return where;
+};
 
 /**
  * @function getUser
  * @description Retrieves the details of the currently authenticated user.
  * The user ID is extracted from the request object, which is set by the verifyToken middleware.
+ * The response includes the account status and, for self-registered accounts that required approval, when the registration was reviewed.
  * Sensitive information like the password is excluded from the response.
  * @param {Object} req - The request object (contains user ID from verifyToken middleware).
  * @param {Object} res - The response object.
@@ -27,11 +143,7 @@ exports.getUser = async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Exclude sensitive information
-        // eslint-disable-next-line no-unused-vars
-        const { password, ...userData } = user.toJSON();
-
-        res.status(200).json(userData);
+        res.status(200).json(toUserData(user));
     } catch (error) {
         res.status(500).json({ message: 'Internal server error', error: error.message });
     }
@@ -42,7 +154,11 @@ exports.getUser = async (req, res) => {
  * @description Updates the details of the currently authenticated user.
  * The user ID is extracted from the request object, which is set by the verifyToken middleware.
  * User details such as username, email, name, and phone number can be updated. 
- * If the email is updated, the email verification status is reset.
+ * A new username or email must not already be in use by another account (compared case-insensitively).
+ * A new email is not applied immediately: it is returned as `pendingEmail` until the user confirms it through the link sent to
+ * the new address, and the current address is notified with a link reverting the change. If either email cannot be sent,
+ * no change is left pending and `500` is returned; the other details are saved.
+ * The route refuses email changes requested with a personal access token, so that a leaked token cannot take over the account.
  * Sensitive information like the password is excluded from the response.
  * @param {Object} req - The request object (contains user details to be updated).
  * @param {Object} res - The response object.
@@ -51,7 +167,9 @@ exports.getUser = async (req, res) => {
 exports.updateUser = async (req, res) => {
     try {
         const userId = req.user.id; // Get user ID from the request object (assumed to be set by verifyToken middleware)
-        const { username, email, name, phoneNumber } = req.body;
+        const { name, phoneNumber } = req.body;
+        const username = normalizeUsername(req.body.username);
+        const email = normalizeEmail(req.body.email);
 
         // Find the user
         const user = await db.user.findByPk(userId);
@@ -60,21 +178,15 @@ exports.updateUser = async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Update user details
-        user.username = username || user.username;
-        user.email = email || user.email;
-        user.name = name || user.name;
-        user.phoneNumber = phoneNumber || user.phoneNumber;
-        if (email) {
-            user.emailVerified = false;
+        const { conflict, pendingEmail } = await updateProfile(user, { username, email, name, phoneNumber }, { stageEmail: true });
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
+        }
+        if (pendingEmail) {
+            await requestEmailChange(user, pendingEmail);
         }
 
-        await user.save();
-
-        // Exclude sensitive information
-        // eslint-disable-next-line no-unused-vars
-        const { password, ...userData } = user.toJSON();
-        res.status(200).json(userData);
+        res.status(200).json(toUserData(user));
     } catch (error) {
         res.status(500).json({ message: 'Internal server error', error: error.message });
     }
@@ -85,14 +197,18 @@ exports.updateUser = async (req, res) => {
  * @description Changes the password for the currently authenticated user.
  * The user ID is extracted from the request object, which is set by the verifyToken middleware.
  * The current password is verified before updating to the new password, which is hashed for security.
- * @param {Object} req - The request object (contains current and new passwords).
+ * The new password must comply with the password policy, including not containing the user's username or email address,
+ * and must not be one of the user's recent passwords. Changing the password also lifts its expiry.
+ * Every other session of the user is revoked, and the current one too unless `keepCurrentSession` is `false`. Outstanding password reset,
+ * email change and login links are invalidated, a pending email change is cancelled, the change is recorded in the audit log and the user is notified by email.
+ * @param {Object} req - The request object (contains current and new passwords, and optionally `keepCurrentSession`).
  * @param {Object} res - The response object.
  * @returns {void}
  */
 exports.changePassword = async (req, res) => {
     try {
         const userId = req.user.id; // Get user ID from the request object (assumed to be set by verifyToken middleware)
-        const { currentPassword, newPassword } = req.body;
+        const { currentPassword, newPassword, keepCurrentSession = true } = req.body;
 
         // Find the user
         const user = await db.user.findByPk(userId);
@@ -106,15 +222,440 @@ exports.changePassword = async (req, res) => {
             return res.status(400).json({ message: 'Current password is incorrect' });
         }
 
-        // Hash the new password
+        // Check the new password against the password policy
+        const failures = passwordPolicy.checkPassword(newPassword, user);
+        if (failures.length > 0) {
+            return res.status(400).json({ errors: passwordPolicy.toValidationErrors(failures, 'newPassword') });
+        }
+        if (await passwordHistory.isReused(user, newPassword)) {
+            return res.status(400).json({ errors: passwordPolicy.toValidationErrors([passwordHistory.reuseFailure()], 'newPassword') });
+        }
+
+        // Hash the new password, keeping the previous one in the password history
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        user.password = hashedPassword;
+        await passwordHistory.recordPasswordChange(user, hashedPassword);
+        user.pendingEmail = null;
 
-        // Save the new password
+        // Save the new password, then sign out the sessions a stolen token could use
         await user.save();
+        await completePasswordChange(user, {
+            event: 'password.changed',
+            keepFamilyId: keepCurrentSession ? req.user.sessionId : null,
+            ipAddress: req.ip
+        });
 
         res.status(200).json({ message: 'Password changed successfully' });
     } catch (error) {
         res.status(500).json({ message: 'Internal server error', error: error.message });
     }
 };
+
+/**
+ * @function exportUser
+ * @description Exports everything stored about the currently authenticated user as a downloadable JSON document:
+ * their profile, the names of their roles, their sessions (without the tokens), their two-factor authentication status, their passkeys,
+ * their personal access tokens (without the tokens), the applications they consented to, and the requests they made, from the request logs.
+ * Sensitive information like the password, the TOTP secret and the passkeys' public keys is excluded.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.exportUser = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.user.id, { include: [db.role] });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const sessions = await db.session.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] });
+        const mfa = await db.user_mfa.findOne({ where: { userId: user.id } });
+        const recoveryCodesRemaining = mfa?.enabled ? await db.mfa_recovery_code.count({ where: { userId: user.id, usedAt: null } }) : 0;
+        const passkeys = await db.passkey.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] });
+        const accessTokens = await db.access_token.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] });
+        const consents = await db.oauth_consent.findAll({
+            where: { userId: user.id },
+            include: [{ model: db.oauth_client, as: 'client', attributes: ['clientId', 'name'] }],
+            order: [['createdAt', 'ASC']]
+        });
+        const logs = await db.log.findAll({ where: { userId: user.id }, order: [['timestamp', 'ASC']] });
+        const { roles, ...profile } = toUserData(user);
+
+        res.set('Content-Disposition', `attachment; filename="user-${user.id}-export.json"`);
+        res.status(200).json({
+            exportedAt: new Date(),
+            profile,
+            roles,
+            sessions: sessions.map((session) => ({
+                id: session.familyId,
+                type: session.type,
+                revoked: session.flag,
+                authenticatedAt: session.authenticatedAt,
+                lastSeenAt: session.lastSeenAt,
+                ipAddress: session.ipAddress,
+                userAgent: session.userAgent,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt
+            })),
+            mfa: { enabled: Boolean(mfa?.enabled), confirmedAt: mfa?.enabled ? mfa.confirmedAt : null, recoveryCodesRemaining },
+            passkeys: passkeys.map(toPasskeyData),
+            accessTokens: accessTokens.map(toAccessTokenData),
+            consents: consents.map((consent) => ({
+                id: consent.id,
+                client: consent.client ? { clientId: consent.client.clientId, name: consent.client.name } : null,
+                scopes: consent.scopes,
+                createdAt: consent.createdAt,
+                updatedAt: consent.updatedAt
+            })),
+            logs: logs.map(({ level, message, timestamp }) => ({ level, message, timestamp }))
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function closeAccount
+ * @description Deletes the account of the currently authenticated user, who must confirm their password.
+ * The account is purged at the end of the deletion grace period; until then the user can still log in and cancel the deletion.
+ * The user is notified by email.
+ * The last active administrator cannot delete their account.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware and the password in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.closeAccount = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.user.id, { include: [db.role] });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Password is incorrect' });
+        }
+        if (user.deletionScheduledAt) {
+            return res.status(409).json({ message: 'Account deletion is already scheduled' });
+        }
+        if (isAdministrator(user) && !(await accountStatus.hasOtherActiveAdministrator(user.id))) {
+            return res.status(409).json({ message: 'Cannot delete the last administrator' });
+        }
+
+        const deletionScheduledAt = await accountStatus.scheduleDeletion(user);
+        await sendVerificationEmail.sendNotification(
+            user.email,
+            'Account Deletion Scheduled',
+            `Your account will be deleted permanently on ${deletionScheduledAt.toISOString()}. To keep your account, log in and cancel the deletion before then.`
+        );
+
+        res.status(200).json({ message: 'Account scheduled for deletion', deletionScheduledAt });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function cancelAccountDeletion
+ * @description Cancels the scheduled deletion of the currently authenticated user's account, during the grace period.
+ * @param {Object} req - The request object (contains user ID from verifyToken middleware).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.cancelAccountDeletion = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.deletionScheduledAt) {
+            return res.status(409).json({ message: 'No account deletion is scheduled' });
+        }
+
+        await accountStatus.cancelDeletion(user);
+        res.status(200).json({ message: 'Account deletion cancelled' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function unlockUser
+ * @description Unlocks an account that was locked after too many failed login attempts, and clears its failed attempt counter.
+ * Intended for administrators; the route is protected by permission authorization.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.unlockUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await db.user.findByPk(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await loginThrottle.reset(loginThrottle.userKey(user.id));
+
+        res.status(200).json({ message: 'User account unlocked' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function listUsers
+ * @description Lists user accounts for administrators, one page at a time. Results can be searched by text (matched anywhere in the
+ * username, email or name), filtered by role, account status, email verification status and creation date range, and sorted by any of `SORTABLE_COLUMNS`.
+ * Deleted accounts are only listed when filtering by the `deleted` status.
+ * Passwords are excluded and each user includes the names of their roles.
+ * @param {Object} req - The request object (contains `page`, `limit`, `sort`, `order`, `q`, `role`, `status`, `emailVerified`, `createdFrom` and `createdTo` in the query).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.listUsers = async (req, res) => {
+    try {
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 20;
+        const sort = SORTABLE_COLUMNS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+        const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
+
+        const { rows, count } = await db.user.findAndCountAll({
+            where: userFilters(req.query),
+            include: [{ model: db.role, attributes: ['roleName'], through: { attributes: [] } }],
+            order: [[sort, order], ['id', 'ASC']],
+            limit,
+            offset: (page - 1) * limit,
+            distinct: true, // Count users rather than joined role rows
+            paranoid: req.query.status !== 'deleted'
+        });
+
+        res.status(200).json({
+            users: rows.map(toUserData),
+            pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function getUserById
+ * @description Retrieves the details of any user, including the names of their roles. Intended for administrators.
+ * Deleted accounts are included, with the time they were deleted in `deletedAt`.
+ * Sensitive information like the password is excluded from the response.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.getUserById = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId, { include: [db.role], paranoid: false });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function updateUserById
+ * @description Updates the details of any user. Intended for administrators.
+ * The username, email, name, phone number and email verification status can be updated; a new username or email must not
+ * already be in use by another account. If the email is changed without a new verification status, the status is reset.
+ * @param {Object} req - The request object (contains the user ID in the route parameters and the user details in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.updateUserById = async (req, res) => {
+    try {
+        const { name, phoneNumber, emailVerified } = req.body;
+        const username = normalizeUsername(req.body.username);
+        const email = normalizeEmail(req.body.email);
+
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { conflict } = await updateProfile(user, { username, email, name, phoneNumber, emailVerified });
+        if (conflict) {
+            return res.status(409).json({ message: conflict });
+        }
+
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function deleteUser
+ * @description Deletes any user account. Intended for administrators.
+ * The account is soft deleted, keeping its roles, sessions and logs so that it can be restored, and all of its sessions are revoked.
+ * The last active administrator cannot be deleted, so that accounts and roles can still be managed.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.deleteUser = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId, { include: [db.role] });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (isAdministrator(user) && !(await accountStatus.hasOtherActiveAdministrator(user.id))) {
+            return res.status(409).json({ message: 'Cannot delete the last administrator' });
+        }
+
+        await accountStatus.deleteAccount(user);
+        res.status(200).json({ message: 'User deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function suspendUser
+ * @description Suspends any user account, with an optional reason. Intended for administrators.
+ * A suspended user cannot log in, and all of their sessions are revoked. The last active administrator cannot be suspended.
+ * @param {Object} req - The request object (contains the user ID in the route parameters and the reason in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.suspendUser = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId, { include: [db.role] });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (accountStatus.isSuspended(user)) {
+            return res.status(409).json({ message: 'User is already suspended' });
+        }
+
+        if (isAdministrator(user) && !(await accountStatus.hasOtherActiveAdministrator(user.id))) {
+            return res.status(409).json({ message: 'Cannot suspend the last administrator' });
+        }
+
+        await accountStatus.suspendAccount(user, req.body.reason);
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function reactivateUser
+ * @description Lifts the suspension of any user account. Intended for administrators.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.reactivateUser = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!accountStatus.isSuspended(user)) {
+            return res.status(409).json({ message: 'User is not suspended' });
+        }
+
+        await accountStatus.reactivateAccount(user);
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function approveUser
+ * @description Approves a self-registered account awaiting approval, or one whose registration was rejected. Intended for administrators.
+ * The user can then log in, and is notified by email. Service accounts are not found, as they never await approval.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.approveUser = async (req, res) => {
+    try {
+        const user = await db.user.findOne({ where: wherePerson({ id: req.params.userId }) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!accountStatus.isPendingApproval(user) && user.status !== 'rejected') {
+            return res.status(409).json({ message: 'User is not pending approval' });
+        }
+
+        await accountStatus.approveAccount(user, req.user.id);
+        await sendVerificationEmail.sendNotification(
+            user.email,
+            'Your Account Was Approved',
+            'Your account has been approved by an administrator. You can now log in.'
+        );
+
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function rejectUser
+ * @description Rejects a self-registered account awaiting approval, with an optional reason. Intended for administrators.
+ * The account is kept but cannot log in, and the user is notified by email with the reason. Service accounts are not found.
+ * @param {Object} req - The request object (contains the user ID in the route parameters and the reason in the body).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.rejectUser = async (req, res) => {
+    try {
+        const user = await db.user.findOne({ where: wherePerson({ id: req.params.userId }) });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!accountStatus.isPendingApproval(user)) {
+            return res.status(409).json({ message: 'User is not pending approval' });
+        }
+
+        const reason = req.body.reason || null;
+        await accountStatus.rejectAccount(user, req.user.id, reason);
+        await sendVerificationEmail.sendNotification(
+            user.email,
+            'Your Registration Was Rejected',
+            `Your registration has been rejected by an administrator${reason ? ` for the following reason: ${reason}` : '.'}`
+        );
+
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
+
+/**
+ * @function restoreUser
+ * @description Restores a deleted user account, with its roles. Intended for administrators.
+ * The account keeps the status it had when it was deleted, and the user has to log in again.
+ * @param {Object} req - The request object (contains the user ID in the route parameters).
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.restoreUser = async (req, res) => {
+    try {
+        const user = await db.user.findByPk(req.params.userId, { paranoid: false });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.deletedAt) {
+            return res.status(409).json({ message: 'User is not deleted' });
+        }
+
+        await user.restore();
+        res.status(200).json(toUserData(user));
+    } catch (error) {
+        res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+};
@@ -0,0 +1,81 @@
+/**
+ * @file cli.js
+ * @description This file contains the command line interface of the migration runner.
+ *
+ * Commands:
+ * - `up [--to <name>]`: Applies pending migrations, optionally stopping after the named migration (`npm run db:migrate`).
+ * - `down [--to <name>|--all]`: Reverts the most recent migration, every migration down to and including the named one,
+ *   or every migration (`npm run db:migrate:undo`).
+ * - `status`: Lists the executed and pending migrations (`npm run db:migrate:status`).
+ * - `seed`: Runs the seeders (`npm run db:seed`).
+ *
+ * @module database/cli
+ * @requires dotenv
+ * @requires ./migrator
+ *
+ * @example
+ * node database/cli.js up
+ * node database/cli.js down --to 20261019000800-create-signing-keys
+ */
+
+require('dotenv').config();
+const migrator = require('./migrator');
+const db = require('../models');
+
+/**
+ * Reads the value of an option such as `--to <value>` from the arguments.
+ *
+ * @function
+ * @param {string[]} args - The command line arguments.
+ * @param {string} name - The option name, without the leading dashes.
+ * @returns {string|undefined} The option value.
+ */
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+/**
+ * Runs a command.
+ *
+ * @function
+ * @param {string[]} args - The command line arguments, starting with the command.
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} If the command is unknown.
+ */
+const run = async ([command, ...args]) => {
+    switch (command) {
+        case 'up': {
+            const to = option(args, 'to');
+            const applied = await migrator.up(to ? { to } : undefined);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+            break;
+        }
+        case 'down': {
+            const to = args.includes('--all') ? 0 : option(args, 'to');
+            const reverted = await migrator.down(to !== undefined ? { to } : undefined);
+            console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'No executed migrations');
+            break;
+        }
+        case 'status': {
+            const { executed, pending } = await migrator.status();
+            executed.forEach((name) => console.log(`up      ${name}`));
+            pending.forEach((name) => console.log(`pending ${name}`));
+            break;
+        }
+        case 'seed':
+            await migrator.seed();
+            console.log('Seeders completed');
+            break;
+        default:
+            throw new Error(`Unknown command "${command || ''}". Use one of: up, down, status, seed`);
+    }
+};
+
+run(process.argv.slice(2))
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.sequelize.close());
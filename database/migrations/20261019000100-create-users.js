@@ -0,0 +1,30 @@
+/**
+ * @file 20261019000100-create-users.js
+ * @description Creates the `Users` table, with unique indexes on `lower(username)` and `lower(email)` so that
+ * usernames and emails differing only by case cannot both be registered.
+ *
+ * @module migrations/create-users
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Users', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            name: { type: Sequelize.STRING, allowNull: true },
+            username: { type: Sequelize.STRING, allowNull: false, unique: true },
+            email: { type: Sequelize.STRING, allowNull: false, unique: true },
+            password: { type: Sequelize.STRING, allowNull: false },
+            phoneNumber: { type: Sequelize.STRING, allowNull: true },
+            emailVerified: { type: Sequelize.BOOLEAN, defaultValue: false },
+            acceptedTerms: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+        await queryInterface.addIndex('Users', [Sequelize.fn('lower', Sequelize.col('username'))], { unique: true, name: 'users_username_lower_unique' });
+        await queryInterface.addIndex('Users', [Sequelize.fn('lower', Sequelize.col('email'))], { unique: true, name: 'users_email_lower_unique' });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('Users');
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * @file 20261019000200-create-roles.js
+ * @description Creates the `Roles` table and the `UserRoles` junction table assigning roles to users.
+ *
+ * @module migrations/create-roles
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Roles', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            roleName: { type: Sequelize.STRING, allowNull: false, unique: true },
+            description: { type: Sequelize.STRING, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+        await queryInterface.createTable('UserRoles', {
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            roleId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: 'Roles', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('UserRoles');
+        await queryInterface.dropTable('Roles');
+    }
+};
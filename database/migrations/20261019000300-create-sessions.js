@@ -0,0 +1,37 @@
+/**
+ * @file 20261019000300-create-sessions.js
+ * @description Creates the `Sessions` table holding every issued access and refresh token, grouped into token families
+ * with the login time, last use, IP address and user agent of the session.
+ *
+ * @module migrations/create-sessions
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Sessions', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            token: { type: Sequelize.TEXT, allowNull: false, unique: true },
+            flag: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            type: { type: Sequelize.STRING, allowNull: false, defaultValue: 'access' },
+            familyId: { type: Sequelize.STRING, allowNull: true },
+            expiresAt: { type: Sequelize.DATE, allowNull: true },
+            authenticatedAt: { type: Sequelize.DATE, allowNull: true },
+            lastSeenAt: { type: Sequelize.DATE, allowNull: true },
+            ipAddress: { type: Sequelize.STRING, allowNull: true },
+            userAgent: { type: Sequelize.TEXT, allowNull: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('Sessions');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * @file 20261019000400-create-logs.js
+ * @description Creates the `Logs` table holding the request log.
+ *
+ * @module migrations/create-logs
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Logs', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            level: { type: Sequelize.STRING, allowNull: false },
+            message: { type: Sequelize.TEXT, allowNull: false },
+            timestamp: { type: Sequelize.DATE, defaultValue: Sequelize.fn('now') },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('Logs');
+    }
+};
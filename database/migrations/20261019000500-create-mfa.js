@@ -0,0 +1,48 @@
+/**
+ * @file 20261019000500-create-mfa.js
+ * @description Creates the `UserMfas` table holding the TOTP secret of each user's second factor, and the
+ * `MfaRecoveryCodes` table holding the hashed one-time recovery codes.
+ *
+ * @module migrations/create-mfa
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('UserMfas', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            secret: { type: Sequelize.STRING, allowNull: false },
+            enabled: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            confirmedAt: { type: Sequelize.DATE, allowNull: true },
+            lastUsedStep: { type: Sequelize.INTEGER, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+        await queryInterface.createTable('MfaRecoveryCodes', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            codeHash: { type: Sequelize.STRING, allowNull: false },
+            usedAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('MfaRecoveryCodes');
+        await queryInterface.dropTable('UserMfas');
+    }
+};
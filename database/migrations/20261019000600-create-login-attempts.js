@@ -0,0 +1,24 @@
+/**
+ * @file 20261019000600-create-login-attempts.js
+ * @description Creates the `LoginAttempts` table holding the failed login counters and lock state per account or IP address.
+ *
+ * @module migrations/create-login-attempts
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('LoginAttempts', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            key: { type: Sequelize.STRING, allowNull: false, unique: true },
+            failedCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            lastFailedAt: { type: Sequelize.DATE, allowNull: true },
+            lockedUntil: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('LoginAttempts');
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * @file 20261019000700-create-rate-limits.js
+ * @description Creates the `RateLimits` table holding the request counters of the database-backed rate limit store.
+ *
+ * @module migrations/create-rate-limits
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('RateLimits', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            key: { type: Sequelize.STRING, allowNull: false, unique: true },
+            count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            resetAt: { type: Sequelize.DATE, allowNull: false },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('RateLimits');
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * @file 20261019000800-create-signing-keys.js
+ * @description Creates the `SigningKeys` table holding the RSA key pairs that sign and verify tokens.
+ *
+ * @module migrations/create-signing-keys
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('SigningKeys', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            kid: { type: Sequelize.STRING, allowNull: false, unique: true },
+            algorithm: { type: Sequelize.STRING, allowNull: false, defaultValue: 'RS256' },
+            publicKey: { type: Sequelize.TEXT, allowNull: false },
+            privateKey: { type: Sequelize.TEXT, allowNull: false },
+            retiredAt: { type: Sequelize.DATE, allowNull: true },
+            expiresAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('SigningKeys');
+    }
+};
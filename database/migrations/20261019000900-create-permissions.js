@@ -0,0 +1,43 @@
+/**
+ * @file 20261019000900-create-permissions.js
+ * @description Creates the `Permissions` table and the `RolePermissions` junction table granting permissions to roles.
+ *
+ * @module migrations/create-permissions
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Permissions', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            name: { type: Sequelize.STRING, allowNull: false, unique: true },
+            description: { type: Sequelize.STRING, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+        await queryInterface.createTable('RolePermissions', {
+            roleId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: 'Roles', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            permissionId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                references: { model: 'Permissions', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('RolePermissions');
+        await queryInterface.dropTable('Permissions');
+    }
+};
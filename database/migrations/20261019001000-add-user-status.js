@@ -0,0 +1,23 @@
+/**
+ * @file 20261019001000-add-user-status.js
+ * @description Adds the account status of users (`active` or `suspended`, with the time and reason of a suspension)
+ * and the `deletedAt` column that makes deleting a user a soft delete.
+ *
+ * @module migrations/add-user-status
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'status', { type: Sequelize.STRING, allowNull: false, defaultValue: 'active' });
+        await queryInterface.addColumn('Users', 'suspendedAt', { type: Sequelize.DATE, allowNull: true });
+        await queryInterface.addColumn('Users', 'suspensionReason', { type: Sequelize.TEXT, allowNull: true });
+        await queryInterface.addColumn('Users', 'deletedAt', { type: Sequelize.DATE, allowNull: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('Users', 'deletedAt');
+        await queryInterface.removeColumn('Users', 'suspensionReason');
+        await queryInterface.removeColumn('Users', 'suspendedAt');
+        await queryInterface.removeColumn('Users', 'status');
+    }
+};
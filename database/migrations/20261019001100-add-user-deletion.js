@@ -0,0 +1,16 @@
+/**
+ * @file 20261019001100-add-user-deletion.js
+ * @description Adds the time at which an account whose owner has deleted it is purged, once its grace period ends.
+ *
+ * @module migrations/add-user-deletion
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'deletionScheduledAt', { type: Sequelize.DATE, allowNull: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('Users', 'deletionScheduledAt');
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * @file 20261019001200-add-user-pending-email.js
+ * @description Adds the email address a user has asked to change to, which replaces their email once it is confirmed.
+ *
+ * @module migrations/add-user-pending-email
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'pendingEmail', { type: Sequelize.STRING, allowNull: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('Users', 'pendingEmail');
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * @file 20261019001300-create-user-tokens.js
+ * @description Creates the `UserTokens` table holding the hashes of the single-use tokens sent to users in links.
+ *
+ * @module migrations/create-user-tokens
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('UserTokens', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            purpose: { type: Sequelize.STRING, allowNull: false },
+            tokenHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+            email: { type: Sequelize.STRING, allowNull: true },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            usedAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('UserTokens');
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * @file 20261019001400-create-password-history.js
+ * @description Records when each user last changed their password, and creates the `PasswordHistories` table
+ * holding the hashes of their previous passwords.
+ *
+ * @module migrations/create-password-history
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'passwordChangedAt', { type: Sequelize.DATE, allowNull: true });
+        await queryInterface.createTable('PasswordHistories', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            passwordHash: { type: Sequelize.STRING, allowNull: false },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('PasswordHistories');
+        await queryInterface.removeColumn('Users', 'passwordChangedAt');
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * @file 20261019001500-create-access-tokens.js
+ * @description Creates the `AccessTokens` table holding the hashes of users' personal access tokens.
+ *
+ * @module migrations/create-access-tokens
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('AccessTokens', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: { type: Sequelize.STRING, allowNull: false },
+            tokenHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+            prefix: { type: Sequelize.STRING, allowNull: false },
+            scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+            expiresAt: { type: Sequelize.DATE, allowNull: true },
+            lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+            lastUsedIp: { type: Sequelize.STRING, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('AccessTokens');
+    }
+};
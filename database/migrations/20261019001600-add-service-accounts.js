@@ -0,0 +1,28 @@
+/**
+ * @file 20261019001600-add-service-accounts.js
+ * @description Adds service accounts to the `Users` table: the account type and the client credentials of service accounts,
+ * which own no email address or password, so those columns become optional.
+ *
+ * Reverting the migration deletes the service accounts, since the columns they lack become required again.
+ *
+ * @module migrations/add-service-accounts
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'accountType', { type: Sequelize.STRING, allowNull: false, defaultValue: 'user' });
+        await queryInterface.addColumn('Users', 'clientId', { type: Sequelize.STRING, allowNull: true, unique: true });
+        await queryInterface.addColumn('Users', 'clientSecretHash', { type: Sequelize.STRING, allowNull: true });
+        await queryInterface.changeColumn('Users', 'email', { type: Sequelize.STRING, allowNull: true });
+        await queryInterface.changeColumn('Users', 'password', { type: Sequelize.STRING, allowNull: true });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.bulkDelete('Users', { accountType: 'service' });
+        await queryInterface.changeColumn('Users', 'password', { type: Sequelize.STRING, allowNull: false });
+        await queryInterface.changeColumn('Users', 'email', { type: Sequelize.STRING, allowNull: false });
+        await queryInterface.removeColumn('Users', 'clientSecretHash');
+        await queryInterface.removeColumn('Users', 'clientId');
+        await queryInterface.removeColumn('Users', 'accountType');
+    }
+};
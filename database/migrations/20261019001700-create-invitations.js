@@ -0,0 +1,39 @@
+/**
+ * @file 20261019001700-create-invitations.js
+ * @description Creates the `Invitations` table holding the invitations sent to create accounts.
+ *
+ * @module migrations/create-invitations
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Invitations', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            email: { type: Sequelize.STRING, allowNull: false },
+            roleIds: { type: Sequelize.ARRAY(Sequelize.INTEGER), allowNull: false, defaultValue: [] },
+            invitedBy: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            acceptedAt: { type: Sequelize.DATE, allowNull: true },
+            revokedAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('Invitations');
+    }
+};
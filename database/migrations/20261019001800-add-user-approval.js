@@ -0,0 +1,27 @@
+/**
+ * @file 20261019001800-add-user-approval.js
+ * @description Adds the review of self-registered accounts awaiting approval: when and by whom the registration was
+ * approved or rejected, and why it was rejected. The accounts themselves are `pending_approval` or `rejected` in `status`.
+ *
+ * @module migrations/add-user-approval
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('Users', 'reviewedAt', { type: Sequelize.DATE, allowNull: true });
+        await queryInterface.addColumn('Users', 'reviewedBy', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: { model: 'Users', key: 'id' },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.addColumn('Users', 'rejectionReason', { type: Sequelize.TEXT, allowNull: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('Users', 'rejectionReason');
+        await queryInterface.removeColumn('Users', 'reviewedBy');
+        await queryInterface.removeColumn('Users', 'reviewedAt');
+    }
+};
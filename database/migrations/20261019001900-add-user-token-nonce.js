@@ -0,0 +1,17 @@
+/**
+ * @file 20261019001900-add-user-token-nonce.js
+ * @description Adds the hash of the nonce a single-use token is bound to, which must be presented with the token to use it.
+ * Login links are bound to the browser that requested them this way.
+ *
+ * @module migrations/add-user-token-nonce
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('UserTokens', 'nonceHash', { type: Sequelize.STRING, allowNull: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('UserTokens', 'nonceHash');
+    }
+};
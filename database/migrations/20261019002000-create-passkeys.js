@@ -0,0 +1,34 @@
+/**
+ * @file 20261019002000-create-passkeys.js
+ * @description Creates the `Passkeys` table holding the public keys and signature counters of users' WebAuthn credentials.
+ *
+ * @module migrations/create-passkeys
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('Passkeys', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: { type: Sequelize.STRING, allowNull: false },
+            credentialId: { type: Sequelize.STRING(1024), allowNull: false, unique: true },
+            publicKey: { type: Sequelize.TEXT, allowNull: false },
+            algorithm: { type: Sequelize.INTEGER, allowNull: false },
+            signCount: { type: Sequelize.BIGINT, allowNull: false, defaultValue: 0 },
+            transports: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+            lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('Passkeys');
+    }
+};
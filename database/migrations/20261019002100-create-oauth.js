@@ -0,0 +1,84 @@
+/**
+ * @file 20261019002100-create-oauth.js
+ * @description Creates the `OAuthClients`, `OAuthConsents` and `OAuthAuthorizationCodes` tables of the OpenID Connect provider:
+ * the registered applications, the scopes users allowed them to access, and the authorization codes they exchange for tokens.
+ *
+ * @module migrations/create-oauth
+ */
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('OAuthClients', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            clientId: { type: Sequelize.STRING, allowNull: false, unique: true },
+            clientSecretHash: { type: Sequelize.STRING, allowNull: true },
+            name: { type: Sequelize.STRING, allowNull: false },
+            redirectUris: { type: Sequelize.ARRAY(Sequelize.STRING(2048)), allowNull: false, defaultValue: [] },
+            scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+            createdBy: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+
+        await queryInterface.createTable('OAuthConsents', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            oauthClientId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'OAuthClients', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+
+        await queryInterface.createTable('OAuthAuthorizationCodes', {
+            id: { type: Sequelize.INTEGER, allowNull: false, autoIncrement: true, primaryKey: true },
+            codeHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+            oauthClientId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'OAuthClients', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: { model: 'Users', key: 'id' },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            redirectUri: { type: Sequelize.STRING(2048), allowNull: false },
+            scopes: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+            codeChallenge: { type: Sequelize.STRING, allowNull: false },
+            nonce: { type: Sequelize.STRING, allowNull: true },
+            authenticatedAt: { type: Sequelize.DATE, allowNull: true },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            usedAt: { type: Sequelize.DATE, allowNull: true },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('OAuthAuthorizationCodes');
+        await queryInterface.dropTable('OAuthConsents');
+        await queryInterface.dropTable('OAuthClients');
+    }
+};
@@ -0,0 +1,215 @@
+/**
+ * @file migrator.js
+ * @description This file contains the migration runner and seeders for the database schema.
+ *
+ * Migrations are versioned files in `database/migrations`, applied in order of their timestamped names. Each exports
+ * `up(queryInterface, Sequelize)` and `down(queryInterface, Sequelize)`, the signature used by `sequelize-cli`, and the names
+ * of applied migrations are recorded in the `SequelizeMeta` table. Migrations are listed explicitly below rather than read
+ * from the directory, so that they are included in the webpack bundle; every new migration must be added to the list.
+ *
+ * Seeders create the data the application needs (the default roles and permissions, and a bootstrap administrator).
+ * They are idempotent and run in full every time, creating only what is missing. The built-in roles and permissions are
+ * seeded every time the server starts, in production too, so that permissions added by a new version exist without a
+ * separate deployment step.
+ *
+ * The runner provides:
+ * - `createMigrator`: Creates the Umzug instance applying and reverting migrations.
+ * - `up`: Applies pending migrations.
+ * - `down`: Reverts applied migrations, the most recent one by default.
+ * - `status`: Lists the executed and pending migrations.
+ * - `seed`: Runs the seeders.
+ * - `seedBuiltIns`: Runs the seeders of the built-in roles and permissions.
+ * - `prepare`: Brings the database up to date when the server starts. In production, pending migrations are not applied
+ *   automatically; the server refuses to start until they have been run with `npm run db:migrate`, and only the built-in
+ *   roles and permissions are seeded. The server also refuses
+ *   to start without `JWT_KEY_ENCRYPTION_KEY`, which the signing keys stored in the database are encrypted with.
+ *
+ * @module database/migrator
+ * @requires umzug
+ * @requires sequelize
+ * @requires ../config/config
+ * @requires ../config/jwt.config
+ * @requires ../models
+ *
+ * @example
+ * const migrator = require('./database/migrator');
+ * await migrator.up();
+ * const { pending } = await migrator.status();
+ */
+
+const { Umzug, SequelizeStorage } = require('umzug');
+const Sequelize = require('sequelize');
+const config = require('../config/config');
+const jwt_config = require('../config/jwt.config');
+const db = require('../models');
+
+/**
+ * The migrations, in the order they are applied.
+ *
+ * @constant {Object<string, Object>}
+ */
+const MIGRATIONS = {
+    '20261019000100-create-users': require('./migrations/20261019000100-create-users'),
+    '20261019000200-create-roles': require('./migrations/20261019000200-create-roles'),
+    '20261019000300-create-sessions': require('./migrations/20261019000300-create-sessions'),
+    '20261019000400-create-logs': require('./migrations/20261019000400-create-logs'),
+    '20261019000500-create-mfa': require('./migrations/20261019000500-create-mfa'),
+    '20261019000600-create-login-attempts': require('./migrations/20261019000600-create-login-attempts'),
+    '20261019000700-create-rate-limits': require('./migrations/20261019000700-create-rate-limits'),
+    '20261019000800-create-signing-keys': require('./migrations/20261019000800-create-signing-keys'),
+    '20261019000900-create-permissions': require('./migrations/20261019000900-create-permissions'),
+    '20261019001000-add-user-status': require('./migrations/20261019001000-add-user-status'),
+    '20261019001100-add-user-deletion': require('./migrations/20261019001100-add-user-deletion'),
+    '20261019001200-add-user-pending-email': require('./migrations/20261019001200-add-user-pending-email'),
+    '20261019001300-create-user-tokens': require('./migrations/20261019001300-create-user-tokens'),
+    '20261019001400-create-password-history': require('./migrations/20261019001400-create-password-history'),
+    '20261019001500-create-access-tokens': require('./migrations/20261019001500-create-access-tokens'),
+    '20261019001600-add-service-accounts': require('./migrations/20261019001600-add-service-accounts'),
+    '20261019001700-create-invitations': require('./migrations/20261019001700-create-invitations'),
+    '20261019001800-add-user-approval': require('./migrations/20261019001800-add-user-approval'),
+    '20261019001900-add-user-token-nonce': require('./migrations/20261019001900-add-user-token-nonce'),
+    '20261019002000-create-passkeys': require('./migrations/20261019002000-create-passkeys'),
+    '20261019002100-create-oauth': require('./migrations/20261019002100-create-oauth')
+};
+
+/**
+ * The seeders of the built-in roles and permissions, in the order they run.
+ *
+ * @constant {Function[]}
+ */
+const BUILT_IN_SEEDERS = [
+    require('./seeders/roles.seeder'),
+    require('./seeders/permissions.seeder')
+];
+
+/**
+ * The seeders, in the order they run.
+ *
+ * @constant {Function[]}
+ */
+const SEEDERS = [
+    ...BUILT_IN_SEEDERS,
+    require('./seeders/admin.seeder')
+];
+
+/**
+ * Creates the Umzug instance applying and reverting migrations.
+ *
+ * @function
+ * @param {Object} [options] - The migrator options.
+ * @param {Object} [options.sequelize=db.sequelize] - The Sequelize instance to migrate.
+ * @param {Object} [options.logger=console] - Where applied and reverted migrations are logged, or `undefined` to log nothing.
+ * @returns {Umzug} The migrator.
+ */
+const createMigrator = ({ sequelize = db.sequelize, logger = console } = {}) => new Umzug({
+    migrations: Object.entries(MIGRATIONS).map(([name, migration]) => ({
+        name,
+        up: ({ context }) => migration.up(context, Sequelize),
+        down: ({ context }) => migration.down(context, Sequelize)
+    })),
+    context: sequelize.getQueryInterface(),
+    storage: new SequelizeStorage({ sequelize }),
+    logger
+});
+
+/**
+ * Applies pending migrations.
+ *
+ * @function
+ * @param {Object} [options] - Passed to Umzug's `up`, e.g. `{ to: name }` to stop after a migration.
+ * @returns {Promise<string[]>} The names of the applied migrations.
+ */
+const up = async (options) => {
+    const migrations = await createMigrator().up(options);
+    return migrations.map((migration) => migration.name);
+};
+
+/**
+ * Reverts applied migrations, the most recent one unless `options` says otherwise.
+ *
+ * @function
+ * @param {Object} [options] - Passed to Umzug's `down`, e.g. `{ to: 0 }` to revert every migration.
+ * @returns {Promise<string[]>} The names of the reverted migrations.
+ */
+const down = async (options) => {
+    const migrations = await createMigrator().down(options);
+    return migrations.map((migration) => migration.name);
+};
+
+/**
+ * Lists the executed and pending migrations.
+ *
+ * @function
+ * @returns {Promise<{executed: string[], pending: string[]}>} The migration names.
+ */
+const status = async () => {
+    const migrator = createMigrator();
+    const [executed, pending] = await Promise.all([migrator.executed(), migrator.pending()]);
+    return {
+        executed: executed.map((migration) => migration.name),
+        pending: pending.map((migration) => migration.name)
+    };
+};
+
+/**
+ * Runs the seeders.
+ *
+ * @function
+ * @param {Function[]} [seeders=SEEDERS] - The seeders to run.
+ * @returns {Promise<void>}
+ */
+const seed = async (seeders = SEEDERS) => {
+    for (const seeder of seeders) {
+        await seeder(db);
+    }
+};
+
+/**
+ * Runs the seeders of the built-in roles and permissions, without creating the bootstrap administrator.
+ *
+ * @function
+ * @returns {Promise<void>}
+ */
+const seedBuiltIns = () => seed(BUILT_IN_SEEDERS);
+
+/**
+ * Brings the database up to date when the server starts. Outside production, pending migrations are applied and the
+ * seeders are run. In production, schema changes must be applied deliberately, so pending migrations are an error, and
+ * only the built-in roles and permissions are seeded; the bootstrap administrator is created with `npm run db:seed`.
+ *
+ * @function
+ * @param {Object} [options] - The startup options.
+ * @param {boolean} [options.production] - Whether the server runs in production. Defaults to the `PRODUCTION` setting.
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} If `JWT_KEY_ENCRYPTION_KEY` is not configured, or in production, if migrations are pending.
+ */
+const prepare = async ({ production = config.PRODUCTION === 'true' } = {}) => {
+    if (!jwt_config.keyEncryptionKey) {
+        throw new Error('JWT_KEY_ENCRYPTION_KEY is not configured. Set it to a long random string before starting the server.');
+    }
+
+    const { pending } = await status();
+    if (production) {
+        if (pending.length > 0) {
+            throw new Error(`The database has ${pending.length} pending migration(s): ${pending.join(', ')}. Run "npm run db:migrate" before starting the server.`);
+        }
+        await seedBuiltIns();
+        return;
+    }
+
+    if (pending.length > 0) {
+        await up();
+    }
+    await seed();
+};
+
+module.exports = {
+    createMigrator,
+    up,
+    down,
+    status,
+    seed,
+    seedBuiltIns,
+    prepare
+};
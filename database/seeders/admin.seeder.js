@@ -0,0 +1,45 @@
+/**
+ * @file admin.seeder.js
+ * @description Seeds the bootstrap administrator configured in `seed.config.js`. The administrator is created with a verified email
+ * and the `user` and `admin` roles; if a user with the email already exists, only the missing roles are assigned, so the seeder
+ * can run any number of times without resetting a password that was changed since.
+ *
+ * @module seeders/admin
+ * @requires bcrypt
+ * @requires ../../config/seed.config
+ */
+
+const bcrypt = require('bcrypt');
+const seed_config = require('../../config/seed.config');
+
+/**
+ * Creates the bootstrap administrator if it is configured and does not exist yet, and assigns it the `user` and `admin` roles.
+ *
+ * @function
+ * @param {Object} db - The models.
+ * @returns {Promise<Object|null>} The administrator, or `null` if none is configured.
+ */
+module.exports = async (db) => {
+    const { name, username, email, password } = seed_config.admin;
+    if (!username || !email || !password) {
+        return null;
+    }
+
+    let admin = await db.user.findOne({ where: { email: email.trim().toLowerCase() } });
+    if (!admin) {
+        admin = await db.user.create({
+            name,
+            username,
+            email,
+            password: await bcrypt.hash(password, 10),
+            emailVerified: true,
+            acceptedTerms: true
+        });
+    }
+
+    const roles = await db.role.findAll({ where: { roleName: ['user', 'admin'] } });
+    for (const role of roles) {
+        await db.user_roles.findOrCreate({ where: { userId: admin.id, roleId: role.id } });
+    }
+    return admin;
+};
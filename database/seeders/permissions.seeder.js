@@ -0,0 +1,59 @@
+/**
+ * @file permissions.seeder.js
+ * @description Seeds the permissions checked by the routes and grants them to the default `user` and `admin` roles.
+ * A permission's default grants are only applied when the permission is created, so the seeder can run any number of times
+ * without restoring grants an administrator has since revoked.
+ *
+ * @module seeders/permissions
+ */
+
+/**
+ * The permissions checked by the routes, with the default roles they are granted to.
+ *
+ * @constant {Object[]}
+ */
+const PERMISSIONS = [
+    { name: 'profile:read', description: 'View your own profile', roles: ['user', 'admin'] },
+    { name: 'profile:write', description: 'Update your own profile and password', roles: ['user', 'admin'] },
+    { name: 'users:read', description: 'View the accounts of other users', roles: ['admin'] },
+    { name: 'users:write', description: 'Update, unlock, suspend and reactivate the accounts of other users', roles: ['admin'] },
+    { name: 'users:delete', description: 'Delete and restore the accounts of other users', roles: ['admin'] },
+    { name: 'roles:read', description: 'View roles and the roles of users', roles: ['admin'] },
+    { name: 'roles:write', description: 'Create, update and delete roles', roles: ['admin'] },
+    { name: 'roles:assign', description: 'Assign roles to users and revoke them', roles: ['admin'] },
+    { name: 'permissions:read', description: 'View permissions and the permissions of roles', roles: ['admin'] },
+    { name: 'permissions:write', description: 'Create permissions and grant or revoke them from roles', roles: ['admin'] },
+    { name: 'sessions:read', description: 'View the sessions of other users', roles: ['admin'] },
+    { name: 'sessions:write', description: 'Revoke the sessions of other users', roles: ['admin'] },
+    { name: 'keys:rotate', description: 'Rotate the token signing key', roles: ['admin'] },
+    { name: 'service-accounts:read', description: 'View service accounts', roles: ['admin'] },
+    { name: 'service-accounts:write', description: 'Create, update and delete service accounts and rotate their secrets', roles: ['admin'] },
+    { name: 'invitations:read', description: 'View the invitations sent to create accounts', roles: ['admin'] },
+    { name: 'invitations:write', description: 'Invite people to create an account and revoke invitations', roles: ['admin'] },
+    { name: 'oauth-clients:read', description: 'View the applications registered with the OpenID Connect provider', roles: ['admin'] },
+    { name: 'oauth-clients:write', description: 'Register, update and delete applications and rotate their secrets', roles: ['admin'] }
+];
+
+/**
+ * Creates the permissions that do not exist yet and grants each new permission to its default roles.
+ *
+ * @function
+ * @param {Object} db - The models.
+ * @returns {Promise<void>}
+ */
+module.exports = async (db) => {
+    const roles = await db.role.findAll({ where: { roleName: ['user', 'admin'] } });
+
+    for (const { roles: roleNames, ...attributes } of PERMISSIONS) {
+        const [permission, created] = await db.permission.findOrCreate({ where: { name: attributes.name }, defaults: attributes });
+        if (!created) {
+            continue;
+        }
+
+        for (const role of roles.filter((candidate) => roleNames.includes(candidate.roleName))) {
+            await db.role_permission.findOrCreate({ where: { roleId: role.id, permissionId: permission.id } });
+        }
+    }
+};
+
+module.exports.PERMISSIONS = PERMISSIONS;
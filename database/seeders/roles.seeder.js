@@ -0,0 +1,31 @@
+/**
+ * @file roles.seeder.js
+ * @description Seeds the default `user` and `admin` roles. Existing roles are left untouched, so the seeder can run any number of times.
+ * The `user` role is created first, as registration assigns new users the role with ID `1`.
+ *
+ * @module seeders/roles
+ * @requires ../../models
+ */
+
+/**
+ * The default roles, in creation order.
+ *
+ * @constant {Object[]}
+ */
+const ROLES = [
+    { roleName: 'user', description: 'User Role' },
+    { roleName: 'admin', description: 'Administrator role' }
+];
+
+/**
+ * Creates the default roles that do not exist yet.
+ *
+ * @function
+ * @param {Object} db - The models.
+ * @returns {Promise<void>}
+ */
+module.exports = async (db) => {
+    for (const role of ROLES) {
+        await db.role.findOrCreate({ where: { roleName: role.roleName }, defaults: role });
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * @file accountPurge.js
+ * @description This file contains the scheduled job purging the accounts whose owners deleted them, once the deletion
+ * grace period (see `account.config.js`) has ended. Purged accounts are deleted permanently, together with their invitations, and their logs anonymized.
+ * Every instance may run the job; an account purged by one instance is no longer found by the others.
+ *
+ * @module jobs/accountPurge
+ * @requires ../config/account.config
+ * @requires ../utils/accountStatus
+ * @requires ../utils/duration
+ *
+ * @example
+ * const scheduleAccountPurge = require('./jobs/accountPurge');
+ * scheduleAccountPurge();
+ */
+
+const account_config = require('../config/account.config');
+const accountStatus = require('../utils/accountStatus');
+const { toMilliseconds } = require('../utils/duration');
+
+/**
+ * Starts purging periodically the accounts whose deletion grace period has ended.
+ *
+ * @function
+ * @param {Object} [options] - The job options.
+ * @param {number} [options.checkIntervalMs] - How often accounts due for purging are looked for. Defaults to `purgeInterval`.
+ * @returns {NodeJS.Timeout} The timer, which does not keep the process alive and can be passed to `clearInterval`.
+ */
+const scheduleAccountPurge = ({ checkIntervalMs = toMilliseconds(account_config.purgeInterval) } = {}) => {
+    const check = async () => {
+        try {
+            const purged = await accountStatus.purgeDueAccounts();
+            if (purged.length > 0) {
+                console.log(`Purged ${purged.length} deleted account(s)`);
+            }
+        } catch (error) {
+            console.error('Error purging deleted accounts:', error);
+        }
+    };
+
+    const timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = scheduleAccountPurge;
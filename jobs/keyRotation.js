@@ -0,0 +1,43 @@
+/**
+ * @file keyRotation.js
+ * @description This file contains the scheduled job rotating the key that signs access and refresh tokens.
+ * The job periodically checks whether the signing key has been in use for longer than `keyRotationInterval`
+ * (see `jwt.config.js`) and rotates it if so. Every instance may run the job; the check reads the database,
+ * so a key rotated by one instance is not rotated again by the others.
+ *
+ * @module jobs/keyRotation
+ * @requires ../utils/keyStore
+ *
+ * @example
+ * const scheduleKeyRotation = require('./jobs/keyRotation');
+ * scheduleKeyRotation();
+ */
+
+const keyStore = require('../utils/keyStore');
+
+/**
+ * Starts checking periodically whether the signing key is due for rotation.
+ *
+ * @function
+ * @param {Object} [options] - The job options.
+ * @param {number} [options.checkIntervalMs=3600000] - How often the signing key is checked.
+ * @returns {NodeJS.Timeout} The timer, which does not keep the process alive and can be passed to `clearInterval`.
+ */
+const scheduleKeyRotation = ({ checkIntervalMs = 60 * 60 * 1000 } = {}) => {
+    const check = async () => {
+        try {
+            const signingKey = await keyStore.rotateIfDue();
+            if (signingKey) {
+                console.log(`Signing key rotated, new kid: ${signingKey.kid}`);
+            }
+        } catch (error) {
+            console.error('Error rotating signing key:', error);
+        }
+    };
+
+    const timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = scheduleKeyRotation;
@@ -0,0 +1,53 @@
+/**
+ * @file tokenCleanup.js
+ * @description This file contains the scheduled job removing the single-use tokens sent in verification, password reset,
+ * email change and invitation links once they have expired or been used, the authorization codes of the OpenID Connect
+ * provider once they have expired or been exchanged, and the rate limit and failed login counters kept in the database once
+ * they have expired. Every instance may run the job.
+ *
+ * @module jobs/tokenCleanup
+ * @requires ../config/token.config
+ * @requires ../utils/userTokens
+ * @requires ../utils/oidc
+ * @requires ../utils/rateLimitStore
+ * @requires ../utils/loginThrottle
+ * @requires ../utils/duration
+ *
+ * @example
+ * const scheduleTokenCleanup = require('./jobs/tokenCleanup');
+ * scheduleTokenCleanup();
+ */
+
+const token_config = require('../config/token.config');
+const userTokens = require('../utils/userTokens');
+const oidc = require('../utils/oidc');
+const { purgeExpiredCounters } = require('../utils/rateLimitStore');
+const loginThrottle = require('../utils/loginThrottle');
+const { toMilliseconds } = require('../utils/duration');
+
+/**
+ * Starts removing periodically the tokens and authorization codes that have expired or been used, and the expired counters.
+ *
+ * @function
+ * @param {Object} [options] - The job options.
+ * @param {number} [options.checkIntervalMs] - How often expired and used tokens, codes and counters are removed. Defaults to `cleanupInterval`.
+ * @returns {NodeJS.Timeout} The timer, which does not keep the process alive and can be passed to `clearInterval`.
+ */
+const scheduleTokenCleanup = ({ checkIntervalMs = toMilliseconds(token_config.cleanupInterval) } = {}) => {
+    const check = async () => {
+        try {
+            await userTokens.purgeExpiredTokens();
+            await oidc.purgeExpiredCodes();
+            await purgeExpiredCounters();
+            await loginThrottle.purgeExpired();
+        } catch (error) {
+            console.error('Error removing expired tokens:', error);
+        }
+    };
+
+    const timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = scheduleTokenCleanup;
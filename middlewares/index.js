@@ -6,7 +6,10 @@
  * - `verifyToken`: Verifies JWT tokens and attaches user information to the request.
  * - `logger`: Logs request details and response times to the database.
  * - `roleAuthorization`: Checks if a user has the required roles for accessing certain routes.
+ * - `requirePermission`: Checks if a user's roles grant the required permissions for accessing certain routes.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token, for actions that require a session.
  * - `validationErrorHandler`: Handles validation errors and returns appropriate responses.
+ * - `rateLimit`: Limits the rate of requests per IP address, or per client as identified by the policy.
  * 
  * @module middlewares
  */
@@ -14,7 +17,10 @@
 const verifyToken = require("./verifyToken");
 const logger = require("./logger");
 const roleAuthorization = require("./roleAuthorization");
+const requirePermission = require("./requirePermission");
+const rejectAccessToken = require("./rejectAccessToken");
 const validationErrorHandler = require("./validationErrorHandler");
+const rateLimit = require("./rateLimit");
 
 /**
  * Middleware functions to be used in Express routes.
@@ -22,12 +28,18 @@ const validationErrorHandler = require("./validationErrorHandler");
  * @type {Object}
  * @property {Function} verifyToken - Middleware for verifying JWT tokens.
  * @property {Function} logger - Middleware for logging request details and response times.
- * @property {Function} roleAuthorization - Middleware for checking user roles and permissions.
+ * @property {Function} roleAuthorization - Middleware for checking user roles.
+ * @property {Function} requirePermission - Middleware factory for checking the permissions granted to user roles.
+ * @property {Function} rejectAccessToken - Middleware factory for refusing personal access tokens.
  * @property {Function} validationErrorHandler - Middleware for handling validation errors.
+ * @property {Function} rateLimit - Middleware factory for limiting the rate of requests.
  */
 module.exports = {
     verifyToken,
     logger,
     roleAuthorization,
-    validationErrorHandler
+    requirePermission,
+    rejectAccessToken,
+    validationErrorHandler,
+    rateLimit
 };
@@ -9,11 +9,13 @@
  * - Records the start time when the request is received.
  * - Attaches an event listener to the response object to capture the finish time once the response is sent.
  * - Calculates the duration of the request and constructs a log message with HTTP method, URL, status code, and duration.
+ *   The single-use tokens in the path of the links sent by email are redacted from the URL.
  * - Logs the request information to the database, including user ID if available.
  * - Handles errors that occur during the logging process and outputs them to the console.
  * 
  * @module logger
  * @requires ../models
+ * @requires ../utils/logRedaction
  * 
  * @example
  * const logger = require('./path/to/logger');
@@ -21,6 +23,7 @@
  */
 
 const db = require('../models');
+const { redactUrl } = require('../utils/logRedaction');
 
 /**
  * Middleware function to log HTTP request and response details.
@@ -38,7 +41,7 @@ const logger = async (req, res, next) => {
     const start = Date.now();
     res.on('finish', async () => {
         const duration = Date.now() - start;
-        const logMessage = `${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms`;
+        const logMessage = `${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode} ${duration}ms`;
 
         let userId = null;
         if (req.user) {
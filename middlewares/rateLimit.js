@@ -0,0 +1,106 @@
+/**
+ * @file rateLimit.js
+ * @description This file contains middleware for limiting the rate of requests made by a client.
+ * Each use of `rateLimit` defines a policy: how many requests (`max`) a client may make within a window (`windowMs`).
+ *
+ * The middleware returned by `rateLimit` performs the following actions:
+ * - Identifies the client by IP address, user ID or personal access token, or with the policy's `keyBy` function. Policies applied
+ *   before `verifyToken`, like the global policy, can only identify clients by IP address; the `user` and `apiKey` keys are for
+ *   policies mounted after it, and fall back to the IP address (or the user, for `apiKey`) when the request has none.
+ * - Counts the request in the configured store, under a key namespaced by the policy name so that policies are counted separately.
+ * - Sets the `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers on every response.
+ * - Responds with a `429 Too Many Requests` status and a `Retry-After` header once the limit is exceeded.
+ * - Lets the request through if the store fails, so an unavailable store does not take the API down, and records the error (see `utils/errorLog`).
+ *
+ * Counters are kept in the store selected by `rateLimit.config.js` (in memory, or in the database to share limits
+ * between instances), unless a `store` is passed to the policy.
+ *
+ * @module rateLimit
+ * @requires ../config/rateLimit.config
+ * @requires ../utils/rateLimitStore
+ * @requires ../utils/errorLog
+ *
+ * @example
+ * const { rateLimit } = require('./path/to/middlewares');
+ * app.post('/login', [rateLimit({ name: 'login', windowMs: 15 * 60 * 1000, max: 10 })], authController.login);
+ */
+
+const rateLimit_config = require('../config/rateLimit.config');
+const { createMemoryStore, createSequelizeStore } = require('../utils/rateLimitStore');
+const errorLog = require('../utils/errorLog');
+
+let defaultStore;
+
+/**
+ * Returns the store selected by the configuration, creating it on first use.
+ *
+ * @function
+ * @returns {Object} The default store.
+ */
+const getDefaultStore = () => {
+    if (!defaultStore) {
+        defaultStore = rateLimit_config.store === 'sequelize' ? createSequelizeStore() : createMemoryStore();
+    }
+    return defaultStore;
+};
+
+/**
+ * Built-in ways of identifying the client a request is counted for.
+ *
+ * @type {Object<string, Function>}
+ */
+const keyGenerators = {
+    ip: (req) => `ip:${req.ip}`,
+    user: (req) => (req.user?.id ? `user:${req.user.id}` : keyGenerators.ip(req)),
+    // Set by `verifyToken` for personal access tokens, whether sent as a `Bearer` token or in the `X-API-Key` header
+    apiKey: (req) => (req.user?.accessTokenId ? `token:${req.user.accessTokenId}` : keyGenerators.user(req))
+};
+
+/**
+ * Middleware factory limiting the rate of requests.
+ *
+ * @function
+ * @param {Object} policy - The rate limit policy.
+ * @param {string} policy.name - The name of the policy, used to count it separately from other policies.
+ * @param {number} policy.windowMs - The length of a window in milliseconds.
+ * @param {number} policy.max - The number of requests a client may make within a window.
+ * @param {string|Function} [policy.keyBy='ip'] - How clients are identified: `ip`, `user`, `apiKey`, or a function returning a key for a request.
+ * @param {Object} [policy.store] - The store holding the counters. Defaults to the store selected by the configuration.
+ * @returns {Function} A middleware function enforcing the policy.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function in the request-response cycle.
+ *
+ * @throws {Error} If `keyBy` is not a known key generator.
+ */
+const rateLimit = ({ name, windowMs, max, keyBy = 'ip', store }) => {
+    const keyGenerator = typeof keyBy === 'function' ? keyBy : keyGenerators[keyBy];
+    if (!keyGenerator) {
+        throw new Error(`Unknown rate limit key: ${keyBy}`);
+    }
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await (store || getDefaultStore()).increment(`${name}:${keyGenerator(req)}`, windowMs);
+        } catch (error) {
+            await errorLog.record(`rateLimit(${name})`, error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+
+        if (result.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ message: 'Too many requests, please try again later' });
+        }
+
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,50 @@
+/**
+ * @file rejectAccessToken.js
+ * @description This file contains middleware keeping personal access tokens away from the actions that would let a leaked token
+ * take over the account or outlive its revocation, such as creating other tokens, managing two-factor authentication or passkeys,
+ * changing the email address or authorizing applications. These actions require a session opened by logging in.
+ *
+ * The middleware function returned by `rejectAccessToken` performs the following actions:
+ * - Responds with a `403 Forbidden` status and the given message if the request was made with a personal access token
+ *   (and, when a `when` condition is given, the request meets it).
+ * - Proceeds to the next middleware or route handler otherwise.
+ *
+ * It must be used after `verifyToken`, which sets `req.user.accessTokenId` for requests made with a personal access token.
+ *
+ * @module rejectAccessToken
+ *
+ * @param {string} message - The message of the `403` response.
+ * @param {Object} [options]
+ * @param {Function} [options.when] - Limits the refusal to the requests for which it returns `true`.
+ *
+ * @returns {Function} A middleware function that refuses personal access tokens.
+ *
+ * @example
+ * const rejectAccessToken = require('./path/to/rejectAccessToken');
+ * app.post('/user/2fa/enroll', verifyToken, rejectAccessToken('Two-factor authentication cannot be managed with a personal access token'), mfaController.enroll);
+ */
+
+/**
+ * Middleware function to refuse requests made with a personal access token.
+ *
+ * @function
+ * @param {string} message - The message of the `403` response.
+ * @param {Object} [options]
+ * @param {Function} [options.when] - Called with the request; only the requests for which it returns `true` are refused.
+ * @returns {Function} A middleware function that checks how the request was authenticated.
+ *
+ * @param {Object} req - The request object, which includes user information in `req.user`.
+ * @param {Object} res - The response object, used to send responses back to the client.
+ * @param {Function} next - The next middleware function in the request-response cycle.
+ */
+const rejectAccessToken = (message, { when = () => true } = {}) => {
+    return (req, res, next) => {
+        if (req.user?.accessTokenId && when(req)) {
+            return res.status(403).json({ message });
+        }
+
+        next();
+    };
+};
+
+module.exports = rejectAccessToken;
@@ -0,0 +1,61 @@
+/**
+ * @file requirePermission.js
+ * @description This file contains middleware for permission-based access control in the application.
+ * The `requirePermission` middleware ensures that a user has been granted the required permission(s), through any of their roles,
+ * to access certain routes or resources.
+ * 
+ * The middleware function returned by `requirePermission` performs the following actions:
+ * - Checks if the user information is present in the request object (`req.user`).
+ * - Resolves the user's effective permissions (see `permissionService.getUserPermissions`).
+ * - Responds with a `403 Forbidden` status if any of the required permissions is missing.
+ * - Proceeds to the next middleware or route handler if the user has every required permission.
+ * 
+ * @module requirePermission
+ * @requires ../utils/permissionService
+ * 
+ * @param {...string} permissions - The names of the permissions required to access the route.
+ * 
+ * @returns {Function} A middleware function that performs the permission check.
+ * 
+ * @example
+ * const requirePermission = require('./path/to/requirePermission');
+ * app.get('/users', verifyToken, requirePermission('users:read'), userController.listUsers);
+ */
+
+const permissionService = require('../utils/permissionService');
+
+/**
+ * Middleware function to authorize access based on the permissions granted to the user's roles.
+ * 
+ * @function
+ * @param {...string} permissions - The permissions that are all required to access the route.
+ * @returns {Function} A middleware function that checks if the user has been granted every permission.
+ * 
+ * @param {Object} req - The request object, which includes user information in `req.user`.
+ * @param {Object} res - The response object, used to send responses back to the client.
+ * @param {Function} next - The next middleware function in the request-response cycle.
+ * 
+ * @throws {Error} If the user does not have the required permissions, a `403 Forbidden` response is sent.
+ */
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        // Ensure user information is present
+        if (!req.user) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        try {
+            const granted = await permissionService.getUserPermissions(req.user);
+            if (!permissions.every((permission) => granted.includes(permission))) {
+                return res.status(403).json({ message: 'Forbidden: Insufficient permissions' });
+            }
+        } catch (error) {
+            return res.status(500).json({ message: 'Internal server error', error: error.message });
+        }
+
+        // Proceed to the next middleware or route handler
+        next();
+    };
+};
+
+module.exports = requirePermission;
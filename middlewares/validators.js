@@ -4,11 +4,19 @@
  * The validation rules ensure that incoming requests meet the required format and constraints before proceeding to the route handlers.
  * 
  * Validation middleware functions are defined for:
- * - Authentication (login, signup, email verification, password reset)
- * - User management (user update, change password)
- * - Role management (assign roles, create roles)
+ * - Authentication (login, two-factor login, login links, passkey login, token refresh, signup, email verification, password reset)
+ * - User management (user update, change password, two-factor enrollment, administrator search and updates, approving and rejecting registrations)
+ * - Role management (create, update and delete roles, assign and revoke roles)
+ * - Permission management (create permissions, grant and revoke permissions from roles)
+ * - Password policy (checking a password)
+ * - Personal access tokens (create and revoke tokens)
+ * - Service accounts (create, update, rotate the secret of and delete service accounts)
+ * - Invitations (list, send, revoke and accept invitations)
+ * - Passkeys (register, rename and remove passkeys)
+ * - OpenID Connect (register and update OAuth clients, authorization requests and decisions, revoke consents)
  * 
  * Each validation function exports an array of validation rules and error messages that are used to validate the request data.
+ * New passwords are checked against every rule of the password policy (see `utils/passwordPolicy`), each failed rule being reported as an error.
  * 
  * @module validators
  * 
@@ -18,7 +26,27 @@
  * app.post('/signup', validateSignup, authController.signup);
  */
 
-const { body, param, oneOf } = require('express-validator');
+const { body, param, query, oneOf } = require('express-validator');
+const { describePolicy, checkPassword } = require('../utils/passwordPolicy');
+const { scopes: SCOPES } = require('../config/oidc.config');
+
+/**
+ * Builds the validation rules checking a new password against the password policy, with one error per failed rule.
+ * The username and email address the password may not contain are taken from the request body, or from the authenticated user.
+ * 
+ * @function
+ * @param {string} field - The name of the password field in the request body.
+ * @returns {ValidationChain} The validation chain.
+ */
+const passwordPolicy = (field) => describePolicy().reduce(
+    (chain, { name, message }) => chain
+        .custom((value, { req }) => {
+            const identity = { username: req.body.username ?? req.user?.username, email: req.body.email ?? req.user?.email };
+            return !checkPassword(value, identity).some(({ rule }) => rule === name);
+        })
+        .withMessage(message),
+    body(field)
+);
 
 /**
  * Validation middleware for user login.
@@ -29,12 +57,77 @@ const { body, param, oneOf } = require('express-validator');
  */
 exports.validateLogin = [
     oneOf([
-        body('username').notEmpty().withMessage('Username is required'),
-        body('email').isEmail().withMessage('Valid email is required'),
+        body('username').trim().notEmpty().withMessage('Username is required'),
+        body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
     ]),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
 ];
 
+/**
+ * Validation middleware for completing a login with a second factor.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for two-factor login.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateMfaLogin = [
+    body('mfaToken').notEmpty().withMessage('MFA token is required'),
+    oneOf([
+        body('code').notEmpty().withMessage('Verification code is required'),
+        body('recoveryCode').notEmpty().withMessage('Recovery code is required'),
+    ]),
+];
+
+/**
+ * Validation middleware for requesting a login link.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for requesting a login link.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateMagicLinkRequest = [
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+];
+
+/**
+ * Validation middleware for logging in with a login link.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for logging in with a login link.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateMagicLinkLogin = [
+    param('token').notEmpty().withMessage('Login token is required'),
+    body('nonce').isString().notEmpty().withMessage('Nonce is required'),
+];
+
+/**
+ * Validation middleware for logging in with a passkey.
+ * The credential itself is checked by `utils/passkeys.js`.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for logging in with a passkey.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validatePasskeyLogin = [
+    body('credential.id').isString().notEmpty().withMessage('Credential ID is required'),
+    body('credential.response.clientDataJSON').isString().notEmpty().withMessage('Client data is required'),
+    body('credential.response.authenticatorData').isString().notEmpty().withMessage('Authenticator data is required'),
+    body('credential.response.signature').isString().notEmpty().withMessage('Signature is required'),
+    body('credential.response.userHandle').optional({ values: 'null' }).isString().withMessage('User handle must be a string'),
+];
+
+/**
+ * Validation middleware for refreshing tokens.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for token refresh.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRefreshToken = [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+];
+
 /**
  * Validation middleware for user signup.
  * 
@@ -43,9 +136,10 @@ exports.validateLogin = [
  * @throws {ValidationError} If validation fails, appropriate error messages are returned.
  */
 exports.validateSignup = [
-    body('username').notEmpty().withMessage('Username is required'),
-    body('email').isEmail().withMessage('Valid email is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    body('username').trim().notEmpty().withMessage('Username is required')
+        .not().contains('@').withMessage('Username cannot contain @'),
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+    passwordPolicy('password'),
 ];
 
 /**
@@ -56,7 +150,7 @@ exports.validateSignup = [
  * @throws {ValidationError} If validation fails, appropriate error messages are returned.
  */
 exports.validateResendVerification = [
-    body('email').isEmail().withMessage('Valid email is required'),
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
 ];
 
 /**
@@ -78,7 +172,7 @@ exports.validateVerificationToken = [
  * @throws {ValidationError} If validation fails, appropriate error messages are returned.
  */
 exports.validateForgotPassword = [
-    body('email').isEmail().withMessage('Valid email is required'),
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
 ];
 
 /**
@@ -90,7 +184,7 @@ exports.validateForgotPassword = [
  */
 exports.validateResetPassword = [
     param('token').notEmpty().withMessage('Reset token is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+    passwordPolicy('newPassword'),
 ];
 
 /**
@@ -102,7 +196,8 @@ exports.validateResetPassword = [
  */
 exports.validateChangePassword = [
     body('currentPassword').notEmpty().withMessage('Old password is required'),
-    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long'),
+    passwordPolicy('newPassword'),
+    body('keepCurrentSession').optional().isBoolean({ strict: true }).withMessage('keepCurrentSession must be a boolean'),
 ];
 
 /**
@@ -113,8 +208,9 @@ exports.validateChangePassword = [
  * @throws {ValidationError} If validation fails, appropriate error messages are returned.
  */
 exports.validateUserUpdate = [
-    body('email').optional().isEmail().withMessage('Valid email is required'),
-    body('username').optional().notEmpty().withMessage('Username is required'),
+    body('email').optional().trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+    body('username').optional().trim().notEmpty().withMessage('Username is required')
+        .not().contains('@').withMessage('Username cannot contain @'),
     body('name').optional().notEmpty().withMessage('Name is required'),
     body('phoneNumber').optional().notEmpty().withMessage('Phone Number is required'),
 ];
@@ -153,3 +249,468 @@ exports.validateCreateRole = [
     body('roleName').notEmpty().withMessage('Role Name is required'),
     body('description').optional().notEmpty().withMessage('Description is required'),
 ];
+
+/**
+ * Validation middleware for two-factor operations that require a TOTP code.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for confirming 2FA enrollment and regenerating recovery codes.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateMfaCode = [
+    body('code').notEmpty().withMessage('Verification code is required'),
+];
+
+/**
+ * Validation middleware for disabling two-factor authentication.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for disabling 2FA.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateMfaDisable = [
+    body('password').notEmpty().withMessage('Password is required'),
+];
+
+/**
+ * Validation middleware for unlocking a user's account.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for unlocking an account.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUnlockUser = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+];
+
+/**
+ * Validation middleware for searching users as an administrator.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the pagination, sorting and filter query parameters.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateListUsers = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('sort').optional().isIn(['id', 'username', 'email', 'name', 'createdAt', 'updatedAt']).withMessage('Invalid sort column'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('q').optional().isString().trim(),
+    query('role').optional().notEmpty().withMessage('Role is required'),
+    query('status').optional().isIn(['active', 'suspended', 'pending_approval', 'rejected', 'deleted'])
+        .withMessage('Status must be active, suspended, pending_approval, rejected or deleted'),
+    query('emailVerified').optional().isBoolean().withMessage('emailVerified must be true or false').toBoolean(),
+    query('createdFrom').optional().isISO8601().withMessage('createdFrom must be an ISO 8601 date'),
+    query('createdTo').optional().isISO8601().withMessage('createdTo must be an ISO 8601 date'),
+];
+
+/**
+ * Validation middleware for reading, deleting, reactivating or restoring a user as an administrator.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the user ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUserId = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+];
+
+/**
+ * Validation middleware for updating a user as an administrator.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for updating a user.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateAdminUserUpdate = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    ...exports.validateUserUpdate,
+    body('emailVerified').optional().isBoolean({ strict: true }).withMessage('emailVerified must be a boolean'),
+];
+
+/**
+ * Validation middleware for deleting the authenticated user's account.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for confirming the deletion with the password.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCloseAccount = [
+    body('password').notEmpty().withMessage('Password is required'),
+];
+
+/**
+ * Validation middleware for suspending a user as an administrator.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for suspending a user.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateSuspendUser = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+/**
+ * Validation middleware for rejecting a registration awaiting approval.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for rejecting a registration.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRejectUser = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+];
+
+/**
+ * Validation middleware for revoking one of the authenticated user's sessions.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for revoking a session.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateSessionId = [
+    param('sessionId').isUUID().withMessage('Valid session ID is required'),
+];
+
+/**
+ * Validation middleware for managing the sessions of a user as an administrator.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for managing a user's sessions.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUserSessions = [
+    param('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+    param('sessionId').optional().isUUID().withMessage('Valid session ID is required'),
+];
+
+/**
+ * Validation middleware for routes identifying a role.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the role ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRoleId = [
+    param('roleId').isInt({ min: 1 }).withMessage('Valid role ID is required'),
+];
+
+/**
+ * Validation middleware for updating a role.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for updating a role.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUpdateRole = [
+    param('roleId').isInt({ min: 1 }).withMessage('Valid role ID is required'),
+    body('roleName').optional().notEmpty().withMessage('Role Name is required'),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be a string'),
+];
+
+/**
+ * Validation middleware for creating a permission.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for creating a permission.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCreatePermission = [
+    body('name').matches(/^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/).withMessage('Permission name must have the format resource:action'),
+    body('description').optional().notEmpty().withMessage('Description is required'),
+];
+
+/**
+ * Validation middleware for the permissions of a role.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for listing, granting and revoking the permissions of a role.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRolePermissions = [
+    param('roleId').isInt({ min: 1 }).withMessage('Valid role ID is required'),
+    param('permission').optional().notEmpty().withMessage('Permission is required'),
+];
+
+/**
+ * Validation middleware for granting a permission to a role.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for granting a permission.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateGrantPermission = [
+    param('roleId').isInt({ min: 1 }).withMessage('Valid role ID is required'),
+    body('permission').notEmpty().withMessage('Permission is required'),
+];
+
+/**
+ * Validation middleware for checking a password against the password policy.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for checking a password.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCheckPassword = [
+    body('password').isString().withMessage('Password is required'),
+    body('username').optional().trim(),
+    body('email').optional().trim().toLowerCase(),
+];
+
+/**
+ * Validation middleware for creating a personal access token.
+ * Scopes must be permission names; whether the user holds them is checked by the controller.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for creating a personal access token.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCreateAccessToken = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').matches(/^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/).withMessage('Scopes must be permission names of the format resource:action'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+        .custom((value) => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+        .toDate(),
+];
+
+/**
+ * Validation middleware for the routes of a personal access token.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the token ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateAccessTokenId = [
+    param('tokenId').isInt({ min: 1 }).withMessage('Valid token ID is required'),
+];
+
+/**
+ * Validation middleware for creating a service account.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for creating a service account.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCreateServiceAccount = [
+    body('username').trim().notEmpty().withMessage('Username is required')
+        .not().contains('@').withMessage('Username cannot contain @'),
+    body('name').optional().notEmpty().withMessage('Name is required'),
+    body('roles').optional().isArray().withMessage('Roles must be a list of role names'),
+    body('roles.*').isString().notEmpty().withMessage('Roles must be a list of role names'),
+];
+
+/**
+ * Validation middleware for updating a service account.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for updating a service account.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUpdateServiceAccount = [
+    param('accountId').isInt({ min: 1 }).withMessage('Valid service account ID is required'),
+    body('username').optional().trim().notEmpty().withMessage('Username is required')
+        .not().contains('@').withMessage('Username cannot contain @'),
+    body('name').optional().notEmpty().withMessage('Name is required'),
+];
+
+/**
+ * Validation middleware for the routes of a service account.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the service account ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateServiceAccountId = [
+    param('accountId').isInt({ min: 1 }).withMessage('Valid service account ID is required'),
+];
+
+/**
+ * Validation middleware for listing invitations.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for listing invitations.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateListInvitations = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage('Status must be pending, accepted, revoked or expired'),
+];
+
+/**
+ * Validation middleware for sending an invitation.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for sending an invitation.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCreateInvitation = [
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+    body('roles').optional().isArray().withMessage('Roles must be a list of role names'),
+    body('roles.*').isString().notEmpty().withMessage('Roles must be a list of role names'),
+];
+
+/**
+ * Validation middleware for revoking an invitation.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the invitation ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateInvitationId = [
+    param('invitationId').isInt({ min: 1 }).withMessage('Valid invitation ID is required'),
+];
+
+/**
+ * Validation middleware for accepting an invitation.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for accepting an invitation.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateAcceptInvitation = [
+    param('token').notEmpty().withMessage('Invitation token is required'),
+    body('username').trim().notEmpty().withMessage('Username is required')
+        .not().contains('@').withMessage('Username cannot contain @'),
+    body('name').optional().notEmpty().withMessage('Name is required'),
+    passwordPolicy('password'),
+];
+
+/**
+ * Validation middleware for registering a passkey.
+ * The credential itself is checked by `utils/passkeys.js`.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for registering a passkey.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRegisterPasskey = [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('credential.id').isString().notEmpty().withMessage('Credential ID is required'),
+    body('credential.response.clientDataJSON').isString().notEmpty().withMessage('Client data is required'),
+    body('credential.response.attestationObject').isString().notEmpty().withMessage('Attestation object is required'),
+    body('credential.response.transports').optional().isArray().withMessage('Transports must be an array'),
+];
+
+/**
+ * Validation middleware for renaming a passkey.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for renaming a passkey.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateRenamePasskey = [
+    param('passkeyId').isInt({ min: 1 }).withMessage('Valid passkey ID is required'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+];
+
+/**
+ * Validation middleware for the routes of a passkey.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the passkey ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validatePasskeyId = [
+    param('passkeyId').isInt({ min: 1 }).withMessage('Valid passkey ID is required'),
+];
+
+/**
+ * Checks that a value is a redirect URI an application can be registered with: an absolute URI without a fragment,
+ * whose scheme cannot run code in the browser.
+ * 
+ * @function
+ * @param {string} value - The redirect URI.
+ * @returns {boolean} Whether the redirect URI is acceptable.
+ */
+const isRedirectUri = (value) => {
+    try {
+        const url = new URL(value);
+        return !url.hash && !['javascript:', 'data:', 'vbscript:', 'file:'].includes(url.protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validation middleware for registering an OAuth client.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for registering an OAuth client.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateCreateOAuthClient = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+    body('redirectUris').isArray({ min: 1 }).withMessage('At least one redirect URI is required'),
+    body('redirectUris.*').custom(isRedirectUri).withMessage('Redirect URIs must be absolute URIs without a fragment'),
+    body('scopes').optional().isArray().withMessage('Scopes must be a list'),
+    body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+    body('confidential').optional().isBoolean({ strict: true }).withMessage('Confidential must be a boolean'),
+];
+
+/**
+ * Validation middleware for updating an OAuth client.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for updating an OAuth client.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateUpdateOAuthClient = [
+    param('oauthClientId').isInt({ min: 1 }).withMessage('Valid OAuth client ID is required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('redirectUris').optional().isArray({ min: 1 }).withMessage('At least one redirect URI is required'),
+    body('redirectUris.*').custom(isRedirectUri).withMessage('Redirect URIs must be absolute URIs without a fragment'),
+    body('scopes').optional().isArray().withMessage('Scopes must be a list'),
+    body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+];
+
+/**
+ * Validation middleware for the routes of an OAuth client.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the OAuth client ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateOAuthClientId = [
+    param('oauthClientId').isInt({ min: 1 }).withMessage('Valid OAuth client ID is required'),
+];
+
+/**
+ * Validation middleware for checking an authorization request of the OpenID Connect provider.
+ * Only the client and redirect URI are checked here: the other problems are reported to the application by the controller.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for an authorization request.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateAuthorizationRequest = [
+    query('client_id').isString().notEmpty().withMessage('Client ID is required'),
+    query('redirect_uri').isString().notEmpty().withMessage('Redirect URI is required'),
+];
+
+/**
+ * Validation middleware for approving or denying an authorization request of the OpenID Connect provider.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the decision on an authorization request.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateAuthorizationDecision = [
+    body('client_id').isString().notEmpty().withMessage('Client ID is required'),
+    body('redirect_uri').isString().notEmpty().withMessage('Redirect URI is required'),
+    body('approve').isBoolean({ strict: true }).withMessage('Approve must be a boolean'),
+];
+
+/**
+ * Validation middleware for revoking the consent given to an application.
+ * 
+ * @function
+ * @returns {Array} An array of validation rules for the consent ID.
+ * @throws {ValidationError} If validation fails, appropriate error messages are returned.
+ */
+exports.validateConsentId = [
+    param('consentId').isInt({ min: 1 }).withMessage('Valid consent ID is required'),
+];
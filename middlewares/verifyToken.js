@@ -1,72 +1,154 @@
 /**
  * @file verifyToken.js
  * @description This file contains middleware for verifying JWT tokens in incoming requests.
- * It checks the validity of the token using a public key and ensures the token is not blacklisted.
+ * It checks the validity of the token using the public key named by the token's `kid` and ensures the token is not blacklisted.
+ * Personal access tokens (see `utils/accessTokens`) are accepted too, as a `Bearer` token or in the `X-API-Key` header.
  * The middleware also verifies that the token contains required user information and
  * attaches user details to the request object if the token is valid.
  * 
  * The middleware performs the following actions:
- * - Extracts the token from the `Authorization` header, assuming a `Bearer` token format.
- * - Verifies the token using the public key and the RS256 algorithm.
+ * - Extracts the token from the `X-API-Key` header, or from the `Authorization` header, assuming a `Bearer` token format.
+ * - Looks up personal access tokens by their hash, rejecting expired and revoked ones, and records their last use.
+ * - Verifies the token using the public key from the key store and the RS256 algorithm.
+ * - Rejects refresh tokens, which may only be exchanged at `/token/refresh`, and the access tokens issued to applications
+ *   by the OpenID Connect provider, which may only be used at `/userinfo`.
  * - Checks if the token is blacklisted in the database.
- * - Ensures the token includes required user information and validates the user's existence.
- * - Attaches user information and roles to the request object for further use in the application.
+ * - Ensures the token includes required user information and validates the user's existence (deleted users are not found).
+ * - Rejects tokens of suspended accounts and of accounts pending approval or rejected, revoking any of their sessions that are still active.
+ * - Rejects tokens of users whose password has expired (see `utils/passwordHistory`), except on the routes that use
+ *   `verifyToken.allowExpiredPassword` (changing the password and logging out).
+ * - Records that the token's session was used (see `tokenService.touchSession`).
+ * - Attaches user information, roles and the session ID to the request object for further use in the application.
+ *   Requests made with a personal access token have no session; the token's ID and scopes are attached instead.
  * 
  * The verification process includes:
- * - Reading the public key from a file
+ * - Looking up the public key in the key store (cached in memory)
  * - Decoding the JWT and verifying its authenticity
  * - Querying the database for blacklisted tokens and user details
  * 
  * @module verifyToken
- * @requires fs
- * @requires path
  * @requires jsonwebtoken
- * @requires ../config/jwt.config
  * @requires ../models
+ * @requires ../utils/keyStore
+ * @requires ../utils/tokenService
+ * @requires ../utils/accountStatus
+ * @requires ../utils/passwordHistory
+ * @requires ../utils/accessTokens
  * 
  * @example
  * const verifyToken = require('./path/to/verifyToken');
  * app.use(verifyToken);
+ * app.post('/user/change-password', verifyToken.allowExpiredPassword, userController.changePassword);
  */
 
-const fs = require('fs');
-const path = require('path');
 const jwt = require('jsonwebtoken');
-const jwt_config = require('./../config/jwt.config');
 const db = require('../models');
+const keyStore = require('../utils/keyStore');
+const tokenService = require('../utils/tokenService');
+const { getAccessRefusal } = require('../utils/accountStatus');
+const passwordHistory = require('../utils/passwordHistory');
+const accessTokens = require('../utils/accessTokens');
 
-
+/**
+ * Checks that a user may use the API: their account is active (not suspended, pending approval or rejected), and their password has not expired.
+ * The sessions of accounts that are not active but still have active sessions are revoked.
+ * 
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {boolean} allowExpiredPassword - Whether users whose password has expired are let through.
+ * @returns {Promise<Object|null>} The status and body of the error response, or `null` if the user may proceed.
+ */
+const checkAccount = async (user, allowExpiredPassword) => {
+    const refusal = getAccessRefusal(user);
+    if (refusal) {
+        await tokenService.revokeUserSessions(user.id);
+        return { status: 403, body: { message: refusal } };
+    }
+    if (passwordHistory.isExpired(user) && !allowExpiredPassword) {
+        return { status: 403, body: { message: 'Password has expired', passwordExpired: true } };
+    }
+    return null;
+};
 
 /**
- * Middleware function to verify JWT tokens.
+ * Authenticates a request made with a personal access token.
  * 
  * @function
+ * @param {string} token - The personal access token.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @param {Function} next - The next middleware function.
+ * @param {boolean} allowExpiredPassword - Whether users whose password has expired are let through.
+ * @returns {Promise<void>}
+ */
+const verifyAccessToken = async (token, req, res, next, allowExpiredPassword) => {
+    try {
+        const accessToken = await accessTokens.findAccessToken(token);
+        if (!accessToken) {
+            return res.status(401).json({ message: 'Invalid token' });
+        }
+
+        const user = await db.user.findOne({ where: { id: accessToken.userId }, include: [db.role] });
+        if (!user) {
+            return res.status(401).json({ message: 'User not found' });
+        }
+        const error = await checkAccount(user, allowExpiredPassword);
+        if (error) {
+            return res.status(error.status).json(error.body);
+        }
+
+        await accessTokens.touchAccessToken(accessToken, req.ip);
+
+        req.user = {
+            id: user.id,
+            username: user.username,
+            verified: user.emailVerified,
+            role: user.Roles?.map((val) => val.roleName),
+            sessionId: null,
+            passwordExpired: passwordHistory.isExpired(user),
+            accessTokenId: accessToken.id,
+            scopes: accessToken.scopes
+        };
+
+        next();
+    } catch (error) {
+        res.status(401).json({ message: 'Token verification failed', error: error.message });
+    }
+};
+
+/**
+ * Creates the middleware function verifying JWT tokens.
  * 
- * @returns {void} Passes control to the next middleware if the token is valid; otherwise, sends an error response.
- * 
- * @throws {Error} If token verification fails or other issues occur, an error response is sent.
+ * @function
+ * @param {Object} [options] - The middleware options.
+ * @param {boolean} [options.allowExpiredPassword=false] - Whether users whose password has expired are let through.
+ * @returns {Function} The middleware, which passes control to the next middleware if the token is valid; otherwise, sends an error response.
  */
-const verifyToken = async (req, res, next) => {
+const createVerifyToken = ({ allowExpiredPassword = false } = {}) => async (req, res, next) => {
     // Extract the token from headers
-    const token = req.headers['authorization']?.split(' ')[1]; // Assumes the token is sent as 'Bearer <token>'
+    const apiKey = req.headers['x-api-key'];
+    const token = apiKey || req.headers['authorization']?.split(' ')[1]; // Assumes the token is sent as 'Bearer <token>'
 
     if (!token) {
         return res.status(401).json({ message: 'No token provided' });
     }
 
-    // Load public key
-    const publicKeyPath = path.resolve(jwt_config.publicKeyPath);
-    const publicKey = fs.readFileSync(publicKeyPath, 'utf8');
+    // Personal access tokens are looked up rather than verified
+    if (apiKey || accessTokens.isAccessToken(token)) {
+        return verifyAccessToken(token, req, res, next, allowExpiredPassword);
+    }
 
-    // Verify the token using the public key
-    jwt.verify(token, publicKey, { algorithms: ['RS256'] }, async (err, decoded) => {
+    // Verify the token using the public key named in its header
+    jwt.verify(token, keyStore.getKey, { algorithms: ['RS256'] }, async (err, decoded) => {
         if (err) {
             return res.status(401).json({ message: 'Invalid token' });
         }
 
+        // Refresh tokens can only be used to obtain new tokens, and the tokens of applications to read the user's claims
+        if (decoded.type === 'refresh' || decoded.type === 'oauth') {
+            return res.status(401).json({ message: 'Invalid token type' });
+        }
+
         // Ensure decoded contains all necessary values
         if (!decoded.id || !decoded.username) {
             return res.status(401).json({ message: 'Token is missing required user information' });
@@ -82,15 +164,23 @@ const verifyToken = async (req, res, next) => {
             if (!user) {
                 return res.status(401).json({ message: 'User not found' });
             }
+            const error = await checkAccount(user, allowExpiredPassword);
+            if (error) {
+                return res.status(error.status).json(error.body);
+            }
 
             const roles = user.Roles?.map((val) => val.roleName);
 
+            await tokenService.touchSession(blacklistedToken);
+
             // Attach user data to request object
             req.user = {
                 id: user.id,
                 username: user.username,
                 verified: user.emailVerified,
-                role: roles
+                role: roles,
+                sessionId: blacklistedToken.familyId || null,
+                passwordExpired: passwordHistory.isExpired(user)
                 // Add other user fields as necessary
             };
 
@@ -102,4 +192,31 @@ const verifyToken = async (req, res, next) => {
 
 };
 
+/**
+ * Middleware function to verify JWT tokens, refusing users whose password has expired.
+ * 
+ * @function
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * 
+ * @returns {void} Passes control to the next middleware if the token is valid; otherwise, sends an error response.
+ * 
+ * @throws {Error} If token verification fails or other issues occur, an error response is sent.
+ */
+const verifyToken = createVerifyToken();
+
+/**
+ * Middleware function to verify JWT tokens, letting users whose password has expired through,
+ * for the routes they need to change it.
+ * 
+ * @function
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * 
+ * @returns {void} Passes control to the next middleware if the token is valid; otherwise, sends an error response.
+ */
+verifyToken.allowExpiredPassword = createVerifyToken({ allowExpiredPassword: true });
+
 module.exports = verifyToken;
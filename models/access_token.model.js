@@ -0,0 +1,68 @@
+/**
+ * @file access_token.model.js
+ * @description This file defines the Sequelize model for the AccessTokens table.
+ * 
+ * The AccessToken model stores the personal access tokens users create for scripts and CI jobs, which authenticate
+ * as the user without a password (see `utils/accessTokens.js`). Only a SHA-256 hash of each token is stored, so a token
+ * is shown once, when it is created, and cannot be recovered from the database.
+ * 
+ * The attributes of the AccessToken model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the token authenticates as. This field is required.
+ * - `name`: A string field naming the token, so the user can tell their tokens apart. This field is required.
+ * - `tokenHash`: A string field holding the SHA-256 hash of the token. This field is required and unique.
+ * - `prefix`: A string field holding the first characters of the token, shown to identify it. This field is required.
+ * - `scopes`: An array of the permission names the token is limited to. This field is required.
+ * - `expiresAt`: A date field specifying when the token expires. This field is optional; tokens without it do not expire.
+ * - `lastUsedAt`: A date field recording when the token was last used. This field is optional.
+ * - `lastUsedIp`: A string field holding the IP address the token was last used from. This field is optional.
+ * 
+ * @module models/access_token
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const AccessToken = sequelize.define("AccessTokens", {
+        // Define the attributes for the AccessToken model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the tokens if the user is deleted
+        },
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        tokenHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        prefix: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        scopes: {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Tokens without an expiry are valid until revoked
+        },
+        lastUsedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        lastUsedIp: {
+            type: Sequelize.STRING,
+            allowNull: true
+        }
+    });
+
+    return AccessToken;
+};
@@ -11,12 +11,32 @@
  * - `Log`: Represents system logs.
  * - `Role`: Represents roles that users can have.
  * - `UserRoles`: Represents the many-to-many relationship between users and roles.
+ * - `UserMfa`: Represents a user's TOTP second factor.
+ * - `MfaRecoveryCode`: Represents the one-time recovery codes for a user's second factor.
+ * - `LoginAttempt`: Represents failed login counters and lock state per account or IP address.
+ * - `RateLimit`: Represents request counters of the database-backed rate limit store.
+ * - `SigningKey`: Represents the RSA key pairs used to sign and verify tokens.
+ * - `Permission`: Represents actions that can be granted to roles.
+ * - `RolePermissions`: Represents the many-to-many relationship between roles and permissions.
+ * - `UserToken`: Represents the single-use tokens sent to users in verification, password reset, email change, invitation and login links, and WebAuthn challenges.
+ * - `PasswordHistory`: Represents the hashes of the previous passwords of users.
+ * - `AccessToken`: Represents the personal access tokens users create for scripts and CI jobs.
+ * - `Invitation`: Represents the invitations administrators send to create accounts.
+ * - `Passkey`: Represents the WebAuthn credentials users log in with instead of a password.
+ * - `OAuthClient`: Represents the applications that log their users in with the OpenID Connect provider.
+ * - `OAuthConsent`: Represents the scopes users allowed an application to access.
+ * - `OAuthAuthorizationCode`: Represents the single-use codes applications exchange for tokens.
  * 
  * Associations are defined as follows:
  * 
  * - `Log` and `Session` models are associated with the `User` model through a foreign key `userId`.
  * - The `User` model has a many-to-many relationship with the `Role` model through the `UserRoles` junction table.
  * - The `Role` model also has a many-to-many relationship with the `User` model through the `UserRoles` junction table.
+ * - The `User` model has one `UserMfa` and many `MfaRecoveryCode`, `UserToken`, `PasswordHistory`, `AccessToken` and `Passkey` records.
+ * - The `Invitation` model is associated with the `User` model who sent it through a foreign key `invitedBy`.
+ * - The `OAuthConsent` and `OAuthAuthorizationCode` models are associated with the `User` model through a foreign key `userId`,
+ *   and with the `OAuthClient` model through a foreign key `oauthClientId`.
+ * - The `Role` model has a many-to-many relationship with the `Permission` model through the `RolePermissions` junction table.
  * 
  * @module models/index
  */
@@ -39,6 +59,21 @@ db.session = require("./session.model.js")(sequelize, Sequelize);
 db.log = require("./log.model.js")(sequelize, Sequelize);
 db.role = require("./role.model.js")(sequelize, Sequelize);
 db.user_roles = require("./user_roles.model.js")(sequelize, Sequelize);
+db.user_mfa = require("./user_mfa.model.js")(sequelize, Sequelize);
+db.mfa_recovery_code = require("./mfa_recovery_code.model.js")(sequelize, Sequelize);
+db.login_attempt = require("./login_attempt.model.js")(sequelize, Sequelize);
+db.rate_limit = require("./rate_limit.model.js")(sequelize, Sequelize);
+db.signing_key = require("./signing_key.model.js")(sequelize, Sequelize);
+db.permission = require("./permission.model.js")(sequelize, Sequelize);
+db.role_permission = require("./role_permission.model.js")(sequelize, Sequelize);
+db.user_token = require("./user_token.model.js")(sequelize, Sequelize);
+db.password_history = require("./password_history.model.js")(sequelize, Sequelize);
+db.access_token = require("./access_token.model.js")(sequelize, Sequelize);
+db.invitation = require("./invitation.model.js")(sequelize, Sequelize);
+db.passkey = require("./passkey.model.js")(sequelize, Sequelize);
+db.oauth_client = require("./oauth_client.model.js")(sequelize, Sequelize);
+db.oauth_consent = require("./oauth_consent.model.js")(sequelize, Sequelize);
+db.oauth_authorization_code = require("./oauth_authorization_code.model.js")(sequelize, Sequelize);
 
 // Define model associations
 db.log.belongsTo(db.user, {
@@ -63,4 +98,66 @@ db.role.belongsToMany(db.user, {
     otherKey: 'userId'
 });
 
+db.user.hasOne(db.user_mfa, {
+    foreignKey: 'userId',
+    as: 'mfa'
+});
+
+db.user_mfa.belongsTo(db.user, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+db.user.hasMany(db.mfa_recovery_code, {
+    foreignKey: 'userId',
+    as: 'recoveryCodes'
+});
+
+db.user.hasMany(db.user_token, {
+    foreignKey: 'userId',
+    as: 'tokens'
+});
+
+db.user.hasMany(db.password_history, {
+    foreignKey: 'userId',
+    as: 'passwordHistory'
+});
+
+db.user.hasMany(db.access_token, {
+    foreignKey: 'userId',
+    as: 'accessTokens'
+});
+
+db.user.hasMany(db.passkey, {
+    foreignKey: 'userId',
+    as: 'passkeys'
+});
+
+db.invitation.belongsTo(db.user, {
+    foreignKey: 'invitedBy',
+    as: 'inviter'
+});
+
+db.oauth_consent.belongsTo(db.oauth_client, {
+    foreignKey: 'oauthClientId',
+    as: 'client'
+});
+
+db.oauth_authorization_code.belongsTo(db.oauth_client, {
+    foreignKey: 'oauthClientId',
+    as: 'client'
+});
+
+db.role.belongsToMany(db.permission, {
+    through: db.role_permission, // Junction table
+    foreignKey: 'roleId',
+    otherKey: 'permissionId'
+});
+
+db.permission.belongsToMany(db.role, {
+    through: db.role_permission, // Junction table for many-to-many relationship
+    foreignKey: 'permissionId',
+    otherKey: 'roleId'
+});
+
 module.exports = db;
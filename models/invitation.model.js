@@ -0,0 +1,67 @@
+/**
+ * @file invitation.model.js
+ * @description This file defines the Sequelize model for the Invitations table.
+ * 
+ * The Invitation model stores the invitations administrators send to create accounts, which is how people join
+ * deployments that do not allow everyone to sign up (see `utils/invitations.js`). The link sent to the invitee carries
+ * a single-use `invite` token (see `user_token.model.js`) issued for the invited email address.
+ * 
+ * The attributes of the Invitation model are as follows:
+ * 
+ * - `email`: A string field holding the invited email address, normalized. This field is required.
+ * - `roleIds`: An array of the IDs of the roles the account is assigned when the invitation is accepted. This field is required.
+ * - `invitedBy`: An integer field referencing the administrator who sent the invitation. This field is optional, since the administrator may be deleted.
+ * - `userId`: An integer field referencing the account created by accepting the invitation. This field is optional.
+ * - `expiresAt`: A date field specifying when the invitation expires. This field is required.
+ * - `acceptedAt`: A date field recording when the invitation was accepted. This field is optional.
+ * - `revokedAt`: A date field recording when the invitation was revoked, or replaced by a new invitation to the same address. This field is optional.
+ * 
+ * @module models/invitation
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const Invitation = sequelize.define("Invitations", {
+        // Define the attributes for the Invitation model
+        email: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        roleIds: {
+            type: Sequelize.ARRAY(Sequelize.INTEGER),
+            allowNull: false,
+            defaultValue: []
+        },
+        invitedBy: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'SET NULL' // Keep the invitation if the administrator is deleted
+        },
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'SET NULL' // Set once the invitation has been accepted
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        acceptedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        revokedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        }
+    });
+
+    return Invitation;
+};
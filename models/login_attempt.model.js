@@ -0,0 +1,42 @@
+/**
+ * @file login_attempt.model.js
+ * @description This file defines the Sequelize model for the LoginAttempts table.
+ * 
+ * The LoginAttempt model persists failed login counters and lock state, so that protection against password guessing
+ * survives restarts and is shared between instances. Each row tracks one subject: either an account or an IP address.
+ * 
+ * The attributes of the LoginAttempt model are as follows:
+ * 
+ * - `key`: A string identifying the subject, `user:<id>` for an account or `ip:<address>` for an IP address. This field is required and unique.
+ * - `failedCount`: An integer counting consecutive failed attempts within the attempt window. Defaults to `0`.
+ * - `lastFailedAt`: A date field recording the most recent failed attempt. This field is optional.
+ * - `lockedUntil`: A date field; while it lies in the future, login attempts for the subject are refused. This field is optional.
+ * 
+ * @module models/login_attempt
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const LoginAttempt = sequelize.define("LoginAttempts", {
+        // Define the attributes for the LoginAttempt model
+        key: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true // One counter per account or IP address
+        },
+        failedCount: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lastFailedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        lockedUntil: {
+            type: Sequelize.DATE,
+            allowNull: true // Locked while this lies in the future
+        }
+    });
+
+    return LoginAttempt;
+};
@@ -0,0 +1,40 @@
+/**
+ * @file mfa_recovery_code.model.js
+ * @description This file defines the Sequelize model for the MfaRecoveryCodes table.
+ * 
+ * The MfaRecoveryCode model stores the one-time recovery codes a user can use instead of a TOTP code
+ * when they lose access to their authenticator app. Only a SHA-256 hash of each code is stored.
+ * 
+ * The attributes of the MfaRecoveryCode model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the code belongs to. This field is required.
+ * - `codeHash`: A string field holding the SHA-256 hash of the recovery code. This field is required.
+ * - `usedAt`: A date field recording when the code was used. Codes can only be used once. This field is optional.
+ * 
+ * @module models/mfa_recovery_code
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const MfaRecoveryCode = sequelize.define("MfaRecoveryCodes", {
+        // Define the attributes for the MfaRecoveryCode model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the codes if the user is deleted
+        },
+        codeHash: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        usedAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Set once the code has been used
+        }
+    });
+
+    return MfaRecoveryCode;
+};
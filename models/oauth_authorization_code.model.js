@@ -0,0 +1,84 @@
+/**
+ * @file oauth_authorization_code.model.js
+ * @description This file defines the Sequelize model for the OAuthAuthorizationCodes table.
+ *
+ * The OAuthAuthorizationCode model stores the authorization codes handed to applications when a user approves their request,
+ * which the application exchanges for tokens at `POST /token` (see `utils/oidc.js`). Like the tokens sent in links, a code is
+ * short-lived and single-use, and only its SHA-256 hash is stored. It is bound to the application, the redirect URI and the
+ * PKCE code challenge of the request it answers.
+ *
+ * The attributes of the OAuthAuthorizationCode model are as follows:
+ *
+ * - `codeHash`: A string field holding the SHA-256 hash of the code. This field is required and unique.
+ * - `oauthClientId`: An integer field referencing the application the code was issued to. This field is required.
+ * - `userId`: An integer field referencing the user who approved the request. This field is required.
+ * - `redirectUri`: A string field holding the redirect URI of the request, which must be presented again with the code. This field is required.
+ * - `scopes`: An array of the scopes granted. This field is required.
+ * - `codeChallenge`: A string field holding the PKCE code challenge, the base64url encoded SHA-256 hash of the code verifier. This field is required.
+ * - `nonce`: A string field holding the nonce of the request, copied to the ID token. This field is optional.
+ * - `authenticatedAt`: A date field recording when the user logged in, copied to the ID token. This field is optional.
+ * - `expiresAt`: A date field specifying when the code expires. This field is required.
+ * - `usedAt`: A date field recording when the code was exchanged. Codes can only be exchanged once. This field is optional.
+ *
+ * @module models/oauth_authorization_code
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const OAuthAuthorizationCode = sequelize.define("OAuthAuthorizationCodes", {
+        // Define the attributes for the OAuthAuthorizationCode model
+        codeHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        oauthClientId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'OAuthClients', // Reference to the OAuthClient model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the codes if the application is deleted
+        },
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the codes if the user is deleted
+        },
+        redirectUri: {
+            type: Sequelize.STRING(2048),
+            allowNull: false
+        },
+        scopes: {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        codeChallenge: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        nonce: {
+            type: Sequelize.STRING,
+            allowNull: true
+        },
+        authenticatedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        usedAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Set once the code has been exchanged
+        }
+    });
+
+    return OAuthAuthorizationCode;
+};
@@ -0,0 +1,60 @@
+/**
+ * @file oauth_client.model.js
+ * @description This file defines the Sequelize model for the OAuthClients table.
+ *
+ * The OAuthClient model stores the applications registered by administrators to log their users in with this API,
+ * the OpenID Connect provider (see `utils/oidc.js`). Confidential clients, which run on a server, authenticate with a
+ * client secret, of which only a SHA-256 hash is stored; public clients, such as single-page and mobile apps, have no secret
+ * and rely on PKCE alone.
+ *
+ * The attributes of the OAuthClient model are as follows:
+ *
+ * - `clientId`: A string field holding the client ID the application identifies itself with. This field is required and unique.
+ * - `clientSecretHash`: A string field holding the SHA-256 hash of the client secret. This field is optional, since public clients have no secret.
+ * - `name`: A string field holding the name of the application, shown to users when they are asked for their consent. This field is required.
+ * - `redirectUris`: An array of the URIs users may be sent back to with an authorization code, compared exactly. This field is required.
+ * - `scopes`: An array of the scopes the application may request (e.g. `openid`, `email`). This field is required.
+ * - `createdBy`: An integer field referencing the administrator who registered the application. This field is optional, since the administrator may be deleted.
+ *
+ * @module models/oauth_client
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const OAuthClient = sequelize.define("OAuthClients", {
+        // Define the attributes for the OAuthClient model
+        clientId: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        clientSecretHash: {
+            type: Sequelize.STRING,
+            allowNull: true // Public clients have no secret
+        },
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        redirectUris: {
+            type: Sequelize.ARRAY(Sequelize.STRING(2048)),
+            allowNull: false,
+            defaultValue: []
+        },
+        scopes: {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        createdBy: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'SET NULL' // Keep the application if the administrator is deleted
+        }
+    });
+
+    return OAuthClient;
+};
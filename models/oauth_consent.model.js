@@ -0,0 +1,46 @@
+/**
+ * @file oauth_consent.model.js
+ * @description This file defines the Sequelize model for the OAuthConsents table.
+ *
+ * The OAuthConsent model records the scopes a user allowed an application registered with the OpenID Connect provider
+ * to access (see `utils/oidc.js`). While the consent covers the scopes an application requests, the user is not asked again.
+ *
+ * The attributes of the OAuthConsent model are as follows:
+ *
+ * - `userId`: An integer field referencing the user who gave their consent. This field is required.
+ * - `oauthClientId`: An integer field referencing the application the consent was given to. This field is required.
+ * - `scopes`: An array of the scopes the user allowed. This field is required.
+ *
+ * @module models/oauth_consent
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const OAuthConsent = sequelize.define("OAuthConsents", {
+        // Define the attributes for the OAuthConsent model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the consents if the user is deleted
+        },
+        oauthClientId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'OAuthClients', // Reference to the OAuthClient model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the consents if the application is deleted
+        },
+        scopes: {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: []
+        }
+    });
+
+    return OAuthConsent;
+};
@@ -0,0 +1,68 @@
+/**
+ * @file passkey.model.js
+ * @description This file defines the Sequelize model for the Passkeys table.
+ * 
+ * The Passkey model stores the WebAuthn credentials users log in with instead of a password (see `utils/passkeys.js`).
+ * The private key never leaves the user's authenticator; the database holds the public key the assertions are checked with.
+ * 
+ * The attributes of the Passkey model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the passkey belongs to. This field is required.
+ * - `name`: A string field naming the passkey, so the user can tell their passkeys apart. This field is required.
+ * - `credentialId`: A string field holding the base64url encoded credential ID chosen by the authenticator. This field is required and unique.
+ * - `publicKey`: A text field holding the PEM encoded public key of the credential. This field is required.
+ * - `algorithm`: An integer field holding the COSE algorithm of the public key (e.g. `-7` for ES256). This field is required.
+ * - `signCount`: A big integer field holding the last signature counter reported by the authenticator. Defaults to `0`.
+ * - `transports`: An array of the transports the authenticator can be reached over (e.g. `internal`, `hybrid`), passed back to browsers as hints.
+ * - `lastUsedAt`: A date field recording when the passkey was last used to log in. This field is optional.
+ * 
+ * @module models/passkey
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const Passkey = sequelize.define("Passkeys", {
+        // Define the attributes for the Passkey model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the passkeys if the user is deleted
+        },
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        credentialId: {
+            type: Sequelize.STRING(1024),
+            allowNull: false,
+            unique: true
+        },
+        publicKey: {
+            type: Sequelize.TEXT,
+            allowNull: false
+        },
+        algorithm: {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        },
+        signCount: {
+            type: Sequelize.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        },
+        transports: {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: []
+        },
+        lastUsedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        }
+    });
+
+    return Passkey;
+};
@@ -0,0 +1,38 @@
+/**
+ * @file password_history.model.js
+ * @description This file defines the Sequelize model for the PasswordHistories table.
+ * 
+ * The PasswordHistory model stores the bcrypt hashes of the passwords a user had before their current one,
+ * so that recently used passwords can be refused when the password is changed or reset (see `utils/passwordHistory.js`).
+ * Only the most recent hashes are kept, as configured in `password.config.js`.
+ * 
+ * The attributes of the PasswordHistory model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the password belonged to. This field is required.
+ * - `passwordHash`: A string field holding the bcrypt hash of the previous password. This field is required.
+ * 
+ * The `createdAt` timestamp records when the password was replaced.
+ * 
+ * @module models/password_history
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const PasswordHistory = sequelize.define("PasswordHistories", {
+        // Define the attributes for the PasswordHistory model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the history if the user is deleted
+        },
+        passwordHash: {
+            type: Sequelize.STRING,
+            allowNull: false
+        }
+    });
+
+    return PasswordHistory;
+};
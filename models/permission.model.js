@@ -0,0 +1,31 @@
+/**
+ * @file permission.model.js
+ * @description This file defines the Sequelize model for the Permissions table.
+ * 
+ * The Permission model represents a single action that can be granted to roles, named `<resource>:<action>` (e.g. `users:read`).
+ * A user's effective permissions are the union of the permissions granted to their roles.
+ * 
+ * The attributes of the Permission model are as follows:
+ * 
+ * - `name`: A string field holding the permission name. This field is required and must be unique.
+ * - `description`: A string field describing what the permission allows. This field is optional.
+ * 
+ * @module models/permission
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const Permission = sequelize.define("Permission", {
+        // Define the attributes for the Permission model
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false, // Permission name is required
+            unique: true // Ensures that permission names are unique
+        },
+        description: {
+            type: Sequelize.STRING,
+            allowNull: true // Description is optional
+        }
+    });
+
+    return Permission;
+};
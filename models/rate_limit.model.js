@@ -0,0 +1,37 @@
+/**
+ * @file rate_limit.model.js
+ * @description This file defines the Sequelize model for the RateLimits table.
+ * 
+ * The RateLimit model holds request counters for the Sequelize-backed rate limit store, so that limits are shared
+ * between all instances of the application. Each row counts the requests of one client for one policy during the current window.
+ * 
+ * The attributes of the RateLimit model are as follows:
+ * 
+ * - `key`: A string identifying the policy and the client (e.g. `login:ip:127.0.0.1`). This field is required and unique.
+ * - `count`: An integer counting the requests made in the current window. Defaults to `0`.
+ * - `resetAt`: A date field marking the end of the current window, after which the count starts over. This field is required.
+ * 
+ * @module models/rate_limit
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const RateLimit = sequelize.define("RateLimits", {
+        // Define the attributes for the RateLimit model
+        key: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true // One counter per policy and client
+        },
+        count: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        resetAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        }
+    });
+
+    return RateLimit;
+};
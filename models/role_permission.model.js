@@ -0,0 +1,39 @@
+/**
+ * @file role_permission.model.js
+ * @description This file defines the Sequelize model for the RolePermissions junction table.
+ * 
+ * The RolePermissions model represents the many-to-many relationship between roles and permissions, recording which permissions are granted to each role.
+ * 
+ * The attributes of the RolePermissions model are as follows:
+ * 
+ * - `roleId`: An integer field that references the ID of a role from the `Roles` table. This field is required and the grant is removed if the role is deleted.
+ * - `permissionId`: An integer field that references the ID of a permission from the `Permissions` table. This field is required and the grant is removed if the permission is deleted.
+ * 
+ * @module models/role_permission
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const RolePermissions = sequelize.define("RolePermissions", {
+        // Define attributes for the junction table
+        roleId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Roles', // Reference to the Role model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the grant if the role is deleted
+        },
+        permissionId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'Permissions', // Reference to the Permission model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the grant if the permission is deleted
+        }
+    });
+
+    return RolePermissions;
+};
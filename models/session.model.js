@@ -8,7 +8,13 @@
  * 
  * - `token`: A unique text field that represents the session token. This field is required and must be unique.
  * - `flag`: A boolean field indicating whether the session is active or not. The default value is `false`.
- * - `expiresAt`: A date field specifying when the session expires. This field is optional.
+ * - `type`: A string field indicating whether the token is an `access` or a `refresh` token. Defaults to `access`.
+ * - `familyId`: A string field identifying the token family (all tokens descended from the same login). This field is optional.
+ * - `expiresAt`: A date field specifying when the token expires. This field is optional.
+ * - `authenticatedAt`: A date field recording when the user logged in; carried over to the tokens of the same family when they are rotated. This field is optional.
+ * - `lastSeenAt`: A date field recording when the token family was last used. This field is optional.
+ * - `ipAddress`: A string field holding the IP address the token was issued to. This field is optional.
+ * - `userAgent`: A text field holding the user agent the token was issued to. This field is optional.
  * - `userId`: An integer field representing the ID of the user associated with the session. This field is optional and references the `Users` model. If the related user is deleted, this field will be set to `NULL`.
  * 
  * @module models/session
@@ -27,10 +33,35 @@ module.exports = (sequelize, Sequelize) => {
             allowNull: false,
             defaultValue: false // Default to false indicating the session is inactive
         },
+        type: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'access' // Either 'access' or 'refresh'
+        },
+        familyId: {
+            type: Sequelize.STRING,
+            allowNull: true // Shared by every token rotated from the same login
+        },
         expiresAt: {
             type: Sequelize.DATE,
             allowNull: true // Expiry date is optional
         },
+        authenticatedAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Time of the login the token family descends from
+        },
+        lastSeenAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        ipAddress: {
+            type: Sequelize.STRING,
+            allowNull: true
+        },
+        userAgent: {
+            type: Sequelize.TEXT,
+            allowNull: true
+        },
         userId: {
             type: Sequelize.INTEGER,
             allowNull: true,
@@ -0,0 +1,52 @@
+/**
+ * @file signing_key.model.js
+ * @description This file defines the Sequelize model for the SigningKeys table.
+ * 
+ * The SigningKey model holds the RSA key pairs used to sign and verify access and refresh tokens. The most recent key that
+ * has not been retired signs new tokens; retired keys are kept, and published in the JWKS, until every token they signed has expired.
+ * 
+ * The attributes of the SigningKey model are as follows:
+ * 
+ * - `kid`: A string identifying the key in token headers and the JWKS (the RFC 7638 thumbprint of the public key). This field is required and unique.
+ * - `algorithm`: A string naming the signing algorithm. Defaults to `RS256`.
+ * - `publicKey`: A text field holding the PEM encoded public key. This field is required.
+ * - `privateKey`: A text field holding the PEM encoded private key, encrypted by the key store. This field is required and never leaves the server.
+ * - `retiredAt`: A date field recording when the key stopped signing new tokens. This field is optional.
+ * - `expiresAt`: A date field after which tokens signed with the key are no longer accepted and the key is removed. This field is optional.
+ * 
+ * @module models/signing_key
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const SigningKey = sequelize.define("SigningKeys", {
+        // Define the attributes for the SigningKey model
+        kid: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        algorithm: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'RS256'
+        },
+        publicKey: {
+            type: Sequelize.TEXT,
+            allowNull: false
+        },
+        privateKey: {
+            type: Sequelize.TEXT,
+            allowNull: false
+        },
+        retiredAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Signs new tokens while NULL
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Verifies tokens until this date
+        }
+    });
+
+    return SigningKey;
+};
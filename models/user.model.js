@@ -7,12 +7,39 @@
  * The attributes of the User model are as follows:
  * 
  * - `name`: A string field that holds the user's name. This field is optional.
- * - `username`: A string field that holds the user's username. This field is required and must be unique.
- * - `email`: A string field that holds the user's email address. This field is required and must be unique.
- * - `password`: A string field that stores the user's hashed password. This field is required.
+ * - `username`: A string field that holds the user's username. This field is required and must be unique (case-insensitively).
+ * - `accountType`: A string field holding whether the account belongs to a person (`user`) or is a service account (`service`) used by
+ *   other systems. Defaults to `user`.
+ * - `email`: A string field that holds the user's email address. This field is required for people, stored lowercased, and must be unique (case-insensitively).
+ * - `pendingEmail`: A string field holding a new email address the user has asked to change to, stored lowercased. The `email` field is only
+ *   replaced once the change is confirmed from the new address, so until then logins and password resets keep using the current email. This field is optional.
+ * - `password`: A string field that stores the user's hashed password. This field is required for people.
+ * - `clientId`: A string field holding the public identifier a service account authenticates with. This field is unique, and only set for service accounts.
+ * - `clientSecretHash`: A string field holding the SHA-256 hash of the secret a service account authenticates with. This field is only set for service accounts.
+ * - `passwordChangedAt`: A date field recording when the password was last changed or reset, from which its expiry is counted.
+ *   When it was never changed, the password's age is counted from the creation of the account. This field is optional.
  * - `phoneNumber`: A string field that holds the user's phone number. This field is optional and accommodates various phone number formats.
  * - `emailVerified`: A boolean field that indicates whether the user's email has been verified. Defaults to `false`.
  * - `acceptedTerms`: A boolean field that indicates whether the user has accepted the terms of service. This field is required and defaults to `false`.
+ * - `status`: A string field holding the account status: `active`, `suspended`, or, for self-registered accounts that an administrator
+ *   must approve, `pending_approval` until approved and `rejected` if the registration was rejected. Only active accounts can log in
+ *   or use their tokens. Defaults to `active`.
+ * - `suspendedAt`: A date field recording when the account was suspended. This field is optional.
+ * - `suspensionReason`: A text field holding why the account was suspended. This field is optional.
+ * - `reviewedAt`: A date field recording when the registration was approved or rejected. This field is optional.
+ * - `reviewedBy`: An integer field referencing the administrator who approved or rejected the registration. This field is optional.
+ * - `rejectionReason`: A text field holding why the registration was rejected. This field is optional.
+ * - `deletionScheduledAt`: A date field recording when the account will be purged, after the user deleted it. Cleared if the deletion is cancelled. This field is optional.
+ * 
+ * The model is paranoid: deleting a user sets `deletedAt` instead of removing the row, so their roles, sessions and logs are kept
+ * and the account can be restored. Deleted users are excluded from queries unless `paranoid: false` is passed, but keep their
+ * username and email reserved.
+ * 
+ * Service accounts own no email address or password: they authenticate with their client ID and secret (see `utils/serviceAccounts.js`),
+ * and are kept out of the login, verification and password reset flows.
+ * 
+ * Case-insensitive uniqueness is enforced with unique indexes on `lower(username)` and `lower(email)`, and a `beforeValidate`
+ * hook trims usernames and trims and lowercases emails before they are stored.
  * 
  * @module models/user
  */
@@ -29,14 +56,36 @@ module.exports = (sequelize, Sequelize) => {
             allowNull: false,
             unique: true // Ensures that usernames are unique
         },
-        email: {
+        accountType: {
             type: Sequelize.STRING,
             allowNull: false,
+            defaultValue: 'user' // Either 'user' or 'service'
+        },
+        email: {
+            type: Sequelize.STRING,
+            allowNull: true, // Service accounts have no email address
             unique: true // Ensures that emails are unique
         },
+        pendingEmail: {
+            type: Sequelize.STRING,
+            allowNull: true // Replaces email once the change is confirmed
+        },
         password: {
             type: Sequelize.STRING,
-            allowNull: false
+            allowNull: true // Service accounts have no password
+        },
+        clientId: {
+            type: Sequelize.STRING,
+            allowNull: true,
+            unique: true
+        },
+        clientSecretHash: {
+            type: Sequelize.STRING,
+            allowNull: true
+        },
+        passwordChangedAt: {
+            type: Sequelize.DATE,
+            allowNull: true // The account's creation date is used until the password is first changed
         },
         phoneNumber: {
             type: Sequelize.STRING, // Use STRING to accommodate various phone number formats
@@ -51,6 +100,68 @@ module.exports = (sequelize, Sequelize) => {
             allowNull: false,
             defaultValue: false // Default to false indicating terms are not accepted
         },
+        status: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: 'active' // 'active', 'suspended', 'pending_approval' or 'rejected'
+        },
+        suspendedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        suspensionReason: {
+            type: Sequelize.TEXT,
+            allowNull: true
+        },
+        reviewedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        reviewedBy: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'Users', // Reference to the administrator who reviewed the registration
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        rejectionReason: {
+            type: Sequelize.TEXT,
+            allowNull: true
+        },
+        deletionScheduledAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Set while a deletion requested by the user is in its grace period
+        }
+    }, {
+        paranoid: true, // Deleting a user sets deletedAt so the account can be restored
+        validate: {
+            // Only service accounts may do without an email address and password
+            credentials() {
+                if (this.accountType !== 'service' && (!this.email || !this.password)) {
+                    throw new Error('Email and password are required');
+                }
+            }
+        },
+        indexes: [
+            // Ensure usernames and emails differing only by case cannot both be registered
+            { unique: true, name: 'users_username_lower_unique', fields: [sequelize.fn('lower', sequelize.col('username'))] },
+            { unique: true, name: 'users_email_lower_unique', fields: [sequelize.fn('lower', sequelize.col('email'))] }
+        ],
+        hooks: {
+            beforeValidate: (user) => {
+                if (typeof user.username === 'string') {
+                    user.username = user.username.trim();
+                }
+                if (typeof user.email === 'string') {
+                    user.email = user.email.trim().toLowerCase();
+                }
+                if (typeof user.pendingEmail === 'string') {
+                    user.pendingEmail = user.pendingEmail.trim().toLowerCase();
+                }
+            }
+        }
     });
 
     return User;
@@ -0,0 +1,53 @@
+/**
+ * @file user_mfa.model.js
+ * @description This file defines the Sequelize model for the UserMfa entity.
+ * 
+ * The UserMfa model stores a user's TOTP (time-based one-time password) second factor. A row is created when the user
+ * starts enrollment and is only enabled once the user confirms it with a valid code.
+ * 
+ * The attributes of the UserMfa model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the second factor belongs to. This field is required and unique.
+ * - `secret`: A string field holding the base32 encoded TOTP shared secret, encrypted with the key encryption key (see `mfaService.encryptSecret`).
+ *   This field is required.
+ * - `enabled`: A boolean field indicating whether 2FA is active for the user. Defaults to `false` until enrollment is confirmed.
+ * - `confirmedAt`: A date field recording when enrollment was confirmed. This field is optional.
+ * - `lastUsedStep`: An integer field holding the time step of the last accepted code, so a code cannot be replayed. This field is optional.
+ * 
+ * @module models/user_mfa
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const UserMfa = sequelize.define("UserMfa", {
+        // Define the attributes for the UserMfa model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            unique: true, // A user has at most one TOTP second factor
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the second factor if the user is deleted
+        },
+        secret: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        enabled: {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false // Only enabled once the user confirms enrollment with a valid code
+        },
+        confirmedAt: {
+            type: Sequelize.DATE,
+            allowNull: true
+        },
+        lastUsedStep: {
+            type: Sequelize.INTEGER,
+            allowNull: true // Time step of the last accepted code, used to reject replays
+        }
+    });
+
+    return UserMfa;
+};
@@ -0,0 +1,62 @@
+/**
+ * @file user_token.model.js
+ * @description This file defines the Sequelize model for the UserTokens table.
+ * 
+ * The UserToken model stores the single-use tokens sent to users in links: email verification, password reset,
+ * email change, invitation and login links, and the challenges of WebAuthn ceremonies. Only a SHA-256 hash of each token is stored, so the tokens cannot be recovered
+ * from the database, and a token is bound to the purpose it was issued for.
+ * 
+ * The attributes of the UserToken model are as follows:
+ * 
+ * - `userId`: An integer field referencing the user the token was issued to. This field is optional, since invitations are sent before the user exists and passkey login challenges are issued before the user is known.
+ * - `purpose`: A string field holding what the token can be used for: `verify_email`, `reset_password`, `email_change`, `email_revert`, `invite`, `magic_link`, `passkey_registration` or `passkey_login`. This field is required.
+ * - `tokenHash`: A string field holding the SHA-256 hash of the token. This field is required and unique.
+ * - `email`: A string field holding the email address the token was sent to or applies to. This field is optional.
+ * - `nonceHash`: A string field holding the SHA-256 hash of the nonce the token is bound to, which must be presented with the token to use it. This field is optional.
+ * - `expiresAt`: A date field specifying when the token expires. This field is required.
+ * - `usedAt`: A date field recording when the token was used. Tokens can only be used once. This field is optional.
+ * 
+ * @module models/user_token
+ */
+
+module.exports = (sequelize, Sequelize) => {
+    const UserToken = sequelize.define("UserTokens", {
+        // Define the attributes for the UserToken model
+        userId: {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'Users', // Reference to the User model
+                key: 'id'
+            },
+            onDelete: 'CASCADE' // Remove the tokens if the user is deleted
+        },
+        purpose: {
+            type: Sequelize.STRING,
+            allowNull: false
+        },
+        tokenHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true
+        },
+        email: {
+            type: Sequelize.STRING,
+            allowNull: true
+        },
+        nonceHash: {
+            type: Sequelize.STRING,
+            allowNull: true // Set for the tokens that can only be used together with the nonce they are bound to
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false
+        },
+        usedAt: {
+            type: Sequelize.DATE,
+            allowNull: true // Set once the token has been used
+        }
+    });
+
+    return UserToken;
+};
@@ -0,0 +1,189 @@
+/**
+ * @file accessToken.route.js
+ * @description This file defines the routes for managing personal access tokens, which scripts and CI jobs use to authenticate
+ * as a user without their password, sent as `Authorization: Bearer <token>` or in the `X-API-Key` header.
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ * 
+ * The routes include:
+ * - **GET /user/tokens**: Lists the personal access tokens of the currently authenticated user. Requires the `profile:read` permission.
+ * - **POST /user/tokens**: Creates a personal access token, returned once. Requires the `profile:write` permission.
+ * - **DELETE /user/tokens/:tokenId**: Revokes a personal access token. Requires the `profile:write` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that token names, scopes, expiry dates and IDs are valid.
+ * 
+ * @module accessToken.route
+ * @requires ../controllers/accessToken.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for personal access token management, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const accessTokenController = require('../controllers/accessToken.controller');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateCreateAccessToken, validateAccessTokenId } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     AccessToken:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 3
+     *         name:
+     *           type: string
+     *           example: CI deployments
+     *         prefix:
+     *           type: string
+     *           description: The first characters of the token, to identify it
+     *           example: pat_Xk3v9QaL
+     *         scopes:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [users:read]
+     *         expiresAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: When the token expires, or `null` if it is valid until revoked
+     *         lastUsedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         lastUsedIp:
+     *           type: string
+     *           nullable: true
+     *           example: 203.0.113.7
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /user/tokens:
+     *   get:
+     *     summary: List personal access tokens
+     *     description: Lists the tokens that have not expired. The tokens themselves are only returned when they are created.
+     *     tags: [Access Token]
+     *     responses:
+     *       200:
+     *         description: Personal access tokens, most recently created first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/AccessToken'
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/tokens', [verifyToken, requirePermission('profile:read')], accessTokenController.listTokens);
+
+    /**
+     * @swagger
+     * /user/tokens:
+     *   post:
+     *     summary: Create a personal access token
+     *     description: >
+     *       Creates a token authenticating as the current user, limited to the given scopes, which must be permissions the user holds
+     *       (see `GET /user/permissions`). Send it as `Authorization: Bearer <token>` or in the `X-API-Key` header.
+     *       The token is only returned in this response. Tokens cannot be created with a personal access token.
+     *     tags: [Access Token]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [name, scopes]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: CI deployments
+     *               scopes:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: [users:read]
+     *               expiresAt:
+     *                 type: string
+     *                 format: date-time
+     *                 description: When the token expires. Without it, the token is valid until revoked.
+     *     responses:
+     *       201:
+     *         description: Token created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/AccessToken'
+     *                 - type: object
+     *                   properties:
+     *                     token:
+     *                       type: string
+     *                       description: The token, shown once
+     *       400:
+     *         description: Invalid input, or scopes the user does not have
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/tokens', [verifyToken, rejectAccessToken('Personal access tokens cannot be created with a personal access token'), requirePermission('profile:write'), validateCreateAccessToken, validationErrorHandler], accessTokenController.createToken);
+
+    /**
+     * @swagger
+     * /user/tokens/{tokenId}:
+     *   delete:
+     *     summary: Revoke a personal access token
+     *     tags: [Access Token]
+     *     parameters:
+     *       - in: path
+     *         name: tokenId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     responses:
+     *       200:
+     *         description: Token revoked
+     *       400:
+     *         description: Invalid token ID
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Token not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/tokens/:tokenId', [validateAccessTokenId, validationErrorHandler, verifyToken, requirePermission('profile:write')], accessTokenController.revokeToken);
+};
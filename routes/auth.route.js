@@ -6,18 +6,29 @@
  * for each route to provide API details and usage instructions.
  * 
  * The routes include:
- * - **POST /login**: Authenticates a user and returns a JWT token.
- * - **POST /signup**: Registers a new user and sends a verification email.
+ * - **POST /login**: Authenticates a user and returns an access token and a refresh token.
+ * - **POST /login/mfa**: Completes a login for a user with two-factor authentication enabled.
+ * - **POST /login/magic-link**: Emails a login link to the user, for logging in without a password.
+ * - **POST /login/magic-link/:token**: Logs a user in with a login link, from the browser that requested it.
+ * - **POST /login/passkey/options**: Starts a login with a passkey.
+ * - **POST /login/passkey**: Logs a user in with a passkey.
+ * - **POST /token**: Issues an access token to a service account for its client credentials (the client credentials grant),
+ *   or tokens to an application for an authorization code of the OpenID Connect provider (the authorization code grant).
+ * - **POST /token/refresh**: Rotates a refresh token and returns a new access token and refresh token.
+ * - **POST /signup**: Registers a new user and sends a verification email, when the signup mode is `open`.
  * - **POST /resend-verification**: Resends the verification email to the user.
  * - **GET /verification/:token**: Verifies the user's email using a token.
+ * - **GET /email-change/confirm/:token**: Confirms a change of email address from the link sent to the new address.
+ * - **GET /email-change/revert/:token**: Reverts a change of email address from the link sent to the previous address.
  * - **GET /verify**: Verifies the user's authentication status.
  * - **POST /forgot-password**: Initiates password reset by sending a reset link to the user.
  * - **POST /reset-password/:token**: Resets the user's password using a token.
- * - **GET /logout**: Logs out the user by invalidating the JWT token.
+ * - **GET /logout**: Logs out the user by invalidating every token issued from the same login, or the personal access token used.
  * 
  * Middleware functions used:
  * - `verifyToken`: Validates the JWT token and attaches user information to the request.
  * - `validationErrorHandler`: Handles validation errors.
+ * - `rateLimit`: Applies the strict authentication rate limit to login, login link, passkey, token, password reset and verification email requests.
  * - Validation functions from `middlewares/validators`: Ensures that request data meets the required formats.
  * 
  * @module auth.route
@@ -32,8 +43,9 @@
  * for the defined routes.
  */
 const authController = require('../controllers/auth.controller');
-const { verifyToken, validationErrorHandler } = require('../middlewares');
-const { validateSignup, validateResendVerification, validateVerificationToken, validateForgotPassword, validateResetPassword, validateLogin } = require('../middlewares/validators');
+const rateLimit_config = require('../config/rateLimit.config');
+const { verifyToken, validationErrorHandler, rateLimit } = require('../middlewares');
+const { validateSignup, validateResendVerification, validateVerificationToken, validateForgotPassword, validateResetPassword, validateLogin, validateMfaLogin, validateMagicLinkRequest, validateMagicLinkLogin, validatePasskeyLogin, validateRefreshToken } = require('../middlewares/validators');
 
 module.exports = function (app) {
     app.use(function (req, res, next) {
@@ -60,12 +72,16 @@ module.exports = function (app) {
      *               username:
      *                 type: string
      *                 example: testuser
+     *               email:
+     *                 type: string
+     *                 description: May be sent instead of `username`. Both are matched case-insensitively.
+     *                 example: test@example.com
      *               password:
      *                 type: string
      *                 example: password123
      *     responses:
      *       200:
-     *         description: Successful login
+     *         description: Successful login, or a two-factor challenge (`mfaRequired`) when 2FA is enabled
      *         content:
      *           application/json:
      *             schema:
@@ -73,20 +89,401 @@ module.exports = function (app) {
      *               properties:
      *                 token:
      *                   type: string
+     *                 refreshToken:
+     *                   type: string
+     *                 mfaRequired:
+     *                   type: boolean
+     *                 mfaToken:
+     *                   type: string
+     *                 passwordExpired:
+     *                   type: boolean
+     *                   description: Present when the password has expired; the tokens then only permit changing the password and logging out
      *       400:
-     *         description: Missing username or password
+     *         description: Missing username/email or password
      *       401:
      *         description: Invalid username or password
+     *       403:
+     *         description: The account is suspended, pending approval, or its registration was rejected
+     *       423:
+     *         description: Account or IP address temporarily locked after too many failed attempts (see `Retry-After`)
+     *       429:
+     *         description: Too many failed attempts or requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Server error
+     */
+    app.post('/login', [rateLimit({ name: 'login', ...rateLimit_config.auth }), validateLogin, validationErrorHandler], authController.login);
+
+    /**
+     * @swagger
+     * /login/mfa:
+     *   post:
+     *     summary: Complete a login with a second factor
+     *     description: Exchanges the `mfaToken` returned by `/login` and a TOTP code (or a one-time recovery code) for tokens.
+     *     tags: [Auth]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               mfaToken:
+     *                 type: string
+     *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+     *               code:
+     *                 type: string
+     *                 example: "123456"
+     *               recoveryCode:
+     *                 type: string
+     *                 example: 3f9a1-c04b2
+     *     responses:
+     *       200:
+     *         description: Successful login
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 token:
+     *                   type: string
+     *                 refreshToken:
+     *                   type: string
+     *       400:
+     *         description: Missing challenge token or code
+     *       401:
+     *         description: Invalid or expired challenge, or invalid code
+     *       423:
+     *         description: Account temporarily locked after too many failed attempts (see `Retry-After`)
+     *       429:
+     *         description: Too many failed attempts or requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Server error
+     */
+    app.post('/login/mfa', [rateLimit({ name: 'login-mfa', ...rateLimit_config.auth }), validateMfaLogin, validationErrorHandler], authController.loginMfa);
+
+    /**
+     * @swagger
+     * /login/magic-link:
+     *   post:
+     *     summary: Request a login link
+     *     description: Emails a single-use login link to the account with this email address, if there is one.
+     *       The response is the same either way. Keep the returned `nonce` in the browser; it is required to use the link.
+     *     tags: [Auth]
+     *     security: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               email:
+     *                 type: string
+     *                 example: test@example.com
+     *     responses:
+     *       200:
+     *         description: A login link was sent if an account has this email address
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                 nonce:
+     *                   type: string
+     *                   description: Binds the link to this browser; send it back with the token from the link
+     *       400:
+     *         description: Invalid email address
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Server error
+     */
+    app.post('/login/magic-link', [rateLimit({ name: 'magic-link', ...rateLimit_config.auth }), validateMagicLinkRequest, validationErrorHandler], authController.requestMagicLink);
+
+    /**
+     * @swagger
+     * /login/magic-link/{token}:
+     *   post:
+     *     summary: Log in with a login link
+     *     description: Exchanges the token from a login link and the `nonce` returned when it was requested for tokens, like `/login`.
+     *       The link can only be used once, and following it marks the email address as verified.
+     *     tags: [Auth]
+     *     security: []
+     *     parameters:
+     *       - name: token
+     *         in: path
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               nonce:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Successful login, or a two-factor challenge (`mfaRequired`) when 2FA is enabled
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 token:
+     *                   type: string
+     *                 refreshToken:
+     *                   type: string
+     *                 mfaRequired:
+     *                   type: boolean
+     *                 mfaToken:
+     *                   type: string
+     *                 passwordExpired:
+     *                   type: boolean
+     *       400:
+     *         description: Invalid, expired or already used link, or a nonce that does not match
+     *       403:
+     *         description: The account is suspended, pending approval, or its registration was rejected
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Server error
+     */
+    app.post('/login/magic-link/:token', [rateLimit({ name: 'magic-link-login', ...rateLimit_config.auth }), validateMagicLinkLogin, validationErrorHandler], authController.loginWithMagicLink);
+
+    /**
+     * @swagger
+     * /login/passkey/options:
+     *   post:
+     *     summary: Start a login with a passkey
+     *     description: Returns the options to pass to `navigator.credentials.get()`, with a base64url encoded challenge that can be answered once, before it expires.
+     *     tags: [Auth]
+     *     security: []
+     *     responses:
+     *       200:
+     *         description: Public key credential request options
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 challenge:
+     *                   type: string
+     *                 rpId:
+     *                   type: string
+     *                 timeout:
+     *                   type: integer
+     *                 userVerification:
+     *                   type: string
+     *                   example: required
+     *                 allowCredentials:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
      *       500:
      *         description: Server error
      */
-    app.post('/login', [validateLogin, validationErrorHandler], authController.login);
+    app.post('/login/passkey/options', [rateLimit({ name: 'passkey-options', ...rateLimit_config.auth })], authController.passkeyLoginOptions);
+
+    /**
+     * @swagger
+     * /login/passkey:
+     *   post:
+     *     summary: Log in with a passkey
+     *     description: Exchanges the credential returned by `navigator.credentials.get()`, its binary values base64url encoded, for tokens.
+     *       The passkey verifies the user, so no second factor is asked for.
+     *     tags: [Auth]
+     *     security: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [credential]
+     *             properties:
+     *               credential:
+     *                 type: object
+     *                 properties:
+     *                   id:
+     *                     type: string
+     *                   response:
+     *                     type: object
+     *                     properties:
+     *                       clientDataJSON:
+     *                         type: string
+     *                       authenticatorData:
+     *                         type: string
+     *                       signature:
+     *                         type: string
+     *                       userHandle:
+     *                         type: string
+     *     responses:
+     *       200:
+     *         description: Successful login
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 token:
+     *                   type: string
+     *                 refreshToken:
+     *                   type: string
+     *                 passwordExpired:
+     *                   type: boolean
+     *       400:
+     *         description: Invalid input
+     *       401:
+     *         description: Unknown passkey, invalid signature, or an invalid, expired or already answered challenge
+     *       403:
+     *         description: The account is suspended, pending approval, or its registration was rejected
+     *       423:
+     *         description: IP address temporarily locked after too many failed attempts (see `Retry-After`)
+     *       429:
+     *         description: Too many failed attempts or requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Server error
+     */
+    app.post('/login/passkey', [rateLimit({ name: 'passkey-login', ...rateLimit_config.auth }), validatePasskeyLogin, validationErrorHandler], authController.loginWithPasskey);
+
+    /**
+     * @swagger
+     * /token:
+     *   post:
+     *     summary: Obtain an access token for a service account or an application
+     *     description: >
+     *       The OAuth 2.0 token endpoint. With the client credentials grant, the client ID and secret of a service account
+     *       (see `POST /service-accounts`) are sent in an HTTP Basic `Authorization` header or as `client_id` and `client_secret`,
+     *       and the access token expires after `JWT_SERVICE_TOKEN_EXPIRES_IN`. With the authorization code grant, an application
+     *       registered with the OpenID Connect provider (see `POST /oauth-clients`) exchanges the code from `/authorize`, with the
+     *       `redirect_uri` of the request and the PKCE `code_verifier`, for an access token usable at `/userinfo` and an ID token.
+     *       Public clients send only `client_id`. No refresh token is issued.
+     *     tags: [Auth]
+     *     security: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/x-www-form-urlencoded:
+     *           schema:
+     *             $ref: '#/components/schemas/TokenRequest'
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/TokenRequest'
+     *     responses:
+     *       200:
+     *         description: Access token issued
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 access_token:
+     *                   type: string
+     *                 token_type:
+     *                   type: string
+     *                   example: Bearer
+     *                 expires_in:
+     *                   type: integer
+     *                   description: Seconds until the token expires
+     *                   example: 900
+     *                 id_token:
+     *                   type: string
+     *                   description: The ID token, with the authorization code grant
+     *                 scope:
+     *                   type: string
+     *                   description: The granted scopes, with the authorization code grant
+     *                   example: openid profile email
+     *       400:
+     *         description: >
+     *           Unsupported grant type (`unsupported_grant_type`), missing parameters (`invalid_request`), or an invalid, expired or
+     *           already used authorization code, redirect URI or code verifier (`invalid_grant`)
+     *       401:
+     *         description: Invalid client credentials (`invalid_client`)
+     *       403:
+     *         description: The service account is suspended (`unauthorized_client`)
+     *       429:
+     *         description: Too many requests
+     *       500:
+     *         description: Internal server error
+     * components:
+     *   schemas:
+     *     TokenRequest:
+     *       type: object
+     *       required: [grant_type]
+     *       properties:
+     *         grant_type:
+     *           type: string
+     *           enum: [client_credentials, authorization_code]
+     *         client_id:
+     *           type: string
+     *           example: svc_3f9a0c1e2b4d5a6f7e8d9c0b
+     *         client_secret:
+     *           type: string
+     *         code:
+     *           type: string
+     *           description: The authorization code, with the authorization code grant
+     *         redirect_uri:
+     *           type: string
+     *           description: The redirect URI of the authorization request, with the authorization code grant
+     *         code_verifier:
+     *           type: string
+     *           description: The PKCE code verifier, with the authorization code grant
+     */
+    app.post('/token', [rateLimit({ name: 'token', ...rateLimit_config.auth })], authController.token);
+
+    /**
+     * @swagger
+     * /token/refresh:
+     *   post:
+     *     summary: Exchange a refresh token for a new token pair
+     *     description: The refresh token is rotated on every use. Presenting an already used refresh token revokes every token issued from the same login.
+     *     tags: [Auth]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               refreshToken:
+     *                 type: string
+     *                 example: eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9...
+     *     responses:
+     *       200:
+     *         description: Tokens refreshed successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 token:
+     *                   type: string
+     *                 refreshToken:
+     *                   type: string
+     *       400:
+     *         description: Missing refresh token
+     *       401:
+     *         description: Invalid, expired or reused refresh token
+     *       500:
+     *         description: Server error
+     */
+    app.post('/token/refresh', [validateRefreshToken, validationErrorHandler], authController.refreshToken);
 
     /**
      * @swagger
      * /signup:
      *   post:
      *     summary: Sign up a new user
+     *     description: >
+     *       The password must comply with the password policy (see `GET /password/policy`); every rule it fails is reported.
+     *       Only available when the signup mode is `open`; otherwise people join by accepting an invitation.
      *     tags: [Auth]
      *     requestBody:
      *       required: true
@@ -117,7 +514,9 @@ module.exports = function (app) {
      *                 token:
      *                   type: string
      *       400:
-     *         description: Missing username, email, or password
+     *         description: Missing username, email, or password, or the username or email is already registered
+     *       403:
+     *         description: Signup is by invitation only, or disabled
      *       500:
      *         description: Internal server error
      */
@@ -146,10 +545,12 @@ module.exports = function (app) {
      *         description: User is already verified or missing email
      *       404:
      *         description: User not found
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
      *       500:
      *         description: Internal server error
      */
-    app.post('/resend-verification', [validateResendVerification, validationErrorHandler], authController.resendVerificationEmail);
+    app.post('/resend-verification', [rateLimit({ name: 'resend-verification', ...rateLimit_config.auth }), validateResendVerification, validationErrorHandler], authController.resendVerificationEmail);
 
     /**
      * @swagger
@@ -174,6 +575,56 @@ module.exports = function (app) {
      */
     app.get('/verification/:token', [validateVerificationToken, validationErrorHandler], authController.verification);
 
+    /**
+     * @swagger
+     * /email-change/confirm/{token}:
+     *   get:
+     *     summary: Confirm a new email address
+     *     description: Replaces the user's email with the pending email the link was sent to.
+     *     tags: [Auth]
+     *     parameters:
+     *       - in: path
+     *         name: token
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Email changed successfully
+     *       400:
+     *         description: Invalid or expired email change link
+     *       409:
+     *         description: Email is already registered
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/email-change/confirm/:token', [validateVerificationToken, validationErrorHandler], authController.confirmEmailChange);
+
+    /**
+     * @swagger
+     * /email-change/revert/{token}:
+     *   get:
+     *     summary: Revert a change of email address
+     *     description: Cancels a pending change or restores the previous email address, and signs out every session of the account.
+     *     tags: [Auth]
+     *     parameters:
+     *       - in: path
+     *         name: token
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Email change reverted
+     *       400:
+     *         description: Invalid or expired email revert link
+     *       409:
+     *         description: The previous email has since been registered by another account
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/email-change/revert/:token', [validateVerificationToken, validationErrorHandler], authController.revertEmailChange);
+
     /**
      * @swagger
      * /verify:
@@ -211,16 +662,21 @@ module.exports = function (app) {
      *         description: Password reset email sent successfully
      *       404:
      *         description: User not found
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
      *       500:
      *         description: Internal server error
      */
-    app.post('/forgot-password', [validateForgotPassword, validationErrorHandler], authController.forgotPassword);
+    app.post('/forgot-password', [rateLimit({ name: 'forgot-password', ...rateLimit_config.auth }), validateForgotPassword, validationErrorHandler], authController.forgotPassword);
 
     /**
      * @swagger
      * /reset-password/{token}:
      *   post:
      *     summary: Reset user password
+     *     description: >
+     *       The password must comply with the password policy (see `GET /password/policy`); every rule it fails is reported.
+     *       Every session of the user is signed out, and the user is notified by email.
      *     tags: [Auth]
      *     parameters:
      *       - in: path
@@ -254,6 +710,7 @@ module.exports = function (app) {
      * /logout:
      *   get:
      *     summary: Logout user
+     *     description: Revokes every token issued from the same login, or the personal access token the request was made with.
      *     tags: [Auth]
      *     responses:
      *       200:
@@ -261,5 +718,5 @@ module.exports = function (app) {
      *       500:
      *         description: Internal server error
      */
-    app.get('/logout', [verifyToken], authController.logout);
+    app.get('/logout', [verifyToken.allowExpiredPassword], authController.logout);
 }
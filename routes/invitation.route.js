@@ -0,0 +1,269 @@
+/**
+ * @file invitation.route.js
+ * @description This file defines the routes for invitations, through which administrators create accounts for people
+ * on deployments that do not let everyone sign up.
+ * It uses middleware for token verification, permission-based authorization, rate limiting, and request validation.
+ * 
+ * The routes include:
+ * - **GET /invitations**: Lists invitations, optionally filtered by status. Requires the `invitations:read` permission.
+ * - **POST /invitations**: Invites an email address with the roles the account will be given. Requires the `invitations:write` permission,
+ *   and the `roles:assign` permission for other roles than `user`.
+ * - **DELETE /invitations/:invitationId**: Revokes a pending invitation. Requires the `invitations:write` permission.
+ * - **POST /accept-invitation/:token**: Creates the account of an invitee, who chooses their username and password.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `rateLimit`: Applies the strict authentication rate limit to accepting invitations.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that invitation IDs, email addresses, roles, usernames and passwords are valid.
+ * 
+ * @module invitation.route
+ * @requires ../controllers/invitation.controller
+ * @requires ../config/rateLimit.config
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for invitations, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const invitationController = require('../controllers/invitation.controller');
+const rateLimit_config = require('../config/rateLimit.config');
+const { verifyToken, requirePermission, validationErrorHandler, rateLimit } = require('../middlewares');
+const { validateListInvitations, validateCreateInvitation, validateInvitationId, validateAcceptInvitation } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Invitation:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 4
+     *         email:
+     *           type: string
+     *           example: bob@example.com
+     *         roles:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [user]
+     *         status:
+     *           type: string
+     *           enum: [pending, accepted, revoked, expired]
+     *         invitedBy:
+     *           type: integer
+     *           nullable: true
+     *           description: The administrator who sent the invitation
+     *         userId:
+     *           type: integer
+     *           nullable: true
+     *           description: The account created by accepting the invitation
+     *         expiresAt:
+     *           type: string
+     *           format: date-time
+     *         acceptedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         revokedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /invitations:
+     *   get:
+     *     summary: List invitations
+     *     tags: [Invitation]
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, accepted, revoked, expired]
+     *     responses:
+     *       200:
+     *         description: One page of invitations, most recently sent first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 invitations:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/Invitation'
+     *                 pagination:
+     *                   type: object
+     *                   properties:
+     *                     page:
+     *                       type: integer
+     *                     limit:
+     *                       type: integer
+     *                     total:
+     *                       type: integer
+     *                     totalPages:
+     *                       type: integer
+     *       400:
+     *         description: Invalid query parameters
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/invitations', [validateListInvitations, validationErrorHandler, verifyToken, requirePermission('invitations:read')], invitationController.listInvitations);
+
+    /**
+     * @swagger
+     * /invitations:
+     *   post:
+     *     summary: Invite someone to create an account
+     *     description: >
+     *       Emails an invitation link to the address, with which the invitee chooses their username and password.
+     *       The account is given the listed roles, `user` by default; other roles also require the `roles:assign` permission.
+     *       Inviting an address again revokes the invitation sent to it before.
+     *     tags: [Invitation]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [email]
+     *             properties:
+     *               email:
+     *                 type: string
+     *                 example: bob@example.com
+     *               roles:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: [user]
+     *     responses:
+     *       201:
+     *         description: Invitation sent
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Invitation'
+     *       400:
+     *         description: Invalid input or unknown role
+     *       403:
+     *         description: Insufficient permissions, including `roles:assign` for other roles than `user`, or signup is disabled
+     *       409:
+     *         description: Email is already in use
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/invitations', [validateCreateInvitation, validationErrorHandler, verifyToken, requirePermission('invitations:write')], invitationController.createInvitation);
+
+    /**
+     * @swagger
+     * /invitations/{invitationId}:
+     *   delete:
+     *     summary: Revoke an invitation
+     *     tags: [Invitation]
+     *     parameters:
+     *       - in: path
+     *         name: invitationId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 4
+     *     responses:
+     *       200:
+     *         description: Invitation revoked
+     *       400:
+     *         description: Invalid invitation ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Invitation not found
+     *       409:
+     *         description: Invitation is no longer pending
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/invitations/:invitationId', [validateInvitationId, validationErrorHandler, verifyToken, requirePermission('invitations:write')], invitationController.revokeInvitation);
+
+    /**
+     * @swagger
+     * /accept-invitation/{token}:
+     *   post:
+     *     summary: Accept an invitation
+     *     description: >
+     *       Creates the account of the invitee, with the invited email address (already verified) and the roles of the invitation.
+     *       The password must comply with the password policy (see `GET /password/policy`); every rule it fails is reported.
+     *     tags: [Invitation]
+     *     security: []
+     *     parameters:
+     *       - in: path
+     *         name: token
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [username, password]
+     *             properties:
+     *               username:
+     *                 type: string
+     *                 example: bob
+     *               password:
+     *                 type: string
+     *                 example: S3cure!passphrase
+     *               name:
+     *                 type: string
+     *                 example: Bob
+     *     responses:
+     *       201:
+     *         description: Account created
+     *       400:
+     *         description: Invalid input, or invalid or expired invitation
+     *       403:
+     *         description: Signup is disabled
+     *       409:
+     *         description: Username or email is already in use
+     *       429:
+     *         description: Too many requests
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/accept-invitation/:token', [rateLimit({ name: 'accept-invitation', ...rateLimit_config.auth }), validateAcceptInvitation, validationErrorHandler], invitationController.acceptInvitation);
+};
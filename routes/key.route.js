@@ -0,0 +1,102 @@
+/**
+ * @file key.route.js
+ * @description This file defines the routes related to the keys that sign access and refresh tokens,
+ * including publishing the public keys and rotating the signing key.
+ * It uses middleware for token verification and permission-based authorization.
+ * 
+ * The routes include:
+ * - **GET /.well-known/jwks.json**: Publishes the public keys as a JSON Web Key Set. Public, so other services can validate tokens.
+ * - **POST /keys/rotate**: Rotates the signing key. Requires the `keys:rotate` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * 
+ * @module key.route
+ * @requires ../controllers/key.controller
+ * @requires ../middlewares
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for signing key management and sets up Swagger documentation for the defined routes.
+ */
+const keyController = require('../controllers/key.controller');
+const { verifyToken, requirePermission } = require('../middlewares');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * /.well-known/jwks.json:
+     *   get:
+     *     summary: Get the public keys used to verify tokens
+     *     description: Returns a JSON Web Key Set. Tokens name their signing key in the `kid` header.
+     *     tags: [Keys]
+     *     responses:
+     *       200:
+     *         description: JSON Web Key Set
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 keys:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       kty:
+     *                         type: string
+     *                         example: RSA
+     *                       kid:
+     *                         type: string
+     *                       alg:
+     *                         type: string
+     *                         example: RS256
+     *                       use:
+     *                         type: string
+     *                         example: sig
+     *                       n:
+     *                         type: string
+     *                       e:
+     *                         type: string
+     *                         example: AQAB
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/.well-known/jwks.json', keyController.getJwks);
+
+    /**
+     * @swagger
+     * /keys/rotate:
+     *   post:
+     *     summary: Rotate the signing key
+     *     description: Generates a new signing key. The previous key stops signing tokens but keeps verifying them until they expire.
+     *     tags: [Keys]
+     *     responses:
+     *       200:
+     *         description: Signing key rotated
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                   example: Signing key rotated
+     *                 kid:
+     *                   type: string
+     *       403:
+     *         description: Unauthorized access
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/keys/rotate', [verifyToken, requirePermission('keys:rotate')], keyController.rotateKeys);
+};
@@ -0,0 +1,220 @@
+/**
+ * @file mfa.route.js
+ * @description This file defines the routes for managing TOTP two-factor authentication (2FA) for the authenticated user,
+ * including enrollment, confirmation, recovery code regeneration, and disabling 2FA.
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ * 
+ * The routes include:
+ * - **GET /user/2fa**: Retrieves the 2FA status of the currently authenticated user. Requires the `profile:read` permission.
+ * - **POST /user/2fa/enroll**: Starts enrollment and returns a TOTP secret and `otpauth://` URI. Requires the `profile:write` permission.
+ * - **POST /user/2fa/confirm**: Confirms enrollment with a TOTP code, enables 2FA and returns recovery codes. Requires the `profile:write` permission.
+ * - **POST /user/2fa/recovery-codes**: Replaces the recovery codes of the currently authenticated user. Requires the `profile:write` permission.
+ * - **DELETE /user/2fa**: Disables 2FA after re-confirming the user's password. Requires the `profile:write` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that TOTP codes and passwords are provided.
+ * 
+ * @module mfa.route
+ * @requires ../controllers/mfa.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for two-factor authentication management, including middleware for token verification, permission-based
+ * access control, and validation.
+ * Ensures that all routes require a valid token and includes Swagger documentation for the defined routes.
+ */
+const mfaController = require('../controllers/mfa.controller');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateMfaCode, validateMfaDisable } = require('../middlewares/validators');
+
+// A leaked personal access token must not be able to replace or remove the second factor
+const rejectMfaAccessToken = rejectAccessToken('Two-factor authentication cannot be managed with a personal access token');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * /user/2fa:
+     *   get:
+     *     summary: Get two-factor authentication status
+     *     tags: [2FA]
+     *     responses:
+     *       200:
+     *         description: Successfully retrieved 2FA status
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 enabled:
+     *                   type: boolean
+     *                 confirmedAt:
+     *                   type: string
+     *                   format: date-time
+     *                 recoveryCodesRemaining:
+     *                   type: integer
+     *                   example: 10
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/2fa', [verifyToken, requirePermission('profile:read')], mfaController.getStatus);
+
+    /**
+     * @swagger
+     * /user/2fa/enroll:
+     *   post:
+     *     summary: Start two-factor enrollment
+     *     tags: [2FA]
+     *     responses:
+     *       200:
+     *         description: TOTP secret generated
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 secret:
+     *                   type: string
+     *                   example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+     *                 otpauthUri:
+     *                   type: string
+     *                   example: otpauth://totp/express-sequelize-api:test%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=express-sequelize-api
+     *       400:
+     *         description: Two-factor authentication is already enabled
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/2fa/enroll', [verifyToken, rejectMfaAccessToken, requirePermission('profile:write')], mfaController.enroll);
+
+    /**
+     * @swagger
+     * /user/2fa/confirm:
+     *   post:
+     *     summary: Confirm two-factor enrollment
+     *     tags: [2FA]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               code:
+     *                 type: string
+     *                 example: "123456"
+     *     responses:
+     *       200:
+     *         description: Two-factor authentication enabled, recovery codes returned
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                 recoveryCodes:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                     example: 3f9a1-c04b2
+     *       400:
+     *         description: Invalid code, or enrollment not started or already confirmed
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/2fa/confirm', [verifyToken, rejectMfaAccessToken, requirePermission('profile:write'), validateMfaCode, validationErrorHandler], mfaController.confirm);
+
+    /**
+     * @swagger
+     * /user/2fa/recovery-codes:
+     *   post:
+     *     summary: Regenerate recovery codes
+     *     tags: [2FA]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               code:
+     *                 type: string
+     *                 example: "123456"
+     *     responses:
+     *       200:
+     *         description: New recovery codes returned
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 recoveryCodes:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *       400:
+     *         description: Invalid code or two-factor authentication not enabled
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/2fa/recovery-codes', [verifyToken, rejectMfaAccessToken, requirePermission('profile:write'), validateMfaCode, validationErrorHandler], mfaController.regenerateRecoveryCodes);
+
+    /**
+     * @swagger
+     * /user/2fa:
+     *   delete:
+     *     summary: Disable two-factor authentication
+     *     tags: [2FA]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               password:
+     *                 type: string
+     *                 example: password123
+     *     responses:
+     *       200:
+     *         description: Two-factor authentication disabled
+     *       400:
+     *         description: Incorrect password or two-factor authentication not enabled
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/2fa', [verifyToken, rejectMfaAccessToken, requirePermission('profile:write'), validateMfaDisable, validationErrorHandler], mfaController.disable);
+};
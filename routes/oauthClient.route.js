@@ -0,0 +1,304 @@
+/**
+ * @file oauthClient.route.js
+ * @description This file defines the routes for managing OAuth clients, the applications that log their users in with the
+ * OpenID Connect provider (see `oidc.route.js`).
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ *
+ * The routes include:
+ * - **GET /oauth-clients**: Lists the registered applications. Requires the `oauth-clients:read` permission.
+ * - **POST /oauth-clients**: Registers an application and returns its client secret once. Requires the `oauth-clients:write` permission.
+ * - **GET /oauth-clients/:oauthClientId**: Retrieves an application. Requires the `oauth-clients:read` permission.
+ * - **PUT /oauth-clients/:oauthClientId**: Updates the name, redirect URIs or scopes of an application. Requires the `oauth-clients:write` permission.
+ * - **POST /oauth-clients/:oauthClientId/secret**: Rotates the client secret of an application. Requires the `oauth-clients:write` permission.
+ * - **DELETE /oauth-clients/:oauthClientId**: Deletes an application. Requires the `oauth-clients:write` permission.
+ *
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that client IDs, names, redirect URIs and scopes are valid.
+ *
+ * @module oauthClient.route
+ * @requires ../controllers/oauthClient.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ *
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for OAuth client management, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const oauthClientController = require('../controllers/oauthClient.controller');
+const { verifyToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateCreateOAuthClient, validateUpdateOAuthClient, validateOAuthClientId } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     OAuthClient:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 3
+     *         clientId:
+     *           type: string
+     *           example: app_3f9a0c1e2b4d5a6f7e8d9c0b
+     *         name:
+     *           type: string
+     *           example: Wiki
+     *         confidential:
+     *           type: boolean
+     *           description: Whether the application authenticates with a client secret; public clients rely on PKCE alone
+     *         redirectUris:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [https://wiki.example.com/callback]
+     *         scopes:
+     *           type: array
+     *           items:
+     *             type: string
+     *             enum: [openid, profile, email, phone]
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /oauth-clients:
+     *   get:
+     *     summary: List OAuth clients
+     *     tags: [OAuth Client]
+     *     responses:
+     *       200:
+     *         description: Applications, most recently registered first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/OAuthClient'
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/oauth-clients', [verifyToken, requirePermission('oauth-clients:read')], oauthClientController.listClients);
+
+    /**
+     * @swagger
+     * /oauth-clients:
+     *   post:
+     *     summary: Register an OAuth client
+     *     description: >
+     *       Registers an application that logs its users in with the OpenID Connect provider. Redirect URIs are compared exactly.
+     *       Without `scopes`, every scope may be requested; `openid` is always allowed. Confidential clients get a client secret,
+     *       only returned in this response; set `confidential` to `false` for single-page and mobile apps, which cannot keep a secret.
+     *     tags: [OAuth Client]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [name, redirectUris]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: Wiki
+     *               redirectUris:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: [https://wiki.example.com/callback]
+     *               scopes:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                   enum: [openid, profile, email, phone]
+     *               confidential:
+     *                 type: boolean
+     *                 default: true
+     *     responses:
+     *       201:
+     *         description: OAuth client registered
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/OAuthClient'
+     *                 - type: object
+     *                   properties:
+     *                     clientSecret:
+     *                       type: string
+     *                       description: The client secret of a confidential client, shown once
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/oauth-clients', [verifyToken, requirePermission('oauth-clients:write'), validateCreateOAuthClient, validationErrorHandler], oauthClientController.createClient);
+
+    /**
+     * @swagger
+     * /oauth-clients/{oauthClientId}:
+     *   get:
+     *     summary: Get an OAuth client
+     *     tags: [OAuth Client]
+     *     parameters:
+     *       - in: path
+     *         name: oauthClientId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     responses:
+     *       200:
+     *         description: The OAuth client
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/OAuthClient'
+     *       400:
+     *         description: Invalid OAuth client ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: OAuth client not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/oauth-clients/:oauthClientId', [validateOAuthClientId, validationErrorHandler, verifyToken, requirePermission('oauth-clients:read')], oauthClientController.getClient);
+
+    /**
+     * @swagger
+     * /oauth-clients/{oauthClientId}:
+     *   put:
+     *     summary: Update an OAuth client
+     *     description: Updates the name, redirect URIs or scopes. Consents users already gave are kept.
+     *     tags: [OAuth Client]
+     *     parameters:
+     *       - in: path
+     *         name: oauthClientId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               name:
+     *                 type: string
+     *               redirectUris:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *               scopes:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                   enum: [openid, profile, email, phone]
+     *     responses:
+     *       200:
+     *         description: OAuth client updated
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/OAuthClient'
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: OAuth client not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.put('/oauth-clients/:oauthClientId', [validateUpdateOAuthClient, validationErrorHandler, verifyToken, requirePermission('oauth-clients:write')], oauthClientController.updateClient);
+
+    /**
+     * @swagger
+     * /oauth-clients/{oauthClientId}/secret:
+     *   post:
+     *     summary: Rotate the client secret of an OAuth client
+     *     description: Issues a new client secret to a confidential client, returned once. The previous secret stops working.
+     *     tags: [OAuth Client]
+     *     parameters:
+     *       - in: path
+     *         name: oauthClientId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     responses:
+     *       200:
+     *         description: The client ID and the new client secret
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 clientId:
+     *                   type: string
+     *                 clientSecret:
+     *                   type: string
+     *       400:
+     *         description: Invalid OAuth client ID, or the client is a public client
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: OAuth client not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/oauth-clients/:oauthClientId/secret', [validateOAuthClientId, validationErrorHandler, verifyToken, requirePermission('oauth-clients:write')], oauthClientController.rotateSecret);
+
+    /**
+     * @swagger
+     * /oauth-clients/{oauthClientId}:
+     *   delete:
+     *     summary: Delete an OAuth client
+     *     description: Deletes the application and the consents users gave it, which revokes the access tokens it was issued.
+     *     tags: [OAuth Client]
+     *     parameters:
+     *       - in: path
+     *         name: oauthClientId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     responses:
+     *       200:
+     *         description: OAuth client deleted
+     *       400:
+     *         description: Invalid OAuth client ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: OAuth client not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/oauth-clients/:oauthClientId', [validateOAuthClientId, validationErrorHandler, verifyToken, requirePermission('oauth-clients:write')], oauthClientController.deleteClient);
+};
@@ -0,0 +1,376 @@
+/**
+ * @file oidc.route.js
+ * @description This file defines the routes of the OpenID Connect provider, through which other applications log their users in
+ * with their account on this API. Applications exchange authorization codes for tokens at `POST /token` (see `auth.route.js`),
+ * and are registered by administrators (see `oauthClient.route.js`).
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ *
+ * The routes include:
+ * - **GET /.well-known/openid-configuration**: Publishes the configuration of the provider. Public.
+ * - **GET /authorize**: Checks an authorization request for the currently authenticated user, and issues a code if they already consented. Requires the `profile:read` permission.
+ * - **POST /authorize**: Approves or denies an authorization request. Requires the `profile:read` permission.
+ * - **GET /userinfo** and **POST /userinfo**: Returns the claims about the user an application's access token was issued for.
+ * - **GET /user/oauth-consents**: Lists the applications the currently authenticated user consented to. Requires the `profile:read` permission.
+ * - **DELETE /user/oauth-consents/:consentId**: Revokes the consent given to an application. Requires the `profile:write` permission.
+ *
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that authorization requests and consent IDs are valid.
+ *
+ * @module oidc.route
+ * @requires ../controllers/oidc.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ *
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures the routes of the OpenID Connect provider, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const oidcController = require('../controllers/oidc.controller');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateAuthorizationRequest, validateAuthorizationDecision, validateConsentId } = require('../middlewares/validators');
+
+const rejectOidcAccessToken = rejectAccessToken('Applications cannot be authorized with a personal access token');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     AuthorizationRedirect:
+     *       type: object
+     *       properties:
+     *         redirectTo:
+     *           type: string
+     *           description: Where to send the user back to the application, with a `code` or an `error`, and the `state`
+     *           example: https://app.example.com/callback?code=Zq3x...&state=af0ifjsldkj
+     *     UserClaims:
+     *       type: object
+     *       properties:
+     *         sub:
+     *           type: string
+     *           example: "42"
+     *         name:
+     *           type: string
+     *           example: Bob Smith
+     *         preferred_username:
+     *           type: string
+     *           example: bob
+     *         updated_at:
+     *           type: integer
+     *           example: 1760832000
+     *         email:
+     *           type: string
+     *           example: bob@example.com
+     *         email_verified:
+     *           type: boolean
+     *         phone_number:
+     *           type: string
+     *           example: "+15555550123"
+     */
+
+    /**
+     * @swagger
+     * /.well-known/openid-configuration:
+     *   get:
+     *     summary: Get the OpenID Connect provider configuration
+     *     description: The discovery document applications configure themselves with. ID tokens are signed with the keys at `jwks_uri`.
+     *     tags: [OpenID Connect]
+     *     security: []
+     *     responses:
+     *       200:
+     *         description: Provider configuration
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 issuer:
+     *                   type: string
+     *                   example: https://id.example.com
+     *                 authorization_endpoint:
+     *                   type: string
+     *                 token_endpoint:
+     *                   type: string
+     *                 userinfo_endpoint:
+     *                   type: string
+     *                 jwks_uri:
+     *                   type: string
+     *                 scopes_supported:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                 code_challenge_methods_supported:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                   example: [S256]
+     */
+    app.get('/.well-known/openid-configuration', oidcController.getConfiguration);
+
+    /**
+     * @swagger
+     * /authorize:
+     *   get:
+     *     summary: Check an authorization request
+     *     description: >
+     *       Called by the authorization page of the web app with the query parameters an application sent the user with, on behalf
+     *       of the logged in user. If the user already consented to the requested scopes, an authorization code is issued and the
+     *       redirect back to the application is returned. Otherwise the application and the scopes to ask the user about are
+     *       returned, and the decision is sent to `POST /authorize`. Problems with a request from a registered application and
+     *       redirect URI are reported to the application in the redirect. PKCE with the `S256` method is required.
+     *     tags: [OpenID Connect]
+     *     parameters:
+     *       - in: query
+     *         name: response_type
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [code]
+     *       - in: query
+     *         name: client_id
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: app_3f9a0c1e2b4d5a6f7e8d9c0b
+     *       - in: query
+     *         name: redirect_uri
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: https://app.example.com/callback
+     *       - in: query
+     *         name: scope
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: openid profile email
+     *       - in: query
+     *         name: code_challenge
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: code_challenge_method
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [S256]
+     *       - in: query
+     *         name: state
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: nonce
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: prompt
+     *         schema:
+     *           type: string
+     *           enum: [none, consent]
+     *     responses:
+     *       200:
+     *         description: The redirect back to the application, or the consent to ask the user for
+     *         content:
+     *           application/json:
+     *             schema:
+     *               oneOf:
+     *                 - $ref: '#/components/schemas/AuthorizationRedirect'
+     *                 - type: object
+     *                   properties:
+     *                     consentRequired:
+     *                       type: boolean
+     *                       example: true
+     *                     client:
+     *                       type: object
+     *                       properties:
+     *                         clientId:
+     *                           type: string
+     *                         name:
+     *                           type: string
+     *                           example: Wiki
+     *                     scopes:
+     *                       type: array
+     *                       items:
+     *                         type: string
+     *                       example: [openid, profile, email]
+     *       400:
+     *         description: Unknown client or unregistered redirect URI (`invalid_request`)
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/authorize', [validateAuthorizationRequest, validationErrorHandler, verifyToken, rejectOidcAccessToken, requirePermission('profile:read')], oidcController.authorize);
+
+    /**
+     * @swagger
+     * /authorize:
+     *   post:
+     *     summary: Approve or deny an authorization request
+     *     description: >
+     *       Sent by the authorization page of the web app with the parameters of the request and the user's decision. When approved,
+     *       the consent is recorded and an authorization code is issued; when denied, the application receives `access_denied`.
+     *     tags: [OpenID Connect]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [response_type, client_id, redirect_uri, scope, code_challenge, code_challenge_method, approve]
+     *             properties:
+     *               response_type:
+     *                 type: string
+     *                 enum: [code]
+     *               client_id:
+     *                 type: string
+     *               redirect_uri:
+     *                 type: string
+     *               scope:
+     *                 type: string
+     *                 example: openid profile email
+     *               code_challenge:
+     *                 type: string
+     *               code_challenge_method:
+     *                 type: string
+     *                 enum: [S256]
+     *               state:
+     *                 type: string
+     *               nonce:
+     *                 type: string
+     *               approve:
+     *                 type: boolean
+     *     responses:
+     *       200:
+     *         description: The redirect back to the application
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/AuthorizationRedirect'
+     *       400:
+     *         description: Invalid input, unknown client or unregistered redirect URI
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/authorize', [verifyToken, rejectOidcAccessToken, requirePermission('profile:read'), validateAuthorizationDecision, validationErrorHandler], oidcController.decideAuthorization);
+
+    /**
+     * @swagger
+     * /userinfo:
+     *   get:
+     *     summary: Get the claims about the user of an application's access token
+     *     description: >
+     *       Accepts only the access tokens issued to applications at `POST /token` with the authorization code grant. The claims
+     *       returned depend on the scopes granted: `sub` for `openid`, `name`, `preferred_username` and `updated_at` for `profile`,
+     *       `email` and `email_verified` for `email`, and `phone_number` for `phone`. Also available with `POST`.
+     *     tags: [OpenID Connect]
+     *     responses:
+     *       200:
+     *         description: The claims
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/UserClaims'
+     *       401:
+     *         description: Missing, invalid, expired or revoked token (`invalid_token`)
+     *       403:
+     *         description: The token was not granted the `openid` scope (`insufficient_scope`)
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/userinfo', oidcController.getUserInfo);
+    app.post('/userinfo', oidcController.getUserInfo);
+
+    /**
+     * @swagger
+     * /user/oauth-consents:
+     *   get:
+     *     summary: List the applications you consented to
+     *     tags: [OpenID Connect]
+     *     responses:
+     *       200:
+     *         description: Consents, most recently granted first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   id:
+     *                     type: integer
+     *                   client:
+     *                     type: object
+     *                     properties:
+     *                       clientId:
+     *                         type: string
+     *                       name:
+     *                         type: string
+     *                   scopes:
+     *                     type: array
+     *                     items:
+     *                       type: string
+     *                   createdAt:
+     *                     type: string
+     *                     format: date-time
+     *                   updatedAt:
+     *                     type: string
+     *                     format: date-time
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/oauth-consents', [verifyToken, requirePermission('profile:read')], oidcController.listConsents);
+
+    /**
+     * @swagger
+     * /user/oauth-consents/{consentId}:
+     *   delete:
+     *     summary: Revoke the consent given to an application
+     *     description: The access tokens the application was issued stop working, and it must ask for consent again.
+     *     tags: [OpenID Connect]
+     *     parameters:
+     *       - in: path
+     *         name: consentId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Consent revoked
+     *       400:
+     *         description: Invalid consent ID
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Consent not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/oauth-consents/:consentId', [validateConsentId, validationErrorHandler, verifyToken, requirePermission('profile:write')], oidcController.revokeConsent);
+};
@@ -0,0 +1,270 @@
+/**
+ * @file passkey.route.js
+ * @description This file defines the routes for managing passkeys, the WebAuthn credentials users log in with instead of a password.
+ * Logging in with a passkey is done with `POST /login/passkey/options` and `POST /login/passkey` (see `auth.route.js`).
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ * 
+ * The routes include:
+ * - **GET /user/passkeys**: Lists the passkeys of the currently authenticated user. Requires the `profile:read` permission.
+ * - **POST /user/passkeys/options**: Starts the registration of a passkey. Requires the `profile:write` permission.
+ * - **POST /user/passkeys**: Completes the registration of a passkey. Requires the `profile:write` permission.
+ * - **PUT /user/passkeys/:passkeyId**: Renames a passkey. Requires the `profile:write` permission.
+ * - **DELETE /user/passkeys/:passkeyId**: Removes a passkey. Requires the `profile:write` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that credentials, names and IDs are valid.
+ * 
+ * @module passkey.route
+ * @requires ../controllers/passkey.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for passkey management, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const passkeyController = require('../controllers/passkey.controller');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateRegisterPasskey, validateRenamePasskey, validatePasskeyId } = require('../middlewares/validators');
+
+// A leaked personal access token must not be able to turn into a passkey that survives its revocation
+const rejectPasskeyAccessToken = rejectAccessToken('Passkeys cannot be registered with a personal access token');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Passkey:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 2
+     *         name:
+     *           type: string
+     *           example: MacBook Touch ID
+     *         transports:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [internal, hybrid]
+     *         lastUsedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /user/passkeys:
+     *   get:
+     *     summary: List passkeys
+     *     tags: [Passkey]
+     *     responses:
+     *       200:
+     *         description: Passkeys, most recently registered first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Passkey'
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/passkeys', [verifyToken, requirePermission('profile:read')], passkeyController.listPasskeys);
+
+    /**
+     * @swagger
+     * /user/passkeys/options:
+     *   post:
+     *     summary: Start registering a passkey
+     *     description: >
+     *       Returns the options to pass to `navigator.credentials.create()`, with binary values (the challenge, the user ID and
+     *       the IDs of the excluded credentials) base64url encoded. The challenge can be answered once, before it expires.
+     *     tags: [Passkey]
+     *     responses:
+     *       200:
+     *         description: Public key credential creation options
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 challenge:
+     *                   type: string
+     *                 rp:
+     *                   type: object
+     *                 user:
+     *                   type: object
+     *                 pubKeyCredParams:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                 timeout:
+     *                   type: integer
+     *                 attestation:
+     *                   type: string
+     *                 authenticatorSelection:
+     *                   type: object
+     *                 excludeCredentials:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/passkeys/options', [verifyToken, rejectPasskeyAccessToken, requirePermission('profile:write')], passkeyController.registrationOptions);
+
+    /**
+     * @swagger
+     * /user/passkeys:
+     *   post:
+     *     summary: Register a passkey
+     *     description: Completes the registration with the credential returned by `navigator.credentials.create()`, its binary values base64url encoded.
+     *     tags: [Passkey]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [credential]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: MacBook Touch ID
+     *               credential:
+     *                 type: object
+     *                 properties:
+     *                   id:
+     *                     type: string
+     *                   response:
+     *                     type: object
+     *                     properties:
+     *                       clientDataJSON:
+     *                         type: string
+     *                       attestationObject:
+     *                         type: string
+     *                       transports:
+     *                         type: array
+     *                         items:
+     *                           type: string
+     *     responses:
+     *       201:
+     *         description: Passkey registered
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Passkey'
+     *       400:
+     *         description: Invalid input, or an invalid, expired or already answered challenge
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       409:
+     *         description: The passkey is already registered
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/passkeys', [verifyToken, rejectPasskeyAccessToken, requirePermission('profile:write'), validateRegisterPasskey, validationErrorHandler], passkeyController.registerPasskey);
+
+    /**
+     * @swagger
+     * /user/passkeys/{passkeyId}:
+     *   put:
+     *     summary: Rename a passkey
+     *     tags: [Passkey]
+     *     parameters:
+     *       - in: path
+     *         name: passkeyId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [name]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: Work laptop
+     *     responses:
+     *       200:
+     *         description: Passkey renamed
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Passkey'
+     *       400:
+     *         description: Invalid passkey ID or name
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Passkey not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.put('/user/passkeys/:passkeyId', [validateRenamePasskey, validationErrorHandler, verifyToken, requirePermission('profile:write')], passkeyController.renamePasskey);
+
+    /**
+     * @swagger
+     * /user/passkeys/{passkeyId}:
+     *   delete:
+     *     summary: Remove a passkey
+     *     tags: [Passkey]
+     *     parameters:
+     *       - in: path
+     *         name: passkeyId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *     responses:
+     *       200:
+     *         description: Passkey removed
+     *       400:
+     *         description: Invalid passkey ID
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Passkey not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/passkeys/:passkeyId', [validatePasskeyId, validationErrorHandler, verifyToken, requirePermission('profile:write')], passkeyController.deletePasskey);
+};
@@ -0,0 +1,117 @@
+/**
+ * @file password.route.js
+ * @description This file defines the routes related to the password policy,
+ * including describing the rules in force and checking a password against them.
+ * The routes are public, so that clients can give feedback on signup and password reset forms.
+ * 
+ * The routes include:
+ * - **GET /password/policy**: Describes the rules of the password policy.
+ * - **POST /password/check**: Checks a password against the password policy and lists the rules it fails.
+ * 
+ * Middleware functions used:
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that the password to check is provided.
+ * 
+ * @module password.route
+ * @requires ../controllers/password.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for the password policy and sets up Swagger documentation for the defined routes.
+ */
+const passwordController = require('../controllers/password.controller');
+const { validationErrorHandler } = require('../middlewares');
+const { validateCheckPassword } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * /password/policy:
+     *   get:
+     *     summary: Describe the password policy
+     *     description: Lists the rules new passwords must satisfy on signup, password reset and password change.
+     *     tags: [Password]
+     *     responses:
+     *       200:
+     *         description: The rules of the password policy
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 rules:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       name:
+     *                         type: string
+     *                         example: minLength
+     *                       message:
+     *                         type: string
+     *                         example: Password must be at least 8 characters long
+     */
+    app.get('/password/policy', passwordController.getPolicy);
+
+    /**
+     * @swagger
+     * /password/check:
+     *   post:
+     *     summary: Check a password against the password policy
+     *     description: Lists every rule of the password policy the password fails. The password is not stored.
+     *     tags: [Password]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               password:
+     *                 type: string
+     *                 example: Secret123
+     *               username:
+     *                 type: string
+     *                 description: The username of the account, which the password may not contain
+     *                 example: johndoe
+     *               email:
+     *                 type: string
+     *                 description: The email address of the account, whose name the password may not contain
+     *                 example: john.doe@example.com
+     *     responses:
+     *       200:
+     *         description: The result of the check
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 valid:
+     *                   type: boolean
+     *                   example: false
+     *                 failures:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       rule:
+     *                         type: string
+     *                         example: symbol
+     *                       message:
+     *                         type: string
+     *                         example: Password must contain a symbol
+     *       400:
+     *         description: Password is missing
+     */
+    app.post('/password/check', [validateCheckPassword, validationErrorHandler], passwordController.checkPassword);
+};
@@ -0,0 +1,237 @@
+/**
+ * @file permission.route.js
+ * @description This file defines the routes related to permission management within the application,
+ * including creating permissions, granting and revoking them from roles, and retrieving the permissions of the current user.
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ *
+ * The routes include:
+ * - **GET /permissions**: Lists every permission. Requires the `permissions:read` permission.
+ * - **POST /permissions**: Creates a new permission. Requires the `permissions:write` permission.
+ * - **GET /roles/:roleId/permissions**: Lists the permissions granted to a role. Requires the `permissions:read` permission.
+ * - **POST /roles/:roleId/permissions**: Grants a permission to a role. Requires the `permissions:write` permission.
+ * - **DELETE /roles/:roleId/permissions/:permission**: Revokes a permission from a role. Requires the `permissions:write` permission.
+ * - **GET /user/permissions**: Lists the effective permissions of the currently authenticated user. Requires the `profile:read` permission.
+ *
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that permission names and role IDs are valid.
+ *
+ * @module permission.route
+ * @requires ../controllers/permission.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ *
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for permission management, including middleware for token verification,
+ * permission-based access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const permissionController = require('../controllers/permission.controller');
+const { verifyToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateCreatePermission, validateRolePermissions, validateGrantPermission } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * /permissions:
+     *   get:
+     *     summary: List all permissions
+     *     tags: [Permission]
+     *     responses:
+     *       200:
+     *         description: List of permissions
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: object
+     *                 properties:
+     *                   id:
+     *                     type: integer
+     *                     example: 1
+     *                   name:
+     *                     type: string
+     *                     example: users:read
+     *                   description:
+     *                     type: string
+     *                     example: View other users
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/permissions', [verifyToken, requirePermission('permissions:read')], permissionController.listPermissions);
+
+    /**
+     * @swagger
+     * /permissions:
+     *   post:
+     *     summary: Create a new permission
+     *     tags: [Permission]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 description: The permission name, in the format `resource:action`
+     *                 example: reports:read
+     *               description:
+     *                 type: string
+     *                 example: View reports
+     *     responses:
+     *       201:
+     *         description: Permission created successfully
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       409:
+     *         description: Permission already exists
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/permissions', [validateCreatePermission, validationErrorHandler, verifyToken, requirePermission('permissions:write')], permissionController.createPermission);
+
+    /**
+     * @swagger
+     * /roles/{roleId}/permissions:
+     *   get:
+     *     summary: List the permissions granted to a role
+     *     tags: [Permission]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *     responses:
+     *       200:
+     *         description: The names of the permissions granted to the role
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: string
+     *       400:
+     *         description: Invalid role ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Role not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/roles/:roleId/permissions', [validateRolePermissions, validationErrorHandler, verifyToken, requirePermission('permissions:read')], permissionController.getRolePermissions);
+
+    /**
+     * @swagger
+     * /roles/{roleId}/permissions:
+     *   post:
+     *     summary: Grant a permission to a role
+     *     tags: [Permission]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               permission:
+     *                 type: string
+     *                 example: users:write
+     *     responses:
+     *       200:
+     *         description: Permission granted
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Role or permission not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/roles/:roleId/permissions', [validateGrantPermission, validationErrorHandler, verifyToken, requirePermission('permissions:write')], permissionController.grantPermission);
+
+    /**
+     * @swagger
+     * /roles/{roleId}/permissions/{permission}:
+     *   delete:
+     *     summary: Revoke a permission from a role
+     *     tags: [Permission]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *       - in: path
+     *         name: permission
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: users:write
+     *     responses:
+     *       200:
+     *         description: Permission revoked
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Role or permission not found, or the permission is not granted to the role
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/roles/:roleId/permissions/:permission', [validateRolePermissions, validationErrorHandler, verifyToken, requirePermission('permissions:write')], permissionController.revokePermission);
+
+    /**
+     * @swagger
+     * /user/permissions:
+     *   get:
+     *     summary: List the effective permissions of the current user
+     *     description: Returns the permissions granted to any of the user's roles.
+     *     tags: [Permission]
+     *     responses:
+     *       200:
+     *         description: The names of the user's permissions
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 type: string
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/permissions', [verifyToken, requirePermission('profile:read')], permissionController.getMyPermissions);
+};
@@ -1,19 +1,24 @@
 /**
  * @file role.route.js
  * @description This file defines the routes related to role management within the application,
- * including role creation, role assignment, and retrieval of user roles. 
- * It uses middleware for token verification, role-based authorization, and request validation.
+ * including listing, creating, updating and deleting roles, assigning and revoking roles, and retrieval of user roles. 
+ * It uses middleware for token verification, permission-based authorization, and request validation.
  * 
  * The routes include:
- * - **POST /roles**: Creates a new role. Only accessible by users with the 'admin' role.
- * - **POST /assign-role**: Assigns a role to a user. Only accessible by users with the 'admin' role.
- * - **GET /user/:userId/roles**: Retrieves roles assigned to a user. Only accessible by users with the 'admin' role.
+ * - **GET /roles**: Lists all roles with the number of users holding each. Requires the `roles:read` permission.
+ * - **POST /roles**: Creates a new role. Requires the `roles:write` permission.
+ * - **GET /roles/:roleId**: Retrieves a role with its user count and permissions. Requires the `roles:read` permission.
+ * - **PUT /roles/:roleId**: Updates a role. Requires the `roles:write` permission.
+ * - **DELETE /roles/:roleId**: Deletes a role. Requires the `roles:write` permission.
+ * - **POST /assign-role**: Assigns a role to a user. Requires the `roles:assign` permission.
+ * - **DELETE /assign-role**: Revokes a role from a user. Requires the `roles:assign` permission.
+ * - **GET /user/:userId/roles**: Retrieves roles assigned to a user. Requires the `roles:read` permission.
  * 
  * Middleware functions used:
  * - `verifyToken`: Validates the JWT token and attaches user information to the request.
- * - `roleAuthorization`: Checks if the user has the required role for accessing the route.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
  * - `validationErrorHandler`: Handles validation errors from request data.
- * - Validation functions from `middlewares/validators`: Ensures that request data for creating roles, assigning roles, and retrieving user roles meet the required formats.
+ * - Validation functions from `middlewares/validators`: Ensures that request data for creating, updating and assigning roles, and retrieving user roles meet the required formats.
  * 
  * @module role.route
  * @requires ../controllers/role.controller
@@ -23,12 +28,12 @@
  * @param {object} app - The Express application object.
  * @function
  * @description Configures routes for role management, including middleware for token verification, 
- * role-based access control, and validation. Ensures that only users with the 'admin' role can access 
- * specific routes and uses Swagger documentation for the defined routes.
+ * permission-based access control, and validation. Ensures that only users granted the required permissions can access 
+ * the routes and uses Swagger documentation for the defined routes.
  */
 const roleController = require('../controllers/role.controller');
-const { verifyToken, roleAuthorization, validationErrorHandler } = require('../middlewares');
-const { validateAssignRoleToUser, validateCreateRole, validateGetUserRoles } = require('../middlewares/validators');
+const { verifyToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateAssignRoleToUser, validateCreateRole, validateGetUserRoles, validateRoleId, validateUpdateRole } = require('../middlewares/validators');
 
 module.exports = function (app) {
     app.use(function (req, res, next) {
@@ -39,6 +44,50 @@ module.exports = function (app) {
         next();
     });
 
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Role:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 2
+     *         roleName:
+     *           type: string
+     *           example: admin
+     *         description:
+     *           type: string
+     *           example: Administrator role
+     *         userCount:
+     *           type: integer
+     *           description: The number of users holding the role
+     *           example: 1
+     */
+
+    /**
+     * @swagger
+     * /roles:
+     *   get:
+     *     summary: List all roles
+     *     tags: [Role]
+     *     responses:
+     *       200:
+     *         description: List of roles with the number of users holding each
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Role'
+     *       403:
+     *         description: Unauthorized access
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/roles', [verifyToken, requirePermission('roles:read')], roleController.listRoles);
+
     /**
      * @swagger
      * /roles:
@@ -65,10 +114,123 @@ module.exports = function (app) {
      *         description: Invalid input
      *       403:
      *         description: Unauthorized access
+     *       409:
+     *         description: Role already exists
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/roles', [validateCreateRole, validationErrorHandler, verifyToken, requirePermission('roles:write')], roleController.createRole);
+
+    /**
+     * @swagger
+     * /roles/{roleId}:
+     *   get:
+     *     summary: Get a role
+     *     tags: [Role]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 2
+     *     responses:
+     *       200:
+     *         description: The role, with the names of its permissions
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/Role'
+     *                 - type: object
+     *                   properties:
+     *                     permissions:
+     *                       type: array
+     *                       items:
+     *                         type: string
+     *       400:
+     *         description: Invalid role ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: Role not found
      *       500:
      *         description: Internal server error
      */
-    app.post('/roles', [validateCreateRole, validationErrorHandler, verifyToken, roleAuthorization(['admin'])], roleController.createRole);
+    app.get('/roles/:roleId', [validateRoleId, validationErrorHandler, verifyToken, requirePermission('roles:read')], roleController.getRole);
+
+    /**
+     * @swagger
+     * /roles/{roleId}:
+     *   put:
+     *     summary: Update a role
+     *     description: The built-in `user` and `admin` roles cannot be renamed.
+     *     tags: [Role]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               roleName:
+     *                 type: string
+     *                 example: editor
+     *               description:
+     *                 type: string
+     *                 example: Edits content
+     *     responses:
+     *       200:
+     *         description: Role updated successfully
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: Role not found
+     *       409:
+     *         description: Role name already exists, or a built-in role would be renamed
+     *       500:
+     *         description: Internal server error
+     */
+    app.put('/roles/:roleId', [validateUpdateRole, validationErrorHandler, verifyToken, requirePermission('roles:write')], roleController.updateRole);
+
+    /**
+     * @swagger
+     * /roles/{roleId}:
+     *   delete:
+     *     summary: Delete a role
+     *     description: The role is removed from every user holding it. The built-in `user` and `admin` roles cannot be deleted.
+     *     tags: [Role]
+     *     parameters:
+     *       - in: path
+     *         name: roleId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 3
+     *     responses:
+     *       200:
+     *         description: Role deleted successfully
+     *       400:
+     *         description: Invalid role ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: Role not found
+     *       409:
+     *         description: Built-in roles cannot be deleted
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/roles/:roleId', [validateRoleId, validationErrorHandler, verifyToken, requirePermission('roles:write')], roleController.deleteRole);
 
     /**
      * @swagger
@@ -96,10 +258,50 @@ module.exports = function (app) {
      *         description: Invalid input
      *       403:
      *         description: Unauthorized access
+     *       404:
+     *         description: User or role not found
+     *       409:
+     *         description: User already has the role
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/assign-role', [validateAssignRoleToUser, validationErrorHandler, verifyToken, requirePermission('roles:assign')], roleController.assignRoleToUser);
+
+    /**
+     * @swagger
+     * /assign-role:
+     *   delete:
+     *     summary: Revoke a role from a user
+     *     description: The `admin` role cannot be revoked from the last administrator.
+     *     tags: [Role]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               userId:
+     *                 type: integer
+     *                 example: 1
+     *               roleId:
+     *                 type: integer
+     *                 example: 2
+     *     responses:
+     *       200:
+     *         description: Role revoked successfully
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: The user does not have the role
+     *       409:
+     *         description: The user is the last administrator
      *       500:
      *         description: Internal server error
      */
-    app.post('/assign-role', [validateAssignRoleToUser, validationErrorHandler, verifyToken, roleAuthorization(['admin'])], roleController.assignRoleToUser);
+    app.delete('/assign-role', [validateAssignRoleToUser, validationErrorHandler, verifyToken, requirePermission('roles:assign')], roleController.revokeRoleFromUser);
 
     /**
      * @swagger
@@ -130,5 +332,5 @@ module.exports = function (app) {
      *       500:
      *         description: Internal server error
      */
-    app.get('/user/:userId/roles', [validateGetUserRoles, validationErrorHandler, verifyToken, roleAuthorization(['admin'])], roleController.getUserRoles);
+    app.get('/user/:userId/roles', [validateGetUserRoles, validationErrorHandler, verifyToken, requirePermission('roles:read')], roleController.getUserRoles);
 };
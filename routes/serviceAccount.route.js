@@ -0,0 +1,291 @@
+/**
+ * @file serviceAccount.route.js
+ * @description This file defines the routes for managing service accounts, the accounts other systems use to call the API.
+ * Service accounts obtain access tokens with their client credentials at `POST /token`.
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ * 
+ * The routes include:
+ * - **GET /service-accounts**: Lists the service accounts. Requires the `service-accounts:read` permission.
+ * - **POST /service-accounts**: Creates a service account and returns its client secret once. Requires the `service-accounts:write` permission,
+ *   and the `roles:assign` permission to assign roles.
+ * - **GET /service-accounts/:accountId**: Retrieves a service account. Requires the `service-accounts:read` permission.
+ * - **PUT /service-accounts/:accountId**: Updates the username or name of a service account. Requires the `service-accounts:write` permission.
+ * - **POST /service-accounts/:accountId/secret**: Rotates the client secret of a service account. Requires the `service-accounts:write` permission.
+ * - **DELETE /service-accounts/:accountId**: Deletes a service account. Requires the `service-accounts:write` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that service account IDs, usernames and roles are valid.
+ * 
+ * @module serviceAccount.route
+ * @requires ../controllers/serviceAccount.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for service account management, including middleware for token verification, permission-based
+ * access control, and validation, and sets up Swagger documentation for the defined routes.
+ */
+const serviceAccountController = require('../controllers/serviceAccount.controller');
+const { verifyToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateCreateServiceAccount, validateUpdateServiceAccount, validateServiceAccountId } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     ServiceAccount:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 12
+     *         username:
+     *           type: string
+     *           example: deploy-bot
+     *         name:
+     *           type: string
+     *           example: Deployment pipeline
+     *         clientId:
+     *           type: string
+     *           example: svc_3f9a0c1e2b4d5a6f7e8d9c0b
+     *         status:
+     *           type: string
+     *           enum: [active, suspended]
+     *         roles:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [user]
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /service-accounts:
+     *   get:
+     *     summary: List service accounts
+     *     tags: [Service Account]
+     *     responses:
+     *       200:
+     *         description: Service accounts, most recently created first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ServiceAccount'
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/service-accounts', [verifyToken, requirePermission('service-accounts:read')], serviceAccountController.listServiceAccounts);
+
+    /**
+     * @swagger
+     * /service-accounts:
+     *   post:
+     *     summary: Create a service account
+     *     description: >
+     *       Creates a service account, which has no email address or password, with the given roles. Assigning roles also requires
+     *       the `roles:assign` permission. The client secret is only returned in this response; exchange the client ID and secret
+     *       for an access token at `POST /token`.
+     *     tags: [Service Account]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [username]
+     *             properties:
+     *               username:
+     *                 type: string
+     *                 example: deploy-bot
+     *               name:
+     *                 type: string
+     *                 example: Deployment pipeline
+     *               roles:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: [user]
+     *     responses:
+     *       201:
+     *         description: Service account created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/ServiceAccount'
+     *                 - type: object
+     *                   properties:
+     *                     clientSecret:
+     *                       type: string
+     *                       description: The client secret, shown once
+     *       400:
+     *         description: Invalid input or unknown role
+     *       403:
+     *         description: Insufficient permissions, including `roles:assign` when roles are given
+     *       409:
+     *         description: Username is already in use
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/service-accounts', [validateCreateServiceAccount, validationErrorHandler, verifyToken, requirePermission('service-accounts:write')], serviceAccountController.createServiceAccount);
+
+    /**
+     * @swagger
+     * /service-accounts/{accountId}:
+     *   get:
+     *     summary: Get a service account
+     *     tags: [Service Account]
+     *     parameters:
+     *       - in: path
+     *         name: accountId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 12
+     *     responses:
+     *       200:
+     *         description: The service account
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ServiceAccount'
+     *       400:
+     *         description: Invalid service account ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Service account not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/service-accounts/:accountId', [validateServiceAccountId, validationErrorHandler, verifyToken, requirePermission('service-accounts:read')], serviceAccountController.getServiceAccount);
+
+    /**
+     * @swagger
+     * /service-accounts/{accountId}:
+     *   put:
+     *     summary: Update a service account
+     *     description: Updates the username or name. Roles are assigned and revoked with the role assignment endpoints.
+     *     tags: [Service Account]
+     *     parameters:
+     *       - in: path
+     *         name: accountId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 12
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               username:
+     *                 type: string
+     *               name:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Service account updated
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Service account not found
+     *       409:
+     *         description: Username is already in use
+     *       500:
+     *         description: Internal server error
+     */
+    app.put('/service-accounts/:accountId', [validateUpdateServiceAccount, validationErrorHandler, verifyToken, requirePermission('service-accounts:write')], serviceAccountController.updateServiceAccount);
+
+    /**
+     * @swagger
+     * /service-accounts/{accountId}/secret:
+     *   post:
+     *     summary: Rotate the client secret of a service account
+     *     description: Issues a new client secret, returned once. The previous secret stops working and the access tokens issued with it are revoked.
+     *     tags: [Service Account]
+     *     parameters:
+     *       - in: path
+     *         name: accountId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 12
+     *     responses:
+     *       200:
+     *         description: The client ID and the new client secret
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 clientId:
+     *                   type: string
+     *                 clientSecret:
+     *                   type: string
+     *       400:
+     *         description: Invalid service account ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Service account not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/service-accounts/:accountId/secret', [validateServiceAccountId, validationErrorHandler, verifyToken, requirePermission('service-accounts:write')], serviceAccountController.rotateSecret);
+
+    /**
+     * @swagger
+     * /service-accounts/{accountId}:
+     *   delete:
+     *     summary: Delete a service account
+     *     description: Soft deletes the service account and revokes its access tokens. Its username stays reserved.
+     *     tags: [Service Account]
+     *     parameters:
+     *       - in: path
+     *         name: accountId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 12
+     *     responses:
+     *       200:
+     *         description: Service account deleted
+     *       400:
+     *         description: Invalid service account ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Service account not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/service-accounts/:accountId', [validateServiceAccountId, validationErrorHandler, verifyToken, requirePermission('service-accounts:write')], serviceAccountController.deleteServiceAccount);
+};
@@ -0,0 +1,243 @@
+/**
+ * @file session.route.js
+ * @description This file defines the routes for managing sessions (logged in devices), both for the authenticated user
+ * and, for administrators, for any user.
+ * It uses middleware for token verification, permission-based authorization, and request validation.
+ * 
+ * The routes include:
+ * - **GET /user/sessions**: Lists the active sessions of the currently authenticated user. Requires the `profile:read` permission.
+ * - **DELETE /user/sessions**: Revokes every session of the currently authenticated user except the current one ("log out all other devices").
+ *   Requires the `profile:write` permission.
+ * - **DELETE /user/sessions/:sessionId**: Revokes one session of the currently authenticated user. Requires the `profile:write` permission.
+ * - **GET /users/:userId/sessions**: Lists the active sessions of a user. Requires the `sessions:read` permission.
+ * - **DELETE /users/:userId/sessions**: Revokes every session of a user. Requires the `sessions:write` permission.
+ * - **DELETE /users/:userId/sessions/:sessionId**: Revokes one session of a user. Requires the `sessions:write` permission.
+ * 
+ * Middleware functions used:
+ * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
+ * - `validationErrorHandler`: Handles validation errors from request data.
+ * - Validation functions from `middlewares/validators`: Ensures that user and session IDs are valid.
+ * 
+ * @module session.route
+ * @requires ../controllers/session.controller
+ * @requires ../middlewares
+ * @requires ../middlewares/validators
+ * 
+ * @param {object} app - The Express application object.
+ * @function
+ * @description Configures routes for session management, including middleware for token verification, permission-based access control,
+ * and validation. Ensures that all routes require a valid token and includes Swagger documentation for the defined routes.
+ */
+const sessionController = require('../controllers/session.controller');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler } = require('../middlewares');
+const { validateSessionId, validateUserSessions } = require('../middlewares/validators');
+
+module.exports = function (app) {
+    app.use(function (req, res, next) {
+        res.header(
+            "Access-Control-Allow-Headers",
+            "Origin, Content-Type, Accept"
+        );
+        next();
+    });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     Session:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: string
+     *           format: uuid
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *           description: When the user logged in
+     *         lastSeenAt:
+     *           type: string
+     *           format: date-time
+     *         ipAddress:
+     *           type: string
+     *           example: 203.0.113.7
+     *         userAgent:
+     *           type: string
+     *           example: Mozilla/5.0 (X11; Linux x86_64)
+     *         expiresAt:
+     *           type: string
+     *           format: date-time
+     *         current:
+     *           type: boolean
+     *           description: Whether this is the session making the request
+     */
+
+    /**
+     * @swagger
+     * /user/sessions:
+     *   get:
+     *     summary: List active sessions
+     *     tags: [Session]
+     *     responses:
+     *       200:
+     *         description: Active sessions, most recently used first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Session'
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/sessions', [verifyToken, requirePermission('profile:read')], sessionController.listSessions);
+
+    /**
+     * @swagger
+     * /user/sessions:
+     *   delete:
+     *     summary: Log out all other devices
+     *     description: >
+     *       Revokes every session of the authenticated user except the one making the request. Requests made with a personal
+     *       access token, which has no session to keep, are refused.
+     *     tags: [Session]
+     *     responses:
+     *       200:
+     *         description: All other sessions revoked
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the request was made with a personal access token
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/sessions', [verifyToken, rejectAccessToken('Other sessions cannot be revoked with a personal access token'), requirePermission('profile:write')], sessionController.revokeOtherSessions);
+
+    /**
+     * @swagger
+     * /user/sessions/{sessionId}:
+     *   delete:
+     *     summary: Revoke a session
+     *     tags: [Session]
+     *     parameters:
+     *       - in: path
+     *         name: sessionId
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: uuid
+     *     responses:
+     *       200:
+     *         description: Session revoked
+     *       400:
+     *         description: Invalid session ID
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: Session not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user/sessions/:sessionId', [validateSessionId, validationErrorHandler, verifyToken, requirePermission('profile:write')], sessionController.revokeSession);
+
+    /**
+     * @swagger
+     * /users/{userId}/sessions:
+     *   get:
+     *     summary: List the active sessions of a user
+     *     tags: [Session]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: Active sessions of the user, most recently used first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/Session'
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: User not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/users/:userId/sessions', [validateUserSessions, validationErrorHandler, verifyToken, requirePermission('sessions:read')], sessionController.listUserSessions);
+
+    /**
+     * @swagger
+     * /users/{userId}/sessions:
+     *   delete:
+     *     summary: Revoke every session of a user
+     *     tags: [Session]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: All sessions revoked
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: User not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/users/:userId/sessions', [validateUserSessions, validationErrorHandler, verifyToken, requirePermission('sessions:write')], sessionController.revokeUserSessions);
+
+    /**
+     * @swagger
+     * /users/{userId}/sessions/{sessionId}:
+     *   delete:
+     *     summary: Revoke a session of a user
+     *     tags: [Session]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *       - in: path
+     *         name: sessionId
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: uuid
+     *     responses:
+     *       200:
+     *         description: Session revoked
+     *       400:
+     *         description: Invalid user or session ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: Session not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/users/:userId/sessions/:sessionId', [validateUserSessions, validationErrorHandler, verifyToken, requirePermission('sessions:write')], sessionController.revokeUserSession);
+};
@@ -1,21 +1,40 @@
 /**
  * @file user.route.js
  * @description This file defines the routes related to user management within the application,
- * including retrieving user details, updating user information, and changing the user password. 
- * It uses middleware for token verification and request validation.
+ * including retrieving user details, updating user information, and changing the user password,
+ * and for administrators, searching accounts and reading, updating and deleting any account. 
+ * It uses middleware for token verification, permission-based authorization, and request validation.
  * 
  * The routes include:
- * - **GET /user**: Retrieves details of the currently authenticated user.
- * - **PUT /user**: Updates the details of the currently authenticated user.
- * - **POST /user/change-password**: Changes the password for the currently authenticated user.
+ * - **GET /user**: Retrieves details of the currently authenticated user. Requires the `profile:read` permission.
+ * - **PUT /user**: Updates the details of the currently authenticated user. Requires the `profile:write` permission;
+ *   the email address cannot be changed with a personal access token.
+ * - **POST /user/change-password**: Changes the password for the currently authenticated user. Requires the `profile:write` permission.
+ * - **GET /user/export**: Exports the data stored about the currently authenticated user. Requires the `profile:read` permission.
+ * - **DELETE /user**: Schedules the deletion of the currently authenticated user's account. Requires the `profile:write` permission.
+ * - **POST /user/cancel-deletion**: Cancels the scheduled deletion of the account. Requires the `profile:write` permission.
+ * - **POST /user/:userId/unlock**: Unlocks an account locked after failed logins. Requires the `users:write` permission.
+ * - **GET /users**: Searches user accounts with pagination, sorting and filters. Requires the `users:read` permission.
+ * - **GET /users/:userId**: Retrieves the details of a user. Requires the `users:read` permission.
+ * - **PUT /users/:userId**: Updates the details of a user. Requires the `users:write` permission.
+ * - **DELETE /users/:userId**: Soft deletes a user and revokes their sessions. Requires the `users:delete` permission.
+ * - **POST /users/:userId/suspend**: Suspends a user and revokes their sessions. Requires the `users:write` permission.
+ * - **POST /users/:userId/reactivate**: Lifts the suspension of a user. Requires the `users:write` permission.
+ * - **POST /users/:userId/restore**: Restores a deleted user. Requires the `users:delete` permission.
+ * - **POST /users/:userId/approve**: Approves a registration awaiting approval. Requires the `users:write` permission.
+ * - **POST /users/:userId/reject**: Rejects a registration awaiting approval, with an optional reason. Requires the `users:write` permission.
  * 
  * Middleware functions used:
  * - `verifyToken`: Validates the JWT token and attaches user information to the request.
+ * - `rejectAccessToken`: Refuses requests made with a personal access token for the actions that require a session.
+ * - `rateLimit`: Limits exporting data per user and searching users per personal access token (or per user for sessions).
+ * - `requirePermission`: Checks if the user's roles grant the required permission for accessing the route.
  * - `validationErrorHandler`: Handles validation errors from request data.
  * - Validation functions from `middlewares/validators`: Ensures that request data for user updates and password changes meet the required formats.
  * 
  * @module user.route
  * @requires ../controllers/user.controller
+ * @requires ../config/rateLimit.config
  * @requires ../middlewares
  * @requires ../middlewares/validators
  * 
@@ -25,8 +44,14 @@
  * Ensures that all routes require a valid token and includes Swagger documentation for the defined routes.
  */
 const userController = require('../controllers/user.controller');
-const { verifyToken, validationErrorHandler } = require('../middlewares');
-const { validateUserUpdate, validateChangePassword } = require('../middlewares/validators');
+const rateLimit_config = require('../config/rateLimit.config');
+const { verifyToken, rejectAccessToken, requirePermission, validationErrorHandler, rateLimit } = require('../middlewares');
+const { validateUserUpdate, validateChangePassword, validateUnlockUser, validateListUsers, validateUserId, validateAdminUserUpdate, validateSuspendUser, validateRejectUser, validateCloseAccount } = require('../middlewares/validators');
+
+// Confirming a new address would let a leaked personal access token reset the password and take over the account
+const rejectEmailChangeAccessToken = rejectAccessToken('The email address cannot be changed with a personal access token', {
+    when: (req) => req.body.email !== undefined
+});
 
 module.exports = function (app) {
     app.use(function (req, res, next) {
@@ -65,16 +90,19 @@ module.exports = function (app) {
      *                   example: 123-456-7890
      *       401:
      *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
      *       500:
      *         description: Internal server error
      */
-    app.get('/user', [verifyToken], userController.getUser);
+    app.get('/user', [verifyToken, requirePermission('profile:read')], userController.getUser);
 
     /**
      * @swagger
      * /user:
      *   put:
      *     summary: Update user details
+     *     description: A new email is not applied until it is confirmed through the link sent to it; until then it is returned as `pendingEmail`, and the current address is notified with a link reverting the change.
      *     tags: [User]
      *     requestBody:
      *       required: true
@@ -108,6 +136,9 @@ module.exports = function (app) {
      *                   example: newusername
      *                 email:
      *                   type: string
+     *                   example: oldemail@example.com
+     *                 pendingEmail:
+     *                   type: string
      *                   example: newemail@example.com
      *                 name:
      *                   type: string
@@ -119,16 +150,24 @@ module.exports = function (app) {
      *         description: Invalid input data
      *       401:
      *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions, or the email address was changed with a personal access token
+     *       409:
+     *         description: Username or email is already in use by another account
      *       500:
      *         description: Internal server error
      */
-    app.put('/user', [verifyToken, validateUserUpdate, validationErrorHandler], userController.updateUser);
+    app.put('/user', [verifyToken, rejectEmailChangeAccessToken, requirePermission('profile:write'), validateUserUpdate, validationErrorHandler], userController.updateUser);
 
     /**
      * @swagger
      * /user/change-password:
      *   post:
      *     summary: Change user password
+     *     description: >
+     *       The password must comply with the password policy (see `GET /password/policy`); every rule it fails is reported.
+     *       The user's other sessions are signed out, and the current one too when `keepCurrentSession` is `false`,
+     *       and the user is notified by email.
      *     tags: [User]
      *     requestBody:
      *       required: true
@@ -143,6 +182,10 @@ module.exports = function (app) {
      *               newPassword:
      *                 type: string
      *                 example: newpassword123
+     *               keepCurrentSession:
+     *                 type: boolean
+     *                 description: Whether the session making the request stays signed in
+     *                 default: true
      *     responses:
      *       200:
      *         description: Password changed successfully
@@ -150,8 +193,649 @@ module.exports = function (app) {
      *         description: Invalid input data
      *       401:
      *         description: Unauthorized access or incorrect current password
+     *       403:
+     *         description: Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/change-password', [verifyToken.allowExpiredPassword, requirePermission('profile:write'), validateChangePassword, validationErrorHandler], userController.changePassword);
+
+    /**
+     * @swagger
+     * /user/export:
+     *   get:
+     *     summary: Export your data
+     *     description: Downloads everything stored about the current user as JSON, including their profile, roles, sessions, two-factor authentication status, passkeys, personal access tokens (without the tokens), consents given to applications and request logs.
+     *     tags: [User]
+     *     responses:
+     *       200:
+     *         description: The user's data
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 exportedAt:
+     *                   type: string
+     *                   format: date-time
+     *                 profile:
+     *                   $ref: '#/components/schemas/User'
+     *                 roles:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                 sessions:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                 mfa:
+     *                   type: object
+     *                   properties:
+     *                     enabled:
+     *                       type: boolean
+     *                     confirmedAt:
+     *                       type: string
+     *                       format: date-time
+     *                       nullable: true
+     *                     recoveryCodesRemaining:
+     *                       type: integer
+     *                 passkeys:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/Passkey'
+     *                 accessTokens:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/AccessToken'
+     *                 consents:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                 logs:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       level:
+     *                         type: string
+     *                       message:
+     *                         type: string
+     *                         example: GET /user 200 12ms
+     *                       timestamp:
+     *                         type: string
+     *                         format: date-time
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/user/export', [verifyToken, rateLimit({ name: 'export', keyBy: 'user', ...rateLimit_config.api }), requirePermission('profile:read')], userController.exportUser);
+
+    /**
+     * @swagger
+     * /user:
+     *   delete:
+     *     summary: Delete your account
+     *     description: The account is deleted permanently at the end of a grace period, during which the deletion can be cancelled.
+     *     tags: [User]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               password:
+     *                 type: string
+     *                 example: password123
+     *     responses:
+     *       200:
+     *         description: Account scheduled for deletion
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                 deletionScheduledAt:
+     *                   type: string
+     *                   format: date-time
+     *       400:
+     *         description: Missing or incorrect password
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       409:
+     *         description: The deletion is already scheduled, or the user is the last administrator
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/user', [verifyToken, requirePermission('profile:write'), validateCloseAccount, validationErrorHandler], userController.closeAccount);
+
+    /**
+     * @swagger
+     * /user/cancel-deletion:
+     *   post:
+     *     summary: Cancel the deletion of your account
+     *     tags: [User]
+     *     responses:
+     *       200:
+     *         description: Account deletion cancelled
+     *       401:
+     *         description: Unauthorized access
+     *       403:
+     *         description: Insufficient permissions
+     *       409:
+     *         description: No account deletion is scheduled
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/cancel-deletion', [verifyToken, requirePermission('profile:write')], userController.cancelAccountDeletion);
+
+    /**
+     * @swagger
+     * /user/{userId}/unlock:
+     *   post:
+     *     summary: Unlock a user account locked after failed login attempts
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: User account unlocked
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Unauthorized access
+     *       404:
+     *         description: User not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/user/:userId/unlock', [validateUnlockUser, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.unlockUser);
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     User:
+     *       type: object
+     *       properties:
+     *         id:
+     *           type: integer
+     *           example: 1
+     *         username:
+     *           type: string
+     *           example: testuser
+     *         email:
+     *           type: string
+     *           example: test@example.com
+     *         name:
+     *           type: string
+     *           example: John Doe
+     *         phoneNumber:
+     *           type: string
+     *           example: 123-456-7890
+     *         emailVerified:
+     *           type: boolean
+     *         acceptedTerms:
+     *           type: boolean
+     *         status:
+     *           type: string
+     *           enum: [active, suspended, pending_approval, rejected]
+     *         suspendedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         suspensionReason:
+     *           type: string
+     *           nullable: true
+     *         reviewedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *           description: When the registration was approved or rejected
+     *         reviewedBy:
+     *           type: integer
+     *           nullable: true
+     *           description: The administrator who approved or rejected the registration
+     *         rejectionReason:
+     *           type: string
+     *           nullable: true
+     *         pendingEmail:
+     *           type: string
+     *           nullable: true
+     *           description: A new email address waiting to be confirmed
+     *         deletionScheduledAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         deletedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         roles:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: [user]
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /users:
+     *   get:
+     *     summary: Search user accounts
+     *     tags: [User]
+     *     parameters:
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           default: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *           maximum: 100
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [id, username, email, name, createdAt, updatedAt]
+     *           default: createdAt
+     *       - in: query
+     *         name: order
+     *         schema:
+     *           type: string
+     *           enum: [asc, desc]
+     *           default: desc
+     *       - in: query
+     *         name: q
+     *         description: Text matched anywhere in the username, email or name (case-insensitive)
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: role
+     *         description: Only users holding the role with this name
+     *         schema:
+     *           type: string
+     *           example: admin
+     *       - in: query
+     *         name: status
+     *         description: >
+     *           Only users with this account status. Deleted users are only listed with `deleted`, and registrations awaiting
+     *           approval with `pending_approval`.
+     *         schema:
+     *           type: string
+     *           enum: [active, suspended, pending_approval, rejected, deleted]
+     *       - in: query
+     *         name: emailVerified
+     *         schema:
+     *           type: boolean
+     *       - in: query
+     *         name: createdFrom
+     *         description: Only users created at or after this date
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *       - in: query
+     *         name: createdTo
+     *         description: Only users created at or before this date
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *     responses:
+     *       200:
+     *         description: One page of users
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 users:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/User'
+     *                 pagination:
+     *                   type: object
+     *                   properties:
+     *                     page:
+     *                       type: integer
+     *                     limit:
+     *                       type: integer
+     *                     total:
+     *                       type: integer
+     *                     totalPages:
+     *                       type: integer
+     *       400:
+     *         description: Invalid query parameters
+     *       403:
+     *         description: Insufficient permissions
+     *       429:
+     *         description: Too many requests, retry after the delay in `Retry-After`
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/users', [validateListUsers, validationErrorHandler, verifyToken, rateLimit({ name: 'users', keyBy: 'apiKey', ...rateLimit_config.api }), requirePermission('users:read')], userController.listUsers);
+
+    /**
+     * @swagger
+     * /users/{userId}:
+     *   get:
+     *     summary: Get the details of a user
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: The user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       500:
+     *         description: Internal server error
+     */
+    app.get('/users/:userId', [validateUserId, validationErrorHandler, verifyToken, requirePermission('users:read')], userController.getUserById);
+
+    /**
+     * @swagger
+     * /users/{userId}:
+     *   put:
+     *     summary: Update the details of a user
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               username:
+     *                 type: string
+     *               email:
+     *                 type: string
+     *               name:
+     *                 type: string
+     *               phoneNumber:
+     *                 type: string
+     *               emailVerified:
+     *                 type: boolean
+     *     responses:
+     *       200:
+     *         description: The updated user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid input data
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: Username or email is already in use by another account
+     *       500:
+     *         description: Internal server error
+     */
+    app.put('/users/:userId', [validateAdminUserUpdate, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.updateUserById);
+
+    /**
+     * @swagger
+     * /users/{userId}:
+     *   delete:
+     *     summary: Delete a user
+     *     description: Soft deletes the user, who can be restored later, and revokes their sessions. The last active administrator cannot be deleted.
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: User deleted successfully
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: The user is the last administrator
+     *       500:
+     *         description: Internal server error
+     */
+    app.delete('/users/:userId', [validateUserId, validationErrorHandler, verifyToken, requirePermission('users:delete')], userController.deleteUser);
+
+    /**
+     * @swagger
+     * /users/{userId}/suspend:
+     *   post:
+     *     summary: Suspend a user
+     *     description: A suspended user cannot log in, and their sessions are revoked. The last active administrator cannot be suspended.
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reason:
+     *                 type: string
+     *                 maxLength: 500
+     *                 example: Repeated abuse reports
+     *     responses:
+     *       200:
+     *         description: The suspended user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: The user is already suspended or is the last administrator
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/users/:userId/suspend', [validateSuspendUser, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.suspendUser);
+
+    /**
+     * @swagger
+     * /users/{userId}/reactivate:
+     *   post:
+     *     summary: Lift the suspension of a user
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: The reactivated user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: The user is not suspended
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/users/:userId/reactivate', [validateUserId, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.reactivateUser);
+
+    /**
+     * @swagger
+     * /users/{userId}/approve:
+     *   post:
+     *     summary: Approve a registration
+     *     description: >
+     *       Approves a self-registered account awaiting approval, or whose registration was rejected. The user can then log in,
+     *       and is notified by email.
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: The approved user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found, or a service account
+     *       409:
+     *         description: The user is not pending approval
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/users/:userId/approve', [validateUserId, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.approveUser);
+
+    /**
+     * @swagger
+     * /users/{userId}/reject:
+     *   post:
+     *     summary: Reject a registration
+     *     description: The account is kept but cannot log in. The user is notified by email, with the reason if one is given.
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reason:
+     *                 type: string
+     *                 maxLength: 500
+     *                 example: Not an employee of a customer
+     *     responses:
+     *       200:
+     *         description: The rejected user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid input
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found, or a service account
+     *       409:
+     *         description: The user is not pending approval
+     *       500:
+     *         description: Internal server error
+     */
+    app.post('/users/:userId/reject', [validateRejectUser, validationErrorHandler, verifyToken, requirePermission('users:write')], userController.rejectUser);
+
+    /**
+     * @swagger
+     * /users/{userId}/restore:
+     *   post:
+     *     summary: Restore a deleted user
+     *     description: The user keeps the status they had when they were deleted.
+     *     tags: [User]
+     *     parameters:
+     *       - in: path
+     *         name: userId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           example: 1
+     *     responses:
+     *       200:
+     *         description: The restored user
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/User'
+     *       400:
+     *         description: Invalid user ID
+     *       403:
+     *         description: Insufficient permissions
+     *       404:
+     *         description: User not found
+     *       409:
+     *         description: The user is not deleted
      *       500:
      *         description: Internal server error
      */
-    app.post('/user/change-password', [verifyToken, validateChangePassword, validationErrorHandler], userController.changePassword);
+    app.post('/users/:userId/restore', [validateUserId, validationErrorHandler, verifyToken, requirePermission('users:delete')], userController.restoreUser);
 };
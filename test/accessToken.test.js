@@ -0,0 +1,150 @@
+/**
+ * @file accessToken.test.js
+ * @description This file contains unit tests for the `accessTokenController` module and the `accessTokens` service it relies on,
+ * covering creating, listing and revoking personal access tokens.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **POST /user/tokens**: Tests that tokens are created with a hash stored and the token returned once, refusing scopes the user
+ *   does not have.
+ * - **GET /user/tokens**: Tests that tokens are listed without their hash.
+ * - **DELETE /user/tokens/:tokenId**: Tests for revoking a token, including a token that is not found.
+ * - **findAccessToken**: Tests that only tokens with the personal access token format are looked up, by their hash.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const accessTokens = require('../utils/accessTokens');
+const accessTokenController = require('../controllers/accessToken.controller');
+
+jest.mock('../models');
+
+describe('Access Token Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1, role: ['user'] } });
+        res = httpMocks.createResponse();
+        db.permission.findAll = jest.fn().mockResolvedValue([{ name: 'profile:read' }, { name: 'profile:write' }]);
+        db.access_token.create = jest.fn(async (attributes) => ({ id: 3, createdAt: new Date('2024-01-01T00:00:00Z'), ...attributes }));
+        db.access_token.findAll = jest.fn().mockResolvedValue([]);
+        db.access_token.destroy = jest.fn().mockResolvedValue(1);
+        db.log.create = jest.fn().mockResolvedValue({});
+    });
+
+    describe('POST /user/tokens', () => {
+        /**
+         * @function
+         * @description Tests that a token is created with only its hash stored, returned once, and that its creation is audited.
+         */
+        it('should create a token and return it once', async () => {
+            req.body = { name: 'CI', scopes: ['profile:read'], expiresAt: new Date('2030-01-01T00:00:00Z') };
+
+            await accessTokenController.createToken(req, res);
+
+            expect(res.statusCode).toBe(201);
+            const data = JSON.parse(res._getData());
+            expect(data).toEqual(expect.objectContaining({ id: 3, name: 'CI', scopes: ['profile:read'], expiresAt: '2030-01-01T00:00:00.000Z' }));
+            expect(data.token).toMatch(/^pat_[A-Za-z0-9_-]{43}$/);
+            expect(data.prefix).toBe(data.token.slice(0, 12));
+            expect(data.tokenHash).toBeUndefined();
+
+            const { tokenHash } = db.access_token.create.mock.calls[0][0];
+            expect(tokenHash).toBe(crypto.createHash('sha256').update(data.token).digest('hex'));
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ level: 'audit', userId: 1, message: expect.stringMatching(/^access_token\.created /) }));
+        });
+
+        /**
+         * @function
+         * @description Tests that scopes the user's roles do not grant are refused.
+         */
+        it('should return 400 for scopes the user does not have', async () => {
+            req.body = { name: 'CI', scopes: ['profile:read', 'users:delete'] };
+
+            await accessTokenController.createToken(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'You do not have the permissions requested as scopes: users:delete' });
+            expect(db.access_token.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /user/tokens', () => {
+        /**
+         * @function
+         * @description Tests that the tokens that have not expired are listed without their hash.
+         */
+        it('should list the tokens of the user', async () => {
+            db.access_token.findAll.mockResolvedValue([{ id: 3, name: 'CI', prefix: 'pat_abcdefgh', tokenHash: 'hash', scopes: ['profile:read'], expiresAt: null }]);
+
+            await accessTokenController.listTokens(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual([{ id: 3, name: 'CI', prefix: 'pat_abcdefgh', scopes: ['profile:read'], expiresAt: null }]);
+            expect(db.access_token.findAll.mock.calls[0][0].where.userId).toBe(1);
+        });
+    });
+
+    describe('DELETE /user/tokens/:tokenId', () => {
+        /**
+         * @function
+         * @description Tests that a token of the user is revoked.
+         */
+        it('should revoke a token', async () => {
+            req.params = { tokenId: '3' };
+
+            await accessTokenController.revokeToken(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Token revoked' });
+            expect(db.access_token.destroy).toHaveBeenCalledWith({ where: { id: 3, userId: 1 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that revoking a token that is not found, or belongs to another user, returns 404.
+         */
+        it('should return 404 if the token is not found', async () => {
+            req.params = { tokenId: '9' };
+            db.access_token.destroy.mockResolvedValue(0);
+
+            await accessTokenController.revokeToken(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Token not found' });
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors while revoking a token are handled.
+         */
+        it('should handle server errors', async () => {
+            req.params = { tokenId: '3' };
+            db.access_token.destroy.mockRejectedValue(new Error('Database error'));
+
+            await accessTokenController.revokeToken(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('findAccessToken', () => {
+        /**
+         * @function
+         * @description Tests that tokens are looked up by their hash, and that credentials of another format are not looked up.
+         */
+        it('should look up personal access tokens by their hash', async () => {
+            db.access_token.findOne = jest.fn().mockResolvedValue({ id: 3 });
+
+            await expect(accessTokens.findAccessToken('pat_secret')).resolves.toEqual({ id: 3 });
+            expect(db.access_token.findOne.mock.calls[0][0].where.tokenHash).toBe(crypto.createHash('sha256').update('pat_secret').digest('hex'));
+
+            await expect(accessTokens.findAccessToken('eyJhbGciOiJSUzI1NiJ9')).resolves.toBeNull();
+            expect(db.access_token.findOne).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -10,14 +10,24 @@
  * and email services, allowing isolated and reliable testing of the controller logic.
  * 
  * Tests included:
- * - **login**: Tests user login functionality, including token generation, missing credentials, invalid username/password, and error handling.
- * - **signup**: Validates user registration, checking for existing users, password hashing, and sending verification emails.
+ * - **login**: Tests user login functionality, including token generation, the two-factor challenge, missing credentials, invalid username/password,
+ *   suspended accounts and accounts pending approval or rejected, progressive delays and account lockout after failed attempts, and error handling.
+ * - **loginMfa**: Tests completing a login with a TOTP code or recovery code, including invalid challenges and codes, counting invalid codes as failed attempts,
+ *   and refusing delayed or locked accounts and IP addresses.
+ * - **magic link**: Tests requesting a login link bound to a nonce without revealing whether the address is registered, and logging in with it,
+ *   marking the email address verified, revoking links that cannot be sent, refusing invalid links and nonces and suspended accounts, and requiring the second factor.
+ * - **refreshToken**: Tests refresh token rotation, invalid tokens, suspended accounts, and revocation of the token family when a used refresh token is replayed.
+ * - **signup**: Validates user registration, checking for existing users, password hashing, and sending verification emails,
+ *   deleting the account again when the email cannot be sent, creating accounts pending approval when required, and refusing signups unless the signup mode is `open`.
  * - **resendVerificationEmail**: Ensures the functionality of resending verification emails to users who haven't verified their email.
- * - **verification**: Tests the email verification process using a JWT token, including invalid or expired tokens.
+ * - **verification**: Tests the email verification process using a single-use token, including invalid, expired or used tokens.
+ * - **confirmEmailChange** / **revertEmailChange**: Tests confirming a staged email change from the new address, and cancelling or undoing it from the previous address.
  * - **verifyUser**: Checks the endpoint that verifies if a user is authenticated based on the presence of a user object.
- * - **forgotPassword**: Tests sending password reset links and handling scenarios where the user is not found or server errors occur.
- * - **resetPassword**: Validates the password reset functionality, including token verification, password hashing, and error scenarios.
- * - **logout**: Tests the logout functionality by ensuring that the user session is invalidated correctly.
+ * - **forgotPassword**: Tests sending password reset links, revoking them when the email cannot be sent, and handling scenarios where the user is not found or server errors occur.
+ * - **resetPassword**: Validates the password reset functionality, including token consumption, password hashing, invalidation of outstanding links and sessions, the notification email, and error scenarios.
+ * - **clientCredentials**: Tests issuing access tokens to service accounts for their client credentials, and refusing invalid credentials,
+ *   suspended service accounts and other grant types.
+ * - **logout**: Tests the logout functionality by ensuring that the user session and its token family, or the personal access token of the request, are invalidated correctly.
  */
 
 require('dotenv').config();
@@ -26,7 +36,15 @@ const httpMocks = require('node-mocks-http');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const db = require('../models');
+const jwt_config = require('../config/jwt.config');
+const password_config = require('../config/password.config');
+const account_config = require('../config/account.config');
 const sendVerificationEmail = require('../utils/emailService');
+const mfaService = require('../utils/mfaService');
+const loginThrottle = require('../utils/loginThrottle');
+const keyStore = require('../utils/keyStore');
+const userTokens = require('../utils/userTokens');
+const serviceAccounts = require('../utils/serviceAccounts');
 const authController = require('./../controllers/auth.controller');
 
 // Mock the necessary modules
@@ -34,6 +52,11 @@ jest.mock('bcrypt');
 jest.mock('jsonwebtoken');
 jest.mock('../models');
 jest.mock('../utils/emailService');
+jest.mock('../utils/mfaService');
+jest.mock('../utils/loginThrottle');
+jest.mock('../utils/keyStore');
+jest.mock('../utils/userTokens');
+jest.mock('../utils/serviceAccounts');
 
 /**
   * @description Unit tests for the login function of the auth controller.
@@ -45,6 +68,16 @@ describe('Auth Controller', () => {
     beforeEach(() => {
         const mockPublicKey = 'mockPublicKeyContent';
         fs.readFileSync = jest.fn().mockResolvedValue(mockPublicKey)
+        // Model static methods are shared through the Sequelize base class, so give each model its own mock where needed
+        db.user_mfa.findOne = jest.fn().mockResolvedValue(null);
+        db.password_history.findAll = jest.fn().mockResolvedValue([]);
+        db.password_history.create = jest.fn().mockResolvedValue({});
+        loginThrottle.userKey.mockImplementation((id) => `user:${id}`);
+        loginThrottle.ipKey.mockImplementation((ip) => `ip:${ip}`);
+        loginThrottle.check.mockResolvedValue({ blocked: false });
+        loginThrottle.registerFailure.mockResolvedValue({ lockedNow: false, lockedUntil: null });
+        keyStore.getSigningKey.mockResolvedValue({ kid: 'kid-1', algorithm: 'RS256', privateKey: 'mockPrivateKey' });
+        keyStore.getVerificationKey.mockResolvedValue('mockPublicKey');
         req = httpMocks.createRequest();
         res = httpMocks.createResponse();
     });
@@ -63,12 +96,70 @@ describe('Auth Controller', () => {
             req.body = { username: 'testuser', password: 'password' };
             bcrypt.compare.mockResolvedValue(true);
             db.user.findOne.mockResolvedValue(mockUser);
-            jwt.sign.mockReturnValue('mocktoken');
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
 
             await authController.login(req, res);
 
             expect(res.statusCode).toBe(200);
-            expect(JSON.parse(res._getData())).toEqual({ token: "mocktoken" });
+            expect(JSON.parse(res._getData())).toEqual({ token: "mocktoken", refreshToken: "mockrefreshtoken" });
+        });
+
+        /**
+         * @description Should flag the tokens when the password is older than the maximum password age.
+         */
+        it('should report an expired password with the tokens', async () => {
+            const maxAgeDays = password_config.maxAgeDays;
+            password_config.maxAgeDays = 90;
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', passwordChangedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000) };
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.login(req, res);
+            password_config.maxAgeDays = maxAgeDays;
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ token: "mocktoken", refreshToken: "mockrefreshtoken", passwordExpired: true });
+        });
+
+        /**
+         * @description Should store the access and refresh tokens in the same token family.
+         */
+        it('should store both tokens in the same token family', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', emailVerified: true };
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.login(req, res);
+
+            expect(db.session.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'mocktoken', type: 'access', userId: 1 }));
+            expect(db.session.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'mockrefreshtoken', type: 'refresh', userId: 1 }));
+            const [[accessSession], [refreshSession]] = db.session.create.mock.calls;
+            expect(accessSession.familyId).toBeDefined();
+            expect(refreshSession.familyId).toBe(accessSession.familyId);
+            expect(refreshSession).toEqual(expect.objectContaining({ ipAddress: req.ip, authenticatedAt: expect.any(Date) }));
+        });
+
+        /**
+         * @description Should return a two-factor challenge instead of tokens when 2FA is enabled.
+         */
+        it('should return an mfa challenge when two-factor authentication is enabled', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', emailVerified: true };
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue({ id: 1, userId: 1, enabled: true });
+            jwt.sign.mockReturnValueOnce('mockmfatoken');
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ mfaRequired: true, mfaToken: 'mockmfatoken' });
+            expect(jwt.sign).toHaveBeenCalledWith({ id: 1, type: 'mfa' }, jwt_config.secret, { expiresIn: '5m' });
+            expect(db.session.create).not.toHaveBeenCalled();
         });
 
         /**
@@ -80,7 +171,25 @@ describe('Auth Controller', () => {
             await authController.login(req, res);
 
             expect(res.statusCode).toBe(400);
-            expect(JSON.parse(res._getData())).toEqual({ message: "Username and password are required" });
+            expect(JSON.parse(res._getData())).toEqual({ message: "Username or email and password are required" });
+        });
+
+        /**
+         * @description Should log in with an email address instead of a username.
+         */
+        it('should return a token when logging in by email', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', emailVerified: true };
+            req.body = { email: 'Test@Example.com', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ token: "mocktoken", refreshToken: "mockrefreshtoken" });
+            expect(db.Sequelize.col).toHaveBeenCalledWith('email');
+            expect(db.Sequelize.where.mock.calls[0][1]).toBe('test@example.com');
         });
         /**
               * @description Should return 401 if user is not found.
@@ -93,6 +202,8 @@ describe('Auth Controller', () => {
 
             expect(res.statusCode).toBe(401);
             expect(JSON.parse(res._getData())).toEqual({ message: "Invalid username or password" });
+            expect(loginThrottle.registerFailure).toHaveBeenCalledTimes(1);
+            expect(loginThrottle.registerFailure).toHaveBeenCalledWith(`ip:${req.ip}`, 'ip');
         });
         /**
               * @description Should return 401 if password does not match.
@@ -107,6 +218,109 @@ describe('Auth Controller', () => {
 
             expect(res.statusCode).toBe(401);
             expect(JSON.parse(res._getData())).toEqual({ message: "Invalid username or password" });
+            expect(loginThrottle.registerFailure).toHaveBeenCalledWith(`ip:${req.ip}`, 'ip');
+            expect(loginThrottle.registerFailure).toHaveBeenCalledWith('user:1', 'account');
+            expect(sendVerificationEmail.sendEmail).not.toHaveBeenCalled();
+        });
+        /**
+         * @description Should refuse a suspended account once the password is correct, without issuing tokens.
+         */
+        it('should return 403 if the account is suspended', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', status: 'suspended' };
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account is suspended' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+        /**
+         * @description Should refuse accounts awaiting approval or whose registration was rejected, once the password is correct.
+         */
+        it('should return 403 if the account is pending approval or rejected', async () => {
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+
+            db.user.findOne.mockResolvedValue({ id: 1, username: 'testuser', password: 'hashedpassword', status: 'pending_approval' });
+            await authController.login(req, res);
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account is pending approval' });
+
+            db.user.findOne.mockResolvedValue({ id: 1, username: 'testuser', password: 'hashedpassword', status: 'rejected' });
+            res = httpMocks.createResponse();
+            await authController.login(req, res);
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account registration was rejected' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+        /**
+         * @description Should notify the user by email when a failed attempt locks the account.
+         */
+        it('should send an email when a failed attempt locks the account', async () => {
+            const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', password: 'hashedpassword' };
+            const lockedUntil = new Date('2024-01-01T00:15:00Z');
+            req.body = { username: 'testuser', password: 'wrongpassword' };
+            bcrypt.compare.mockResolvedValue(false);
+            db.user.findOne.mockResolvedValue(mockUser);
+            loginThrottle.registerFailure
+                .mockResolvedValueOnce({ lockedNow: false, lockedUntil: null })
+                .mockResolvedValueOnce({ lockedNow: true, lockedUntil });
+            sendVerificationEmail.sendNotification.mockResolvedValueOnce(false);
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(sendVerificationEmail.sendNotification).toHaveBeenCalledWith('test@example.com', 'Account Locked', expect.stringContaining(lockedUntil.toISOString()));
+        });
+        /**
+         * @description Should return 429 with a Retry-After header while the IP address is delayed, without looking up the user.
+         */
+        it('should return 429 while the IP address is delayed', async () => {
+            req.body = { username: 'testuser', password: 'password' };
+            loginThrottle.check.mockResolvedValue({ blocked: true, locked: false, retryAfter: 4 });
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(429);
+            expect(res.getHeader('Retry-After')).toBe('4');
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Too many failed login attempts, please try again later', retryAfter: 4 });
+            expect(db.user.findOne).not.toHaveBeenCalled();
+        });
+        /**
+         * @description Should return 423 while the account is locked, without checking the password.
+         */
+        it('should return 423 while the account is locked', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword' };
+            req.body = { username: 'testuser', password: 'password' };
+            db.user.findOne.mockResolvedValue(mockUser);
+            loginThrottle.check
+                .mockResolvedValueOnce({ blocked: false })
+                .mockResolvedValueOnce({ blocked: true, locked: true, retryAfter: 900 });
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(423);
+            expect(res.getHeader('Retry-After')).toBe('900');
+            expect(loginThrottle.check).toHaveBeenLastCalledWith('user:1', 'account');
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+        });
+        /**
+         * @description Should clear the account's failed attempt counter after a successful login.
+         */
+        it('should reset the failed attempt counter on successful login', async () => {
+            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword' };
+            req.body = { username: 'testuser', password: 'password' };
+            bcrypt.compare.mockResolvedValue(true);
+            db.user.findOne.mockResolvedValue(mockUser);
+
+            await authController.login(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(loginThrottle.reset).toHaveBeenCalledWith('user:1');
+            expect(loginThrottle.registerFailure).not.toHaveBeenCalled();
         });
         /**
             * @description Should return 500 on server error during login.
@@ -122,6 +336,475 @@ describe('Auth Controller', () => {
         });
     });
 
+    /**
+     * @description Unit tests for the loginMfa function of the auth controller.
+     */
+    describe('loginMfa', () => {
+        const mockUser = { id: 1, username: 'testuser', emailVerified: true };
+        const mockMfa = { id: 1, userId: 1, enabled: true, secret: 'SECRET' };
+
+        /**
+         * @description Should issue tokens when a valid TOTP code is provided.
+         */
+        it('should return tokens for a valid code', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue(mockMfa);
+            mfaService.verifyCode.mockResolvedValue(true);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ token: 'mocktoken', refreshToken: 'mockrefreshtoken' });
+            expect(mfaService.verifyCode).toHaveBeenCalledWith(mockMfa, '123456');
+        });
+
+        /**
+         * @description Should issue tokens when a valid recovery code is provided.
+         */
+        it('should return tokens for a valid recovery code', async () => {
+            req.body = { mfaToken: 'mockmfatoken', recoveryCode: 'abcde-12345' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue(mockMfa);
+            mfaService.consumeRecoveryCode.mockResolvedValue(true);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(mfaService.consumeRecoveryCode).toHaveBeenCalledWith(1, 'abcde-12345');
+            expect(mfaService.verifyCode).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should return 400 if the challenge token or code is missing.
+         */
+        it('should return 400 if the challenge token or code is missing', async () => {
+            req.body = { mfaToken: 'mockmfatoken' };
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'MFA token and code are required' });
+        });
+
+        /**
+         * @description Should return 401 if the challenge token is not an MFA challenge.
+         */
+        it('should return 401 for a token that is not an mfa challenge', async () => {
+            req.body = { mfaToken: 'verificationtoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, email: 'test@example.com' });
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired MFA challenge', error: 'Token is not an MFA challenge' });
+        });
+
+        /**
+         * @description Should return 401 if the code is invalid.
+         */
+        it('should return 401 for an invalid code', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '000000' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue(mockMfa);
+            mfaService.verifyCode.mockResolvedValue(false);
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid verification code' });
+            expect(db.session.create).not.toHaveBeenCalled();
+            expect(loginThrottle.registerFailure).toHaveBeenCalledWith('user:1', 'account');
+        });
+
+        /**
+         * @description Should return 423 while the account is locked, without verifying the code.
+         */
+        it('should return 423 while the account is locked', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue(mockMfa);
+            loginThrottle.check.mockResolvedValue({ blocked: true, locked: true, retryAfter: 900 });
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(423);
+            expect(mfaService.verifyCode).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should return 429 while the IP address is delayed, so that codes cannot be guessed at full speed.
+         */
+        it('should return 429 while the IP address is delayed', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            loginThrottle.check.mockImplementation(async (key) => (key === `ip:${req.ip}`
+                ? { blocked: true, locked: false, retryAfter: 2 }
+                : { blocked: false }));
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(429);
+            expect(res.get('Retry-After')).toBe('2');
+            expect(mfaService.verifyCode).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should return 401 if two-factor authentication is no longer enabled for the user.
+         */
+        it('should return 401 if two-factor authentication is not enabled', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user_mfa.findOne.mockResolvedValue(null);
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired MFA challenge' });
+        });
+
+        /**
+         * @description Should return 500 on server error during the second factor step.
+         */
+        it('should return 500 on server error', async () => {
+            req.body = { mfaToken: 'mockmfatoken', code: '123456' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'mfa' });
+            db.user.findByPk.mockRejectedValue(new Error('Server error'));
+
+            await authController.loginMfa(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Server error', error: 'Server error' });
+        });
+    });
+
+    /**
+     * @description Unit tests for the requestMagicLink and loginWithMagicLink functions of the auth controller.
+     */
+    describe('magic link', () => {
+        /**
+         * @description Should email a login link bound to the nonce returned to the requesting client.
+         */
+        it('should email a login link and return its nonce', async () => {
+            req.body = { email: 'Test@Example.com' };
+            db.user.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+            userTokens.issueToken.mockResolvedValue('logintoken');
+            sendVerificationEmail.sendEmail.mockResolvedValue();
+
+            await authController.requestMagicLink(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const { nonce } = JSON.parse(res._getData());
+            expect(nonce).toMatch(/^[\w-]{43}$/);
+            expect(userTokens.issueToken).toHaveBeenCalledWith('magic_link', { userId: 1, email: 'test@example.com', nonce, expiresIn: '15m' });
+            expect(sendVerificationEmail.sendEmail).toHaveBeenCalledWith('test@example.com', 'Your Login Link', expect.stringContaining('/login/magic-link/logintoken'));
+            expect(sendVerificationEmail.sendEmail.mock.calls[0][2]).not.toContain(nonce);
+        });
+
+        /**
+         * @description Should revoke the login link when the email cannot be sent.
+         */
+        it('should revoke the login link and return 500 if the email cannot be sent', async () => {
+            req.body = { email: 'test@example.com' };
+            db.user.findOne.mockResolvedValue({ id: 1, email: 'test@example.com' });
+            userTokens.issueToken.mockResolvedValue('logintoken');
+            sendVerificationEmail.sendEmail.mockRejectedValueOnce(new Error('SMTP error'));
+
+            await authController.requestMagicLink(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(userTokens.revokeToken).toHaveBeenCalledWith('magic_link', 'logintoken');
+        });
+
+        /**
+         * @description Should answer the same way for an unknown address, without sending anything.
+         */
+        it('should not reveal whether an account has the email address', async () => {
+            req.body = { email: 'nobody@example.com' };
+            db.user.findOne.mockResolvedValue(null);
+
+            await authController.requestMagicLink(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'If an account exists for this email, a login link has been sent to it', nonce: expect.any(String) });
+            expect(userTokens.issueToken).not.toHaveBeenCalled();
+            expect(sendVerificationEmail.sendEmail).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should consume the link with its nonce, mark the email verified and start a session.
+         */
+        it('should log in with a valid link and nonce', async () => {
+            const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', status: 'active', emailVerified: false, save: jest.fn() };
+            req.params = { token: 'logintoken' };
+            req.body = { nonce: 'browsernonce' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findOne.mockResolvedValue(mockUser);
+            jwt.sign.mockReturnValueOnce('mocktoken').mockReturnValueOnce('mockrefreshtoken');
+
+            await authController.loginWithMagicLink(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ token: 'mocktoken', refreshToken: 'mockrefreshtoken' });
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('magic_link', 'logintoken', { nonce: 'browsernonce' });
+            expect(mockUser.emailVerified).toBe(true);
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(jwt.sign.mock.calls[0][0]).toEqual(expect.objectContaining({ id: 1, verified: true, type: 'access' }));
+            expect(db.session.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'mocktoken', type: 'access', userId: 1 }));
+        });
+
+        /**
+         * @description Should return 400 for an invalid, expired or used link, or a nonce that does not match.
+         */
+        it('should return 400 for an invalid link or nonce', async () => {
+            req.params = { token: 'logintoken' };
+            req.body = { nonce: 'othernonce' };
+            userTokens.consumeToken.mockResolvedValue(null);
+
+            await authController.loginWithMagicLink(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired login link' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should refuse suspended accounts like a password login.
+         */
+        it('should return 403 if the account is suspended', async () => {
+            req.params = { token: 'logintoken' };
+            req.body = { nonce: 'browsernonce' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findOne.mockResolvedValue({ id: 1, email: 'test@example.com', status: 'suspended', emailVerified: true });
+
+            await authController.loginWithMagicLink(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account is suspended' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should still require the second factor when two-factor authentication is enabled.
+         */
+        it('should return a two-factor challenge when 2FA is enabled', async () => {
+            req.params = { token: 'logintoken' };
+            req.body = { nonce: 'browsernonce' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findOne.mockResolvedValue({ id: 1, email: 'test@example.com', status: 'active', emailVerified: true });
+            db.user_mfa.findOne.mockResolvedValue({ userId: 1, enabled: true });
+            jwt.sign.mockReturnValueOnce('mockmfatoken');
+
+            await authController.loginWithMagicLink(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ mfaRequired: true, mfaToken: 'mockmfatoken' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * @description Unit tests for the clientCredentials function of the auth controller.
+     */
+    describe('clientCredentials', () => {
+        /**
+         * @description Should issue a short-lived access token, without a refresh token, for client credentials sent with HTTP Basic authentication.
+         */
+        it('should issue an access token for valid client credentials', async () => {
+            req.body = { grant_type: 'client_credentials' };
+            req.headers.authorization = `Basic ${Buffer.from('svc_abc:s3cret').toString('base64')}`;
+            serviceAccounts.authenticateClient.mockResolvedValue({ id: 12, username: 'deploy-bot', accountType: 'service', status: 'active' });
+            jwt.sign.mockReturnValue('servicetoken');
+            jwt.decode.mockReturnValue({ exp: Math.floor(Date.now() / 1000) + 900 });
+            db.session.create.mockResolvedValue({});
+
+            await authController.clientCredentials(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ access_token: 'servicetoken', token_type: 'Bearer', expires_in: expect.any(Number) });
+            expect(JSON.parse(res._getData()).expires_in).toBeGreaterThan(890);
+            expect(serviceAccounts.authenticateClient).toHaveBeenCalledWith('svc_abc', 's3cret');
+            expect(jwt.sign).toHaveBeenCalledTimes(1);
+            expect(db.session.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'servicetoken', type: 'access', userId: 12 }));
+        });
+
+        /**
+         * @description Should refuse invalid client credentials sent in the body with the OAuth 2.0 `invalid_client` error.
+         */
+        it('should return 401 for invalid client credentials', async () => {
+            req.body = { grant_type: 'client_credentials', client_id: 'svc_abc', client_secret: 'wrong' };
+            serviceAccounts.authenticateClient.mockResolvedValue(null);
+
+            await authController.clientCredentials(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ error: 'invalid_client', message: 'Invalid client credentials' });
+            expect(serviceAccounts.authenticateClient).toHaveBeenCalledWith('svc_abc', 'wrong');
+        });
+
+        /**
+         * @description Should refuse suspended service accounts.
+         */
+        it('should return 403 if the service account is suspended', async () => {
+            req.body = { grant_type: 'client_credentials', client_id: 'svc_abc', client_secret: 's3cret' };
+            serviceAccounts.authenticateClient.mockResolvedValue({ id: 12, accountType: 'service', status: 'suspended' });
+
+            await authController.clientCredentials(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ error: 'unauthorized_client', message: 'Account is suspended' });
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should refuse grant types other than the client credentials grant.
+         */
+        it('should return 400 for an unsupported grant type', async () => {
+            req.body = { grant_type: 'password', username: 'deploy-bot', password: 'secret' };
+
+            await authController.clientCredentials(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ error: 'unsupported_grant_type', message: 'Only the client_credentials grant is supported' });
+            expect(serviceAccounts.authenticateClient).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * @description Unit tests for the refreshToken function of the auth controller.
+     */
+    describe('refreshToken', () => {
+        /**
+         * @description Should rotate the refresh token and issue a new pair in the same family.
+         */
+        it('should rotate the refresh token and return a new token pair', async () => {
+            const authenticatedAt = new Date('2024-01-01T00:00:00Z');
+            const mockSession = { id: 5, userId: 1, flag: false, familyId: 'family-1', authenticatedAt };
+            const mockUser = { id: 1, username: 'testuser', emailVerified: true };
+            req.body = { refreshToken: 'oldrefreshtoken' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'refresh', family: 'family-1' });
+            db.session.findOne.mockResolvedValue(mockSession);
+            db.session.update.mockResolvedValue([1]);
+            db.user.findByPk.mockResolvedValue(mockUser);
+            jwt.sign.mockReturnValueOnce('newtoken').mockReturnValueOnce('newrefreshtoken');
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ token: 'newtoken', refreshToken: 'newrefreshtoken' });
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { id: 5, flag: false } });
+            expect(db.session.create).toHaveBeenCalledWith(expect.objectContaining({ token: 'newrefreshtoken', familyId: 'family-1', authenticatedAt }));
+        });
+
+        /**
+         * @description Should refuse to refresh the tokens of a suspended account.
+         */
+        it('should return 403 if the account is suspended', async () => {
+            req.body = { refreshToken: 'oldrefreshtoken' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'refresh', family: 'family-1' });
+            db.session.findOne.mockResolvedValue({ id: 5, userId: 1, flag: false, familyId: 'family-1' });
+            db.session.update.mockResolvedValue([1]);
+            db.user.findByPk.mockResolvedValue({ id: 1, username: 'testuser', status: 'suspended' });
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account is suspended' });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should return 400 if the refresh token is missing.
+         */
+        it('should return 400 if refresh token is missing', async () => {
+            req.body = {};
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Refresh token is required' });
+        });
+
+        /**
+         * @description Should return 401 if the refresh token cannot be verified.
+         */
+        it('should return 401 for an invalid refresh token', async () => {
+            req.body = { refreshToken: 'invalidtoken' };
+            jwt.verify.mockImplementation(() => { throw new Error('invalid signature'); });
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired refresh token', error: 'invalid signature' });
+        });
+
+        /**
+         * @description Should return 401 if an access token is presented as a refresh token.
+         */
+        it('should return 401 if an access token is presented', async () => {
+            req.body = { refreshToken: 'accesstoken' };
+            jwt.verify.mockReturnValue({ id: 1, username: 'testuser', type: 'access' });
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired refresh token', error: 'Token is not a refresh token' });
+        });
+
+        /**
+         * @description Should return 401 if the refresh token is not recorded as a session.
+         */
+        it('should return 401 if the refresh token is unknown', async () => {
+            req.body = { refreshToken: 'unknowntoken' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'refresh', family: 'family-1' });
+            db.session.findOne.mockResolvedValue(null);
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired refresh token' });
+        });
+
+        /**
+         * @description Should revoke the whole token family when a used refresh token is replayed.
+         */
+        it('should revoke the token family when a used refresh token is replayed', async () => {
+            const mockSession = { id: 5, userId: 1, flag: true, familyId: 'family-1' };
+            req.body = { refreshToken: 'usedrefreshtoken' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'refresh', family: 'family-1' });
+            db.session.findOne.mockResolvedValue(mockSession);
+            db.session.update.mockResolvedValue([0]);
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Refresh token reuse detected, all sessions of this login have been revoked' });
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { familyId: 'family-1' } });
+            expect(db.session.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should return 500 on server error during token refresh.
+         */
+        it('should return 500 on server error', async () => {
+            req.body = { refreshToken: 'refreshtoken' };
+            jwt.verify.mockReturnValue({ id: 1, type: 'refresh', family: 'family-1' });
+            db.session.findOne.mockRejectedValue(new Error('Server error'));
+
+            await authController.refreshToken(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Server error', error: 'Server error' });
+        });
+    });
+
     /**
    * @description Unit tests for the signup function of the auth controller.
    */
@@ -135,14 +818,51 @@ describe('Auth Controller', () => {
             db.user.findOne.mockResolvedValue(null);
             bcrypt.hash.mockResolvedValue('hashedpassword');
             db.user.create.mockResolvedValue(mockUser);
-            db.user_roles.create.mockResolvedValue({});
-            jwt.sign.mockReturnValue('mocktoken');
+            db.user_roles.create = jest.fn().mockResolvedValue({});
+            userTokens.issueToken.mockResolvedValue('mocktoken');
             sendVerificationEmail.mockResolvedValue(true);
 
             await authController.signup(req, res);
 
             expect(res.statusCode).toBe(201);
             expect(JSON.parse(res._getData())).toEqual({ message: "User registered successfully. Please check your email to verify your account." });
+            expect(userTokens.issueToken).toHaveBeenCalledWith('verify_email', { userId: 1, email: 'test@example.com', expiresIn: '1h' });
+            expect(sendVerificationEmail).toHaveBeenCalledWith('test@example.com', expect.stringMatching(/\/verification\/mocktoken$/));
+        });
+        /**
+         * @description Should store a normalized email and check both identifiers for duplicates.
+         */
+        it('should normalize the email and check username and email for duplicates', async () => {
+            req.body = { username: ' testuser ', email: ' Test@Example.com ', password: 'password' };
+            db.user.findOne.mockResolvedValue(null);
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            db.user.create.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userTokens.issueToken.mockResolvedValue('mocktoken');
+
+            await authController.signup(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(db.user.create).toHaveBeenCalledWith(expect.objectContaining({ username: 'testuser', email: 'test@example.com' }));
+            expect(sendVerificationEmail).toHaveBeenCalledWith('test@example.com', expect.any(String));
+        });
+        /**
+         * @description Should delete the new account again, revoking its link, when the verification email cannot be sent.
+         */
+        it('should delete the account and return 500 if the verification email cannot be sent', async () => {
+            const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', destroy: jest.fn() };
+            req.body = { username: 'testuser', email: 'test@example.com', password: 'password' };
+            db.user.findOne.mockResolvedValue(null);
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            db.user.create.mockResolvedValue(mockUser);
+            userTokens.issueToken.mockResolvedValue('mocktoken');
+            sendVerificationEmail.mockRejectedValueOnce(new Error('SMTP error'));
+
+            await authController.signup(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'SMTP error' });
+            expect(userTokens.revokeToken).toHaveBeenCalledWith('verify_email', 'mocktoken');
+            expect(mockUser.destroy).toHaveBeenCalledWith({ force: true });
         });
         /**
                * @description Should return 400 if user already exists.
@@ -168,6 +888,46 @@ describe('Auth Controller', () => {
             expect(res.statusCode).toBe(500);
             expect(JSON.parse(res._getData())).toEqual({ message: "Internal server error", "error": "Server error" });
         });
+        /**
+         * @description Should create accounts pending approval when self-registration requires it.
+         */
+        it('should create the account pending approval when signups require approval', async () => {
+            account_config.signupRequiresApproval = true;
+            req.body = { username: 'testuser', email: 'test@example.com', password: 'password' };
+            db.user.findOne.mockResolvedValue(null);
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            db.user.create.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com', status: 'pending_approval' });
+            userTokens.issueToken.mockResolvedValue('mocktoken');
+
+            await authController.signup(req, res);
+            account_config.signupRequiresApproval = false;
+
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res._getData()).message).toMatch(/once an administrator approves your account/);
+            expect(db.user.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending_approval' }));
+            expect(sendVerificationEmail).toHaveBeenCalledWith('test@example.com', expect.any(String));
+        });
+        /**
+         * @description Should refuse signups unless the signup mode is open, without creating an account.
+         */
+        it('should return 403 unless the signup mode is open', async () => {
+            const signupMode = account_config.signupMode;
+            req.body = { username: 'testuser', email: 'test@example.com', password: 'password' };
+
+            account_config.signupMode = 'invite-only';
+            await authController.signup(req, res);
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Signup is by invitation only' });
+
+            account_config.signupMode = 'disabled';
+            res = httpMocks.createResponse();
+            await authController.signup(req, res);
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Signup is disabled' });
+
+            account_config.signupMode = signupMode;
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
     });
     /**
        * @description Unit tests for the resendVerificationEmail function of the auth controller.
@@ -180,13 +940,15 @@ describe('Auth Controller', () => {
             const mockUser = { id: 1, email: 'test@example.com', emailVerified: false };
             req.body = { email: 'test@example.com' };
             db.user.findOne.mockResolvedValue(mockUser);
-            jwt.sign.mockReturnValue('mocktoken');
+            userTokens.issueToken.mockResolvedValue('newtoken');
             sendVerificationEmail.mockResolvedValue(true);
 
             await authController.resendVerificationEmail(req, res);
 
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: "Verification email resent successfully" });
+            expect(userTokens.issueToken).toHaveBeenCalledWith('verify_email', expect.objectContaining({ userId: 1 }));
+            expect(sendVerificationEmail).toHaveBeenCalledWith('test@example.com', expect.stringMatching(/\/verification\/newtoken$/));
         });
 
         /**
@@ -238,33 +1000,36 @@ describe('Auth Controller', () => {
         it('should verify user successfully', async () => {
             const mockUser = { id: 1, email: 'test@example.com', emailVerified: false, save: jest.fn() };
             req.params = { token: 'validtoken' };
-            jwt.verify.mockReturnValue({ id: 1, email: 'test@example.com' });
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
             db.user.findOne.mockResolvedValue(mockUser);
 
             await authController.verification(req, res);
 
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: 'User verified successfully' });
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('verify_email', 'validtoken');
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: { id: 1, email: 'test@example.com' } });
             expect(mockUser.save).toHaveBeenCalled();
         });
         /**
-            * @description Should return 400 for invalid or expired verification link.
+            * @description Should return 400 for an invalid, expired or already used verification link.
             */
         it('should return 400 for invalid or expired verification link', async () => {
             req.params = { token: 'invalidtoken' };
-            jwt.verify.mockImplementation(() => { throw new Error('Invalid token'); });
+            userTokens.consumeToken.mockResolvedValue(null);
 
             await authController.verification(req, res);
 
             expect(res.statusCode).toBe(400);
-            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired verification link', error: 'Invalid token' });
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired verification link' });
+            expect(db.user.findOne).not.toHaveBeenCalled();
         });
         /**
             * @description Should return 400 if user is not found during verification.
             */
         it('should return 400 for invalid verification link if user not found', async () => {
             req.params = { token: 'validtoken' };
-            jwt.verify.mockReturnValue({ id: 1, email: 'test@example.com' });
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
             db.user.findOne.mockResolvedValue(null);
 
             await authController.verification(req, res);
@@ -273,6 +1038,94 @@ describe('Auth Controller', () => {
             expect(JSON.parse(res._getData())).toEqual({ message: "Invalid verification link" });
         });
     });
+    describe('confirmEmailChange', () => {
+        /**
+         * @description Should replace the email with the pending email the link was sent to.
+         */
+        it('should change the email to the confirmed pending email', async () => {
+            const mockUser = { id: 1, email: 'old@example.com', pendingEmail: 'new@example.com', emailVerified: false, save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'new@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user.findOne.mockResolvedValue(null);
+
+            await authController.confirmEmailChange(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('email_change', 'validtoken');
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Email changed successfully' });
+            expect(mockUser).toEqual(expect.objectContaining({ email: 'new@example.com', pendingEmail: null, emailVerified: true }));
+            expect(mockUser.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should refuse a link for an address that is no longer the pending email.
+         */
+        it('should return 400 if the email is no longer pending', async () => {
+            const mockUser = { id: 1, email: 'old@example.com', pendingEmail: 'other@example.com', save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'new@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+
+            await authController.confirmEmailChange(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @description Should refuse a token that is not a valid confirmation token, such as a revert token or a used link.
+         */
+        it('should return 400 for a token that cannot be consumed', async () => {
+            req.params = { token: 'reverttoken' };
+            userTokens.consumeToken.mockResolvedValue(null);
+
+            await authController.confirmEmailChange(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired email change link' });
+            expect(db.user.findByPk).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('revertEmailChange', () => {
+        /**
+         * @description Should restore the previous email after a confirmed change and revoke every session.
+         */
+        it('should restore the previous email and revoke the sessions', async () => {
+            const mockUser = { id: 1, email: 'attacker@example.com', pendingEmail: null, save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'old@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.user.findOne.mockResolvedValue(null);
+            db.session.update.mockResolvedValue([4]);
+
+            await authController.revertEmailChange(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('email_revert', 'validtoken');
+            expect(mockUser).toEqual(expect.objectContaining({ email: 'old@example.com', pendingEmail: null, emailVerified: true }));
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, flag: false } });
+        });
+
+        /**
+         * @description Should cancel a change that has not been confirmed yet.
+         */
+        it('should cancel a pending change', async () => {
+            const mockUser = { id: 1, email: 'old@example.com', pendingEmail: 'new@example.com', emailVerified: true, save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'old@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.session.update.mockResolvedValue([0]);
+
+            await authController.revertEmailChange(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(mockUser).toEqual(expect.objectContaining({ email: 'old@example.com', pendingEmail: null }));
+            expect(mockUser.save).toHaveBeenCalled();
+        });
+    });
+
     /**
      * @description Unit tests for the verifyUser function of the auth controller.
      */
@@ -304,13 +1157,29 @@ describe('Auth Controller', () => {
             const mockUser = { id: 1, username: 'testuser', email: 'test@example.com' };
             req.body = { email: 'test@example.com' };
             db.user.findOne.mockResolvedValue(mockUser);
-            jwt.sign.mockReturnValue('mocktoken');
-            sendVerificationEmail.mockResolvedValue(true);
+            userTokens.issueToken.mockResolvedValue('resettoken');
+            sendVerificationEmail.sendEmail.mockResolvedValue();
 
             await authController.forgotPassword(req, res);
 
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: 'Password reset link sent successfully' });
+            expect(userTokens.issueToken).toHaveBeenCalledWith('reset_password', { userId: 1, email: 'test@example.com', expiresIn: '1h' });
+            expect(sendVerificationEmail.sendEmail).toHaveBeenCalledWith('test@example.com', 'Password Reset', expect.stringContaining('/reset-password/resettoken'));
+        });
+        /**
+         * @description Should revoke the reset link when the email cannot be sent.
+         */
+        it('should revoke the reset link and return 500 if the email cannot be sent', async () => {
+            req.body = { email: 'test@example.com' };
+            db.user.findOne.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userTokens.issueToken.mockResolvedValue('resettoken');
+            sendVerificationEmail.sendEmail.mockRejectedValueOnce(new Error('SMTP error'));
+
+            await authController.forgotPassword(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(userTokens.revokeToken).toHaveBeenCalledWith('reset_password', 'resettoken');
         });
         /**
               * @description Should return 404 if user is not found during forgotPassword.
@@ -345,43 +1214,78 @@ describe('Auth Controller', () => {
     * @description Should reset password successfully.
     */
         it('should reset password successfully', async () => {
-            const mockUser = { id: 1, username: 'testuser', password: 'hashedpassword', save: jest.fn() };
-            req.body = { token: 'validtoken', newPassword: 'newpassword' };
-            jwt.verify.mockReturnValue({ id: 1, username: 'testuser' });
-            db.user.findOne.mockResolvedValue(mockUser);
+            const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', password: 'hashedpassword', pendingEmail: 'new@example.com', save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            req.body = { newPassword: 'N3w-Secret-Pass' };
+            userTokens.findToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            userTokens.consumeToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+            db.session.update.mockResolvedValue([3]);
+            userTokens.issueToken.mockResolvedValue('securetoken');
+            bcrypt.compare.mockResolvedValue(false);
             bcrypt.hash.mockResolvedValue('newhashedpassword');
 
             await authController.resetPassword(req, res);
 
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: 'Password reset successfully' });
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('reset_password', 'validtoken');
+            expect(mockUser).toEqual(expect.objectContaining({ password: 'newhashedpassword', pendingEmail: null }));
             expect(mockUser.save).toHaveBeenCalled();
+            expect(userTokens.revokeTokens).toHaveBeenCalledWith(1, userTokens.REVOKED_ON_PASSWORD_CHANGE);
+            // Every session is signed out, the reset is audited and the user is notified with a link to secure the account
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, flag: false } });
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ level: 'audit', userId: 1, message: expect.stringMatching(/^password\.reset /) }));
+            expect(userTokens.issueToken).toHaveBeenCalledWith('reset_password', expect.objectContaining({ userId: 1, expiresIn: '7d' }));
+            expect(sendVerificationEmail.sendNotification).toHaveBeenCalledWith('test@example.com', 'Your Password Was Changed', expect.stringContaining('/reset-password/securetoken'));
         });
         /**
-               * @description Should return 400 for invalid or expired reset token.
+               * @description Should return 400 for an invalid, expired or already used reset token.
                */
         it('should return 400 for invalid or expired token', async () => {
-            req.body = { token: 'invalidtoken', newPassword: 'newpassword' };
-            jwt.verify.mockImplementation(() => { throw new Error('Invalid token'); });
+            req.params = { token: 'invalidtoken' };
+            req.body = { newPassword: 'N3w-Secret-Pass' };
+            userTokens.findToken.mockResolvedValue(null);
 
             await authController.resetPassword(req, res);
 
             expect(res.statusCode).toBe(400);
-            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired token', error: 'Invalid token' });
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired token' });
+            expect(bcrypt.hash).not.toHaveBeenCalled();
         });
         /**
              * @description Should return 400 if user is not found during resetPassword.
              */
         it('should return 400 for invalid token if user not found', async () => {
-            req.body = { token: 'validtoken', newPassword: 'newpassword' };
-            jwt.verify.mockReturnValue({ id: 1, username: 'testuser' });
-            db.user.findOne.mockResolvedValue(null);
+            req.params = { token: 'validtoken' };
+            req.body = { newPassword: 'N3w-Secret-Pass' };
+            userTokens.findToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findByPk.mockResolvedValue(null);
 
             await authController.resetPassword(req, res);
 
             expect(res.statusCode).toBe(400);
             expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired token' });
         });
+        /**
+             * @description Should refuse a password containing the username without using the token, so the link can be used again.
+             */
+        it('should return 400 and keep the token if the password contains the username', async () => {
+            const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', save: jest.fn() };
+            req.params = { token: 'validtoken' };
+            req.body = { newPassword: 'Testuser2024' };
+            userTokens.findToken.mockResolvedValue({ userId: 1, email: 'test@example.com' });
+            db.user.findByPk.mockResolvedValue(mockUser);
+
+            await authController.resetPassword(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({
+                errors: [{ type: 'field', location: 'body', path: 'newPassword', msg: 'Password must not contain your username or email address' }]
+            });
+            expect(userTokens.consumeToken).not.toHaveBeenCalled();
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
     });
     /**
         * @description Unit tests for the logout function of the auth controller.
@@ -393,6 +1297,7 @@ describe('Auth Controller', () => {
         it('should log out successfully', async () => {
             req.user = { id: 1 };
             req.headers.authorization = 'Bearer mocktoken';
+            db.session.findOne.mockResolvedValue(null);
             db.session.update.mockResolvedValue([1]);
 
             await authController.logout(req, res);
@@ -400,6 +1305,35 @@ describe('Auth Controller', () => {
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: 'Logged out successfully' });
         });
+        /**
+         * @description Should revoke every token of the session's token family on logout.
+         */
+        it('should revoke the whole token family on logout', async () => {
+            req.user = { id: 1 };
+            req.headers.authorization = 'Bearer mocktoken';
+            db.session.findOne.mockResolvedValue({ id: 3, familyId: 'family-1' });
+            db.session.update.mockResolvedValue([2]);
+
+            await authController.logout(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { familyId: 'family-1' } });
+        });
+        /**
+         * @description Should revoke the personal access token a request was made with, sent as a Bearer token or in the X-API-Key header.
+         */
+        it('should revoke the personal access token of the request on logout', async () => {
+            req.user = { id: 1, sessionId: null, accessTokenId: 7, scopes: ['profile:read'] };
+            req.headers['x-api-key'] = 'pat_mocktoken';
+            db.access_token.destroy = jest.fn().mockResolvedValue(1);
+            db.log.create = jest.fn().mockResolvedValue({});
+
+            await authController.logout(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.access_token.destroy).toHaveBeenCalledWith({ where: { id: 7, userId: 1 } });
+            expect(db.session.update).not.toHaveBeenCalled();
+        });
         /**
              * @description Should return 500 on server error during logout.
              */
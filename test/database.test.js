@@ -0,0 +1,261 @@
+/**
+ * @file database.test.js
+ * @description This file contains unit tests for the migration runner in `database/migrator.js`, the migrations it applies, and the seeders.
+ * The file uses `jest` for mocking Umzug, the database models and `bcrypt`, and for assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **Migrations**: Tests that every migration file is registered in order, and that the migrations create the tables of the models and drop them again.
+ * - **prepare**: Tests that startup applies pending migrations and runs the seeders outside production, refuses to start with pending migrations in production,
+ *   seeds the built-in roles and permissions in production, and refuses to start without a key encryption key.
+ * - **Seeders**: Tests that the default roles, their permissions and the bootstrap administrator are created only when missing.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const Sequelize = require('sequelize');
+const { Umzug } = require('umzug');
+const db = require('../models');
+const migrator = require('../database/migrator');
+const seed_config = require('../config/seed.config');
+const jwt_config = require('../config/jwt.config');
+const rolesSeeder = require('../database/seeders/roles.seeder');
+const permissionsSeeder = require('../database/seeders/permissions.seeder');
+const adminSeeder = require('../database/seeders/admin.seeder');
+
+jest.mock('umzug');
+jest.mock('bcrypt');
+jest.mock('../models');
+
+const migrationsDir = path.join(__dirname, '../database/migrations');
+
+/**
+ * Builds a query interface recording the tables created and dropped by migrations.
+ *
+ * @returns {Object} The query interface.
+ */
+const createQueryInterface = () => ({
+    createTable: jest.fn().mockResolvedValue(),
+    addIndex: jest.fn().mockResolvedValue(),
+    addColumn: jest.fn().mockResolvedValue(),
+    removeColumn: jest.fn().mockResolvedValue(),
+    changeColumn: jest.fn().mockResolvedValue(),
+    bulkDelete: jest.fn().mockResolvedValue(),
+    dropTable: jest.fn().mockResolvedValue()
+});
+
+describe('Database', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jwt_config.keyEncryptionKey = 'test-key-encryption-key';
+        db.sequelize.getQueryInterface = jest.fn().mockReturnValue(createQueryInterface());
+        Umzug.prototype.executed.mockResolvedValue([]);
+        Umzug.prototype.pending.mockResolvedValue([]);
+        Umzug.prototype.up.mockResolvedValue([]);
+        db.role.findOrCreate = jest.fn().mockResolvedValue([{}, false]);
+        db.role.findAll = jest.fn().mockResolvedValue([{ id: 1, roleName: 'user' }, { id: 2, roleName: 'admin' }]);
+        db.permission.findOrCreate = jest.fn(async ({ defaults }) => [{ id: defaults.name, ...defaults }, true]);
+        db.role_permission.findOrCreate = jest.fn().mockResolvedValue([{}, true]);
+        db.user.findOne = jest.fn().mockResolvedValue(null);
+        db.user.create = jest.fn().mockResolvedValue({ id: 7 });
+        db.user_roles.findOrCreate = jest.fn().mockResolvedValue([{}, true]);
+        seed_config.admin = { name: 'Administrator', username: 'admin', email: 'Admin@Example.com', password: 'S3cret!pass' };
+    });
+
+    describe('Migrations', () => {
+        /**
+         * @function
+         * @description Tests that every file in `database/migrations` is registered with the migrator, in the order of its name,
+         * and that migrations receive the query interface and `Sequelize`.
+         */
+        it('should register every migration file in order', async () => {
+            migrator.createMigrator({ logger: undefined });
+
+            const { migrations, context } = Umzug.mock.calls[0][0];
+            const files = fs.readdirSync(migrationsDir).sort().map((file) => path.basename(file, '.js'));
+            expect(migrations.map((migration) => migration.name)).toEqual(files);
+
+            const migration = require(path.join(migrationsDir, files[0]));
+            const up = jest.spyOn(migration, 'up').mockResolvedValue();
+            await migrations[0].up({ context });
+            expect(up).toHaveBeenCalledWith(context, Sequelize);
+            up.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests that the migrations create a table for every model and add the columns of later changes,
+         * and that reverting them drops the tables and columns in reverse order.
+         */
+        it('should create the tables of the models and drop them when reverted', async () => {
+            const queryInterface = createQueryInterface();
+            const files = fs.readdirSync(migrationsDir).sort();
+            for (const file of files) {
+                await require(path.join(migrationsDir, file)).up(queryInterface, Sequelize);
+            }
+            for (const file of [...files].reverse()) {
+                await require(path.join(migrationsDir, file)).down(queryInterface, Sequelize);
+            }
+
+            const created = queryInterface.createTable.mock.calls.map(([table]) => table);
+            expect(created).toEqual(expect.arrayContaining([
+                'Users', 'Roles', 'UserRoles', 'Sessions', 'Logs', 'UserMfas', 'MfaRecoveryCodes', 'LoginAttempts', 'RateLimits', 'SigningKeys',
+                'Permissions', 'RolePermissions', 'UserTokens', 'PasswordHistories', 'AccessTokens', 'Invitations', 'Passkeys',
+                'OAuthClients', 'OAuthConsents', 'OAuthAuthorizationCodes'
+            ]));
+            expect(queryInterface.dropTable.mock.calls.map(([table]) => table)).toEqual([...created].reverse());
+            expect(queryInterface.addIndex.mock.calls.map(([, , options]) => options.name))
+                .toEqual(['users_username_lower_unique', 'users_email_lower_unique']);
+
+            const added = queryInterface.addColumn.mock.calls.map(([table, column]) => `${table}.${column}`);
+            expect(added).toEqual(expect.arrayContaining(['Users.status', 'Users.suspendedAt', 'Users.suspensionReason', 'Users.deletedAt', 'Users.deletionScheduledAt', 'Users.pendingEmail', 'Users.passwordChangedAt',
+                'Users.accountType', 'Users.clientId', 'Users.clientSecretHash', 'Users.reviewedAt', 'Users.reviewedBy', 'Users.rejectionReason', 'UserTokens.nonceHash']));
+            expect(queryInterface.removeColumn.mock.calls.map(([table, column]) => `${table}.${column}`)).toEqual([...added].reverse());
+            const changed = queryInterface.changeColumn.mock.calls.map(([table, column, { allowNull }]) => `${table}.${column}:${allowNull}`);
+            expect(changed).toEqual(['Users.email:true', 'Users.password:true', 'Users.password:false', 'Users.email:false']);
+        });
+    });
+
+    describe('prepare', () => {
+        /**
+         * @function
+         * @description Tests that pending migrations are applied and the seeders run outside production.
+         */
+        it('should apply pending migrations and seed outside production', async () => {
+            Umzug.prototype.pending.mockResolvedValue([{ name: '20261019000100-create-users' }]);
+
+            await migrator.prepare({ production: false });
+
+            expect(Umzug.prototype.up).toHaveBeenCalled();
+            expect(db.role.findOrCreate).toHaveBeenCalledTimes(2);
+        });
+
+        /**
+         * @function
+         * @description Tests that the server refuses to start in production while migrations are pending, without changing the database.
+         */
+        it('should refuse to start in production with pending migrations', async () => {
+            Umzug.prototype.pending.mockResolvedValue([{ name: '20261019000800-create-signing-keys' }]);
+
+            await expect(migrator.prepare({ production: true }))
+                .rejects.toThrow('The database has 1 pending migration(s): 20261019000800-create-signing-keys. Run "npm run db:migrate" before starting the server.');
+            expect(Umzug.prototype.up).not.toHaveBeenCalled();
+            expect(db.role.findOrCreate).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that an up-to-date database starts in production without running migrations or seeders.
+         */
+        it('should start in production when the database is up to date', async () => {
+            await expect(migrator.prepare({ production: true })).resolves.toBeUndefined();
+            expect(Umzug.prototype.up).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that the built-in roles and permissions are seeded in production, without creating the bootstrap administrator.
+         */
+        it('should seed the built-in roles and permissions in production', async () => {
+            await migrator.prepare({ production: true });
+
+            expect(db.role.findOrCreate).toHaveBeenCalledTimes(2);
+            expect(db.permission.findOrCreate).toHaveBeenCalled();
+            expect(db.user.findOne).not.toHaveBeenCalled();
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that the server refuses to start without the key the signing keys are encrypted with.
+         */
+        it('should refuse to start without a key encryption key', async () => {
+            jwt_config.keyEncryptionKey = undefined;
+
+            await expect(migrator.prepare({ production: false }))
+                .rejects.toThrow('JWT_KEY_ENCRYPTION_KEY is not configured. Set it to a long random string before starting the server.');
+            expect(Umzug.prototype.up).not.toHaveBeenCalled();
+            expect(db.role.findOrCreate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Seeders', () => {
+        /**
+         * @function
+         * @description Tests that the default roles are created only when missing, `user` first.
+         */
+        it('should seed the default roles', async () => {
+            await rolesSeeder(db);
+
+            expect(db.role.findOrCreate.mock.calls.map(([{ where }]) => where.roleName)).toEqual(['user', 'admin']);
+        });
+
+        /**
+         * @function
+         * @description Tests that new permissions are granted to their default roles, administrators receiving every permission.
+         */
+        it('should seed the permissions and grant them to the default roles', async () => {
+            await permissionsSeeder(db);
+
+            const grants = db.role_permission.findOrCreate.mock.calls.map(([{ where }]) => where);
+            const { PERMISSIONS } = permissionsSeeder;
+            expect(grants.filter(({ roleId }) => roleId === 2)).toHaveLength(PERMISSIONS.length);
+            expect(grants.filter(({ roleId }) => roleId === 1).map(({ permissionId }) => permissionId)).toEqual(['profile:read', 'profile:write']);
+        });
+
+        /**
+         * @function
+         * @description Tests that existing permissions keep their grants, so revoked grants are not restored.
+         */
+        it('should not grant existing permissions again', async () => {
+            db.permission.findOrCreate.mockImplementation(async ({ defaults }) => [{ id: defaults.name }, false]);
+
+            await permissionsSeeder(db);
+
+            expect(db.role_permission.findOrCreate).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that the configured administrator is created with a hashed password and both roles.
+         */
+        it('should create the bootstrap administrator', async () => {
+            bcrypt.hash.mockResolvedValue('hashedPassword');
+
+            await expect(adminSeeder(db)).resolves.toEqual({ id: 7 });
+
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: { email: 'admin@example.com' } });
+            expect(db.user.create).toHaveBeenCalledWith(expect.objectContaining({
+                username: 'admin', password: 'hashedPassword', emailVerified: true, acceptedTerms: true
+            }));
+            expect(db.user_roles.findOrCreate).toHaveBeenCalledWith({ where: { userId: 7, roleId: 2 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that an existing administrator is kept, including its password, and only missing roles are assigned.
+         */
+        it('should not recreate an existing administrator', async () => {
+            db.user.findOne.mockResolvedValue({ id: 3 });
+
+            await adminSeeder(db);
+
+            expect(db.user.create).not.toHaveBeenCalled();
+            expect(bcrypt.hash).not.toHaveBeenCalled();
+            expect(db.user_roles.findOrCreate).toHaveBeenCalledTimes(2);
+        });
+
+        /**
+         * @function
+         * @description Tests that no administrator is created when none is configured.
+         */
+        it('should skip the administrator when it is not configured', async () => {
+            seed_config.admin = { name: 'Administrator' };
+
+            await expect(adminSeeder(db)).resolves.toBeNull();
+            expect(db.user.findOne).not.toHaveBeenCalled();
+        });
+    });
+});
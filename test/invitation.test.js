@@ -0,0 +1,348 @@
+/**
+ * @file invitation.test.js
+ * @description This file contains unit tests for the `invitationController` module and the `invitations` service it relies on,
+ * covering sending, listing, revoking and accepting invitations, and the signup mode.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models, `bcrypt`,
+ * the email service and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **POST /invitations**: Tests that an invitation is sent with a single-use link and the IDs of its roles, revoking the previous
+ *   invitation to the address, deleting it again when the email cannot be sent, and refusing addresses already in use, unknown roles,
+ *   roles assigned without the `roles:assign` permission and disabled signups.
+ * - **GET /invitations**: Tests that invitations are listed with their status and the names of their roles.
+ * - **DELETE /invitations/:invitationId**: Tests that pending invitations are revoked with their link, refusing invitations that are no longer pending.
+ * - **POST /accept-invitation/:token**: Tests that accepting an invitation creates a verified account with the roles of the invitation,
+ *   refusing invalid links, passwords containing the invited email address and usernames already in use.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const bcrypt = require('bcrypt');
+const db = require('../models');
+const account_config = require('../config/account.config');
+const sendVerificationEmail = require('../utils/emailService');
+const invitationController = require('../controllers/invitation.controller');
+
+jest.mock('../models');
+jest.mock('bcrypt');
+jest.mock('../utils/emailService');
+
+/**
+ * Hashes a token the way link tokens are stored.
+ *
+ * @param {string} token - The token.
+ * @returns {string} The SHA-256 hash of the token, in hex.
+ */
+const sha256 = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('Invitation Controller', () => {
+    let req, res, invitation;
+    const signupMode = account_config.signupMode;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1, role: ['admin'] } });
+        res = httpMocks.createResponse();
+        invitation = {
+            id: 4,
+            email: 'bob@example.com',
+            roleIds: [1, 3],
+            invitedBy: 1,
+            userId: null,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            acceptedAt: null,
+            revokedAt: null,
+            save: jest.fn().mockResolvedValue()
+        };
+        db.user.findOne = jest.fn().mockResolvedValue(null);
+        db.user.create = jest.fn(async (attributes) => ({ id: 8, ...attributes }));
+        db.role.findAll = jest.fn().mockResolvedValue([{ id: 1, roleName: 'user' }, { id: 3, roleName: 'editor' }]);
+        db.permission.findAll = jest.fn().mockResolvedValue([{ name: 'invitations:write' }, { name: 'roles:assign' }]);
+        db.user_roles.create = jest.fn().mockResolvedValue({});
+        db.invitation.update = jest.fn().mockResolvedValue([1]);
+        db.invitation.create = jest.fn(async (attributes) => ({ id: 4, createdAt: new Date(), ...attributes }));
+        db.invitation.findOne = jest.fn().mockResolvedValue(invitation);
+        db.invitation.findByPk = jest.fn().mockResolvedValue(invitation);
+        db.user_token.destroy = jest.fn().mockResolvedValue(1);
+        db.user_token.create = jest.fn().mockResolvedValue({});
+        db.user_token.findOne = jest.fn().mockResolvedValue({ purpose: 'invite', email: 'bob@example.com' });
+        db.user_token.update = jest.fn().mockResolvedValue([1, [{ purpose: 'invite', email: 'bob@example.com' }]]);
+        db.log.create = jest.fn().mockResolvedValue({});
+        bcrypt.hash.mockResolvedValue('hashedPassword');
+        sendVerificationEmail.sendEmail.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        account_config.signupMode = signupMode;
+        jest.clearAllMocks();
+    });
+
+    describe('POST /invitations', () => {
+        /**
+         * @function
+         * @description Tests that an invitation is created with the IDs of its roles, the previous invitation to the address revoked,
+         * and a link with a single-use token issued for the address emailed to it.
+         */
+        it('should invite an email address', async () => {
+            req.body = { email: ' Bob@Example.com ', roles: ['user', 'editor'] };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res._getData())).toEqual(expect.objectContaining({ id: 4, email: 'bob@example.com', roles: ['user', 'editor'], status: 'pending', invitedBy: 1 }));
+            expect(db.invitation.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'bob@example.com', roleIds: [1, 3], invitedBy: 1 }));
+            expect(db.invitation.update.mock.calls[0][0]).toEqual({ revokedAt: expect.any(Date) });
+            expect(db.invitation.update.mock.calls[0][1].where).toEqual(expect.objectContaining({ email: 'bob@example.com', acceptedAt: null, revokedAt: null }));
+
+            const [email, , text] = sendVerificationEmail.sendEmail.mock.calls[0];
+            expect(email).toBe('bob@example.com');
+            const token = text.match(/\/accept-invitation\/(\S+)$/)[1];
+            expect(db.user_token.create).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'invite', email: 'bob@example.com', userId: null, tokenHash: sha256(token) }));
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ level: 'audit', userId: 1, message: expect.stringMatching(/^invitation\.created /) }));
+        });
+
+        /**
+         * @function
+         * @description Tests that the invitation and its link are deleted again when the email cannot be sent.
+         */
+        it('should delete the invitation and return 500 if the email cannot be sent', async () => {
+            const destroy = jest.fn().mockResolvedValue();
+            db.invitation.create.mockImplementationOnce(async (attributes) => ({ id: 4, createdAt: new Date(), ...attributes, destroy }));
+            sendVerificationEmail.sendEmail.mockRejectedValueOnce(new Error('SMTP error'));
+            req.body = { email: 'bob@example.com' };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(db.user_token.destroy).toHaveBeenCalledWith({ where: { purpose: 'invite', tokenHash: expect.any(String) } });
+            expect(destroy).toHaveBeenCalled();
+            expect(db.log.create).not.toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringMatching(/^invitation\.created /) }));
+        });
+
+        /**
+         * @function
+         * @description Tests that an address already used by an account cannot be invited.
+         */
+        it('should return 409 if the email is already in use', async () => {
+            db.user.findOne.mockResolvedValue({ id: 2 });
+            req.body = { email: 'bob@example.com' };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Email is already in use' });
+            expect(db.invitation.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that only the default role can be given to invitees by someone without the `roles:assign` permission.
+         */
+        it('should return 403 when assigning roles without the roles:assign permission', async () => {
+            db.permission.findAll.mockResolvedValue([{ name: 'invitations:write' }]);
+            req.body = { email: 'bob@example.com', roles: ['admin'] };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Forbidden: Assigning roles requires the roles:assign permission' });
+            expect(db.invitation.create).not.toHaveBeenCalled();
+
+            res = httpMocks.createResponse();
+            req.body = { email: 'bob@example.com' };
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(201);
+        });
+
+        /**
+         * @function
+         * @description Tests that unknown roles are refused before the invitation is sent.
+         */
+        it('should return 400 for unknown roles', async () => {
+            req.body = { email: 'bob@example.com', roles: ['user', 'robot'] };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role not found: robot' });
+            expect(sendVerificationEmail.sendEmail).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that no invitation is sent when the signup mode is `disabled`.
+         */
+        it('should return 403 if signup is disabled', async () => {
+            account_config.signupMode = 'disabled';
+            req.body = { email: 'bob@example.com' };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Signup is disabled' });
+            expect(db.invitation.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /invitations', () => {
+        /**
+         * @function
+         * @description Tests that invitations are listed with their status and the names of their roles, filtered by status.
+         */
+        it('should list invitations', async () => {
+            const expired = { ...invitation, id: 5, roleIds: [1], expiresAt: new Date(Date.now() - 1000) };
+            db.invitation.findAndCountAll = jest.fn().mockResolvedValue({ rows: [invitation, expired], count: 2 });
+            req.query = { status: 'expired' };
+
+            await invitationController.listInvitations(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res._getData());
+            expect(data.invitations.map(({ id, status, roles }) => ({ id, status, roles }))).toEqual([
+                { id: 4, status: 'pending', roles: ['user', 'editor'] },
+                { id: 5, status: 'expired', roles: ['user'] }
+            ]);
+            expect(data.pagination).toEqual({ page: 1, limit: 20, total: 2, totalPages: 1 });
+            expect(db.invitation.findAndCountAll.mock.calls[0][0].where).toEqual(expect.objectContaining({ acceptedAt: null, revokedAt: null }));
+            expect(db.role.findAll).toHaveBeenCalledWith({ where: { id: [1, 3] } });
+        });
+    });
+
+    describe('DELETE /invitations/:invitationId', () => {
+        /**
+         * @function
+         * @description Tests that a pending invitation is revoked and its link invalidated.
+         */
+        it('should revoke a pending invitation', async () => {
+            req.params = { invitationId: '4' };
+
+            await invitationController.revokeInvitation(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invitation revoked' });
+            expect(invitation.revokedAt).toBeInstanceOf(Date);
+            expect(invitation.save).toHaveBeenCalled();
+            expect(db.user_token.destroy).toHaveBeenCalledWith({ where: { email: 'bob@example.com', purpose: ['invite'], usedAt: null } });
+        });
+
+        /**
+         * @function
+         * @description Tests that invitations that were accepted, revoked or have expired cannot be revoked.
+         */
+        it('should return 409 if the invitation is no longer pending', async () => {
+            invitation.acceptedAt = new Date();
+            req.params = { invitationId: '4' };
+
+            await invitationController.revokeInvitation(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invitation is no longer pending' });
+            expect(invitation.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that revoking an invitation that is not found returns 404.
+         */
+        it('should return 404 if the invitation is not found', async () => {
+            db.invitation.findByPk.mockResolvedValue(null);
+            req.params = { invitationId: '9' };
+
+            await invitationController.revokeInvitation(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invitation not found' });
+        });
+    });
+
+    describe('POST /accept-invitation/:token', () => {
+        /**
+         * @function
+         * @description Tests that accepting an invitation uses its link and creates an account with the invited email address,
+         * already verified, and the roles of the invitation, even when anyone may not sign up.
+         */
+        it('should create the account of the invitee', async () => {
+            account_config.signupMode = 'invite-only';
+            req.params = { token: 'invitetoken' };
+            req.body = { username: ' bob ', password: 'S3cure!passphrase', name: 'Bob' };
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account created successfully. You can now log in.' });
+            expect(db.user_token.findOne.mock.calls[0][0].where).toEqual(expect.objectContaining({ purpose: 'invite', tokenHash: sha256('invitetoken') }));
+            expect(db.user_token.update).toHaveBeenCalledTimes(1);
+            expect(db.user.create).toHaveBeenCalledWith({
+                username: 'bob', email: 'bob@example.com', name: 'Bob', password: 'hashedPassword', emailVerified: true, acceptedTerms: true
+            });
+            expect(db.role.findAll).toHaveBeenCalledWith({ where: { id: [1, 3] } });
+            expect(db.user_roles.create.mock.calls.map(([attributes]) => attributes)).toEqual([{ userId: 8, roleId: 1 }, { userId: 8, roleId: 3 }]);
+            expect(invitation).toEqual(expect.objectContaining({ acceptedAt: expect.any(Date), userId: 8 }));
+            expect(invitation.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a link that is invalid, used or expired, or whose invitation is no longer pending, is refused.
+         */
+        it('should return 400 for an invalid invitation', async () => {
+            db.invitation.findOne.mockResolvedValue(null);
+            req.params = { token: 'invitetoken' };
+            req.body = { username: 'bob', password: 'S3cure!passphrase' };
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired invitation' });
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that the password may not contain the invited email address, leaving the link usable.
+         */
+        it('should refuse a password containing the invited email address', async () => {
+            req.params = { token: 'invitetoken' };
+            req.body = { username: 'robert', password: 'bob!Passphrase9' };
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData()).errors).toEqual([expect.objectContaining({ path: 'password', msg: 'Password must not contain your username or email address' })]);
+            expect(db.user_token.update).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a username already in use is refused, leaving the link usable.
+         */
+        it('should return 409 if the username is already in use', async () => {
+            db.user.findOne.mockResolvedValue({ id: 2 });
+            req.params = { token: 'invitetoken' };
+            req.body = { username: 'bob', password: 'S3cure!passphrase' };
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Username is already in use' });
+            expect(db.user_token.update).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that invitations cannot be accepted when the signup mode is `disabled`.
+         */
+        it('should return 403 if signup is disabled', async () => {
+            account_config.signupMode = 'disabled';
+            req.params = { token: 'invitetoken' };
+            req.body = { username: 'bob', password: 'S3cure!passphrase' };
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(db.user_token.findOne).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * @file key.test.js
+ * @description This file contains unit tests for the `keyController` module and the `keyStore` it relies on,
+ * covering the JSON Web Key Set, signing key rotation, key lookup by `kid`, in-memory caching, and seeding the store.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /.well-known/jwks.json**: Tests that the public keys are published as a JWKS and that private key material is never exposed.
+ * - **POST /keys/rotate**: Tests that rotation creates a new, encrypted signing key and retires the previous one until its tokens expire.
+ * - **keyStore**: Tests key selection, lookup by `kid` (including keys created by other instances), refusing tokens without a `kid`, caching,
+ *   seeding, encryption of the private keys, and scheduled rotation.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const jwt_config = require('../config/jwt.config');
+const oidc_config = require('../config/oidc.config');
+const keyStore = require('../utils/keyStore');
+const { toMilliseconds } = require('../utils/duration');
+const keyController = require('../controllers/key.controller');
+
+jest.mock('../models');
+
+jwt_config.keyEncryptionKey = 'test-key-encryption-key';
+
+/**
+ * Builds a `SigningKey`-like object with a freshly generated key pair, its private key encrypted as the store keeps it.
+ *
+ * @param {Object} [attributes] - Attributes overriding the defaults.
+ * @returns {Object} The signing key.
+ */
+const createKey = (attributes = {}) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    return {
+        kid: keyStore.thumbprint(publicKey), algorithm: 'RS256', publicKey, privateKey: keyStore.encryptPrivateKey(privateKey),
+        retiredAt: null, createdAt: new Date(), ...attributes
+    };
+};
+
+/**
+ * Returns the PEM encoded public key matching a private key.
+ *
+ * @param {string} privateKey - The PEM encoded private key.
+ * @returns {string} The public key.
+ */
+const publicKeyOf = (privateKey) => crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+describe('Key Controller', () => {
+    let req, res, current, retired;
+
+    beforeAll(() => {
+        current = createKey();
+        retired = createKey({ retiredAt: new Date(), expiresAt: new Date(Date.now() + 60 * 1000) });
+    });
+
+    beforeEach(() => {
+        keyStore.clearCache();
+        req = httpMocks.createRequest();
+        res = httpMocks.createResponse();
+        db.signing_key.findAll = jest.fn().mockResolvedValue([current, retired]);
+        db.signing_key.findOrCreate = jest.fn();
+        db.signing_key.create = jest.fn(async (attributes) => ({ ...attributes, createdAt: new Date() }));
+        db.signing_key.update = jest.fn().mockResolvedValue([1]);
+        db.signing_key.destroy = jest.fn().mockResolvedValue(0);
+    });
+
+    describe('GET /.well-known/jwks.json', () => {
+        /**
+         * @function
+         * @description Tests that the current and retired public keys are published with their `kid`.
+         */
+        it('should return the public keys as a JWKS', async () => {
+            await keyController.getJwks(req, res);
+
+            const { keys } = JSON.parse(res._getData());
+            expect(res.statusCode).toBe(200);
+            expect(res.getHeader('Cache-Control')).toBe('public, max-age=300');
+            expect(keys.map((key) => key.kid)).toEqual([current.kid, retired.kid]);
+            expect(keys[0]).toEqual(expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig', e: 'AQAB' }));
+            expect(keys[0]).not.toHaveProperty('d');
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors while loading keys are handled.
+         */
+        it('should handle server errors', async () => {
+            db.signing_key.findAll.mockRejectedValue(new Error('Database error'));
+
+            await keyController.getJwks(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('POST /keys/rotate', () => {
+        /**
+         * @function
+         * @description Tests that rotation creates a new, encrypted key and retires the previous one until its tokens have expired.
+         */
+        it('should create a new signing key and retire the current one', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+
+            await keyController.rotateKeys(req, res);
+            Date.now.mockRestore();
+
+            const [created] = db.signing_key.create.mock.calls[0];
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Signing key rotated', kid: created.kid });
+            expect(created.kid).toBe(keyStore.thumbprint(created.publicKey));
+            expect(created.privateKey).toMatch(/^enc:v1:/);
+            expect(created.privateKey).not.toContain('PRIVATE KEY');
+
+            const [values, { where }] = db.signing_key.update.mock.calls[0];
+            expect(values).toEqual({ retiredAt: new Date(now), expiresAt: new Date(now + keyStore.retention()) });
+            expect(where.retiredAt).toBeNull();
+            expect(db.signing_key.destroy).toHaveBeenCalled();
+        });
+    });
+
+    describe('keyStore', () => {
+        /**
+         * @function
+         * @description Tests that the newest key that has not been retired signs tokens, and keys are cached.
+         */
+        it('should sign with the current key and cache the keys', async () => {
+            const signingKey = await keyStore.getSigningKey();
+            expect(signingKey).toEqual({ kid: current.kid, algorithm: 'RS256', privateKey: expect.any(String) });
+            expect(publicKeyOf(signingKey.privateKey)).toBe(current.publicKey);
+            await expect(keyStore.getVerificationKey(retired.kid)).resolves.toBe(retired.publicKey);
+
+            expect(db.signing_key.findAll).toHaveBeenCalledTimes(1);
+        });
+
+        /**
+         * @function
+         * @description Tests that an unknown `kid` reloads the keys once before it is rejected.
+         */
+        it('should reload the keys for an unknown kid', async () => {
+            const other = createKey();
+            await keyStore.getSigningKey();
+            db.signing_key.findAll.mockResolvedValue([other, current]);
+
+            await expect(keyStore.getVerificationKey(other.kid)).resolves.toBe(other.publicKey);
+            await expect(keyStore.getVerificationKey('unknown')).rejects.toThrow('Unknown signing key');
+            expect(db.signing_key.findAll).toHaveBeenCalledTimes(3);
+        });
+
+        /**
+         * @function
+         * @description Tests that tokens without a `kid` are refused rather than verified with any stored key.
+         */
+        it('should refuse tokens without a kid', async () => {
+            await expect(keyStore.getVerificationKey(undefined)).rejects.toThrow('Token has no key id');
+            expect(db.signing_key.findAll).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that retired keys are kept for the longest lifetime of any token they sign, plus the key cache TTL.
+         */
+        it('should retain retired keys for every token lifetime and the cache TTL', () => {
+            const { idTokenExpiresIn } = oidc_config;
+            oidc_config.idTokenExpiresIn = '30d';
+
+            expect(keyStore.retention()).toBe(toMilliseconds('30d') + toMilliseconds(jwt_config.keyCacheTtl));
+            oidc_config.idTokenExpiresIn = idTokenExpiresIn;
+        });
+
+        /**
+         * @function
+         * @description Tests that private keys stored in plain text by earlier versions are encrypted when loaded.
+         */
+        it('should encrypt private keys stored in plain text', async () => {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+            const legacy = { ...current, privateKey: pem, update: jest.fn().mockResolvedValue() };
+            db.signing_key.findAll.mockResolvedValue([legacy]);
+
+            await expect(keyStore.getSigningKey()).resolves.toEqual(expect.objectContaining({ privateKey: pem }));
+
+            const [{ privateKey: stored }] = legacy.update.mock.calls[0];
+            expect(stored).toMatch(/^enc:v1:/);
+        });
+
+        /**
+         * @function
+         * @description Tests that private keys cannot be used with a different key encryption key.
+         */
+        it('should not decrypt private keys with another encryption key', async () => {
+            const { keyEncryptionKey } = jwt_config;
+            jwt_config.keyEncryptionKey = 'another-key-encryption-key';
+
+            const error = await keyStore.getSigningKey().catch((err) => err);
+            jwt_config.keyEncryptionKey = keyEncryptionKey;
+            expect(error.message).toMatch(/unable to authenticate data/);
+        });
+
+        /**
+         * @function
+         * @description Tests that an empty store is seeded with a single key.
+         */
+        it('should seed the store when no keys exist', async () => {
+            const seeded = createKey();
+            db.signing_key.findAll.mockResolvedValue([]);
+            db.signing_key.findOrCreate.mockResolvedValue([seeded, true]);
+
+            await expect(keyStore.getSigningKey()).resolves.toEqual(expect.objectContaining({ kid: seeded.kid }));
+
+            const [{ where, defaults }] = db.signing_key.findOrCreate.mock.calls[0];
+            expect(where.kid).toBe(defaults.kid);
+            expect(defaults.privateKey).toMatch(/^enc:v1:/);
+        });
+
+        /**
+         * @function
+         * @description Tests that scheduled rotation only rotates a key older than the rotation interval.
+         */
+        it('should rotate only when the signing key is due', async () => {
+            await expect(keyStore.rotateIfDue()).resolves.toBeNull();
+
+            const interval = toMilliseconds(jwt_config.keyRotationInterval);
+            db.signing_key.findAll.mockResolvedValue([{ ...current, createdAt: new Date(Date.now() - interval) }]);
+            await expect(keyStore.rotateIfDue()).resolves.toEqual(expect.objectContaining({ kid: expect.any(String) }));
+            expect(db.signing_key.create).toHaveBeenCalledTimes(1);
+        });
+    });
+});
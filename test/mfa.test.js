@@ -0,0 +1,350 @@
+/**
+ * @file mfa.test.js
+ * @description This file contains unit tests for the `mfaController` module and the `mfaService` helpers it relies on,
+ * covering TOTP two-factor enrollment, confirmation, recovery code regeneration, and disabling 2FA.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /user/2fa**: Tests for retrieving the 2FA status.
+ * - **POST /user/2fa/enroll**: Tests for starting enrollment, including storing the secret encrypted, re-enrollment and an already enabled second factor.
+ * - **POST /user/2fa/confirm**: Tests for confirming enrollment with valid and invalid codes.
+ * - **POST /user/2fa/recovery-codes**: Tests for regenerating recovery codes.
+ * - **DELETE /user/2fa**: Tests for disabling 2FA, including an incorrect password.
+ * - **mfaService**: Tests for code replay protection, including concurrent requests, encrypting secrets stored in plain text,
+ *   and recovery code generation and consumption.
+ */
+
+require('dotenv').config();
+const httpMocks = require('node-mocks-http');
+const bcrypt = require('bcrypt');
+const db = require('../models');
+const totp = require('../utils/totp');
+const mfaService = require('../utils/mfaService');
+const encryption = require('../utils/encryption');
+const jwt_config = require('../config/jwt.config');
+const mfaController = require('../controllers/mfa.controller');
+
+jest.mock('bcrypt');
+jest.mock('../models');
+
+describe('MFA Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1 } });
+        res = httpMocks.createResponse();
+        db.user_mfa.update = jest.fn().mockResolvedValue([1]);
+        jwt_config.keyEncryptionKey = 'test-key-encryption-key';
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe('GET /user/2fa', () => {
+        /**
+         * @function
+         * @description Tests that the status reports an enabled second factor and the number of unused recovery codes.
+         */
+        it('should return the 2FA status', async () => {
+            const confirmedAt = new Date('2024-01-01T00:00:00Z');
+            db.user_mfa.findOne.mockResolvedValue({ enabled: true, confirmedAt });
+            db.mfa_recovery_code.count.mockResolvedValue(8);
+
+            await mfaController.getStatus(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ enabled: true, confirmedAt: confirmedAt.toISOString(), recoveryCodesRemaining: 8 });
+        });
+
+        /**
+         * @function
+         * @description Tests that a pending (unconfirmed) enrollment is reported as disabled.
+         */
+        it('should report 2FA as disabled while enrollment is pending', async () => {
+            db.user_mfa.findOne.mockResolvedValue({ enabled: false });
+
+            await mfaController.getStatus(req, res);
+
+            expect(JSON.parse(res._getData())).toEqual({ enabled: false, confirmedAt: null, recoveryCodesRemaining: 0 });
+            expect(db.mfa_recovery_code.count).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /user/2fa/enroll', () => {
+        /**
+         * @function
+         * @description Tests that enrollment creates a pending second factor, storing its secret encrypted, and returns the secret and otpauth URI.
+         */
+        it('should create a pending second factor and return the secret', async () => {
+            db.user.findByPk.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            db.user_mfa.findOne.mockResolvedValue(null);
+
+            await mfaController.enroll(req, res);
+
+            const data = JSON.parse(res._getData());
+            expect(res.statusCode).toBe(200);
+            expect(data.secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(data.otpauthUri).toContain(`secret=${data.secret}`);
+            expect(data.otpauthUri).toContain('test%40example.com');
+            expect(db.user_mfa.create).toHaveBeenCalledWith({ userId: 1, secret: expect.stringMatching(/^enc:v1:/), enabled: false });
+            expect(encryption.decrypt(db.user_mfa.create.mock.calls[0][0].secret, 'totp-secret-encryption')).toBe(data.secret);
+        });
+
+        /**
+         * @function
+         * @description Tests that restarting enrollment replaces the unconfirmed secret.
+         */
+        it('should replace the secret of an unconfirmed enrollment', async () => {
+            const pending = { enabled: false, secret: 'OLDSECRET', lastUsedStep: 5, save: jest.fn() };
+            db.user.findByPk.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            db.user_mfa.findOne.mockResolvedValue(pending);
+
+            await mfaController.enroll(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(encryption.decrypt(pending.secret, 'totp-secret-encryption')).toBe(JSON.parse(res._getData()).secret);
+            expect(pending.lastUsedStep).toBeNull();
+            expect(pending.save).toHaveBeenCalled();
+            expect(db.user_mfa.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that enrollment is rejected when 2FA is already enabled.
+         */
+        it('should return 400 if 2FA is already enabled', async () => {
+            db.user.findByPk.mockResolvedValue({ id: 1, username: 'testuser' });
+            db.user_mfa.findOne.mockResolvedValue({ enabled: true });
+
+            await mfaController.enroll(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Two-factor authentication is already enabled' });
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors during enrollment are handled.
+         */
+        it('should handle server errors', async () => {
+            db.user.findByPk.mockRejectedValue(new Error('Database error'));
+
+            await mfaController.enroll(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('POST /user/2fa/confirm', () => {
+        /**
+         * @function
+         * @description Tests that a valid code enables 2FA and returns recovery codes.
+         */
+        it('should enable 2FA and return recovery codes for a valid code', async () => {
+            const secret = totp.generateSecret();
+            const pending = { id: 1, userId: 1, enabled: false, secret: mfaService.encryptSecret(secret), lastUsedStep: null, save: jest.fn() };
+            req.body = { code: totp.generate(secret) };
+            db.user_mfa.findOne.mockResolvedValue(pending);
+
+            await mfaController.confirm(req, res);
+
+            const data = JSON.parse(res._getData());
+            expect(res.statusCode).toBe(200);
+            expect(data.message).toBe('Two-factor authentication enabled');
+            expect(data.recoveryCodes).toHaveLength(10);
+            expect(pending.enabled).toBe(true);
+            expect(pending.confirmedAt).toBeInstanceOf(Date);
+            expect(db.mfa_recovery_code.bulkCreate).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that an invalid code does not enable 2FA.
+         */
+        it('should return 400 for an invalid code', async () => {
+            const pending = { id: 1, userId: 1, enabled: false, secret: mfaService.encryptSecret(totp.generateSecret()), save: jest.fn() };
+            req.body = { code: 'abcdef' };
+            db.user_mfa.findOne.mockResolvedValue(pending);
+
+            await mfaController.confirm(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid verification code' });
+            expect(pending.enabled).toBe(false);
+        });
+
+        /**
+         * @function
+         * @description Tests that confirmation requires a started enrollment.
+         */
+        it('should return 400 if enrollment has not been started', async () => {
+            req.body = { code: '123456' };
+            db.user_mfa.findOne.mockResolvedValue(null);
+
+            await mfaController.confirm(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Two-factor enrollment has not been started' });
+        });
+    });
+
+    describe('POST /user/2fa/recovery-codes', () => {
+        /**
+         * @function
+         * @description Tests that recovery codes are regenerated for a valid code.
+         */
+        it('should regenerate recovery codes for a valid code', async () => {
+            const secret = totp.generateSecret();
+            req.body = { code: totp.generate(secret) };
+            db.user_mfa.findOne.mockResolvedValue({ enabled: true, secret: mfaService.encryptSecret(secret), lastUsedStep: null, save: jest.fn() });
+
+            await mfaController.regenerateRecoveryCodes(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData()).recoveryCodes).toHaveLength(10);
+            expect(db.mfa_recovery_code.destroy).toHaveBeenCalledWith({ where: { userId: 1 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that regeneration requires 2FA to be enabled.
+         */
+        it('should return 400 if 2FA is not enabled', async () => {
+            req.body = { code: '123456' };
+            db.user_mfa.findOne.mockResolvedValue(null);
+
+            await mfaController.regenerateRecoveryCodes(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Two-factor authentication is not enabled' });
+        });
+    });
+
+    describe('DELETE /user/2fa', () => {
+        /**
+         * @function
+         * @description Tests that 2FA is disabled after the password is confirmed.
+         */
+        it('should disable 2FA', async () => {
+            const mfa = { enabled: true, destroy: jest.fn() };
+            req.body = { password: 'password123' };
+            db.user.findByPk.mockResolvedValue({ id: 1, password: 'hashedpassword' });
+            bcrypt.compare.mockResolvedValue(true);
+            db.user_mfa.findOne.mockResolvedValue(mfa);
+
+            await mfaController.disable(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Two-factor authentication disabled' });
+            expect(mfa.destroy).toHaveBeenCalled();
+            expect(db.mfa_recovery_code.destroy).toHaveBeenCalledWith({ where: { userId: 1 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that an incorrect password leaves 2FA enabled.
+         */
+        it('should return 400 if the password is incorrect', async () => {
+            req.body = { password: 'wrongpassword' };
+            db.user.findByPk.mockResolvedValue({ id: 1, password: 'hashedpassword' });
+            bcrypt.compare.mockResolvedValue(false);
+
+            await mfaController.disable(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Password is incorrect' });
+            expect(db.user_mfa.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('mfaService', () => {
+        /**
+         * @function
+         * @description Tests that a code cannot be used twice within the same time step.
+         */
+        it('should reject a replayed code', async () => {
+            const secret = totp.generateSecret();
+            const code = totp.generate(secret);
+            const mfa = { id: 1, secret: mfaService.encryptSecret(secret), lastUsedStep: null };
+
+            await expect(mfaService.verifyCode(mfa, code)).resolves.toBe(true);
+            await expect(mfaService.verifyCode(mfa, code)).resolves.toBe(false);
+            expect(db.user_mfa.update).toHaveBeenCalledTimes(1);
+
+            const { Op } = db.Sequelize;
+            const [values, { where }] = db.user_mfa.update.mock.calls[0];
+            expect(values).toEqual({ lastUsedStep: mfa.lastUsedStep });
+            expect(where).toEqual({ id: 1, lastUsedStep: { [Op.or]: [null, { [Op.lt]: mfa.lastUsedStep }] } });
+        });
+
+        /**
+         * @function
+         * @description Tests that a code accepted by a concurrent request, which recorded its time step first, is rejected.
+         */
+        it('should reject a code whose time step was recorded concurrently', async () => {
+            const secret = totp.generateSecret();
+            const mfa = { id: 1, secret: mfaService.encryptSecret(secret), lastUsedStep: null };
+            db.user_mfa.update.mockResolvedValue([0]);
+
+            await expect(mfaService.verifyCode(mfa, totp.generate(secret))).resolves.toBe(false);
+            expect(mfa.lastUsedStep).toBeNull();
+        });
+
+        /**
+         * @function
+         * @description Tests that a secret stored in plain text by an earlier version still verifies codes, and is encrypted when the step is recorded.
+         */
+        it('should encrypt a secret stored in plain text', async () => {
+            const secret = totp.generateSecret();
+            const mfa = { id: 1, secret, lastUsedStep: null };
+
+            await expect(mfaService.verifyCode(mfa, totp.generate(secret))).resolves.toBe(true);
+
+            const [values] = db.user_mfa.update.mock.calls[0];
+            expect(values).toEqual({ lastUsedStep: mfa.lastUsedStep, secret: expect.stringMatching(/^enc:v1:/) });
+            expect(encryption.decrypt(values.secret, 'totp-secret-encryption')).toBe(secret);
+            expect(mfa.secret).toBe(values.secret);
+        });
+
+        /**
+         * @function
+         * @description Tests that a secret cannot be decrypted as another kind of secret, such as a signing key.
+         */
+        it('should encrypt secrets with a key of their own', () => {
+            const stored = mfaService.encryptSecret(totp.generateSecret());
+
+            expect(() => encryption.decrypt(stored, 'signing-key-encryption')).toThrow();
+        });
+
+        /**
+         * @function
+         * @description Tests that recovery codes are stored hashed.
+         */
+        it('should store only hashes of generated recovery codes', async () => {
+            const codes = await mfaService.generateRecoveryCodes(1);
+
+            const [rows] = db.mfa_recovery_code.bulkCreate.mock.calls[0];
+            expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+            expect(rows[0]).toEqual({ userId: 1, codeHash: mfaService.hashRecoveryCode(codes[0]) });
+            expect(rows.map((row) => row.codeHash)).not.toContain(codes[0]);
+        });
+
+        /**
+         * @function
+         * @description Tests that a recovery code is consumed only if an unused matching code exists.
+         */
+        it('should consume a recovery code only once', async () => {
+            db.mfa_recovery_code.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+
+            await expect(mfaService.consumeRecoveryCode(1, 'ABCDE-12345')).resolves.toBe(true);
+            await expect(mfaService.consumeRecoveryCode(1, 'abcde-12345')).resolves.toBe(false);
+            expect(db.mfa_recovery_code.update).toHaveBeenCalledWith(
+                { usedAt: expect.any(Date) },
+                { where: { userId: 1, codeHash: mfaService.hashRecoveryCode('abcde12345'), usedAt: null } }
+            );
+        });
+    });
+});
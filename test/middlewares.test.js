@@ -10,10 +10,17 @@
  * the tests provide reliable and thorough coverage of middleware logic.
  * 
  * Tests included:
- * - **verifyToken**: Tests the JWT token verification process, covering scenarios like missing tokens, invalid tokens, blacklisted tokens, and successful verification.
- * - **logger**: Ensures that request details are logged correctly to the database, and gracefully handles logging failures.
+ * - **verifyToken**: Tests the JWT token verification process, covering scenarios like missing tokens, invalid tokens, blacklisted tokens, suspended accounts, accounts pending approval, expired passwords, and successful verification
+ *   including the session ID and last use of the session, and personal access tokens sent in the `X-API-Key` header or as a `Bearer` token.
+ * - **logger**: Ensures that request details are logged correctly to the database without the tokens of the links sent by email,
+ *   and gracefully handles logging failures.
  * - **roleAuthorization**: Verifies that access is granted or denied based on user roles, handling scenarios with missing or mismatched roles.
+ * - **requirePermission**: Verifies that access is granted only when the user's roles grant every required permission, and that permissions are resolved once per request
+ *   and limited to the scopes of personal access tokens.
+ * - **rejectAccessToken**: Verifies that requests made with a personal access token are refused, only when they meet the `when` condition if one is given.
  * - **validationErrorHandler**: Tests the handling of validation errors from express-validator, ensuring appropriate error responses and control flow.
+ * - **rateLimit**: Tests request counting per policy and client (by IP address, user or personal access token), the `RateLimit-*` and `Retry-After` headers, recording store errors,
+ *   and the in-memory and Sequelize-backed stores, including purging expired database counters.
  */
 
 
@@ -21,9 +28,11 @@ require('dotenv').config();
 const fs = require('fs');
 const httpMocks = require('node-mocks-http');
 const { validationResult } = require('express-validator');
-const { verifyToken, logger, roleAuthorization, validationErrorHandler } = require('../middlewares'); // Adjust the path as needed
+const { verifyToken, logger, roleAuthorization, requirePermission, rejectAccessToken, validationErrorHandler, rateLimit } = require('../middlewares'); // Adjust the path as needed
+const { createMemoryStore, createSequelizeStore, purgeExpiredCounters } = require('../utils/rateLimitStore');
 const jwt = require('jsonwebtoken');
 const db = require('../models');
+const password_config = require('../config/password.config');
 
 jest.mock('../models');
 jest.mock('express-validator');
@@ -104,6 +113,48 @@ describe('verifyToken Middleware', () => {
         }, 0);
     });
 
+    /**
+     * @description Test case for handling scenario where a refresh token is used as an access token.
+     *              The middleware should return a 401 status with an appropriate message.
+     */
+    it('should return 401 if a refresh token is provided', (done) => {
+        req.headers.authorization = 'Bearer refreshtoken';
+
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, type: 'refresh', family: 'family-1' });
+        });
+
+        verifyToken(req, res, next);
+
+        setTimeout(() => {
+            expect(res.statusCode).toBe(401);
+            expect(res._getData()).toEqual(JSON.stringify({ message: 'Invalid token type' }));
+            expect(next).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+
+    /**
+     * @description Test case for handling scenario where an access token issued to an application by the OpenID Connect
+     *              provider is used with the API. The middleware should return a 401 status, since such tokens only work at `/userinfo`.
+     */
+    it('should return 401 if an access token issued to an application is provided', (done) => {
+        req.headers.authorization = 'Bearer oauthtoken';
+
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, username: 'testuser', type: 'oauth', client_id: 'app_1', scope: 'openid' });
+        });
+
+        verifyToken(req, res, next);
+
+        setTimeout(() => {
+            expect(res.statusCode).toBe(401);
+            expect(res._getData()).toEqual(JSON.stringify({ message: 'Invalid token type' }));
+            expect(next).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+
     /**
      * @description Test case for handling scenario where a valid token is blacklisted.
      *              The middleware should return a 401 status with an appropriate message.
@@ -152,6 +203,86 @@ describe('verifyToken Middleware', () => {
         }, 0);
     });
 
+    /**
+     * @description Test case for a token of a suspended account.
+     *              The middleware should return a 403 status and revoke the sessions of the account.
+     */
+    it('should return 403 and revoke the sessions if the account is suspended', (done) => {
+        req.headers.authorization = 'Bearer validtoken';
+
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, username: 'testuser' });
+        });
+        db.session.findOne = jest.fn().mockResolvedValue({ flag: false });
+        db.session.update = jest.fn().mockResolvedValue([2]);
+        db.user.findOne = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', status: 'suspended', Roles: [] });
+
+        verifyToken(req, res, next);
+
+        setTimeout(() => {
+            expect(res.statusCode).toBe(403);
+            expect(res._getData()).toEqual(JSON.stringify({ message: 'Account is suspended' }));
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, flag: false } });
+            expect(next).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+
+    /**
+     * @description Test case for a token of an account awaiting approval.
+     *              The middleware should return a 403 status until an administrator approves the account.
+     */
+    it('should return 403 if the account is pending approval', (done) => {
+        req.headers.authorization = 'Bearer validtoken';
+
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, username: 'testuser' });
+        });
+        db.session.findOne = jest.fn().mockResolvedValue({ flag: false });
+        db.session.update = jest.fn().mockResolvedValue([0]);
+        db.user.findOne = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', status: 'pending_approval', Roles: [] });
+
+        verifyToken(req, res, next);
+
+        setTimeout(() => {
+            expect(res.statusCode).toBe(403);
+            expect(res._getData()).toEqual(JSON.stringify({ message: 'Account is pending approval' }));
+            expect(next).not.toHaveBeenCalled();
+            done();
+        }, 0);
+    });
+
+    /**
+     * @description Test case for a user whose password has expired.
+     *              The middleware should return a 403 status, except on the routes that let such users change their password.
+     */
+    it('should only let users with an expired password through where allowed', async () => {
+        const maxAgeDays = password_config.maxAgeDays;
+        password_config.maxAgeDays = 90;
+        req.headers.authorization = 'Bearer validtoken';
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, username: 'testuser' });
+        });
+        db.session.findOne = jest.fn().mockResolvedValue({ flag: false });
+        db.user.findOne = jest.fn().mockResolvedValue({
+            id: 1, username: 'testuser', passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000), Roles: []
+        });
+
+        verifyToken(req, res, next);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Password has expired', passwordExpired: true });
+        expect(next).not.toHaveBeenCalled();
+
+        verifyToken.allowExpiredPassword(req, httpMocks.createResponse(), next);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(next).toHaveBeenCalled();
+        expect(req.user.passwordExpired).toBe(true);
+        password_config.maxAgeDays = maxAgeDays;
+    });
+
     /**
      * @description Test case for successful token verification.
      *              The middleware should attach user information to req and call next().
@@ -181,12 +312,77 @@ describe('verifyToken Middleware', () => {
                 id: 1,
                 username: 'testuser',
                 verified: true,
-                role: ['admin']
+                role: ['admin'],
+                sessionId: null,
+                passwordExpired: false
             });
             done();
         }, 0);
     });
 
+    /**
+     * @description Test case for attaching the session ID and recording when the session was last used.
+     *              The last use is only written once it is older than the resolution of `lastSeenAt`.
+     */
+    it('should attach the session ID and update when the session was last seen', (done) => {
+        req.headers.authorization = 'Bearer validtoken';
+
+        jwt.verify = jest.fn((token, publicKey, options, callback) => {
+            callback(null, { id: 1, username: 'testuser' });
+        });
+        db.session.findOne = jest.fn().mockResolvedValue({ flag: false, familyId: 'family-1', lastSeenAt: new Date(Date.now() - 5 * 60 * 1000) });
+        db.session.update = jest.fn().mockResolvedValue([2]);
+        db.user.findOne = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', emailVerified: true, Roles: [] });
+
+        verifyToken(req, res, next);
+
+        setTimeout(() => {
+            expect(next).toHaveBeenCalled();
+            expect(req.user.sessionId).toBe('family-1');
+            expect(db.session.update).toHaveBeenCalledWith({ lastSeenAt: expect.any(Date) }, { where: { familyId: 'family-1' } });
+            done();
+        }, 0);
+    });
+
+    /**
+     * @description Test case for a personal access token sent in the `X-API-Key` header.
+     *              The token is looked up by its hash, its last use recorded, and its ID and scopes attached to req.user.
+     */
+    it('should authenticate a personal access token from the X-API-Key header', async () => {
+        req.headers['x-api-key'] = 'pat_secret';
+        req.ip = '10.0.0.1';
+        jwt.verify = jest.fn();
+        db.access_token.findOne = jest.fn().mockResolvedValue({ id: 3, userId: 1, scopes: ['users:read'], lastUsedAt: null });
+        db.access_token.update = jest.fn().mockResolvedValue([1]);
+        db.user.findOne = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', emailVerified: true, Roles: [{ roleName: 'admin' }] });
+
+        await verifyToken(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(jwt.verify).not.toHaveBeenCalled();
+        expect(req.user).toEqual({
+            id: 1, username: 'testuser', verified: true, role: ['admin'], sessionId: null, passwordExpired: false, accessTokenId: 3, scopes: ['users:read']
+        });
+        expect(db.access_token.update).toHaveBeenCalledWith({ lastUsedAt: expect.any(Date), lastUsedIp: '10.0.0.1' }, { where: { id: 3 } });
+    });
+
+    /**
+     * @description Test case for an unknown, expired or revoked personal access token sent as a `Bearer` token.
+     *              The middleware should return a 401 status without verifying it as a JWT.
+     */
+    it('should return 401 for an invalid personal access token', async () => {
+        req.headers.authorization = 'Bearer pat_revoked';
+        jwt.verify = jest.fn();
+        db.access_token.findOne = jest.fn().mockResolvedValue(null);
+
+        await verifyToken(req, res, next);
+
+        expect(res.statusCode).toBe(401);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid token' });
+        expect(jwt.verify).not.toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+    });
+
     /**
      * @description Test case for handling unexpected errors during token verification.
      *              The middleware should return a 401 status with an appropriate message.
@@ -212,6 +408,49 @@ describe('verifyToken Middleware', () => {
     });
 });
 
+/**
+ * @description Unit tests for the rejectAccessToken middleware function.
+ *              This middleware refuses personal access tokens for the actions that require a session.
+ */
+describe('rejectAccessToken Middleware', () => {
+    let res, next;
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        next = jest.fn();
+    });
+
+    /**
+     * @description Test case for refusing a personal access token while letting sessions through.
+     */
+    it('should refuse requests made with a personal access token', () => {
+        const middleware = rejectAccessToken('Passkeys cannot be registered with a personal access token');
+
+        middleware(httpMocks.createRequest({ user: { id: 1, sessionId: 'family-1' } }), res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+
+        middleware(httpMocks.createRequest({ user: { id: 1, accessTokenId: 7, scopes: ['profile:write'] } }), res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Passkeys cannot be registered with a personal access token' });
+    });
+
+    /**
+     * @description Test case for limiting the refusal to the requests meeting the `when` condition.
+     */
+    it('should only refuse the requests meeting the when condition', () => {
+        const middleware = rejectAccessToken('The email address cannot be changed with a personal access token', { when: (req) => req.body.email !== undefined });
+        const user = { id: 1, accessTokenId: 7, scopes: ['profile:write'] };
+
+        middleware(httpMocks.createRequest({ user, body: { name: 'Jane' } }), res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+
+        middleware(httpMocks.createRequest({ user, body: { email: 'new@example.com' } }), res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.statusCode).toBe(403);
+    });
+});
+
 /**
  * @description Unit tests for the logger middleware function.
  *              This middleware logs request details to the database and handles logging failures.
@@ -250,6 +489,25 @@ describe('logger Middleware', () => {
         done();
     });
 
+    /**
+     * @description Test case for redacting the single-use tokens of the links sent by email from the logged URL.
+     */
+    it('should redact link tokens from the logged URL', () => {
+        req = httpMocks.createRequest({ method: 'POST', url: '/accept-invitation/AbC_12-x%2D?lang=en' });
+        res = {
+            on: jest.fn().mockImplementationOnce((event, handler) => {
+                handler();
+            }),
+        }
+        db.log.create = jest.fn().mockResolvedValue(true);
+
+        logger(req, res, next);
+
+        const { message } = db.log.create.mock.calls[0][0];
+        expect(message).toMatch(/^POST \/accept-invitation\/\[redacted\]\?lang=en /);
+        expect(message).not.toContain('AbC_12-x');
+    });
+
     /**
      * @description Test case for handling logging failure.
      *              The middleware should log an error message to the console.
@@ -363,6 +621,100 @@ describe('roleAuthorization Middleware', () => {
  * @description Unit tests for the validationErrorHandler middleware function.
  *              This middleware handles validation errors from express-validator and returns appropriate responses.
  */
+/**
+ * @description Unit tests for the requirePermission middleware function.
+ *              This middleware resolves the permissions granted to the user's roles and checks the permissions required by the route.
+ */
+describe('requirePermission Middleware', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({
+            user: { id: 1, role: ['admin'] }
+        });
+        res = httpMocks.createResponse();
+        next = jest.fn();
+        db.permission.findAll = jest.fn().mockResolvedValue([{ name: 'users:read' }, { name: 'users:write' }, { name: 'users:read' }]);
+    });
+
+    /**
+     * @description Test case for allowing access when the user's roles grant every required permission.
+     *              Permissions are resolved from the user's roles and kept on req.user for further checks.
+     */
+    it('should allow access if the roles grant the required permissions', async () => {
+        await requirePermission('users:read', 'users:write')(req, res, next);
+        await requirePermission('users:read')(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(req.user.permissions).toEqual(['users:read', 'users:write']);
+        expect(db.permission.findAll).toHaveBeenCalledTimes(1);
+        expect(db.permission.findAll.mock.calls[0][0].include[0].where).toEqual({ roleName: ['admin'] });
+    });
+
+    /**
+     * @description Test case for denying access when one of the required permissions is not granted.
+     *              The middleware should return a 403 status with an appropriate message.
+     */
+    it('should deny access if a permission is missing', async () => {
+        await requirePermission('users:read', 'roles:write')(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Forbidden: Insufficient permissions' });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @description Test case for denying access to users without roles, without querying the database.
+     */
+    it('should deny access if the user has no roles', async () => {
+        req.user.role = [];
+
+        await requirePermission('users:read')(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(db.permission.findAll).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @description Test case for denying access when no user is attached to the request.
+     */
+    it('should deny access if req.user is undefined', async () => {
+        req.user = undefined;
+
+        await requirePermission('users:read')(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Access denied' });
+    });
+
+    /**
+     * @description Test case for a request made with a personal access token, which is only granted the permissions in its scopes.
+     */
+    it('should limit the permissions to the scopes of a personal access token', async () => {
+        req.user.scopes = ['users:read', 'roles:write'];
+
+        await requirePermission('users:read')(req, res, next);
+        await requirePermission('users:write')(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.statusCode).toBe(403);
+        expect(req.user.permissions).toEqual(['users:read']);
+    });
+
+    /**
+     * @description Test case for handling errors while resolving permissions.
+     */
+    it('should handle errors while resolving permissions', async () => {
+        db.permission.findAll.mockRejectedValue(new Error('Database error'));
+
+        await requirePermission('users:read')(req, res, next);
+
+        expect(res.statusCode).toBe(500);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        expect(next).not.toHaveBeenCalled();
+    });
+});
+
 describe('validationErrorHandler Middleware', () => {
     let req, res, next;
 
@@ -404,3 +756,179 @@ describe('validationErrorHandler Middleware', () => {
         expect(next).toHaveBeenCalled(); // Ensure next() was called
     });
 });
+
+/**
+ * @description Unit tests for the rateLimit middleware factory and its stores.
+ *              The middleware counts requests per policy and client and refuses them once the limit is exceeded.
+ */
+describe('rateLimit Middleware', () => {
+    let res, next, store;
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        next = jest.fn();
+        store = createMemoryStore();
+    });
+
+    /**
+     * Sends a request through the middleware with a fresh response object.
+     *
+     * @param {Function} middleware - The rate limit middleware.
+     * @param {Object} [options] - Options for `httpMocks.createRequest`.
+     * @returns {Promise<Object>} The response object.
+     */
+    const send = async (middleware, options = {}) => {
+        res = httpMocks.createResponse();
+        await middleware(httpMocks.createRequest({ ip: '10.0.0.1', ...options }), res, next);
+        return res;
+    };
+
+    /**
+     * @description Test case for allowing requests within the limit and reporting the remaining quota in headers.
+     */
+    it('should allow requests within the limit and set RateLimit headers', async () => {
+        const middleware = rateLimit({ name: 'test', windowMs: 60000, max: 2, store });
+
+        await send(middleware);
+
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.getHeader('RateLimit-Limit')).toBe('2');
+        expect(res.getHeader('RateLimit-Remaining')).toBe('1');
+        expect(res.getHeader('RateLimit-Reset')).toBe('60');
+    });
+
+    /**
+     * @description Test case for refusing requests over the limit with a 429 status and a Retry-After header.
+     */
+    it('should return 429 with Retry-After once the limit is exceeded', async () => {
+        const middleware = rateLimit({ name: 'test', windowMs: 60000, max: 2, store });
+
+        await send(middleware);
+        await send(middleware);
+        await send(middleware);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.statusCode).toBe(429);
+        expect(res.getHeader('Retry-After')).toBe('60');
+        expect(res.getHeader('RateLimit-Remaining')).toBe('0');
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Too many requests, please try again later' });
+    });
+
+    /**
+     * @description Test case for counting policies and clients separately.
+     */
+    it('should count each policy and client separately', async () => {
+        const login = rateLimit({ name: 'login', windowMs: 60000, max: 1, store });
+        const other = rateLimit({ name: 'other', windowMs: 60000, max: 1, store });
+
+        await send(login);
+        await send(other);
+        await send(login, { ip: '10.0.0.2' });
+
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    /**
+     * @description Test case for keying requests with the policy's function, e.g. by user after `verifyToken`.
+     */
+    it('should key requests with the keyBy function', async () => {
+        const byUser = rateLimit({ name: 'user', windowMs: 60000, max: 1, keyBy: (req) => `user:${req.user.id}`, store });
+
+        await send(byUser, { user: { id: 1 } });
+        await send(byUser, { user: { id: 1 }, ip: '10.0.0.2' });
+        expect(res.statusCode).toBe(429);
+
+        await send(byUser, { user: { id: 2 } });
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    /**
+     * @description Test case for the built-in `user` and `apiKey` keys, falling back to the user and to the IP address.
+     */
+    it('should key requests by user or personal access token', async () => {
+        const byUser = rateLimit({ name: 'user', windowMs: 60000, max: 1, keyBy: 'user', store });
+        await send(byUser, { user: { id: 1 } });
+        await send(byUser, { user: { id: 1 }, ip: '10.0.0.2' });
+        expect(res.statusCode).toBe(429);
+        await send(byUser, { user: { id: 2 } });
+        expect(next).toHaveBeenCalledTimes(2);
+
+        const byApiKey = rateLimit({ name: 'api', windowMs: 60000, max: 1, keyBy: 'apiKey', store });
+        await send(byApiKey, { user: { id: 1, accessTokenId: 7 } });
+        await send(byApiKey, { user: { id: 1, accessTokenId: 8 } });
+        await send(byApiKey, { user: { id: 1 } });
+        expect(next).toHaveBeenCalledTimes(5);
+        await send(byApiKey, { user: { id: 1, accessTokenId: 7 } });
+        expect(res.statusCode).toBe(429);
+
+        const increment = jest.fn().mockResolvedValue({ count: 1, resetAt: new Date() });
+        await send(rateLimit({ name: 'anonymous', windowMs: 60000, max: 1, keyBy: 'apiKey', store: { increment } }));
+        expect(increment).toHaveBeenCalledWith('anonymous:ip:10.0.0.1', 60000);
+    });
+
+    /**
+     * @description Test case for refusing unknown built-in keys when the policy is defined.
+     */
+    it('should throw for an unknown key', () => {
+        expect(() => rateLimit({ name: 'test', windowMs: 60000, max: 1, keyBy: 'session', store })).toThrow('Unknown rate limit key: session');
+    });
+
+    /**
+     * @description Test case for starting a new window once the current one has ended.
+     */
+    it('should start over once the window has ended', async () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        const middleware = rateLimit({ name: 'test', windowMs: 1000, max: 1, store });
+
+        await send(middleware);
+        Date.now.mockReturnValue(now + 1000);
+        await send(middleware);
+        Date.now.mockRestore();
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.getHeader('RateLimit-Remaining')).toBe('0');
+    });
+
+    /**
+     * @description Test case for letting requests through when the store fails, recording the error in the logs.
+     */
+    it('should call next() and log the error if the store fails', async () => {
+        db.log.create = jest.fn().mockResolvedValue({});
+        const middleware = rateLimit({ name: 'test', windowMs: 60000, max: 1, store: { increment: jest.fn().mockRejectedValue(new Error('Store error')) } });
+
+        await send(middleware);
+
+        expect(next).toHaveBeenCalled();
+        expect(db.log.create).toHaveBeenCalledWith({ level: 'error', message: 'rateLimit(test): Store error' });
+    });
+
+    /**
+     * @description Test case for the Sequelize-backed store counting each request with a single upsert, which restarts ended windows.
+     */
+    it('should count requests in the database with the Sequelize store', async () => {
+        const resetAt = new Date(Date.now() + 1000);
+        const model = { sequelize: { query: jest.fn().mockResolvedValue([{ count: 2, resetAt }]) } };
+        const sequelizeStore = createSequelizeStore(model);
+
+        await expect(sequelizeStore.increment('login:ip:10.0.0.1', 1000)).resolves.toEqual({ count: 2, resetAt });
+
+        const [sql, { replacements }] = model.sequelize.query.mock.calls[0];
+        expect(sql).toMatch(/ON CONFLICT \("key"\) DO UPDATE SET/);
+        expect(sql).toMatch(/"count" = CASE WHEN "RateLimits"."resetAt" > :now THEN "RateLimits"."count" \+ 1 ELSE 1 END/);
+        expect(replacements).toEqual({ key: 'login:ip:10.0.0.1', now: expect.any(Date), resetAt: expect.any(Date) });
+        expect(replacements.resetAt.getTime() - replacements.now.getTime()).toBe(1000);
+    });
+
+    /**
+     * @description Test case for removing the database counters whose window has ended.
+     */
+    it('should purge the expired counters of the Sequelize store', async () => {
+        const model = { destroy: jest.fn().mockResolvedValue(3) };
+        const now = new Date();
+
+        await expect(purgeExpiredCounters(now, model)).resolves.toBe(3);
+
+        expect(model.destroy).toHaveBeenCalledWith({ where: { resetAt: { [db.Sequelize.Op.lte]: now } } });
+    });
+});
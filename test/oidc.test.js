@@ -0,0 +1,572 @@
+/**
+ * @file oidc.test.js
+ * @description This file contains unit tests for the OpenID Connect provider: the `oidcController` module, the authorization code
+ * grant of `authController`, the `oauthClientController` module, and the `oidc` service they rely on.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses, and `jest` for mocking the database models and the
+ * key store, which signs with a real RSA key so that the issued tokens can be verified.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /.well-known/openid-configuration**: Tests that the discovery document points at the provider's endpoints.
+ * - **GET /authorize**: Tests that requests from unknown clients are rejected, that other problems are reported to the application,
+ *   that consent is asked for unless already given, and that a code is issued otherwise.
+ * - **POST /authorize**: Tests that approving records the consent and issues a code, and that denying reports `access_denied`.
+ * - **POST /token**: Tests the exchange of a code for an access token and an ID token, refusing wrong verifiers, redirect URIs,
+ *   client credentials and used codes, and the dispatch between grants.
+ * - **GET /userinfo**: Tests that the claims of the granted scopes are returned, and that other tokens and tokens whose consent was
+ *   revoked are refused.
+ * - **Consents**: Tests listing and revoking the consents given to applications.
+ * - **OAuth clients**: Tests registering applications, rotating their secret and deleting them.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const keyStore = require('../utils/keyStore');
+const oidc = require('../utils/oidc');
+const oidc_config = require('../config/oidc.config');
+const oidcController = require('../controllers/oidc.controller');
+const authController = require('../controllers/auth.controller');
+const oauthClientController = require('../controllers/oauthClient.controller');
+
+jest.mock('../models');
+jest.mock('../utils/keyStore');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const REDIRECT_URI = 'https://wiki.example.com/callback';
+const CODE_VERIFIER = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+
+/**
+ * Hashes a value the way codes and client secrets are stored.
+ *
+ * @param {string} value - The value.
+ * @returns {string} The SHA-256 hash of the value, in hex.
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Returns the PKCE code challenge of a verifier with the `S256` method.
+ *
+ * @param {string} verifier - The code verifier.
+ * @returns {string} The code challenge.
+ */
+const challengeOf = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+/**
+ * Reads the query parameters of a redirect returned by the authorization endpoints.
+ *
+ * @param {Object} res - The response object.
+ * @returns {URL} The redirect URI.
+ */
+const redirectOf = (res) => new URL(JSON.parse(res._getData()).redirectTo);
+
+describe('OpenID Connect', () => {
+    let req, res, user, client, codes, sessions;
+
+    /**
+     * Builds the query parameters of a valid authorization request.
+     *
+     * @param {Object} [params] - Parameters to override.
+     * @returns {Object} The parameters.
+     */
+    const authorizationRequest = (params = {}) => ({
+        response_type: 'code',
+        client_id: client.clientId,
+        redirect_uri: REDIRECT_URI,
+        scope: 'openid profile email',
+        code_challenge: challengeOf(CODE_VERIFIER),
+        code_challenge_method: 'S256',
+        state: 'af0ifjsldkj',
+        nonce: 'n-0S6_WzA2Mj',
+        ...params
+    });
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 42, role: ['user'], sessionId: 'family-1' } });
+        res = httpMocks.createResponse();
+        user = {
+            id: 42,
+            username: 'bob',
+            name: 'Bob Smith',
+            email: 'bob@example.com',
+            emailVerified: true,
+            phoneNumber: null,
+            password: 'hash',
+            status: 'active',
+            accountType: 'user',
+            updatedAt: new Date('2026-10-19T00:00:00Z')
+        };
+        user.toJSON = () => { const { toJSON, ...data } = user; return data; }; // eslint-disable-line no-unused-vars
+        client = {
+            id: 3,
+            clientId: 'app_0123456789abcdef01234567',
+            clientSecretHash: null,
+            name: 'Wiki',
+            redirectUris: [REDIRECT_URI],
+            scopes: ['openid', 'profile', 'email'],
+            save: jest.fn().mockResolvedValue(),
+            destroy: jest.fn().mockResolvedValue()
+        };
+        codes = [];
+        sessions = [];
+
+        keyStore.getSigningKey.mockResolvedValue({ kid: 'kid-1', algorithm: 'RS256', privateKey });
+        keyStore.getVerificationKey.mockResolvedValue(publicKey);
+        db.oauth_client.findOne = jest.fn(async ({ where }) => (where.clientId === client.clientId ? client : null));
+        db.oauth_client.findByPk = jest.fn().mockResolvedValue(client);
+        db.oauth_client.findAll = jest.fn().mockResolvedValue([client]);
+        db.oauth_client.create = jest.fn(async (attributes) => ({ id: 4, ...attributes }));
+        db.oauth_consent.findOne = jest.fn().mockResolvedValue(null);
+        db.oauth_consent.create = jest.fn(async (attributes) => ({ id: 9, ...attributes }));
+        db.oauth_consent.destroy = jest.fn().mockResolvedValue(1);
+        db.oauth_authorization_code.create = jest.fn(async (attributes) => {
+            const record = { id: codes.length + 1, usedAt: null, ...attributes };
+            codes.push(record);
+            return record;
+        });
+        db.oauth_authorization_code.update = jest.fn(async (changes, { where }) => {
+            const record = codes.find((code) => code.codeHash === where.codeHash && code.oauthClientId === where.oauthClientId
+                && !code.usedAt && code.expiresAt > new Date());
+            if (!record) {
+                return [0, []];
+            }
+            Object.assign(record, changes);
+            return [1, [record]];
+        });
+        db.session.findOne = jest.fn(async ({ where }) => (where.familyId === 'family-1'
+            ? { familyId: 'family-1', authenticatedAt: new Date('2026-10-19T08:00:00Z') }
+            : sessions.find((session) => session.token === where.token) || null));
+        db.session.create = jest.fn(async (attributes) => {
+            sessions.push(attributes);
+            return attributes;
+        });
+        db.user.findOne = jest.fn().mockResolvedValue(user);
+        db.log.create = jest.fn().mockResolvedValue({});
+    });
+
+    /**
+     * Issues a code for the default authorization request, as `POST /authorize` does when the user approves it.
+     *
+     * @returns {Promise<string>} The authorization code.
+     */
+    const approve = async () => {
+        req.body = { ...authorizationRequest(), approve: true };
+        await oidcController.decideAuthorization(req, res);
+        return redirectOf(res).searchParams.get('code');
+    };
+
+    /**
+     * Exchanges an authorization code at `POST /token`.
+     *
+     * @param {Object} body - The body of the token request.
+     * @returns {Promise<Object>} The response object.
+     */
+    const exchange = async (body) => {
+        const tokenReq = httpMocks.createRequest({ method: 'POST', body: { grant_type: 'authorization_code', client_id: client.clientId, ...body } });
+        const tokenRes = httpMocks.createResponse();
+        await authController.token(tokenReq, tokenRes);
+        return tokenRes;
+    };
+
+    describe('GET /.well-known/openid-configuration', () => {
+        /**
+         * @function
+         * @description Tests that the discovery document names the issuer, the endpoints and the supported PKCE method.
+         */
+        it('should return the provider configuration', () => {
+            oidcController.getConfiguration(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res._getData());
+            expect(data).toEqual(expect.objectContaining({
+                issuer: oidc_config.issuer,
+                token_endpoint: `${oidc_config.issuer}/token`,
+                userinfo_endpoint: `${oidc_config.issuer}/userinfo`,
+                jwks_uri: `${oidc_config.issuer}/.well-known/jwks.json`,
+                response_types_supported: ['code'],
+                code_challenge_methods_supported: ['S256'],
+                id_token_signing_alg_values_supported: ['RS256']
+            }));
+            expect(data.scopes_supported).toEqual(expect.arrayContaining(['openid', 'profile', 'email']));
+        });
+    });
+
+    describe('GET /authorize', () => {
+        /**
+         * @function
+         * @description Tests that a request with a redirect URI that is not registered is rejected without redirecting the user.
+         */
+        it('should reject an unregistered redirect URI', async () => {
+            req.query = authorizationRequest({ redirect_uri: 'https://attacker.example.com/callback' });
+
+            await oidcController.authorize(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ error: 'invalid_request', message: 'Unknown client or unregistered redirect URI' });
+            expect(db.oauth_authorization_code.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that scopes not allowed for the application, and a missing PKCE challenge, are reported to the application with the state.
+         */
+        it('should report invalid scopes and a missing code challenge to the application', async () => {
+            req.query = authorizationRequest({ scope: 'openid phone' });
+            await oidcController.authorize(req, res);
+
+            let redirect = redirectOf(res);
+            expect(redirect.origin + redirect.pathname).toBe(REDIRECT_URI);
+            expect(redirect.searchParams.get('error')).toBe('invalid_scope');
+            expect(redirect.searchParams.get('state')).toBe('af0ifjsldkj');
+
+            res = httpMocks.createResponse();
+            req.query = authorizationRequest({ code_challenge_method: 'plain' });
+            await oidcController.authorize(req, res);
+
+            redirect = redirectOf(res);
+            expect(redirect.searchParams.get('error')).toBe('invalid_request');
+            expect(redirect.searchParams.get('code')).toBeNull();
+        });
+
+        /**
+         * @function
+         * @description Tests that the user is asked for consent when they have not consented to the requested scopes,
+         * and that the application is told when it asked not to prompt the user.
+         */
+        it('should ask for consent unless it was given', async () => {
+            db.oauth_consent.findOne.mockResolvedValue({ scopes: ['openid'] });
+            req.query = authorizationRequest();
+
+            await oidcController.authorize(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({
+                consentRequired: true,
+                client: { clientId: client.clientId, name: 'Wiki' },
+                scopes: ['openid', 'profile', 'email']
+            });
+
+            res = httpMocks.createResponse();
+            req.query = authorizationRequest({ prompt: 'none' });
+            await oidcController.authorize(req, res);
+
+            expect(redirectOf(res).searchParams.get('error')).toBe('consent_required');
+        });
+
+        /**
+         * @function
+         * @description Tests that a code bound to the request is issued when the user already consented to the requested scopes.
+         */
+        it('should issue a code when the user already consented', async () => {
+            db.oauth_consent.findOne.mockResolvedValue({ scopes: ['openid', 'profile', 'email', 'phone'] });
+            req.query = authorizationRequest();
+
+            await oidcController.authorize(req, res);
+
+            const redirect = redirectOf(res);
+            const code = redirect.searchParams.get('code');
+            expect(redirect.searchParams.get('state')).toBe('af0ifjsldkj');
+            expect(codes).toHaveLength(1);
+            expect(codes[0]).toEqual(expect.objectContaining({
+                codeHash: sha256(code),
+                oauthClientId: 3,
+                userId: 42,
+                redirectUri: REDIRECT_URI,
+                scopes: ['openid', 'profile', 'email'],
+                codeChallenge: challengeOf(CODE_VERIFIER),
+                nonce: 'n-0S6_WzA2Mj',
+                authenticatedAt: new Date('2026-10-19T08:00:00Z')
+            }));
+        });
+    });
+
+    describe('POST /authorize', () => {
+        /**
+         * @function
+         * @description Tests that approving a request records the consent and issues a code.
+         */
+        it('should record the consent and issue a code when approved', async () => {
+            const code = await approve();
+
+            expect(code).toBeTruthy();
+            expect(db.oauth_consent.create).toHaveBeenCalledWith({ userId: 42, oauthClientId: 3, scopes: ['openid', 'profile', 'email'] });
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 42, message: expect.stringContaining('oauth.consent_granted') }));
+        });
+
+        /**
+         * @function
+         * @description Tests that denying a request tells the application, without recording consent or issuing a code.
+         */
+        it('should report access_denied when denied', async () => {
+            req.body = { ...authorizationRequest(), approve: false };
+
+            await oidcController.decideAuthorization(req, res);
+
+            const redirect = redirectOf(res);
+            expect(redirect.searchParams.get('error')).toBe('access_denied');
+            expect(redirect.searchParams.get('state')).toBe('af0ifjsldkj');
+            expect(db.oauth_consent.create).not.toHaveBeenCalled();
+            expect(codes).toHaveLength(0);
+        });
+    });
+
+    describe('POST /token', () => {
+        /**
+         * @function
+         * @description Tests that a code is exchanged for an access token and an ID token signed with the login keys,
+         * carrying the claims of the granted scopes, and that it can be exchanged only once.
+         */
+        it('should exchange a code for an access token and an ID token', async () => {
+            const code = await approve();
+
+            const tokenRes = await exchange({ code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER });
+
+            expect(tokenRes.statusCode).toBe(200);
+            expect(tokenRes.get('Cache-Control')).toBe('no-store');
+            const data = JSON.parse(tokenRes._getData());
+            expect(data).toEqual(expect.objectContaining({ token_type: 'Bearer', scope: 'openid profile email' }));
+            expect(data.expires_in).toBeGreaterThan(0);
+
+            const idToken = jwt.verify(data.id_token, publicKey, { algorithms: ['RS256'], issuer: oidc_config.issuer, audience: client.clientId });
+            expect(jwt.decode(data.id_token, { complete: true }).header.kid).toBe('kid-1');
+            expect(idToken).toEqual(expect.objectContaining({
+                sub: '42',
+                name: 'Bob Smith',
+                preferred_username: 'bob',
+                email: 'bob@example.com',
+                email_verified: true,
+                nonce: 'n-0S6_WzA2Mj',
+                auth_time: Date.parse('2026-10-19T08:00:00Z') / 1000
+            }));
+            expect(idToken.phone_number).toBeUndefined();
+            const accessTokenHash = crypto.createHash('sha256').update(data.access_token).digest();
+            expect(idToken.at_hash).toBe(accessTokenHash.subarray(0, 16).toString('base64url'));
+            expect(sessions).toEqual([expect.objectContaining({ token: data.access_token, userId: 42, type: 'access', flag: false })]);
+
+            const replay = await exchange({ code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER });
+            expect(replay.statusCode).toBe(400);
+            expect(JSON.parse(replay._getData()).error).toBe('invalid_grant');
+        });
+
+        /**
+         * @function
+         * @description Tests that a code presented with a wrong code verifier or redirect URI is refused, and used up.
+         */
+        it('should refuse a wrong code verifier or redirect URI', async () => {
+            let code = await approve();
+            let tokenRes = await exchange({ code, redirect_uri: REDIRECT_URI, code_verifier: 'wrong-verifier-wrong-verifier-wrong-verifier' });
+
+            expect(tokenRes.statusCode).toBe(400);
+            expect(JSON.parse(tokenRes._getData())).toEqual({ error: 'invalid_grant', message: 'Invalid or expired authorization code' });
+            expect(codes[0].usedAt).toBeInstanceOf(Date);
+
+            res = httpMocks.createResponse();
+            code = await approve();
+            tokenRes = await exchange({ code, redirect_uri: 'https://wiki.example.com/other', code_verifier: CODE_VERIFIER });
+
+            expect(tokenRes.statusCode).toBe(400);
+            expect(sessions).toHaveLength(0);
+        });
+
+        /**
+         * @function
+         * @description Tests that a confidential client must authenticate with its secret.
+         */
+        it('should authenticate confidential clients', async () => {
+            client.clientSecretHash = sha256('s3cret');
+            const code = await approve();
+
+            let tokenRes = await exchange({ code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER });
+            expect(tokenRes.statusCode).toBe(401);
+            expect(JSON.parse(tokenRes._getData()).error).toBe('invalid_client');
+
+            tokenRes = await exchange({ code, redirect_uri: REDIRECT_URI, code_verifier: CODE_VERIFIER, client_secret: 's3cret' });
+            expect(tokenRes.statusCode).toBe(200);
+        });
+
+        /**
+         * @function
+         * @description Tests that grants other than the client credentials and authorization code grants are refused.
+         */
+        it('should refuse unsupported grant types', async () => {
+            const tokenRes = await exchange({ grant_type: 'password' });
+
+            expect(tokenRes.statusCode).toBe(400);
+            expect(JSON.parse(tokenRes._getData())).toEqual({
+                error: 'unsupported_grant_type',
+                message: 'Only the client_credentials and authorization_code grants are supported'
+            });
+        });
+    });
+
+    describe('GET /userinfo', () => {
+        /**
+         * @function
+         * @description Tests that the claims of the scopes granted to the access token are returned.
+         */
+        it('should return the claims of the granted scopes', async () => {
+            db.oauth_consent.findOne.mockResolvedValue({ scopes: ['openid', 'email'], createdAt: new Date(Date.now() - 1000) });
+            const { accessToken } = await oidc.issueTokens(user, { client, scopes: ['openid', 'email'] });
+            req.headers.authorization = `Bearer ${accessToken}`;
+
+            await oidcController.getUserInfo(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ sub: '42', email: 'bob@example.com', email_verified: true });
+            expect(db.oauth_consent.findOne).toHaveBeenCalledWith({
+                where: { userId: 42 },
+                include: [{ model: db.oauth_client, as: 'client', where: { clientId: client.clientId } }]
+            });
+        });
+
+        /**
+         * @function
+         * @description Tests that the tokens issued under a consent stop working once it is revoked, reduced, or given again.
+         */
+        it('should refuse tokens whose consent was revoked', async () => {
+            const { accessToken } = await oidc.issueTokens(user, { client, scopes: ['openid', 'email'] });
+            req.headers.authorization = `Bearer ${accessToken}`;
+
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+
+            db.oauth_consent.findOne.mockResolvedValue({ scopes: ['openid'], createdAt: new Date(Date.now() - 1000) });
+            res = httpMocks.createResponse();
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+
+            db.oauth_consent.findOne.mockResolvedValue({ scopes: ['openid', 'email'], createdAt: new Date(Date.now() + 2000) });
+            res = httpMocks.createResponse();
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData()).error).toBe('invalid_token');
+        });
+
+        /**
+         * @function
+         * @description Tests that tokens issued on login, revoked tokens and missing tokens are refused.
+         */
+        it('should refuse other tokens', async () => {
+            const loginToken = jwt.sign({ id: 42, username: 'bob', type: 'access' }, privateKey, { algorithm: 'RS256', keyid: 'kid-1', issuer: oidc_config.issuer });
+            req.headers.authorization = `Bearer ${loginToken}`;
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+            expect(res.get('WWW-Authenticate')).toBe('Bearer error="invalid_token"');
+
+            const { accessToken } = await oidc.issueTokens(user, { client, scopes: ['openid'] });
+            sessions[0].flag = true;
+            res = httpMocks.createResponse();
+            req.headers.authorization = `Bearer ${accessToken}`;
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+
+            res = httpMocks.createResponse();
+            delete req.headers.authorization;
+            await oidcController.getUserInfo(req, res);
+            expect(res.statusCode).toBe(401);
+            expect(JSON.parse(res._getData()).error).toBe('invalid_token');
+        });
+    });
+
+    describe('Consents', () => {
+        /**
+         * @function
+         * @description Tests that the consents of the user are listed with their application.
+         */
+        it('should list the consents of the user', async () => {
+            db.oauth_consent.findAll = jest.fn().mockResolvedValue([
+                { id: 9, scopes: ['openid'], client: { clientId: client.clientId, name: 'Wiki' }, createdAt: null, updatedAt: null }
+            ]);
+
+            await oidcController.listConsents(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual([
+                { id: 9, client: { clientId: client.clientId, name: 'Wiki' }, scopes: ['openid'], createdAt: null, updatedAt: null }
+            ]);
+            expect(db.oauth_consent.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 42 } }));
+        });
+
+        /**
+         * @function
+         * @description Tests that a user can only revoke their own consents.
+         */
+        it('should revoke a consent of the user', async () => {
+            req.params.consentId = '9';
+
+            await oidcController.revokeConsent(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.oauth_consent.destroy).toHaveBeenCalledWith({ where: { id: 9, userId: 42 } });
+
+            db.oauth_consent.destroy.mockResolvedValue(0);
+            res = httpMocks.createResponse();
+            await oidcController.revokeConsent(req, res);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('OAuth clients', () => {
+        /**
+         * @function
+         * @description Tests that a confidential client is registered with only the hash of its secret stored, and the secret returned once.
+         */
+        it('should register a confidential client and return its secret once', async () => {
+            req.user = { id: 1, role: ['admin'] };
+            req.body = { name: 'Wiki', redirectUris: [REDIRECT_URI], scopes: ['email'] };
+
+            await oauthClientController.createClient(req, res);
+
+            expect(res.statusCode).toBe(201);
+            const data = JSON.parse(res._getData());
+            expect(data.clientId).toMatch(/^app_[0-9a-f]{24}$/);
+            expect(data).toEqual(expect.objectContaining({ name: 'Wiki', confidential: true, redirectUris: [REDIRECT_URI], scopes: ['openid', 'email'] }));
+            expect(data.clientSecretHash).toBeUndefined();
+            expect(db.oauth_client.create).toHaveBeenCalledWith(expect.objectContaining({ clientSecretHash: sha256(data.clientSecret), createdBy: 1 }));
+        });
+
+        /**
+         * @function
+         * @description Tests that a public client is registered without a secret, and that its secret cannot be rotated.
+         */
+        it('should register a public client without a secret', async () => {
+            req.user = { id: 1, role: ['admin'] };
+            req.body = { name: 'Mobile app', redirectUris: ['com.example.app:/callback'], confidential: false };
+
+            await oauthClientController.createClient(req, res);
+
+            expect(res.statusCode).toBe(201);
+            const data = JSON.parse(res._getData());
+            expect(data.confidential).toBe(false);
+            expect(data.clientSecret).toBeUndefined();
+            expect(data.scopes).toEqual(oidc.SCOPES);
+
+            res = httpMocks.createResponse();
+            req.params.oauthClientId = '3';
+            await oauthClientController.rotateSecret(req, res);
+            expect(res.statusCode).toBe(400);
+            expect(client.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that deleting an unknown client returns `404`.
+         */
+        it('should return 404 when deleting an unknown client', async () => {
+            db.oauth_client.findByPk.mockResolvedValue(null);
+            req.params.oauthClientId = '99';
+
+            await oauthClientController.deleteClient(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'OAuth client not found' });
+        });
+    });
+});
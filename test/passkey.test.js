@@ -0,0 +1,476 @@
+/**
+ * @file passkey.test.js
+ * @description This file contains unit tests for the `passkeyController` module, the passkey login of the `authController`,
+ * and the `webauthn` checks they rely on, covering registering, listing, renaming and removing passkeys and logging in with them.
+ * Registration and login responses are produced by a software authenticator holding freshly generated keys, so the
+ * attestation and assertion checks run against real signatures.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **POST /user/passkeys/options**: Tests that registration options carry a new challenge and exclude the user's passkeys.
+ * - **POST /user/passkeys**: Tests that a passkey is stored with the public key of the credential, and that responses to an unknown
+ *   challenge, from another origin or for a credential already registered are refused.
+ * - **PUT/DELETE /user/passkeys/:passkeyId**: Tests renaming and removing a passkey of the user.
+ * - **POST /login/passkey**: Tests that a valid assertion starts a session and records the signature counter, and that invalid
+ *   signatures, counters that did not increase, mismatched user handles and suspended accounts are refused.
+ * - **webauthn**: Tests the attestation checks for Ed25519 and RSA keys, the relying party and user verification.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const webauthn_config = require('../config/webauthn.config');
+const userTokens = require('../utils/userTokens');
+const tokenService = require('../utils/tokenService');
+const loginThrottle = require('../utils/loginThrottle');
+const webauthn = require('../utils/webauthn');
+const passkeyController = require('../controllers/passkey.controller');
+const authController = require('../controllers/auth.controller');
+
+jest.mock('../models');
+jest.mock('../utils/userTokens');
+jest.mock('../utils/tokenService');
+jest.mock('../utils/loginThrottle');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Encodes a value as CBOR, supporting the types found in attestation objects.
+ *
+ * @param {*} value - A buffer, string, integer, array or `Map`.
+ * @returns {Buffer} The encoded value.
+ */
+const encodeCbor = (value) => {
+    const head = (major, length) => {
+        if (length < 24) {
+            return Buffer.from([(major << 5) | length]);
+        }
+        const bytes = length < 256 ? 1 : length < 65536 ? 2 : 4;
+        const buffer = Buffer.alloc(1 + bytes);
+        buffer[0] = (major << 5) | { 1: 24, 2: 25, 4: 26 }[bytes];
+        buffer.writeUIntBE(length, 1, bytes);
+        return buffer;
+    };
+
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([head(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+    }
+    if (typeof value === 'number') {
+        return value >= 0 ? head(0, value) : head(1, -1 - value);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([head(4, value.length), ...value.map(encodeCbor)]);
+    }
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])]);
+};
+
+/**
+ * Creates a software authenticator holding a new key pair.
+ *
+ * @param {string} [type='ec'] - `ec` (ES256), `ed25519` (EdDSA) or `rsa` (RS256).
+ * @returns {Object} The authenticator.
+ */
+const createAuthenticator = (type = 'ec') => {
+    const { publicKey, privateKey } = type === 'ec'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 2048 } : {});
+    const jwk = publicKey.export({ format: 'jwk' });
+    const bytes = (value) => Buffer.from(value, 'base64url');
+    const coseKey = {
+        ec: () => new Map([[1, 2], [3, -7], [-1, 1], [-2, bytes(jwk.x)], [-3, bytes(jwk.y)]]),
+        ed25519: () => new Map([[1, 1], [3, -8], [-1, 6], [-2, bytes(jwk.x)]]),
+        rsa: () => new Map([[1, 3], [3, -257], [-1, bytes(jwk.n)], [-2, bytes(jwk.e)]])
+    }[type]();
+
+    return {
+        credentialId: crypto.randomBytes(16).toString('base64url'),
+        privateKey,
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        coseKey,
+        algorithm: coseKey.get(3)
+    };
+};
+
+/**
+ * Builds authenticator data.
+ *
+ * @param {Object} authenticator - The authenticator.
+ * @param {Object} options - The contents.
+ * @returns {Buffer} The authenticator data.
+ */
+const authenticatorData = (authenticator, { rpId = webauthn_config.rpId, flags = 0x05, signCount = 0, attested = false }) => {
+    const header = Buffer.alloc(37);
+    sha256(rpId).copy(header);
+    header[32] = flags | (attested ? 0x40 : 0);
+    header.writeUInt32BE(signCount, 33);
+    if (!attested) {
+        return header;
+    }
+
+    const credentialId = Buffer.from(authenticator.credentialId, 'base64url');
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    return Buffer.concat([header, Buffer.alloc(16), idLength, credentialId, encodeCbor(authenticator.coseKey)]);
+};
+
+/**
+ * Builds client data.
+ *
+ * @param {string} type - The ceremony type.
+ * @param {string} challenge - The challenge.
+ * @param {string} [origin] - The origin of the page.
+ * @returns {Buffer} The client data JSON.
+ */
+const clientData = (type, challenge, origin = webauthn_config.origins[0]) => Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+/**
+ * Creates the credential returned by `navigator.credentials.create()`.
+ *
+ * @param {Object} authenticator - The authenticator.
+ * @param {string} challenge - The registration challenge.
+ * @param {Object} [options] - Overrides of the client and authenticator data.
+ * @returns {Object} The credential.
+ */
+const attest = (authenticator, challenge, { origin, rpId, flags } = {}) => ({
+    id: authenticator.credentialId,
+    type: 'public-key',
+    response: {
+        clientDataJSON: clientData('webauthn.create', challenge, origin).toString('base64url'),
+        attestationObject: encodeCbor(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', authenticatorData(authenticator, { rpId, flags, attested: true })]
+        ])).toString('base64url'),
+        transports: ['internal']
+    }
+});
+
+/**
+ * Creates the credential returned by `navigator.credentials.get()`.
+ *
+ * @param {Object} authenticator - The authenticator.
+ * @param {string} challenge - The login challenge.
+ * @param {Object} [options] - The signature counter, user handle and signing key.
+ * @returns {Object} The credential.
+ */
+const assertion = (authenticator, challenge, { signCount = 1, userHandle = 'MQ', privateKey = authenticator.privateKey } = {}) => {
+    const data = clientData('webauthn.get', challenge);
+    const authData = authenticatorData(authenticator, { signCount });
+    return {
+        id: authenticator.credentialId,
+        type: 'public-key',
+        response: {
+            clientDataJSON: data.toString('base64url'),
+            authenticatorData: authData.toString('base64url'),
+            signature: crypto.sign('sha256', Buffer.concat([authData, sha256(data)]), privateKey).toString('base64url'),
+            userHandle
+        }
+    };
+};
+
+describe('Passkey Controller', () => {
+    let req, res, authenticator;
+
+    beforeAll(() => {
+        authenticator = createAuthenticator();
+    });
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1 } });
+        res = httpMocks.createResponse();
+        db.user.findByPk = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', name: 'Test User' });
+        db.passkey.findAll = jest.fn().mockResolvedValue([]);
+        db.passkey.findOne = jest.fn().mockResolvedValue(null);
+        db.passkey.create = jest.fn(async (attributes) => ({ id: 2, createdAt: new Date(), ...attributes }));
+        db.passkey.destroy = jest.fn().mockResolvedValue(1);
+        db.log.create = jest.fn().mockResolvedValue({});
+        userTokens.issueToken.mockResolvedValue('challenge-1');
+        userTokens.consumeToken.mockResolvedValue({ userId: 1 });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('POST /user/passkeys/options', () => {
+        /**
+         * @function
+         * @description Tests that the options carry a new registration challenge, the user handle and the passkeys to exclude.
+         */
+        it('should return registration options with a new challenge', async () => {
+            db.passkey.findAll.mockResolvedValue([{ credentialId: 'existing', transports: ['usb'] }]);
+
+            await passkeyController.registrationOptions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const options = JSON.parse(res._getData());
+            expect(options).toEqual(expect.objectContaining({
+                challenge: 'challenge-1',
+                rp: { id: webauthn_config.rpId, name: webauthn_config.rpName },
+                user: { id: 'MQ', name: 'testuser', displayName: 'Test User' },
+                attestation: 'none',
+                excludeCredentials: [{ type: 'public-key', id: 'existing', transports: ['usb'] }]
+            }));
+            expect(options.pubKeyCredParams.map(({ alg }) => alg)).toEqual([-8, -7, -257]);
+            expect(options.authenticatorSelection.userVerification).toBe('required');
+            expect(userTokens.issueToken).toHaveBeenCalledWith('passkey_registration', { userId: 1, expiresIn: webauthn_config.challengeExpiresIn });
+        });
+    });
+
+    describe('POST /user/passkeys', () => {
+        /**
+         * @function
+         * @description Tests that a valid attestation stores the public key of the credential and consumes the challenge.
+         */
+        it('should register a passkey', async () => {
+            req.body = { name: 'Laptop', credential: attest(authenticator, 'challenge-1') };
+
+            await passkeyController.registerPasskey(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res._getData())).toEqual(expect.objectContaining({ id: 2, name: 'Laptop', transports: ['internal'] }));
+            expect(userTokens.consumeToken).toHaveBeenCalledWith('passkey_registration', 'challenge-1');
+            expect(db.passkey.create).toHaveBeenCalledWith({
+                userId: 1,
+                name: 'Laptop',
+                credentialId: authenticator.credentialId,
+                publicKey: authenticator.publicKey,
+                algorithm: -7,
+                signCount: 0,
+                transports: ['internal']
+            });
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ level: 'audit', userId: 1, message: expect.stringMatching(/^passkey\.registered /) }));
+        });
+
+        /**
+         * @function
+         * @description Tests that a challenge issued to another user, or not issued at all, is refused.
+         */
+        it('should return 400 for a challenge not issued to the user', async () => {
+            userTokens.consumeToken.mockResolvedValue({ userId: 9 });
+            req.body = { credential: attest(authenticator, 'challenge-1') };
+
+            await passkeyController.registerPasskey(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid or expired passkey registration' });
+            expect(db.passkey.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a response collected on another origin is refused without using the challenge.
+         */
+        it('should return 400 for another origin', async () => {
+            req.body = { credential: attest(authenticator, 'challenge-1', { origin: 'https://evil.example' }) };
+
+            await passkeyController.registerPasskey(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(userTokens.consumeToken).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a credential that is already registered is refused.
+         */
+        it('should return 409 if the passkey is already registered', async () => {
+            db.passkey.findOne.mockResolvedValue({ id: 3 });
+            req.body = { credential: attest(authenticator, 'challenge-1') };
+
+            await passkeyController.registerPasskey(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Passkey is already registered' });
+        });
+    });
+
+    describe('PUT/DELETE /user/passkeys/:passkeyId', () => {
+        /**
+         * @function
+         * @description Tests that only a passkey of the user is renamed.
+         */
+        it('should rename a passkey of the user', async () => {
+            const passkey = { id: 2, name: 'Passkey', transports: [], save: jest.fn() };
+            db.passkey.findOne.mockResolvedValue(passkey);
+            req.params = { passkeyId: '2' };
+            req.body = { name: 'Phone' };
+
+            await passkeyController.renamePasskey(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual(expect.objectContaining({ id: 2, name: 'Phone' }));
+            expect(db.passkey.findOne).toHaveBeenCalledWith({ where: { id: '2', userId: 1 } });
+            expect(passkey.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a passkey that is not found, or belongs to another user, returns 404.
+         */
+        it('should return 404 when removing a passkey that is not found', async () => {
+            db.passkey.destroy.mockResolvedValue(0);
+            req.params = { passkeyId: '7' };
+
+            await passkeyController.deletePasskey(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(db.passkey.destroy).toHaveBeenCalledWith({ where: { id: 7, userId: 1 } });
+            expect(db.log.create).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('Passkey Login', () => {
+    let req, res, authenticator, passkey;
+
+    beforeAll(() => {
+        authenticator = createAuthenticator();
+    });
+
+    beforeEach(() => {
+        req = httpMocks.createRequest();
+        res = httpMocks.createResponse();
+        passkey = {
+            id: 2,
+            userId: 1,
+            credentialId: authenticator.credentialId,
+            publicKey: authenticator.publicKey,
+            algorithm: authenticator.algorithm,
+            signCount: '4',
+            save: jest.fn().mockResolvedValue()
+        };
+        db.passkey.findOne = jest.fn().mockResolvedValue(passkey);
+        db.user.findOne = jest.fn().mockResolvedValue({ id: 1, username: 'testuser', status: 'active' });
+        userTokens.issueToken.mockResolvedValue('challenge-2');
+        userTokens.consumeToken.mockResolvedValue({ userId: null });
+        loginThrottle.check.mockResolvedValue({ blocked: false });
+        loginThrottle.registerFailure.mockResolvedValue({ lockedNow: false });
+        tokenService.issueTokens.mockResolvedValue({ token: 'mocktoken', refreshToken: 'mockrefreshtoken' });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    /**
+     * @function
+     * @description Tests that login options carry a challenge that is not tied to a user and does not replace other challenges.
+     */
+    it('should return login options with a new challenge', async () => {
+        await authController.passkeyLoginOptions(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(JSON.parse(res._getData())).toEqual(expect.objectContaining({ challenge: 'challenge-2', rpId: webauthn_config.rpId, userVerification: 'required', allowCredentials: [] }));
+        expect(userTokens.issueToken).toHaveBeenCalledWith('passkey_login', { expiresIn: webauthn_config.challengeExpiresIn, replace: false });
+    });
+
+    /**
+     * @function
+     * @description Tests that a valid assertion starts a session and records the signature counter.
+     */
+    it('should log in with a valid assertion', async () => {
+        req.body = { credential: assertion(authenticator, 'challenge-2', { signCount: 5 }) };
+
+        await authController.loginWithPasskey(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(JSON.parse(res._getData())).toEqual({ token: 'mocktoken', refreshToken: 'mockrefreshtoken' });
+        expect(userTokens.consumeToken).toHaveBeenCalledWith('passkey_login', 'challenge-2');
+        expect(tokenService.issueTokens).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), expect.any(Object));
+        expect(passkey.signCount).toBe(5);
+        expect(passkey.lastUsedAt).toBeInstanceOf(Date);
+        expect(passkey.save).toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that a signature made with another key is refused and counted as a failed attempt.
+     */
+    it('should return 401 for an invalid signature', async () => {
+        req.body = { credential: assertion(authenticator, 'challenge-2', { signCount: 5, privateKey: createAuthenticator().privateKey }) };
+
+        await authController.loginWithPasskey(req, res);
+
+        expect(res.statusCode).toBe(401);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Invalid passkey' });
+        expect(loginThrottle.registerFailure).toHaveBeenCalled();
+        expect(tokenService.issueTokens).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that a signature counter that did not increase, a sign of a cloned authenticator, is refused.
+     */
+    it('should return 401 if the signature counter did not increase', async () => {
+        req.body = { credential: assertion(authenticator, 'challenge-2', { signCount: 4 }) };
+
+        await authController.loginWithPasskey(req, res);
+
+        expect(res.statusCode).toBe(401);
+        expect(passkey.save).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that an assertion returning the user handle of another user is refused.
+     */
+    it('should return 401 for a mismatched user handle', async () => {
+        req.body = { credential: assertion(authenticator, 'challenge-2', { signCount: 5, userHandle: 'Mg' }) };
+
+        await authController.loginWithPasskey(req, res);
+
+        expect(res.statusCode).toBe(401);
+    });
+
+    /**
+     * @function
+     * @description Tests that suspended accounts cannot log in with a passkey.
+     */
+    it('should return 403 if the account is suspended', async () => {
+        db.user.findOne.mockResolvedValue({ id: 1, status: 'suspended' });
+        req.body = { credential: assertion(authenticator, 'challenge-2', { signCount: 5 }) };
+
+        await authController.loginWithPasskey(req, res);
+
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res._getData())).toEqual({ message: 'Account is suspended' });
+        expect(tokenService.issueTokens).not.toHaveBeenCalled();
+    });
+});
+
+describe('webauthn', () => {
+    const options = { rpId: 'example.com', requireUserVerification: true };
+
+    /**
+     * @function
+     * @description Tests that Ed25519 and RSA credentials are accepted with their public key.
+     */
+    it('should extract Ed25519 and RSA public keys', () => {
+        for (const type of ['ed25519', 'rsa']) {
+            const authenticator = createAuthenticator(type);
+            const { attestationObject } = attest(authenticator, 'c', { rpId: 'example.com' }).response;
+
+            expect(webauthn.verifyAttestation(attestationObject, options)).toEqual({
+                credentialId: authenticator.credentialId, publicKey: authenticator.publicKey, algorithm: authenticator.algorithm, signCount: 0
+            });
+        }
+    });
+
+    /**
+     * @function
+     * @description Tests that attestations for another relying party or without user verification are refused.
+     */
+    it('should refuse another relying party and unverified users', () => {
+        const authenticator = createAuthenticator();
+
+        expect(webauthn.verifyAttestation(attest(authenticator, 'c', { rpId: 'evil.example' }).response.attestationObject, options)).toBeNull();
+        expect(webauthn.verifyAttestation(attest(authenticator, 'c', { rpId: 'example.com', flags: 0x01 }).response.attestationObject, options)).toBeNull();
+        expect(webauthn.verifyAttestation('not-cbor', options)).toBeNull();
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * @file password.test.js
+ * @description This file contains unit tests for the `passwordController` module, the `passwordPolicy` it relies on,
+ * and the validators applying the policy on signup, password reset and password change.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /password/policy**: Tests that the rules in force are described.
+ * - **POST /password/check**: Tests that every rule a password fails is listed, including the user's personal information.
+ * - **passwordPolicy**: Tests each rule, the configuration switching rules off, and common and breached passwords ignoring case.
+ * - **Validators**: Tests that the signup, reset and change password validators report one error per failed rule.
+ */
+
+require('dotenv').config();
+const httpMocks = require('node-mocks-http');
+const { validationResult } = require('express-validator');
+const password_config = require('../config/password.config');
+const passwordPolicy = require('../utils/passwordPolicy');
+const passwordController = require('../controllers/password.controller');
+const { validateSignup, validateChangePassword } = require('../middlewares/validators');
+
+/**
+ * Runs validation middleware against a request and returns the messages of the errors reported for a field.
+ *
+ * @param {Function[]} validators - The validation middleware.
+ * @param {Object} req - The request.
+ * @param {string} path - The field.
+ * @returns {Promise<string[]>} The error messages.
+ */
+const validate = async (validators, req, path) => {
+    for (const validator of validators) {
+        await validator.run(req);
+    }
+    return validationResult(req).array().filter((error) => error.path === path).map((error) => error.msg);
+};
+
+describe('Password Controller', () => {
+    const defaults = { ...password_config };
+
+    afterEach(() => {
+        Object.assign(password_config, defaults);
+    });
+
+    describe('GET /password/policy', () => {
+        /**
+         * @function
+         * @description Tests that the rules in force are described with their messages.
+         */
+        it('should describe the rules in force', () => {
+            const res = httpMocks.createResponse();
+
+            passwordController.getPolicy(httpMocks.createRequest(), res);
+
+            expect(res.statusCode).toBe(200);
+            const { rules } = JSON.parse(res._getData());
+            expect(rules.map(({ name }) => name)).toEqual(['minLength', 'maxLength', 'lowercase', 'uppercase', 'digit', 'personalInfo', 'common']);
+            expect(rules[0]).toEqual({ name: 'minLength', message: 'Password must be at least 8 characters long' });
+        });
+    });
+
+    describe('POST /password/check', () => {
+        /**
+         * @function
+         * @description Tests that a compliant password is valid.
+         */
+        it('should accept a password complying with the policy', () => {
+            const req = httpMocks.createRequest({ body: { password: 'Correct-Horse-42', username: 'jdoe', email: 'jdoe@example.com' } });
+            const res = httpMocks.createResponse();
+
+            passwordController.checkPassword(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ valid: true, failures: [] });
+        });
+
+        /**
+         * @function
+         * @description Tests that every failed rule is listed, including a password containing the email name.
+         */
+        it('should list every rule the password fails', () => {
+            const req = httpMocks.createRequest({ body: { password: 'jdoe', email: 'jdoe@example.com' } });
+            const res = httpMocks.createResponse();
+
+            passwordController.checkPassword(req, res);
+
+            expect(JSON.parse(res._getData())).toEqual({
+                valid: false,
+                failures: [
+                    { rule: 'minLength', message: 'Password must be at least 8 characters long' },
+                    { rule: 'uppercase', message: 'Password must contain an uppercase letter' },
+                    { rule: 'digit', message: 'Password must contain a digit' },
+                    { rule: 'personalInfo', message: 'Password must not contain your username or email address' }
+                ]
+            });
+        });
+    });
+
+    describe('passwordPolicy', () => {
+        /**
+         * @function
+         * @description Tests that the maximum length is counted in bytes, since bcrypt ignores what follows the 72nd byte.
+         */
+        it('should count the maximum length in bytes', () => {
+            const failures = passwordPolicy.checkPassword(`Aa1${'é'.repeat(35)}`);
+
+            expect(failures.map(({ rule }) => rule)).toEqual(['maxLength']);
+        });
+
+        /**
+         * @function
+         * @description Tests that common passwords are refused ignoring case, even when they satisfy the other rules.
+         */
+        it('should refuse common passwords ignoring case', () => {
+            expect(passwordPolicy.checkPassword('Password123').map(({ rule }) => rule)).toEqual(['common']);
+        });
+
+        /**
+         * @function
+         * @description Tests that passwords from the bundled breach list are refused, not only the most frequent ones.
+         */
+        it('should refuse passwords from the list of breached passwords', () => {
+            expect(passwordPolicy.checkPassword('Blink182').map(({ rule }) => rule)).toEqual(['common']);
+            expect(passwordPolicy.checkPassword('Ncc1701d').map(({ rule }) => rule)).toEqual(['common']);
+        });
+
+        /**
+         * @function
+         * @description Tests that the configuration switches rules on and off.
+         */
+        it('should apply the configured rules', () => {
+            Object.assign(password_config, { minLength: 4, requireUppercase: false, requireDigit: false, requireSymbol: true, disallowCommon: false });
+
+            expect(passwordPolicy.checkPassword('password').map(({ rule }) => rule)).toEqual(['symbol']);
+            expect(passwordPolicy.checkPassword('pass word')).toEqual([]);
+        });
+
+        /**
+         * @function
+         * @description Tests that short usernames are not refused as part of passwords, since they match too many passwords by chance.
+         */
+        it('should ignore personal information that is too short', () => {
+            expect(passwordPolicy.checkPassword('Jo-Secret-42', { username: 'jo', email: 'jo@example.com' })).toEqual([]);
+        });
+    });
+
+    describe('Validators', () => {
+        /**
+         * @function
+         * @description Tests that signup reports one error per failed rule, using the username of the request.
+         */
+        it('should report every failed rule on signup', async () => {
+            const req = httpMocks.createRequest({ body: { username: 'johndoe', email: 'john@example.com', password: 'johndoe' } });
+
+            await expect(validate(validateSignup, req, 'password')).resolves.toEqual([
+                'Password must be at least 8 characters long',
+                'Password must contain an uppercase letter',
+                'Password must contain a digit',
+                'Password must not contain your username or email address',
+                'Password is too common'
+            ]);
+        });
+
+        /**
+         * @function
+         * @description Tests that a password change uses the username of the authenticated user.
+         */
+        it('should use the authenticated user on password change', async () => {
+            const req = httpMocks.createRequest({ body: { currentPassword: 'old', newPassword: 'Johndoe-2024' }, user: { id: 1, username: 'johndoe' } });
+
+            await expect(validate(validateChangePassword, req, 'newPassword')).resolves.toEqual([
+                'Password must not contain your username or email address'
+            ]);
+        });
+
+        /**
+         * @function
+         * @description Tests that a compliant password passes the validators.
+         */
+        it('should accept a compliant password', async () => {
+            const req = httpMocks.createRequest({ body: { username: 'johndoe', email: 'john@example.com', password: 'Correct-Horse-42' } });
+
+            await expect(validate(validateSignup, req, 'password')).resolves.toEqual([]);
+        });
+    });
+});
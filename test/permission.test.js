@@ -0,0 +1,211 @@
+/**
+ * @file permission.test.js
+ * @description This file contains unit tests for the `permissionController` module and the `permissionService` it relies on,
+ * covering listing and creating permissions, granting and revoking the permissions of a role, and resolving a user's effective permissions.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /permissions** and **POST /permissions**: Tests for listing permissions and creating a permission, including a duplicate name.
+ * - **GET /roles/:roleId/permissions**: Tests for listing the permissions of a role, including a role that is not found.
+ * - **POST /roles/:roleId/permissions**: Tests for granting a permission, including an unknown role or permission.
+ * - **DELETE /roles/:roleId/permissions/:permission**: Tests for revoking a permission, including a permission that is not granted.
+ * - **GET /user/permissions**: Tests that the effective permissions of the user are the union of the permissions of their roles.
+ */
+
+require('dotenv').config();
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const permissionController = require('../controllers/permission.controller');
+
+jest.mock('../models');
+
+describe('Permission Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1, role: ['admin'] } });
+        res = httpMocks.createResponse();
+        db.permission.findAll = jest.fn();
+        db.permission.findOne = jest.fn();
+        db.permission.create = jest.fn();
+        db.role.findByPk = jest.fn().mockResolvedValue({ id: 2 });
+        db.role_permission.findOrCreate = jest.fn().mockResolvedValue([{}, true]);
+        db.role_permission.destroy = jest.fn().mockResolvedValue(1);
+    });
+
+    describe('GET /permissions', () => {
+        /**
+         * @function
+         * @description Tests that every permission is listed by name.
+         */
+        it('should list the permissions', async () => {
+            db.permission.findAll.mockResolvedValue([{ id: 1, name: 'users:read', description: 'View users' }]);
+
+            await permissionController.listPermissions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual([{ id: 1, name: 'users:read', description: 'View users' }]);
+            expect(db.permission.findAll.mock.calls[0][0].order).toEqual([['name', 'ASC']]);
+        });
+    });
+
+    describe('POST /permissions', () => {
+        /**
+         * @function
+         * @description Tests that a new permission is created.
+         */
+        it('should create a permission', async () => {
+            req.body = { name: 'reports:read', description: 'View reports' };
+            db.permission.findOne.mockResolvedValue(null);
+            db.permission.create.mockResolvedValue({ id: 12, name: 'reports:read', description: 'View reports' });
+
+            await permissionController.createPermission(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(JSON.parse(res._getData())).toEqual({ id: 12, name: 'reports:read', description: 'View reports' });
+        });
+
+        /**
+         * @function
+         * @description Tests that a permission with an existing name is rejected with 409.
+         */
+        it('should return 409 if the permission already exists', async () => {
+            req.body = { name: 'users:read' };
+            db.permission.findOne.mockResolvedValue({ id: 1, name: 'users:read' });
+
+            await permissionController.createPermission(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Permission already exists' });
+            expect(db.permission.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors while creating a permission are handled.
+         */
+        it('should handle server errors', async () => {
+            req.body = { name: 'reports:read' };
+            db.permission.findOne.mockRejectedValue(new Error('Database error'));
+
+            await permissionController.createPermission(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('GET /roles/:roleId/permissions', () => {
+        /**
+         * @function
+         * @description Tests that the permissions of a role are listed by name.
+         */
+        it('should list the permissions of a role', async () => {
+            req.params = { roleId: '2' };
+            db.role.findByPk.mockResolvedValue({ id: 2, Permissions: [{ name: 'users:write' }, { name: 'roles:read' }] });
+
+            await permissionController.getRolePermissions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual(['roles:read', 'users:write']);
+        });
+
+        /**
+         * @function
+         * @description Tests that listing the permissions of an unknown role returns 404.
+         */
+        it('should return 404 if the role is not found', async () => {
+            req.params = { roleId: '99' };
+            db.role.findByPk.mockResolvedValue(null);
+
+            await permissionController.getRolePermissions(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role not found' });
+        });
+    });
+
+    describe('POST /roles/:roleId/permissions', () => {
+        /**
+         * @function
+         * @description Tests that a permission is granted to a role.
+         */
+        it('should grant a permission to a role', async () => {
+            req.params = { roleId: '2' };
+            req.body = { permission: 'users:write' };
+            db.permission.findOne.mockResolvedValue({ id: 5, name: 'users:write' });
+
+            await permissionController.grantPermission(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Permission granted' });
+            expect(db.role_permission.findOrCreate).toHaveBeenCalledWith({ where: { roleId: 2, permissionId: 5 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that granting an unknown permission returns 404.
+         */
+        it('should return 404 if the permission is not found', async () => {
+            req.params = { roleId: '2' };
+            req.body = { permission: 'unknown:permission' };
+            db.permission.findOne.mockResolvedValue(null);
+
+            await permissionController.grantPermission(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Permission not found' });
+            expect(db.role_permission.findOrCreate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('DELETE /roles/:roleId/permissions/:permission', () => {
+        /**
+         * @function
+         * @description Tests that a permission is revoked from a role.
+         */
+        it('should revoke a permission from a role', async () => {
+            req.params = { roleId: '2', permission: 'users:write' };
+            db.permission.findOne.mockResolvedValue({ id: 5, name: 'users:write' });
+
+            await permissionController.revokePermission(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Permission revoked' });
+            expect(db.role_permission.destroy).toHaveBeenCalledWith({ where: { roleId: 2, permissionId: 5 } });
+        });
+
+        /**
+         * @function
+         * @description Tests that revoking a permission the role does not have returns 404.
+         */
+        it('should return 404 if the permission is not granted to the role', async () => {
+            req.params = { roleId: '2', permission: 'users:write' };
+            db.permission.findOne.mockResolvedValue({ id: 5, name: 'users:write' });
+            db.role_permission.destroy.mockResolvedValue(0);
+
+            await permissionController.revokePermission(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Permission is not granted to the role' });
+        });
+    });
+
+    describe('GET /user/permissions', () => {
+        /**
+         * @function
+         * @description Tests that the effective permissions are the union of the permissions of the user's roles.
+         */
+        it('should list the effective permissions of the user', async () => {
+            req.user.role = ['user', 'auditor'];
+            db.permission.findAll.mockResolvedValue([{ name: 'profile:read' }, { name: 'logs:read' }, { name: 'profile:read' }]);
+
+            await permissionController.getMyPermissions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual(['logs:read', 'profile:read']);
+            expect(db.permission.findAll.mock.calls[0][0].include[0].where).toEqual({ roleName: ['user', 'auditor'] });
+        });
+    });
+});
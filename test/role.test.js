@@ -11,8 +11,17 @@
  *
  * - **POST /role/assign**: Tests for assigning a role to a user.
  *   - **Success**: Ensures that a role is assigned to a user successfully and the correct success message is returned.
+ *   - **Not Found**: Ensures that assigning a role to a user or a role that does not exist returns 404.
  *   - **Error**: Validates that errors during role assignment are managed properly and the correct error message is returned.
  *
+ * - **GET /roles** and **GET /roles/:roleId**: Tests for listing roles with their user counts and retrieving a role.
+ *
+ * - **PUT /roles/:roleId** and **DELETE /roles/:roleId**: Tests for updating and deleting roles, including the protection of the built-in roles.
+ *
+ * - **Duplicates**: Tests that duplicate role names and role assignments are rejected with 409.
+ *
+ * - **DELETE /assign-role**: Tests for revoking a role from a user, including the protection of the last administrator.
+ *
  * - **GET /user/:userId/roles**: Tests for retrieving roles assigned to a user.
  *   - **Success**: Confirms that user roles are fetched successfully and returned in the correct format.
  *   - **User Not Found**: Tests the case where the user does not exist and ensures the correct error message is returned.
@@ -27,6 +36,8 @@ const httpMocks = require('node-mocks-http');
 describe('Role Controller', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        db.user.findByPk = jest.fn().mockResolvedValue({ id: 1 });
+        db.role.findByPk = jest.fn().mockResolvedValue({ id: 2 });
     });
 
     describe('POST /role', () => {
@@ -98,6 +109,31 @@ describe('Role Controller', () => {
             expect(JSON.parse(res._getData())).toEqual({ message: 'Role assigned successfully' });
         });
 
+        /**
+         * @function
+         * @description Tests that a role cannot be assigned to a user or a role that does not exist.
+         */
+        it('should return 404 if the user or the role does not exist', async () => {
+            const req = httpMocks.createRequest({ method: 'POST', url: '/assign-role', body: { userId: 99, roleId: 2 } });
+            let res = httpMocks.createResponse();
+            db.user_roles.create = jest.fn();
+            db.user.findByPk.mockResolvedValueOnce(null);
+
+            await roleController.assignRoleToUser(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User not found' });
+
+            res = httpMocks.createResponse();
+            db.role.findByPk.mockResolvedValueOnce(null);
+
+            await roleController.assignRoleToUser(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role not found' });
+            expect(db.user_roles.create).not.toHaveBeenCalled();
+        });
+
         /**
          * @function
          * @description Tests the `assignRoleToUser` method in `roleController` to handle errors during role assignment.
@@ -121,6 +157,234 @@ describe('Role Controller', () => {
         });
     });
 
+    describe('GET /roles', () => {
+        /**
+         * @function
+         * @description Tests the `listRoles` method to ensure roles are listed with the number of users holding each.
+         */
+        it('should list roles with their user counts', async () => {
+            const req = httpMocks.createRequest({ method: 'GET', url: '/roles' });
+            const res = httpMocks.createResponse();
+
+            db.role.findAll = jest.fn().mockResolvedValue([
+                { id: 1, roleName: 'user', description: 'User Role' },
+                { id: 3, roleName: 'editor', description: null }
+            ]);
+            db.user_roles.findAll = jest.fn().mockResolvedValue([{ roleId: 1, userCount: '4' }]);
+
+            await roleController.listRoles(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual([
+                { id: 1, roleName: 'user', description: 'User Role', userCount: 4 },
+                { id: 3, roleName: 'editor', description: null, userCount: 0 }
+            ]);
+        });
+    });
+
+    describe('GET /roles/:roleId', () => {
+        /**
+         * @function
+         * @description Tests the `getRole` method to ensure a role is returned with its user count and permissions.
+         */
+        it('should get a role', async () => {
+            const req = httpMocks.createRequest({ method: 'GET', url: '/roles/2', params: { roleId: '2' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue({ id: 2, roleName: 'admin', description: 'Administrator role', Permissions: [{ name: 'users:write' }] });
+            db.user_roles.findAll = jest.fn().mockResolvedValue([{ roleId: 2, userCount: '1' }]);
+
+            await roleController.getRole(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ id: 2, roleName: 'admin', description: 'Administrator role', userCount: 1, permissions: ['users:write'] });
+        });
+
+        /**
+         * @function
+         * @description Tests the `getRole` method to handle a role that is not found.
+         */
+        it('should return 404 if the role is not found', async () => {
+            const req = httpMocks.createRequest({ method: 'GET', url: '/roles/99', params: { roleId: '99' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue(null);
+
+            await roleController.getRole(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role not found' });
+        });
+    });
+
+    describe('PUT /roles/:roleId', () => {
+        /**
+         * @function
+         * @description Tests the `updateRole` method to ensure a custom role can be renamed.
+         */
+        it('should update a role', async () => {
+            const role = { id: 3, roleName: 'editor', description: null, save: jest.fn().mockResolvedValue() };
+            const req = httpMocks.createRequest({ method: 'PUT', url: '/roles/3', params: { roleId: '3' }, body: { roleName: 'author', description: 'Writes content' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue(role);
+
+            await roleController.updateRole(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ id: 3, roleName: 'author', description: 'Writes content' });
+            expect(role.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `updateRole` method to ensure built-in roles cannot be renamed, while their description can change.
+         */
+        it('should not rename a built-in role', async () => {
+            const role = { id: 2, roleName: 'admin', description: 'Administrator role', save: jest.fn().mockResolvedValue() };
+            const req = httpMocks.createRequest({ method: 'PUT', url: '/roles/2', params: { roleId: '2' }, body: { roleName: 'superuser' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue(role);
+
+            await roleController.updateRole(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Built-in roles cannot be renamed' });
+            expect(role.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('DELETE /roles/:roleId', () => {
+        /**
+         * @function
+         * @description Tests the `deleteRole` method to ensure a custom role is deleted.
+         */
+        it('should delete a role', async () => {
+            const role = { id: 3, roleName: 'editor', destroy: jest.fn().mockResolvedValue() };
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/roles/3', params: { roleId: '3' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue(role);
+
+            await roleController.deleteRole(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role deleted successfully' });
+            expect(role.destroy).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `deleteRole` method to ensure the built-in roles cannot be deleted.
+         */
+        it.each(['user', 'admin'])('should not delete the built-in %s role', async (roleName) => {
+            const role = { id: 1, roleName, destroy: jest.fn() };
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/roles/1', params: { roleId: '1' } });
+            const res = httpMocks.createResponse();
+
+            db.role.findByPk = jest.fn().mockResolvedValue(role);
+
+            await roleController.deleteRole(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Built-in roles cannot be deleted' });
+            expect(role.destroy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Duplicates', () => {
+        /**
+         * @function
+         * @description Tests that creating a role with an existing name returns 409.
+         */
+        it('should return 409 when the role name already exists', async () => {
+            const req = httpMocks.createRequest({ method: 'POST', url: '/roles', body: { roleName: 'admin' } });
+            const res = httpMocks.createResponse();
+
+            db.role.create = jest.fn().mockRejectedValue(new db.Sequelize.UniqueConstraintError({}));
+
+            await roleController.createRole(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role already exists' });
+        });
+
+        /**
+         * @function
+         * @description Tests that assigning a role the user already has returns 409.
+         */
+        it('should return 409 when the user already has the role', async () => {
+            const req = httpMocks.createRequest({ method: 'POST', url: '/assign-role', body: { userId: 1, roleId: 2 } });
+            const res = httpMocks.createResponse();
+
+            db.user_roles.create = jest.fn().mockRejectedValue(new db.Sequelize.UniqueConstraintError({}));
+
+            await roleController.assignRoleToUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User already has the role' });
+        });
+    });
+
+    describe('DELETE /assign-role', () => {
+        /**
+         * @function
+         * @description Tests the `revokeRoleFromUser` method to ensure a role is revoked from a user.
+         */
+        it('should revoke a role from a user', async () => {
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/assign-role', body: { userId: 1, roleId: 2 } });
+            const res = httpMocks.createResponse();
+
+            db.user_roles.findOne = jest.fn().mockResolvedValue({ userId: 1, roleId: 2 });
+            db.user.count = jest.fn().mockResolvedValue(1);
+            db.user_roles.destroy = jest.fn().mockResolvedValue(1);
+            db.role.findByPk = jest.fn().mockResolvedValue({ id: 2, roleName: 'admin' });
+
+            await roleController.revokeRoleFromUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role revoked successfully' });
+            expect(db.user_roles.destroy).toHaveBeenCalledWith({ where: { userId: 1, roleId: 2 } });
+        });
+
+        /**
+         * @function
+         * @description Tests the `revokeRoleFromUser` method to ensure the admin role cannot be revoked from the last active administrator.
+         */
+        it('should not revoke the admin role from the last administrator', async () => {
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/assign-role', body: { userId: 1, roleId: 2 } });
+            const res = httpMocks.createResponse();
+
+            db.user_roles.findOne = jest.fn().mockResolvedValue({ userId: 1, roleId: 2 });
+            db.user.count = jest.fn().mockResolvedValue(0);
+            db.user_roles.destroy = jest.fn();
+            db.role.findByPk = jest.fn().mockResolvedValue({ id: 2, roleName: 'admin' });
+
+            await roleController.revokeRoleFromUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Cannot revoke the admin role from the last administrator' });
+            expect(db.user_roles.destroy).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `revokeRoleFromUser` method to handle a user that does not have the role.
+         */
+        it('should return 404 if the user does not have the role', async () => {
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/assign-role', body: { userId: 1, roleId: 3 } });
+            const res = httpMocks.createResponse();
+
+            db.user_roles.findOne = jest.fn().mockResolvedValue(null);
+
+            await roleController.revokeRoleFromUser(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role assignment not found' });
+        });
+    });
+
     describe('GET /user/:userId/roles', () => {
         /**
          * @function
@@ -0,0 +1,105 @@
+/**
+ * @file routes.test.js
+ * @description This file contains unit tests for how the routes are put together, where the behavior of an endpoint depends on
+ * the middleware of its route rather than on its controller. The routes are registered on a stub application recording their
+ * middleware and controller, and the file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **Personal access tokens**: Tests that the actions requiring a session (creating tokens, revoking the other sessions, managing
+ *   two-factor authentication, registering passkeys, authorizing applications and changing the email address) refuse requests made
+ *   with a personal access token, right after the token is verified.
+ */
+
+require('dotenv').config();
+const httpMocks = require('node-mocks-http');
+const { verifyToken } = require('../middlewares');
+
+jest.mock('../models');
+
+/**
+ * Registers the routes of a route module on a stub application and returns the middleware of one of them.
+ *
+ * @function
+ * @param {string} routeModule - The route module, e.g. `user.route`.
+ * @param {string} method - The HTTP method, e.g. `put`.
+ * @param {string} path - The path of the route.
+ * @returns {Array<Function>} The middleware of the route, followed by its controller.
+ */
+const getRouteHandlers = (routeModule, method, path) => {
+    const routes = {};
+    const app = { use: () => { } };
+    for (const verb of ['get', 'post', 'put', 'delete']) {
+        app[verb] = (routePath, ...handlers) => {
+            routes[`${verb} ${routePath}`] = handlers.flat();
+        };
+    }
+    require(`../routes/${routeModule}`)(app);
+    return routes[`${method} ${path}`];
+};
+
+/**
+ * Runs the middleware following `verifyToken` on a route, as for a request authenticated by `user`.
+ *
+ * @function
+ * @param {Array<Function>} handlers - The middleware of the route.
+ * @param {Object} user - The user set by `verifyToken`.
+ * @param {Object} [body] - The body of the request.
+ * @returns {{ res: Object, next: Function }} The response and the `next` callback passed to the middleware.
+ */
+const afterVerifyToken = (handlers, user, body = {}) => {
+    const middleware = handlers[handlers.indexOf(verifyToken) + 1];
+    const res = httpMocks.createResponse();
+    const next = jest.fn();
+    middleware(httpMocks.createRequest({ user, body }), res, next);
+    return { res, next };
+};
+
+describe('Routes', () => {
+    const session = { id: 1, role: ['user'], sessionId: 'family-1' };
+    const accessToken = { id: 1, role: ['user'], sessionId: null, accessTokenId: 7, scopes: ['profile:read', 'profile:write'] };
+
+    describe('Personal access tokens', () => {
+        /**
+         * @function
+         * @description Tests that the actions requiring a session refuse personal access tokens and let sessions through.
+         */
+        it.each([
+            ['accessToken.route', 'post', '/user/tokens', 'Personal access tokens cannot be created with a personal access token'],
+            ['session.route', 'delete', '/user/sessions', 'Other sessions cannot be revoked with a personal access token'],
+            ['mfa.route', 'post', '/user/2fa/enroll', 'Two-factor authentication cannot be managed with a personal access token'],
+            ['mfa.route', 'post', '/user/2fa/confirm', 'Two-factor authentication cannot be managed with a personal access token'],
+            ['mfa.route', 'post', '/user/2fa/recovery-codes', 'Two-factor authentication cannot be managed with a personal access token'],
+            ['mfa.route', 'delete', '/user/2fa', 'Two-factor authentication cannot be managed with a personal access token'],
+            ['passkey.route', 'post', '/user/passkeys/options', 'Passkeys cannot be registered with a personal access token'],
+            ['passkey.route', 'post', '/user/passkeys', 'Passkeys cannot be registered with a personal access token'],
+            ['oidc.route', 'get', '/authorize', 'Applications cannot be authorized with a personal access token'],
+            ['oidc.route', 'post', '/authorize', 'Applications cannot be authorized with a personal access token']
+        ])('should refuse personal access tokens on %s %s %s', (routeModule, method, path, message) => {
+            const handlers = getRouteHandlers(routeModule, method, path);
+
+            const refused = afterVerifyToken(handlers, accessToken);
+            expect(refused.res.statusCode).toBe(403);
+            expect(JSON.parse(refused.res._getData())).toEqual({ message });
+            expect(refused.next).not.toHaveBeenCalled();
+
+            expect(afterVerifyToken(handlers, session).next).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a personal access token can update the profile but not stage an email change, which would let
+         * whoever holds the token confirm a new address and reset the password.
+         */
+        it('should refuse email changes made with a personal access token on PUT /user', () => {
+            const handlers = getRouteHandlers('user.route', 'put', '/user');
+
+            const refused = afterVerifyToken(handlers, accessToken, { email: 'attacker@example.com' });
+            expect(refused.res.statusCode).toBe(403);
+            expect(JSON.parse(refused.res._getData())).toEqual({ message: 'The email address cannot be changed with a personal access token' });
+
+            expect(afterVerifyToken(handlers, accessToken, { name: 'Jane Doe' }).next).toHaveBeenCalled();
+            expect(afterVerifyToken(handlers, session, { email: 'new@example.com' }).next).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * @file serviceAccount.test.js
+ * @description This file contains unit tests for the `serviceAccountController` module and the `serviceAccounts` service it relies on,
+ * covering creating, reading, rotating the secret of and deleting service accounts, and authenticating their client credentials.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **POST /service-accounts**: Tests that service accounts are created with only the hash of their secret stored, the secret returned once
+ *   and their roles assigned, refusing usernames already in use, unknown roles and roles assigned without the `roles:assign` permission.
+ * - **GET /service-accounts/:accountId**: Tests that a service account is returned without its secret hash, including one that is not found.
+ * - **POST /service-accounts/:accountId/secret**: Tests that rotating the secret replaces its hash and revokes the access tokens of the account.
+ * - **DELETE /service-accounts/:accountId**: Tests that deleting a service account revokes its access tokens.
+ * - **authenticateClient**: Tests that client credentials are checked against the stored secret hash.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const db = require('../models');
+const serviceAccounts = require('../utils/serviceAccounts');
+const serviceAccountController = require('../controllers/serviceAccount.controller');
+
+jest.mock('../models');
+
+/**
+ * Hashes a secret the way client secrets are stored.
+ *
+ * @param {string} secret - The secret.
+ * @returns {string} The SHA-256 hash of the secret, in hex.
+ */
+const sha256 = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+describe('Service Account Controller', () => {
+    let req, res, account;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1, role: ['admin'] } });
+        res = httpMocks.createResponse();
+        account = {
+            id: 12,
+            username: 'deploy-bot',
+            name: 'Deploy bot',
+            accountType: 'service',
+            clientId: 'svc_0123456789abcdef01234567',
+            clientSecretHash: sha256('old-secret'),
+            status: 'active',
+            Roles: [{ roleName: 'user' }],
+            save: jest.fn().mockResolvedValue(),
+            destroy: jest.fn().mockResolvedValue()
+        };
+        db.user.findOne = jest.fn().mockResolvedValue(account);
+        db.user.create = jest.fn(async (attributes) => ({ id: 12, status: 'active', ...attributes }));
+        db.role.findAll = jest.fn().mockResolvedValue([{ id: 1, roleName: 'user' }]);
+        db.permission.findAll = jest.fn().mockResolvedValue([{ name: 'service-accounts:write' }, { name: 'roles:assign' }]);
+        db.user_roles.create = jest.fn().mockResolvedValue({});
+        db.session.update = jest.fn().mockResolvedValue([2]);
+        db.log.create = jest.fn().mockResolvedValue({});
+    });
+
+    describe('POST /service-accounts', () => {
+        /**
+         * @function
+         * @description Tests that a service account is created with only the hash of its secret stored, returned once, and assigned its roles.
+         */
+        it('should create a service account and return its secret once', async () => {
+            db.user.findOne.mockResolvedValue(null);
+            req.body = { username: ' deploy-bot ', name: 'Deploy bot', roles: ['user'] };
+
+            await serviceAccountController.createServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(201);
+            const data = JSON.parse(res._getData());
+            expect(data).toEqual(expect.objectContaining({ id: 12, username: 'deploy-bot', name: 'Deploy bot', roles: ['user'] }));
+            expect(data.clientId).toMatch(/^svc_[0-9a-f]{24}$/);
+            expect(data.clientSecretHash).toBeUndefined();
+
+            const attributes = db.user.create.mock.calls[0][0];
+            expect(attributes).toEqual(expect.objectContaining({ accountType: 'service', clientSecretHash: sha256(data.clientSecret) }));
+            expect(attributes.email).toBeUndefined();
+            expect(attributes.password).toBeUndefined();
+            expect(db.user_roles.create).toHaveBeenCalledWith({ userId: 12, roleId: 1 });
+            expect(db.log.create).toHaveBeenCalledWith(expect.objectContaining({ level: 'audit', userId: 12, message: expect.stringMatching(/^service_account\.created /) }));
+        });
+
+        /**
+         * @function
+         * @description Tests that a username already held by another account, including a person, is refused.
+         */
+        it('should return 409 if the username is already in use', async () => {
+            db.user.findOne.mockResolvedValue({ id: 4 });
+            req.body = { username: 'deploy-bot' };
+
+            await serviceAccountController.createServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Username is already in use' });
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that roles cannot be assigned by someone without the `roles:assign` permission.
+         */
+        it('should return 403 when assigning roles without the roles:assign permission', async () => {
+            db.permission.findAll.mockResolvedValue([{ name: 'service-accounts:write' }]);
+            db.user.findOne.mockResolvedValue(null);
+            req.body = { username: 'deploy-bot', roles: ['admin'] };
+
+            await serviceAccountController.createServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(403);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Forbidden: Assigning roles requires the roles:assign permission' });
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that unknown roles are refused before the account is created.
+         */
+        it('should return 400 for unknown roles', async () => {
+            db.user.findOne.mockResolvedValue(null);
+            req.body = { username: 'deploy-bot', roles: ['user', 'robot'] };
+
+            await serviceAccountController.createServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Role not found: robot' });
+            expect(db.user.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /service-accounts/:accountId', () => {
+        /**
+         * @function
+         * @description Tests that a service account is returned with the names of its roles and without its secret hash.
+         */
+        it('should return the service account', async () => {
+            req.params = { accountId: '12' };
+
+            await serviceAccountController.getServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res._getData());
+            expect(data).toEqual(expect.objectContaining({ id: 12, username: 'deploy-bot', clientId: account.clientId, roles: ['user'] }));
+            expect(data.clientSecretHash).toBeUndefined();
+            expect(db.user.findOne.mock.calls[0][0].where).toEqual({ id: '12', accountType: 'service' });
+        });
+
+        /**
+         * @function
+         * @description Tests that a service account that is not found, or is the account of a person, returns 404.
+         */
+        it('should return 404 if the service account is not found', async () => {
+            req.params = { accountId: '9' };
+            db.user.findOne.mockResolvedValue(null);
+
+            await serviceAccountController.getServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Service account not found' });
+        });
+    });
+
+    describe('POST /service-accounts/:accountId/secret', () => {
+        /**
+         * @function
+         * @description Tests that rotating the secret keeps the client ID, replaces the hash and revokes the access tokens of the account.
+         */
+        it('should rotate the secret and revoke the access tokens', async () => {
+            req.params = { accountId: '12' };
+
+            await serviceAccountController.rotateSecret(req, res);
+
+            expect(res.statusCode).toBe(200);
+            const data = JSON.parse(res._getData());
+            expect(data.clientId).toBe('svc_0123456789abcdef01234567');
+            expect(account.clientSecretHash).toBe(sha256(data.clientSecret));
+            expect(account.save).toHaveBeenCalled();
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 12, flag: false } });
+        });
+    });
+
+    describe('DELETE /service-accounts/:accountId', () => {
+        /**
+         * @function
+         * @description Tests that a service account is deleted and its access tokens revoked.
+         */
+        it('should delete the service account', async () => {
+            req.params = { accountId: '12' };
+
+            await serviceAccountController.deleteServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Service account deleted' });
+            expect(account.destroy).toHaveBeenCalled();
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 12, flag: false } });
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors while deleting a service account are handled.
+         */
+        it('should handle server errors', async () => {
+            req.params = { accountId: '12' };
+            db.user.findOne.mockRejectedValue(new Error('Database error'));
+
+            await serviceAccountController.deleteServiceAccount(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('authenticateClient', () => {
+        /**
+         * @function
+         * @description Tests that the service account is returned for its secret only.
+         */
+        it('should check the client secret against its hash', async () => {
+            await expect(serviceAccounts.authenticateClient(account.clientId, 'old-secret')).resolves.toBe(account);
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: { clientId: account.clientId, accountType: 'service' } });
+
+            await expect(serviceAccounts.authenticateClient(account.clientId, 'new-secret')).resolves.toBeNull();
+
+            db.user.findOne.mockResolvedValue(null);
+            await expect(serviceAccounts.authenticateClient('svc_unknown', 'old-secret')).resolves.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * @file session.test.js
+ * @description This file contains unit tests for the `sessionController` module and the session helpers of `tokenService` it relies on,
+ * covering listing sessions, revoking a single session, logging out all other devices, and the administrator equivalents.
+ * The file uses `node-mocks-http` to simulate HTTP requests and responses and `jest` for mocking the database models and assertions.
+ *
+ * The tests are organized into the following sections:
+ *
+ * - **GET /user/sessions**: Tests for listing the active sessions of the authenticated user.
+ * - **DELETE /user/sessions/:sessionId**: Tests for revoking one session, including a session that is not found.
+ * - **DELETE /user/sessions**: Tests for revoking every session except the current one.
+ * - **Administrator endpoints** (`/users/:userId/sessions`): Tests for listing and revoking the sessions of any user, including a user that is not found.
+ * - **issueTokens**: Tests that session metadata and expiry dates are recorded when tokens are issued.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const httpMocks = require('node-mocks-http');
+const jwt = require('jsonwebtoken');
+const db = require('../models');
+const tokenService = require('../utils/tokenService');
+const keyStore = require('../utils/keyStore');
+const sessionController = require('../controllers/session.controller');
+
+jest.mock('../models');
+
+describe('Session Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({ user: { id: 1, sessionId: 'family-1' } });
+        res = httpMocks.createResponse();
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe('GET /user/sessions', () => {
+        /**
+         * @function
+         * @description Tests that active sessions are listed with their metadata and the current session is marked.
+         */
+        it('should list the active sessions of the user', async () => {
+            const authenticatedAt = new Date('2024-01-01T00:00:00Z');
+            db.session.findAll.mockResolvedValue([
+                { familyId: 'family-1', authenticatedAt, lastSeenAt: authenticatedAt, ipAddress: '10.0.0.1', userAgent: 'curl/8.0', expiresAt: authenticatedAt },
+                { familyId: 'family-2', authenticatedAt, lastSeenAt: authenticatedAt, ipAddress: '10.0.0.2', userAgent: 'Firefox', expiresAt: authenticatedAt }
+            ]);
+
+            await sessionController.listSessions(req, res);
+
+            const data = JSON.parse(res._getData());
+            expect(res.statusCode).toBe(200);
+            expect(data).toHaveLength(2);
+            expect(data[0]).toEqual({
+                id: 'family-1',
+                createdAt: authenticatedAt.toISOString(),
+                lastSeenAt: authenticatedAt.toISOString(),
+                ipAddress: '10.0.0.1',
+                userAgent: 'curl/8.0',
+                expiresAt: authenticatedAt.toISOString(),
+                current: true
+            });
+            expect(data[1].current).toBe(false);
+
+            const { where } = db.session.findAll.mock.calls[0][0];
+            expect(where).toEqual(expect.objectContaining({ userId: 1, type: 'refresh', flag: false }));
+        });
+
+        /**
+         * @function
+         * @description Tests that server errors while listing sessions are handled.
+         */
+        it('should handle server errors', async () => {
+            db.session.findAll.mockRejectedValue(new Error('Database error'));
+
+            await sessionController.listSessions(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('DELETE /user/sessions/:sessionId', () => {
+        /**
+         * @function
+         * @description Tests that a session of the user is revoked.
+         */
+        it('should revoke the session', async () => {
+            req.params = { sessionId: 'family-2' };
+            db.session.update.mockResolvedValue([2]);
+
+            await sessionController.revokeSession(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Session revoked' });
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, familyId: 'family-2', flag: false } });
+        });
+
+        /**
+         * @function
+         * @description Tests that revoking a session that is not active (or belongs to another user) returns 404.
+         */
+        it('should return 404 if the session is not found', async () => {
+            req.params = { sessionId: 'family-3' };
+            db.session.update.mockResolvedValue([0]);
+
+            await sessionController.revokeSession(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Session not found' });
+        });
+    });
+
+    describe('DELETE /user/sessions', () => {
+        /**
+         * @function
+         * @description Tests that every session except the current one is revoked.
+         */
+        it('should revoke all other sessions', async () => {
+            db.session.update.mockResolvedValue([4]);
+
+            await sessionController.revokeOtherSessions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'All other sessions revoked' });
+
+            const { Op } = db.Sequelize;
+            const [values, { where }] = db.session.update.mock.calls[0];
+            expect(values).toEqual({ flag: true });
+            expect(where).toEqual({ userId: 1, flag: false, [Op.or]: [{ familyId: null }, { familyId: { [Op.ne]: 'family-1' } }] });
+        });
+    });
+
+    describe('/users/:userId/sessions', () => {
+        /**
+         * @function
+         * @description Tests that an administrator can list the sessions of another user.
+         */
+        it('should list the sessions of a user', async () => {
+            req.params = { userId: '2' };
+            db.user.findByPk.mockResolvedValue({ id: 2 });
+            db.session.findAll.mockResolvedValue([]);
+
+            await sessionController.listUserSessions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual([]);
+            expect(db.session.findAll.mock.calls[0][0].where.userId).toBe(2);
+        });
+
+        /**
+         * @function
+         * @description Tests that listing the sessions of an unknown user returns 404.
+         */
+        it('should return 404 if the user is not found', async () => {
+            req.params = { userId: '99' };
+            db.user.findByPk.mockResolvedValue(null);
+
+            await sessionController.listUserSessions(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User not found' });
+        });
+
+        /**
+         * @function
+         * @description Tests that an administrator can revoke one session of another user.
+         */
+        it('should revoke a session of a user', async () => {
+            req.params = { userId: '2', sessionId: 'family-9' };
+            db.session.update.mockResolvedValue([2]);
+
+            await sessionController.revokeUserSession(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 2, familyId: 'family-9', flag: false } });
+        });
+
+        /**
+         * @function
+         * @description Tests that an administrator can revoke every session of another user.
+         */
+        it('should revoke all sessions of a user', async () => {
+            req.params = { userId: '2' };
+            db.user.findByPk.mockResolvedValue({ id: 2 });
+            db.session.update.mockResolvedValue([6]);
+
+            await sessionController.revokeUserSessions(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'All sessions revoked' });
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 2, flag: false } });
+        });
+    });
+
+    describe('issueTokens', () => {
+        /**
+         * @function
+         * @description Tests that issued tokens record the client, the login time and their expiry.
+         */
+        it('should record session metadata and expiry dates', async () => {
+            const authenticatedAt = new Date('2024-01-01T00:00:00Z');
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const getSigningKey = jest.spyOn(keyStore, 'getSigningKey')
+                .mockResolvedValue({ kid: 'kid-1', algorithm: 'RS256', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+
+            await tokenService.issueTokens(
+                { id: 1, username: 'testuser', emailVerified: true },
+                { familyId: 'family-1', authenticatedAt, ipAddress: '10.0.0.1', userAgent: 'curl/8.0' }
+            );
+
+            const [[access], [refresh]] = db.session.create.mock.calls;
+            expect(access).toEqual(expect.objectContaining({ type: 'access', familyId: 'family-1', authenticatedAt, ipAddress: '10.0.0.1', userAgent: 'curl/8.0' }));
+            expect(refresh.expiresAt.getTime()).toBe(jwt.decode(refresh.token).exp * 1000);
+            expect(refresh.expiresAt > access.expiresAt).toBe(true);
+            expect(jwt.decode(access.token, { complete: true }).header.kid).toBe('kid-1');
+            getSigningKey.mockRestore();
+        });
+    });
+});
@@ -13,14 +13,41 @@
  *
  * - **PUT /user**: Tests for updating user details.
  *   - **Success**: Ensures that user details are updated successfully and the correct response is returned.
+ *   - **Conflicts**: Verifies that a username or email already held by another account (case-insensitively) is rejected with a 409.
  *   - **User Not Found**: Verifies that the correct error message is returned when the user to be updated is not found.
  *   - **Error**: Confirms that errors during the update operation are handled properly and the appropriate error message is returned.
  *
  * - **POST /user/change-password**: Tests for changing the user's password.
+ *   - **Sessions**: Ensures that the other sessions are revoked, the current one too when asked, and that the change is audited and notified.
  *   - **Success**: Ensures that the password is changed successfully and the correct success message is returned.
  *   - **User Not Found**: Checks that the correct error message is returned when the user is not found.
  *   - **Current Password Incorrect**: Validates that the correct error message is returned if the current password is incorrect.
  *   - **Error**: Verifies that errors during the password change operation are handled properly and an appropriate error message is returned.
+ *
+ * - **POST /user/:userId/unlock**: Tests for unlocking an account locked after failed logins.
+ *   - **Success**: Ensures that the account's failed attempt counter and lock are cleared.
+ *   - **User Not Found**: Checks that the correct error message is returned when the user is not found.
+ *
+ * - **GET /user/export**: Tests that the user's profile, roles, sessions and logs are exported without the password or tokens.
+ *
+ * - **DELETE /user** and **POST /user/cancel-deletion**: Tests for deleting your own account after a grace period and cancelling the deletion.
+ *   - **Password Confirmation**: Checks that the deletion is refused without the correct password.
+ *
+ * - **GET /users**: Tests for searching users as an administrator.
+ *   - **Pagination**: Verifies the page, limit, sorting and totals, and that passwords are excluded and role names included.
+ *   - **Filters**: Ensures that text, role, email verification and creation date filters are applied.
+ *
+ * - **GET, PUT and DELETE /users/:userId**: Tests for reading, updating and deleting any user as an administrator.
+ *   - **Soft Delete**: Ensures that deleting a user is a soft delete that revokes their sessions.
+ *   - **Last Administrator**: Checks that the last active administrator cannot be deleted.
+ *
+ * - **Suspension and Restoration**: Tests for suspending, reactivating and restoring accounts as an administrator.
+ *   - **Suspend**: Ensures that the status, time and reason are recorded and the sessions revoked, and that the last administrator cannot be suspended.
+ *   - **Reactivate / Restore**: Ensures that suspensions are lifted and deleted accounts restored, refusing accounts that are not suspended or deleted.
+ *
+ * - **Registration Approval**: Tests for approving and rejecting self-registered accounts awaiting approval as an administrator.
+ *   - **Approve / Reject**: Ensures that the decision, reviewer and reason are recorded and the user notified, refusing accounts that are not pending approval
+ *     and service accounts.
  */
 
 require('dotenv').config();
@@ -28,6 +55,8 @@ const userController = require('../controllers/user.controller');
 const db = require('../models');
 const bcrypt = require('bcrypt');
 const httpMocks = require('node-mocks-http');
+const sendVerificationEmail = require('../utils/emailService');
+const { wherePerson } = require('../utils/userIdentity');
 
 describe('User Controller', () => {
     let userMock;
@@ -53,6 +82,20 @@ describe('User Controller', () => {
             })
         };
 
+        // No other account holds the username or email unless a test says otherwise
+        db.user.findOne = jest.fn().mockResolvedValue(null);
+        // Suspending and deleting accounts and changing passwords revokes their sessions
+        db.session.update = jest.fn().mockResolvedValue([2]);
+        // Password changes are recorded in the audit log
+        db.log.create = jest.fn().mockResolvedValue({});
+        // Email changes and password changes issue and invalidate single-use tokens
+        db.user_token.create = jest.fn().mockResolvedValue({});
+        db.user_token.destroy = jest.fn().mockResolvedValue(0);
+        // Password changes check and update the password history
+        db.password_history.findAll = jest.fn().mockResolvedValue([]);
+        db.password_history.create = jest.fn().mockResolvedValue({});
+        db.password_history.destroy = jest.fn().mockResolvedValue(0);
+
         jest.clearAllMocks();
     });
 
@@ -134,10 +177,12 @@ describe('User Controller', () => {
         /**
          * @function
          * @description Tests the `updateUser` method in `userController` to ensure it updates user details successfully.
-         * Verifies that the status code is 200 and the response contains the updated user data.
+         * Verifies that the status code is 200, and that a new email is staged until it is confirmed rather than applied,
+         * with a confirmation link sent to the new address and a revert link to the current one.
          */
         it('should update user details successfully', async () => {
             db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            const sendEmail = jest.spyOn(sendVerificationEmail, 'sendEmail').mockResolvedValue();
 
             const updatedUser = { username: 'newusername', email: 'newemail@example.com' };
             const req = httpMocks.createRequest({
@@ -152,15 +197,49 @@ describe('User Controller', () => {
             await userController.updateUser(req, res);
 
             expect(userMock.username).toBe('newusername');
-            expect(userMock.email).toBe('newemail@example.com');
+            expect(userMock.email).toBe('test@example.com');
+            expect(userMock.pendingEmail).toBe('newemail@example.com');
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({
                 id: 1,
                 username: 'newusername',
-                email: 'newemail@example.com',
+                email: 'test@example.com',
                 name: 'Test User',
                 phoneNumber: '1234567890'
             });
+            expect(sendEmail).toHaveBeenCalledWith('newemail@example.com', 'Confirm Your New Email', expect.stringContaining('/email-change/confirm/'));
+            expect(sendEmail).toHaveBeenCalledWith('test@example.com', 'Email Change Requested', expect.stringContaining('/email-change/revert/'));
+            expect(db.user_token.create.mock.calls.map(([token]) => [token.purpose, token.email]))
+                .toEqual([['email_change', 'newemail@example.com'], ['email_revert', 'test@example.com']]);
+            // Only the confirmation link of an earlier change is invalidated, its revert link keeps working
+            expect(db.user_token.destroy).toHaveBeenCalledTimes(1);
+            expect(db.user_token.destroy.mock.calls[0][0].where).toEqual(expect.objectContaining({ userId: 1, purpose: 'email_change' }));
+            sendEmail.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests that no email change is left pending, and both links are revoked, when the confirmation email cannot be sent.
+         */
+        it('should not stage the new email if the confirmation cannot be sent', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            const sendEmail = jest.spyOn(sendVerificationEmail, 'sendEmail').mockRejectedValue(new Error('SMTP error'));
+
+            const req = httpMocks.createRequest({
+                method: 'PUT',
+                url: '/user',
+                body: { email: 'newemail@example.com' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUser(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(userMock.email).toBe('test@example.com');
+            expect(userMock.pendingEmail).toBeNull();
+            expect(db.user_token.destroy.mock.calls.slice(1).map(([{ where }]) => where.purpose)).toEqual(['email_change', 'email_revert']);
+            sendEmail.mockRestore();
         });
 
         /**
@@ -195,6 +274,80 @@ describe('User Controller', () => {
             });
         });
 
+        /**
+         * @function
+         * @description Tests the `updateUser` method in `userController` to ensure a username held by another account is rejected.
+         * Verifies that the status code is 409 and the user is not saved.
+         */
+        it('should return 409 if the username is already taken', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.user.findOne = jest.fn().mockResolvedValue({ id: 2, username: 'NewUsername', email: 'other@example.com' });
+
+            const req = httpMocks.createRequest({
+                method: 'PUT',
+                url: '/user',
+                headers: { Authorization: 'Bearer validtoken' },
+                body: { username: 'newusername' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Username is already taken' });
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `updateUser` method in `userController` to ensure an email held by another account is rejected regardless of case.
+         * Verifies that the status code is 409.
+         */
+        it('should return 409 if the email is already registered', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.user.findOne = jest.fn().mockResolvedValue({ id: 2, username: 'other', email: 'bob@example.com' });
+
+            const req = httpMocks.createRequest({
+                method: 'PUT',
+                url: '/user',
+                headers: { Authorization: 'Bearer validtoken' },
+                body: { email: 'Bob@Example.com' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Email is already registered' });
+        });
+
+        /**
+         * @function
+         * @description Tests the `updateUser` method in `userController` to ensure changing only the case of the email keeps it verified.
+         * Verifies that the email is stored normalized and the verification status is unchanged.
+         */
+        it('should keep the email verified when only its case changes', async () => {
+            userMock.emailVerified = true;
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({
+                method: 'PUT',
+                url: '/user',
+                headers: { Authorization: 'Bearer validtoken' },
+                body: { email: 'Test@Example.com' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userMock.pendingEmail).toBeUndefined();
+            expect(userMock.emailVerified).toBe(true);
+        });
+
         /**
          * @function
          * @description Tests the `updateUser` method in `userController` to handle cases where the user is not found.
@@ -255,20 +408,117 @@ describe('User Controller', () => {
                 headers: { Authorization: 'Bearer validtoken' },
                 body: {
                     currentPassword: 'password123',
-                    newPassword: 'newpassword456'
+                    newPassword: 'N3w-Secret-Pass'
                 },
-                user: { id: 1 }
+                user: { id: 1, sessionId: 'family-1' }
             });
             const res = httpMocks.createResponse();
 
+            const previousHash = userMock.password;
             db.user.findByPk = jest.fn().mockResolvedValue(userMock);
-            bcrypt.compare = jest.fn().mockResolvedValue(true);
+            // The current password matches, the new one matches no recent password
+            bcrypt.compare = jest.fn().mockResolvedValueOnce(true).mockResolvedValue(false);
             bcrypt.hash = jest.fn().mockResolvedValue('newhashedpassword');
+            const sendNotification = jest.spyOn(sendVerificationEmail, 'sendNotification').mockResolvedValue(true);
 
             await userController.changePassword(req, res);
 
             expect(res.statusCode).toBe(200);
             expect(JSON.parse(res._getData())).toEqual({ message: 'Password changed successfully' });
+            expect(userMock.password).toBe('newhashedpassword');
+            expect(userMock.passwordChangedAt).toBeInstanceOf(Date);
+            expect(db.password_history.create).toHaveBeenCalledWith({ userId: 1, passwordHash: previousHash });
+            expect(db.user_token.destroy).toHaveBeenCalledWith({ where: { userId: 1, purpose: ['reset_password', 'email_change', 'magic_link'], usedAt: null } });
+            // The other sessions are revoked, keeping the one making the request
+            const { where } = db.session.update.mock.calls[0][1];
+            expect(where).toEqual(expect.objectContaining({ userId: 1, flag: false }));
+            expect(Object.getOwnPropertySymbols(where)).toHaveLength(1);
+            expect(db.log.create).toHaveBeenCalledWith({
+                level: 'audit', userId: 1, message: expect.stringMatching(/^password\.changed .*"keptCurrentSession":true/)
+            });
+            expect(db.user_token.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, purpose: 'reset_password' }));
+            expect(sendNotification).toHaveBeenCalledWith('test@example.com', 'Your Password Was Changed', expect.stringContaining('/reset-password/'));
+            sendNotification.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests that every session, including the current one, is revoked when `keepCurrentSession` is `false`.
+         */
+        it('should revoke the current session too when asked', async () => {
+            const req = httpMocks.createRequest({
+                method: 'POST',
+                url: '/user/change-password',
+                body: { currentPassword: 'password123', newPassword: 'N3w-Secret-Pass', keepCurrentSession: false },
+                user: { id: 1, sessionId: 'family-1' }
+            });
+            const res = httpMocks.createResponse();
+
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            bcrypt.compare = jest.fn().mockResolvedValueOnce(true).mockResolvedValue(false);
+            bcrypt.hash = jest.fn().mockResolvedValue('newhashedpassword');
+            const sendNotification = jest.spyOn(sendVerificationEmail, 'sendNotification').mockResolvedValue(true);
+
+            await userController.changePassword(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, flag: false } });
+            expect(sendNotification).toHaveBeenCalledWith('test@example.com', 'Your Password Was Changed', expect.stringContaining('every session was signed out'));
+            sendNotification.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests that one of the user's recent passwords is refused, leaving the password unchanged.
+         */
+        it('should return 400 if the new password was used recently', async () => {
+            const req = httpMocks.createRequest({
+                method: 'POST',
+                url: '/user/change-password',
+                body: { currentPassword: 'password123', newPassword: 'Old-Secret-42' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.password_history.findAll.mockResolvedValue([{ passwordHash: 'hash-1' }, { passwordHash: 'hash-2' }]);
+            bcrypt.compare = jest.fn(async (password, hash) => password === 'password123' || hash === 'hash-2');
+
+            await userController.changePassword(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({
+                errors: [{ type: 'field', location: 'body', path: 'newPassword', msg: 'Password must not be one of your last 5 passwords' }]
+            });
+            expect(db.password_history.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 }, limit: 4 }));
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that a new password containing the user's email name is refused with every failed rule, leaving the password unchanged.
+         */
+        it('should return 400 if the new password does not comply with the password policy', async () => {
+            const req = httpMocks.createRequest({
+                method: 'POST',
+                url: '/user/change-password',
+                body: { currentPassword: 'password123', newPassword: 'test1234' },
+                user: { id: 1 }
+            });
+            const res = httpMocks.createResponse();
+
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            bcrypt.compare = jest.fn().mockResolvedValue(true);
+
+            await userController.changePassword(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData()).errors.map(({ msg }) => msg)).toEqual([
+                'Password must contain an uppercase letter',
+                'Password must not contain your username or email address',
+                'Password is too common'
+            ]);
+            expect(userMock.save).not.toHaveBeenCalled();
         });
 
         /**
@@ -350,4 +600,553 @@ describe('User Controller', () => {
             expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
         });
     });
+
+    describe('POST /user/:userId/unlock', () => {
+        /**
+         * @function
+         * @description Tests the `unlockUser` method in `userController` to ensure it clears the account's lock and failed attempts.
+         */
+        it('should unlock the user account', async () => {
+            const req = httpMocks.createRequest({ method: 'POST', url: '/user/1/unlock', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.login_attempt.destroy = jest.fn().mockResolvedValue(1);
+
+            await userController.unlockUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User account unlocked' });
+            expect(db.login_attempt.destroy).toHaveBeenCalledWith({ where: { key: ['user:1'] } });
+        });
+
+        /**
+         * @function
+         * @description Tests the `unlockUser` method in `userController` to handle cases where the user is not found.
+         */
+        it('should return 404 if user not found when unlocking', async () => {
+            const req = httpMocks.createRequest({ method: 'POST', url: '/user/99/unlock', params: { userId: '99' } });
+            const res = httpMocks.createResponse();
+
+            db.user.findByPk = jest.fn().mockResolvedValue(null);
+            db.login_attempt.destroy = jest.fn();
+
+            await userController.unlockUser(req, res);
+
+            expect(res.statusCode).toBe(404);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User not found' });
+            expect(db.login_attempt.destroy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /user/export', () => {
+        /**
+         * @function
+         * @description Tests the `exportUser` method to ensure the user's data is exported as an attachment, including their second factors,
+         * tokens and consents, without the password, secrets or tokens.
+         */
+        it('should export the data of the user', async () => {
+            const user = { id: 1, toJSON: () => ({ id: 1, username: 'testuser', password: 'hashed', Roles: [{ roleName: 'user' }] }) };
+            db.user.findByPk = jest.fn().mockResolvedValue(user);
+            db.session.findAll = jest.fn().mockResolvedValue([{ token: 'secret-token', familyId: 'family-1', type: 'refresh', flag: false, ipAddress: '127.0.0.1' }]);
+            db.user_mfa.findOne = jest.fn().mockResolvedValue({ enabled: true, secret: 'TOTPSECRET', confirmedAt: '2024-01-01T00:00:00.000Z' });
+            db.mfa_recovery_code.count = jest.fn().mockResolvedValue(8);
+            db.passkey.findAll = jest.fn().mockResolvedValue([{ id: 3, name: 'Laptop', credentialId: 'cred-1', publicKey: 'passkey-public-key', transports: ['internal'] }]);
+            db.access_token.findAll = jest.fn().mockResolvedValue([{ id: 5, name: 'CI', prefix: 'pat_abcd1234', tokenHash: 'token-hash', scopes: ['users:read'] }]);
+            db.oauth_consent.findAll = jest.fn().mockResolvedValue([{ id: 7, client: { clientId: 'app', name: 'App' }, scopes: ['openid', 'email'] }]);
+            db.log.findAll = jest.fn().mockResolvedValue([{ id: 9, level: 'info', message: 'GET /user 200 5ms', timestamp: '2024-01-01T00:00:00.000Z', userId: 1 }]);
+
+            const req = httpMocks.createRequest({ method: 'GET', url: '/user/export', user: { id: 1 } });
+            const res = httpMocks.createResponse();
+
+            await userController.exportUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.getHeader('Content-Disposition')).toBe('attachment; filename="user-1-export.json"');
+            const data = JSON.parse(res._getData());
+            expect(data.profile).toEqual({ id: 1, username: 'testuser' });
+            expect(data.roles).toEqual(['user']);
+            expect(data.sessions).toEqual([expect.objectContaining({ id: 'family-1', type: 'refresh', revoked: false, ipAddress: '127.0.0.1' })]);
+            expect(JSON.stringify(data.sessions)).not.toContain('secret-token');
+            expect(data.logs).toEqual([{ level: 'info', message: 'GET /user 200 5ms', timestamp: '2024-01-01T00:00:00.000Z' }]);
+            expect(data.mfa).toEqual({ enabled: true, confirmedAt: '2024-01-01T00:00:00.000Z', recoveryCodesRemaining: 8 });
+            expect(data.passkeys).toEqual([{ id: 3, name: 'Laptop', transports: ['internal'] }]);
+            expect(data.accessTokens).toEqual([{ id: 5, name: 'CI', prefix: 'pat_abcd1234', scopes: ['users:read'] }]);
+            expect(data.consents).toEqual([{ id: 7, client: { clientId: 'app', name: 'App' }, scopes: ['openid', 'email'] }]);
+            expect(res._getData()).not.toMatch(/TOTPSECRET|passkey-public-key|token-hash|cred-1/);
+        });
+    });
+
+    describe('DELETE /user', () => {
+        /**
+         * @function
+         * @description Tests the `closeAccount` method to ensure the deletion is scheduled once the password is confirmed.
+         */
+        it('should schedule the deletion of the account', async () => {
+            userMock.email = 'test@example.com';
+            userMock.Roles = [{ id: 1, roleName: 'user' }];
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            const sendNotification = jest.spyOn(sendVerificationEmail, 'sendNotification').mockResolvedValue(true);
+            bcrypt.compare = jest.fn().mockResolvedValue(true);
+
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/user', user: { id: 1 }, body: { password: 'password123' } });
+            const res = httpMocks.createResponse();
+
+            await userController.closeAccount(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account scheduled for deletion', deletionScheduledAt: expect.any(String) });
+            expect(userMock.deletionScheduledAt).toEqual(expect.any(Date));
+            expect(userMock.save).toHaveBeenCalled();
+            expect(sendNotification).toHaveBeenCalledWith('test@example.com', 'Account Deletion Scheduled', expect.any(String));
+            sendNotification.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests the `closeAccount` method to ensure an incorrect password is rejected.
+         */
+        it('should return 400 if the password is incorrect', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            bcrypt.compare = jest.fn().mockResolvedValue(false);
+
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/user', user: { id: 1 }, body: { password: 'wrongpassword' } });
+            const res = httpMocks.createResponse();
+
+            await userController.closeAccount(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Password is incorrect' });
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `cancelAccountDeletion` method to ensure a scheduled deletion is cancelled.
+         */
+        it('should cancel the deletion of the account', async () => {
+            userMock.deletionScheduledAt = new Date();
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/user/cancel-deletion', user: { id: 1 } });
+            const res = httpMocks.createResponse();
+
+            await userController.cancelAccountDeletion(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Account deletion cancelled' });
+            expect(userMock.deletionScheduledAt).toBeNull();
+        });
+
+        /**
+         * @function
+         * @description Tests the `cancelAccountDeletion` method to ensure nothing is cancelled when no deletion is scheduled.
+         */
+        it('should return 409 if no deletion is scheduled', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/user/cancel-deletion', user: { id: 1 } });
+            const res = httpMocks.createResponse();
+
+            await userController.cancelAccountDeletion(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'No account deletion is scheduled' });
+        });
+    });
+
+    describe('GET /users', () => {
+        /**
+         * @function
+         * @description Tests the `listUsers` method to ensure one page of users is returned without passwords and with role names.
+         */
+        it('should list one page of users', async () => {
+            const row = { toJSON: () => ({ id: 2, username: 'alice', password: 'hashed', Roles: [{ roleName: 'user' }] }) };
+            db.user.findAndCountAll = jest.fn().mockResolvedValue({ rows: [row], count: 41 });
+
+            const req = httpMocks.createRequest({ method: 'GET', url: '/users', query: { page: 3, limit: 20, sort: 'username', order: 'asc' } });
+            const res = httpMocks.createResponse();
+
+            await userController.listUsers(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({
+                users: [{ id: 2, username: 'alice', roles: ['user'] }],
+                pagination: { page: 3, limit: 20, total: 41, totalPages: 3 }
+            });
+
+            const options = db.user.findAndCountAll.mock.calls[0][0];
+            expect(options).toEqual(expect.objectContaining({ limit: 20, offset: 40, order: [['username', 'ASC'], ['id', 'ASC']], distinct: true }));
+        });
+
+        /**
+         * @function
+         * @description Tests the `listUsers` method to ensure the search text, role, verification status and creation dates filter the users.
+         */
+        it('should apply the filters', async () => {
+            const { Op } = db.Sequelize;
+            db.user.findAndCountAll = jest.fn().mockResolvedValue({ rows: [], count: 0 });
+
+            const req = httpMocks.createRequest({
+                method: 'GET',
+                url: '/users',
+                query: { q: '100%_off', role: 'admin', emailVerified: false, createdFrom: '2024-01-01', createdTo: '2024-12-31' }
+            });
+            const res = httpMocks.createResponse();
+
+            await userController.listUsers(req, res);
+
+            const { where, order } = db.user.findAndCountAll.mock.calls[0][0];
+            expect(order).toEqual([['createdAt', 'DESC'], ['id', 'ASC']]);
+            expect(where[Op.or]).toEqual([
+                { username: { [Op.iLike]: '%100\\%\\_off%' } },
+                { email: { [Op.iLike]: '%100\\%\\_off%' } },
+                { name: { [Op.iLike]: '%100\\%\\_off%' } }
+            ]);
+            expect(where.emailVerified).toBe(false);
+            expect(where.createdAt).toEqual({ [Op.gte]: new Date('2024-01-01'), [Op.lte]: new Date('2024-12-31') });
+            expect(where.id[Op.in].val).toContain(`"Roles"."roleName" = 'admin'`);
+        });
+
+        /**
+         * @function
+         * @description Tests the `listUsers` method to ensure deleted users are only listed when filtering by the `deleted` status.
+         */
+        it('should filter by account status', async () => {
+            const { Op } = db.Sequelize;
+            db.user.findAndCountAll = jest.fn().mockResolvedValue({ rows: [], count: 0 });
+
+            await userController.listUsers(httpMocks.createRequest({ query: { status: 'suspended' } }), httpMocks.createResponse());
+            await userController.listUsers(httpMocks.createRequest({ query: { status: 'deleted' } }), httpMocks.createResponse());
+
+            const [[suspended], [deleted]] = db.user.findAndCountAll.mock.calls;
+            expect(suspended.where.status).toBe('suspended');
+            expect(suspended.paranoid).toBe(true);
+            expect(deleted.where.deletedAt).toEqual({ [Op.ne]: null });
+            expect(deleted.paranoid).toBe(false);
+        });
+
+        /**
+         * @function
+         * @description Tests the `listUsers` method to handle server errors.
+         */
+        it('should handle errors when listing users', async () => {
+            db.user.findAndCountAll = jest.fn().mockRejectedValue(new Error('Database error'));
+
+            const req = httpMocks.createRequest({ method: 'GET', url: '/users' });
+            const res = httpMocks.createResponse();
+
+            await userController.listUsers(req, res);
+
+            expect(res.statusCode).toBe(500);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Internal server error', error: 'Database error' });
+        });
+    });
+
+    describe('/users/:userId', () => {
+        /**
+         * @function
+         * @description Tests the `getUserById` method to ensure any user is returned without the password.
+         */
+        it('should get a user by ID', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue({ toJSON: () => ({ id: 2, username: 'alice', password: 'hashed', Roles: [] }) });
+
+            const req = httpMocks.createRequest({ method: 'GET', url: '/users/2', params: { userId: '2' } });
+            const res = httpMocks.createResponse();
+
+            await userController.getUserById(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ id: 2, username: 'alice', roles: [] });
+        });
+
+        /**
+         * @function
+         * @description Tests the `updateUserById` method to ensure an administrator can update a user, including the verification status.
+         */
+        it('should update a user by ID', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'PUT', url: '/users/1', params: { userId: '1' }, body: { email: 'New@Example.com', emailVerified: true } });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUserById(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userMock.email).toBe('new@example.com');
+            expect(userMock.emailVerified).toBe(true);
+            expect(userMock.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `updateUserById` method to ensure an email held by another account is rejected.
+         */
+        it('should return 409 if the email is taken', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.user.findOne = jest.fn().mockResolvedValue({ id: 2, username: 'other', email: 'taken@example.com' });
+
+            const req = httpMocks.createRequest({ method: 'PUT', url: '/users/1', params: { userId: '1' }, body: { email: 'taken@example.com' } });
+            const res = httpMocks.createResponse();
+
+            await userController.updateUserById(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Email is already registered' });
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `deleteUser` method to ensure a user is deleted.
+         */
+        it('should delete a user', async () => {
+            const user = { id: 2, Roles: [{ id: 1, roleName: 'user' }], destroy: jest.fn().mockResolvedValue() };
+            db.user.findByPk = jest.fn().mockResolvedValue(user);
+
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/users/2', params: { userId: '2' } });
+            const res = httpMocks.createResponse();
+
+            await userController.deleteUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User deleted successfully' });
+            expect(user.destroy).toHaveBeenCalled();
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 2, flag: false } });
+        });
+
+        /**
+         * @function
+         * @description Tests the `deleteUser` method to ensure the last active administrator cannot be deleted.
+         */
+        it('should not delete the last administrator', async () => {
+            const user = { id: 1, Roles: [{ id: 2, roleName: 'admin' }], destroy: jest.fn() };
+            db.user.findByPk = jest.fn().mockResolvedValue(user);
+            db.user.count = jest.fn().mockResolvedValue(0);
+
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/users/1', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.deleteUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Cannot delete the last administrator' });
+            const { where, include } = db.user.count.mock.calls[0][0];
+            expect(where.status).toBe('active');
+            expect(include[0].where).toEqual({ roleName: 'admin' });
+            expect(user.destroy).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `deleteUser` method to handle a user that is not found.
+         */
+        it('should return 404 if the user to delete is not found', async () => {
+            db.user.findByPk = jest.fn().mockResolvedValue(null);
+
+            const req = httpMocks.createRequest({ method: 'DELETE', url: '/users/99', params: { userId: '99' } });
+            const res = httpMocks.createResponse();
+
+            await userController.deleteUser(req, res);
+
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Suspension and Restoration', () => {
+        /**
+         * @function
+         * @description Tests the `suspendUser` method to ensure the suspension is recorded and the user's sessions are revoked.
+         */
+        it('should suspend a user', async () => {
+            userMock.Roles = [{ id: 1, roleName: 'user' }];
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/suspend', params: { userId: '1' }, body: { reason: 'Spam' } });
+            const res = httpMocks.createResponse();
+
+            await userController.suspendUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userMock.status).toBe('suspended');
+            expect(userMock.suspendedAt).toEqual(expect.any(Date));
+            expect(userMock.suspensionReason).toBe('Spam');
+            expect(userMock.save).toHaveBeenCalled();
+            expect(db.session.update).toHaveBeenCalledWith({ flag: true }, { where: { userId: 1, flag: false } });
+        });
+
+        /**
+         * @function
+         * @description Tests the `suspendUser` method to ensure the last active administrator cannot be suspended.
+         */
+        it('should not suspend the last administrator', async () => {
+            userMock.Roles = [{ id: 2, roleName: 'admin' }];
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+            db.user.count = jest.fn().mockResolvedValue(0);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/suspend', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.suspendUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'Cannot suspend the last administrator' });
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `reactivateUser` method to ensure a suspension is lifted.
+         */
+        it('should reactivate a suspended user', async () => {
+            Object.assign(userMock, { status: 'suspended', suspendedAt: new Date(), suspensionReason: 'Spam' });
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/reactivate', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.reactivateUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(userMock).toEqual(expect.objectContaining({ status: 'active', suspendedAt: null, suspensionReason: null }));
+            expect(userMock.save).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `reactivateUser` method to ensure an account that is not suspended is rejected.
+         */
+        it('should return 409 if the user is not suspended', async () => {
+            userMock.status = 'active';
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/reactivate', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.reactivateUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User is not suspended' });
+        });
+
+        /**
+         * @function
+         * @description Tests the `restoreUser` method to ensure a deleted user is found among deleted users and restored.
+         */
+        it('should restore a deleted user', async () => {
+            userMock.deletedAt = new Date();
+            userMock.restore = jest.fn().mockResolvedValue();
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/restore', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.restoreUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.user.findByPk).toHaveBeenCalledWith('1', { paranoid: false });
+            expect(userMock.restore).toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests the `restoreUser` method to ensure an account that is not deleted is rejected.
+         */
+        it('should return 409 if the user is not deleted', async () => {
+            userMock.deletedAt = null;
+            userMock.restore = jest.fn();
+            db.user.findByPk = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/restore', params: { userId: '1' } });
+            const res = httpMocks.createResponse();
+
+            await userController.restoreUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User is not deleted' });
+            expect(userMock.restore).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Registration Approval', () => {
+        /**
+         * @function
+         * @description Tests the `approveUser` method to ensure an account awaiting approval is activated and the user notified.
+         */
+        it('should approve a user pending approval', async () => {
+            userMock.status = 'pending_approval';
+            db.user.findOne = jest.fn().mockResolvedValue(userMock);
+            const sendNotification = jest.spyOn(sendVerificationEmail, 'sendNotification').mockResolvedValue(true);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/approve', params: { userId: '1' }, user: { id: 2 } });
+            const res = httpMocks.createResponse();
+
+            await userController.approveUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: wherePerson({ id: '1' }) });
+            expect(userMock).toEqual(expect.objectContaining({ status: 'active', reviewedAt: expect.any(Date), reviewedBy: 2, rejectionReason: null }));
+            expect(userMock.save).toHaveBeenCalled();
+            expect(sendNotification).toHaveBeenCalledWith('test@example.com', 'Your Account Was Approved', expect.any(String));
+            sendNotification.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests the `rejectUser` method to ensure the rejection and its reason are recorded and sent to the user.
+         */
+        it('should reject a user pending approval with a reason', async () => {
+            userMock.status = 'pending_approval';
+            db.user.findOne = jest.fn().mockResolvedValue(userMock);
+            const sendNotification = jest.spyOn(sendVerificationEmail, 'sendNotification').mockResolvedValue(true);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/reject', params: { userId: '1' }, body: { reason: 'Unknown company' }, user: { id: 2 } });
+            const res = httpMocks.createResponse();
+
+            await userController.rejectUser(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: wherePerson({ id: '1' }) });
+            expect(userMock).toEqual(expect.objectContaining({ status: 'rejected', reviewedAt: expect.any(Date), reviewedBy: 2, rejectionReason: 'Unknown company' }));
+            expect(sendNotification).toHaveBeenCalledWith('test@example.com', 'Your Registration Was Rejected', expect.stringContaining('Unknown company'));
+            sendNotification.mockRestore();
+        });
+
+        /**
+         * @function
+         * @description Tests that only accounts awaiting approval can be rejected.
+         */
+        it('should return 409 if the user is not pending approval', async () => {
+            userMock.status = 'active';
+            db.user.findOne = jest.fn().mockResolvedValue(userMock);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/1/reject', params: { userId: '1' }, user: { id: 2 } });
+            const res = httpMocks.createResponse();
+
+            await userController.rejectUser(req, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(JSON.parse(res._getData())).toEqual({ message: 'User is not pending approval' });
+            expect(userMock.save).not.toHaveBeenCalled();
+        });
+
+        /**
+         * @function
+         * @description Tests that service accounts, which are not found among the accounts of people, cannot be approved or rejected.
+         */
+        it('should return 404 for service accounts', async () => {
+            db.user.findOne = jest.fn().mockResolvedValue(null);
+
+            const req = httpMocks.createRequest({ method: 'POST', url: '/users/5/approve', params: { userId: '5' }, user: { id: 2 } });
+            let res = httpMocks.createResponse();
+            await userController.approveUser(req, res);
+            expect(res.statusCode).toBe(404);
+
+            res = httpMocks.createResponse();
+            await userController.rejectUser(req, res);
+            expect(res.statusCode).toBe(404);
+            expect(db.user.findOne).toHaveBeenCalledWith({ where: wherePerson({ id: '5' }) });
+        });
+    });
 });
@@ -1,12 +1,25 @@
 /**
  * @file utils.test.js
- * @description This file contains unit tests for the emailService module, specifically the `sendVerificationEmail` function.
+ * @description This file contains unit tests for the utility modules: the emailService module, specifically the `sendVerificationEmail` function,
+ * the `totp` module implementing RFC 6238 one-time passwords, the `userIdentity` lookup helpers, and the `loginThrottle` failed login counters.
  * The `sendVerificationEmail` function is responsible for sending verification emails to users. The tests ensure that the function correctly sends emails and handles errors using a mocked transporter.
  * The file uses `nodemailer-mock` to simulate email sending and `jest` for testing.
  * 
  * The tests include:
  * - **Sending Verification Email**: Verifies that the email is sent successfully with the correct recipient, subject, and content.
- * - **Handling Email Sending Errors**: Ensures that the function correctly handles and rejects errors that occur during email sending.
+ * - **Handling Email Sending Errors**: Ensures that the function correctly handles and rejects errors that occur during email sending,
+ *   and that notifications sent with `sendNotification` report the failure instead.
+ * - **userIdentity**: Verifies identifier normalization and the case-insensitive lookup conditions.
+ * - **loginThrottle**: Verifies progressive delays, counting failures atomically, locking once the lock threshold is reached, and counters expiring after the window
+ *   and being purged once expired.
+ * - **duration**: Verifies the conversion of configured durations to milliseconds.
+ * - **accountStatus**: Verifies that account deletions are scheduled after the grace period, and that purging accounts anonymizes their logs,
+ *   redacting their email addresses and link tokens, and deletes their invitations.
+ * - **userTokens**: Verifies that only token hashes are stored, that tokens can be consumed once, and that expired and used tokens are purged.
+ * - **passwordHistory**: Verifies that previous passwords are kept up to the configured count, and that passwords expire after the maximum age.
+ * - **auditLog**: Verifies that security events are logged with their details, and that failing to log them is not an error.
+ * - **errorLog**: Verifies that errors which cannot be logged to the database are written to the console.
+ * - **TOTP**: Verifies code generation against the RFC 6238 test vectors, clock drift tolerance, replay protection, and the otpauth URI.
  */
 
 require('dotenv').config();
@@ -14,6 +27,19 @@ const nodemailer = require('nodemailer');
 const { mock, createTransport } = require('nodemailer-mock').getMockFor(nodemailer);
 
 const sendVerificationEmail = require('../utils/emailService');
+const totp = require('../utils/totp');
+const db = require('../models');
+const userIdentity = require('../utils/userIdentity');
+const loginThrottle = require('../utils/loginThrottle');
+const lockout_config = require('../config/lockout.config');
+const { toMilliseconds } = require('../utils/duration');
+const accountStatus = require('../utils/accountStatus');
+const account_config = require('../config/account.config');
+const userTokens = require('../utils/userTokens');
+const passwordHistory = require('../utils/passwordHistory');
+const password_config = require('../config/password.config');
+const auditLog = require('../utils/auditLog');
+const errorLog = require('../utils/errorLog');
 
 // Create a mock transporter using nodemailer-mock
 const mockTransporter = createTransport({
@@ -91,4 +117,577 @@ describe('sendVerificationEmail', () => {
         // Restore the original transporter
         nodemailer.createTransport = originalTransporter;
     });
+
+    /**
+     * @function
+     * @description Tests that `sendNotification` reports whether the email was sent rather than rejecting.
+     */
+    it('should not reject when a notification cannot be sent', async () => {
+        const originalTransporter = nodemailer.createTransport;
+        nodemailer.createTransport = () => mockTransporter;
+        await expect(sendVerificationEmail.sendNotification('test@example.com', 'Account Locked', 'Locked')).resolves.toBe(true);
+
+        nodemailer.createTransport = () => ({ sendMail: jest.fn(() => Promise.reject(new Error('Test Error'))) });
+        await expect(sendVerificationEmail.sendNotification('test@example.com', 'Account Locked', 'Locked')).resolves.toBe(false);
+        expect(console.error).toHaveBeenCalledWith('Error sending email (Account Locked):', expect.any(Error));
+
+        nodemailer.createTransport = originalTransporter;
+    });
+});
+
+describe('totp', () => {
+    // Secret from the RFC 6238 test vectors ("12345678901234567890" encoded as base32)
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    /**
+     * @function
+     * @description Tests that base32 encoding round-trips.
+     */
+    it('should encode and decode base32', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(totp.base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+    });
+
+    /**
+     * @function
+     * @description Tests code generation against the RFC 6238 SHA-1 test vectors (last 6 digits).
+     */
+    it('should generate codes matching the RFC 6238 test vectors', () => {
+        expect(totp.generate(secret, 59 * 1000)).toBe('287082');
+        expect(totp.generate(secret, 1111111109 * 1000)).toBe('081804');
+        expect(totp.generate(secret, 1234567890 * 1000)).toBe('005924');
+        expect(totp.generate(secret, 2000000000 * 1000)).toBe('279037');
+    });
+
+    /**
+     * @function
+     * @description Tests that codes from adjacent time steps are accepted and others are rejected.
+     */
+    it('should verify codes within the allowed window', () => {
+        const time = 1111111109 * 1000;
+        expect(totp.verify(secret, '081804', { time })).toBe(37037036);
+        expect(totp.verify(secret, '081804', { time: time + 30 * 1000 })).toBe(37037036);
+        expect(totp.verify(secret, '081804', { time: time + 90 * 1000 })).toBeNull();
+        expect(totp.verify(secret, '12345', { time })).toBeNull();
+    });
+
+    /**
+     * @function
+     * @description Tests that codes from an already used time step are rejected.
+     */
+    it('should reject codes at or before the last used step', () => {
+        const time = 1111111109 * 1000;
+        expect(totp.verify(secret, '081804', { time, afterStep: 37037036 })).toBeNull();
+    });
+
+    /**
+     * @function
+     * @description Tests the otpauth key URI format.
+     */
+    it('should build an otpauth key URI', () => {
+        const uri = totp.keyUri({ secret, label: 'test@example.com', issuer: 'My App' });
+        expect(uri).toBe(`otpauth://totp/My%20App:test%40example.com?secret=${secret}&issuer=My+App&algorithm=SHA1&digits=6&period=30`);
+    });
+});
+
+describe('userIdentity', () => {
+    const queryGenerator = db.sequelize.getQueryInterface().queryGenerator;
+
+    /**
+     * @function
+     * @description Tests that emails are trimmed and lowercased while usernames keep their casing.
+     */
+    it('should normalize emails and usernames', () => {
+        expect(userIdentity.normalizeEmail('  Bob@X.com ')).toBe('bob@x.com');
+        expect(userIdentity.normalizeUsername('  Bob ')).toBe('Bob');
+    });
+
+    /**
+     * @function
+     * @description Tests that login identifiers containing `@` are matched against the email, and others against the username.
+     */
+    it('should build case-insensitive login conditions', () => {
+        expect(queryGenerator.whereQuery(userIdentity.whereLogin('Bob@X.com'))).toBe(`WHERE lower("email") = 'bob@x.com'`);
+        expect(queryGenerator.whereQuery(userIdentity.whereLogin('Bob'))).toBe(`WHERE lower("username") = 'bob'`);
+    });
+
+    /**
+     * @function
+     * @description Tests that conditions can be restricted to the accounts of people, excluding service accounts.
+     */
+    it('should exclude service accounts from the accounts of people', () => {
+        expect(queryGenerator.whereQuery(userIdentity.wherePerson(userIdentity.whereLogin('Bob'))))
+            .toBe(`WHERE (lower("username") = 'bob' AND "accountType" = 'user')`);
+    });
+
+    /**
+     * @function
+     * @description Tests that conflicting users are searched by either identifier, excluding the user being updated.
+     */
+    it('should look for conflicting users by username or email', async () => {
+        const originalFindOne = db.user.findOne;
+        db.user.findOne = jest.fn().mockResolvedValue(null);
+
+        await userIdentity.findConflictingUser({ username: 'Bob', email: 'Bob@X.com' }, 1);
+
+        const { where } = db.user.findOne.mock.calls[0][0];
+        expect(queryGenerator.whereQuery(where)).toBe(`WHERE (lower("username") = 'bob' OR lower("email") = 'bob@x.com') AND "id" != 1`);
+        await expect(userIdentity.findConflictingUser({})).resolves.toBeNull();
+        db.user.findOne = originalFindOne;
+    });
+});
+
+describe('loginThrottle', () => {
+    const now = new Date('2024-01-01T00:00:00Z').getTime();
+    const queryGenerator = db.sequelize.getQueryInterface().queryGenerator;
+    const originalFindOne = db.login_attempt.findOne;
+    const originalUpdate = db.login_attempt.update;
+    const originalQuery = db.sequelize.query;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        db.login_attempt.findOne = jest.fn();
+        db.login_attempt.update = jest.fn().mockResolvedValue([1]);
+        db.sequelize.query = jest.fn();
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+        db.login_attempt.findOne = originalFindOne;
+        db.login_attempt.update = originalUpdate;
+        db.sequelize.query = originalQuery;
+    });
+
+    /**
+     * @function
+     * @description Tests that the delay starts at the delay threshold, doubles with each failure, and is capped.
+     */
+    it('should grow the delay exponentially up to the maximum', () => {
+        const policy = lockout_config.account;
+
+        expect(loginThrottle.delayFor(policy.delayThreshold - 1, policy)).toBe(0);
+        expect(loginThrottle.delayFor(policy.delayThreshold, policy)).toBe(lockout_config.delayBaseMs);
+        expect(loginThrottle.delayFor(policy.delayThreshold + 2, policy)).toBe(lockout_config.delayBaseMs * 4);
+        expect(loginThrottle.delayFor(policy.delayThreshold + 30, policy)).toBe(lockout_config.delayMaxMs);
+    });
+
+    /**
+     * @function
+     * @description Tests that a subject is delayed after reaching the delay threshold and free once the delay has passed.
+     */
+    it('should report a delayed subject until the delay has passed', async () => {
+        const failedCount = lockout_config.account.delayThreshold + 1; // delay of twice the base delay
+        db.login_attempt.findOne.mockResolvedValue({ failedCount, lastFailedAt: new Date(now - lockout_config.delayBaseMs) });
+
+        await expect(loginThrottle.check('user:1', 'account')).resolves
+            .toEqual({ blocked: true, locked: false, retryAfter: Math.ceil(lockout_config.delayBaseMs / 1000) });
+
+        db.login_attempt.findOne.mockResolvedValue({ failedCount, lastFailedAt: new Date(now - 2 * lockout_config.delayBaseMs) });
+        await expect(loginThrottle.check('user:1', 'account')).resolves.toEqual({ blocked: false });
+    });
+
+    /**
+     * @function
+     * @description Tests that a locked subject is reported as locked until the lock expires.
+     */
+    it('should report a locked subject', async () => {
+        db.login_attempt.findOne.mockResolvedValue({ failedCount: 0, lockedUntil: new Date(now + 90 * 1000) });
+
+        await expect(loginThrottle.check('user:1', 'account')).resolves.toEqual({ blocked: true, locked: true, retryAfter: 90 });
+
+        db.login_attempt.findOne.mockResolvedValue(null);
+        await expect(loginThrottle.check('user:3', 'account')).resolves.toEqual({ blocked: false });
+    });
+
+    /**
+     * @function
+     * @description Tests that failures are counted by the database in one statement, starting over after the window.
+     */
+    it('should count failures atomically within the window', async () => {
+        db.sequelize.query.mockResolvedValue([{ failedCount: 3 }]);
+
+        await expect(loginThrottle.registerFailure('user:1', 'account')).resolves.toEqual({ lockedNow: false, lockedUntil: null });
+
+        const [sql, { replacements }] = db.sequelize.query.mock.calls[0];
+        expect(sql).toMatch(/ON CONFLICT \("key"\) DO UPDATE SET\s+"failedCount" = CASE WHEN "LoginAttempts"\."lastFailedAt" > :windowStart THEN "LoginAttempts"\."failedCount" \+ 1 ELSE 1 END/);
+        expect(replacements).toEqual({
+            key: 'user:1',
+            now: new Date(now),
+            windowStart: new Date(now - lockout_config.windowMinutes * 60 * 1000)
+        });
+        expect(db.login_attempt.update).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that reaching the lock threshold locks the subject and restarts its counter, and that of concurrent
+     * failures reaching it, only the one that locked the subject reports it.
+     */
+    it('should lock a subject once the lock threshold is reached', async () => {
+        db.sequelize.query.mockResolvedValue([{ failedCount: lockout_config.ip.lockThreshold }]);
+
+        const result = await loginThrottle.registerFailure('ip:127.0.0.1', 'ip');
+
+        const lockedUntil = new Date(now + lockout_config.lockDurationMinutes * 60 * 1000);
+        expect(result).toEqual({ lockedNow: true, lockedUntil });
+        const [values, { where }] = db.login_attempt.update.mock.calls[0];
+        expect(values).toEqual({ lockedUntil, failedCount: 0 });
+        expect(queryGenerator.whereQuery(where)).toBe(`WHERE "key" = 'ip:127.0.0.1' AND "failedCount" >= ${lockout_config.ip.lockThreshold}`);
+
+        db.login_attempt.update.mockResolvedValue([0]);
+        await expect(loginThrottle.registerFailure('ip:127.0.0.1', 'ip')).resolves.toEqual({ lockedNow: false, lockedUntil: null });
+    });
+
+    /**
+     * @function
+     * @description Tests that only the counters which have left the attempt window and are not locked are purged.
+     */
+    it('should purge the counters that have expired', async () => {
+        const { Op } = db.Sequelize;
+        const originalDestroy = db.login_attempt.destroy;
+        db.login_attempt.destroy = jest.fn().mockResolvedValue(2);
+        const date = new Date(now);
+
+        await expect(loginThrottle.purgeExpired(date)).resolves.toBe(2);
+
+        const windowStart = new Date(now - lockout_config.windowMinutes * 60 * 1000);
+        expect(db.login_attempt.destroy).toHaveBeenCalledWith({
+            where: {
+                [Op.and]: [
+                    { [Op.or]: [{ lastFailedAt: null }, { lastFailedAt: { [Op.lte]: windowStart } }] },
+                    { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: date } }] }
+                ]
+            }
+        });
+        db.login_attempt.destroy = originalDestroy;
+    });
+});
+
+describe('duration', () => {
+    /**
+     * @function
+     * @description Tests that durations follow the `expiresIn` conventions of `jsonwebtoken`.
+     */
+    it('should convert durations to milliseconds', () => {
+        expect(toMilliseconds('15m')).toBe(15 * 60 * 1000);
+        expect(toMilliseconds('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+        expect(toMilliseconds('500')).toBe(500);
+        expect(toMilliseconds(30)).toBe(30 * 1000);
+        expect(() => toMilliseconds('soon')).toThrow('Invalid duration: soon');
+    });
+});
+
+describe('accountStatus', () => {
+    const originals = {
+        findAll: db.user.findAll,
+        logUpdate: db.log.update,
+        sessionDestroy: db.session.destroy,
+        attemptDestroy: db.login_attempt.destroy,
+        tokenFindAll: db.user_token.findAll,
+        invitationFindAll: db.invitation.findAll,
+        invitationDestroy: db.invitation.destroy
+    };
+
+    beforeEach(() => {
+        db.log.update = jest.fn().mockResolvedValue([3]);
+        db.session.destroy = jest.fn().mockResolvedValue(2);
+        db.login_attempt.destroy = jest.fn().mockResolvedValue(1);
+        db.user_token.findAll = jest.fn().mockResolvedValue([]);
+        db.invitation.findAll = jest.fn().mockResolvedValue([]);
+        db.invitation.destroy = jest.fn().mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+        db.user.findAll = originals.findAll;
+        db.log.update = originals.logUpdate;
+        db.session.destroy = originals.sessionDestroy;
+        db.login_attempt.destroy = originals.attemptDestroy;
+        db.user_token.findAll = originals.tokenFindAll;
+        db.invitation.findAll = originals.invitationFindAll;
+        db.invitation.destroy = originals.invitationDestroy;
+    });
+
+    /**
+     * @function
+     * @description Tests that a deletion is scheduled at the end of the grace period.
+     */
+    it('should schedule the deletion after the grace period', async () => {
+        const user = { save: jest.fn().mockResolvedValue() };
+        const before = Date.now();
+
+        const deletionScheduledAt = await accountStatus.scheduleDeletion(user);
+
+        expect(deletionScheduledAt.getTime()).toBeGreaterThanOrEqual(before + toMilliseconds(account_config.deletionGracePeriod));
+        expect(user.deletionScheduledAt).toBe(deletionScheduledAt);
+        expect(user.save).toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that accounts due for purging are deleted permanently, including soft deleted ones, after anonymizing their logs.
+     */
+    it('should purge the accounts whose grace period has ended', async () => {
+        const { Op } = db.Sequelize;
+        const now = new Date('2024-01-01T00:00:00Z');
+        const user = { id: 4, destroy: jest.fn().mockResolvedValue() };
+        db.user.findAll = jest.fn().mockResolvedValue([user]);
+
+        await expect(accountStatus.purgeDueAccounts(now)).resolves.toEqual([4]);
+
+        expect(db.user.findAll).toHaveBeenCalledWith({ where: { deletionScheduledAt: { [Op.lte]: now } }, paranoid: false });
+        expect(db.log.update).toHaveBeenCalledWith({ userId: null }, { where: { userId: 4 } });
+        expect(db.session.destroy).toHaveBeenCalledWith({ where: { userId: 4 } });
+        expect(db.login_attempt.destroy).toHaveBeenCalledWith({ where: { key: ['user:4'] } });
+        expect(user.destroy).toHaveBeenCalledWith({ force: true });
+    });
+
+    /**
+     * @function
+     * @description Tests that purging an account redacts its current, pending and previous email addresses and the link tokens from the logs,
+     * and deletes its invitations.
+     */
+    it('should redact the email addresses and link tokens of a purged account from the logs', async () => {
+        const { Op } = db.Sequelize;
+        const { fn, col } = db.sequelize;
+        const queryGenerator = db.sequelize.getQueryInterface().queryGenerator;
+        const user = { id: 4, email: 'new+tag@example.com', pendingEmail: null, destroy: jest.fn().mockResolvedValue() };
+        db.user_token.findAll.mockResolvedValue([{ email: 'old@example.com' }, { email: null }, { email: 'new+tag@example.com' }]);
+        db.invitation.findAll.mockResolvedValue([{ email: 'old@example.com' }]);
+
+        await accountStatus.purgeAccount(user);
+
+        const redacted = db.log.update.mock.calls.slice(1).map(([values, { where }]) => [values.message, where.message]);
+        expect(redacted).toEqual([
+            [fn('replace', col('message'), 'new+tag@example.com', '[redacted]'), { [Op.substring]: 'new+tag@example.com' }],
+            [fn('replace', col('message'), 'new%2Btag%40example.com', '[redacted]'), { [Op.substring]: 'new%2Btag%40example.com' }],
+            [fn('replace', col('message'), 'old@example.com', '[redacted]'), { [Op.substring]: 'old@example.com' }],
+            [fn('replace', col('message'), 'old%40example.com', '[redacted]'), { [Op.substring]: 'old%40example.com' }],
+            [expect.objectContaining({ fn: 'regexp_replace' }), { [Op.iRegexp]: expect.any(String) }]
+        ]);
+
+        const [, { where: { message: { [Op.iRegexp]: pattern } } }] = db.log.update.mock.calls.at(-1);
+        const message = 'POST /Login/Magic-Link/AbC_12-x 200 4ms';
+        expect(message.replace(new RegExp(pattern, 'gi'), '$1[redacted]')).toBe('POST /Login/Magic-Link/[redacted] 200 4ms');
+
+        const [{ where }] = db.invitation.destroy.mock.calls[0];
+        expect(queryGenerator.whereQuery(where)).toBe(
+            'WHERE ("userId" = 4 OR "email" IN (\'new+tag@example.com\', \'old@example.com\'))'
+        );
+        expect(user.destroy).toHaveBeenCalledWith({ force: true });
+    });
+});
+
+describe('userTokens', () => {
+    const originals = {
+        create: db.user_token.create,
+        update: db.user_token.update,
+        destroy: db.user_token.destroy
+    };
+
+    beforeEach(() => {
+        db.user_token.create = jest.fn().mockResolvedValue({});
+        db.user_token.update = jest.fn();
+        db.user_token.destroy = jest.fn().mockResolvedValue(1);
+    });
+
+    afterEach(() => {
+        db.user_token.create = originals.create;
+        db.user_token.update = originals.update;
+        db.user_token.destroy = originals.destroy;
+    });
+
+    /**
+     * @function
+     * @description Tests that only the hash of an issued token is stored, and that the outstanding tokens of the same purpose are invalidated.
+     */
+    it('should store the hash of a new token and invalidate the previous ones', async () => {
+        const before = Date.now();
+
+        const token = await userTokens.issueToken('reset_password', { userId: 3, email: 'test@example.com', expiresIn: '1h' });
+
+        expect(db.user_token.destroy).toHaveBeenCalledWith({ where: { purpose: 'reset_password', usedAt: null, userId: 3 } });
+        const [record] = db.user_token.create.mock.calls[0];
+        expect(record).toEqual(expect.objectContaining({ userId: 3, purpose: 'reset_password', email: 'test@example.com', tokenHash: userTokens.hashToken(token) }));
+        expect(record.tokenHash).not.toContain(token);
+        expect(record.expiresAt.getTime()).toBeGreaterThanOrEqual(before + toMilliseconds('1h'));
+    });
+
+    /**
+     * @function
+     * @description Tests that previous tokens are kept when a token is issued with `replace: false`.
+     */
+    it('should keep the previous tokens when asked to', async () => {
+        await userTokens.issueToken('email_revert', { userId: 3, email: 'old@example.com', expiresIn: '7d', replace: false });
+
+        expect(db.user_token.destroy).not.toHaveBeenCalled();
+        expect(db.user_token.create).toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that consuming a token marks it as used, only if it has the purpose and is unused and unexpired.
+     */
+    it('should consume a valid token once', async () => {
+        const { Op } = db.Sequelize;
+        const record = { userId: 3, email: 'test@example.com' };
+        db.user_token.update.mockResolvedValueOnce([1, [record]]).mockResolvedValueOnce([0, []]);
+
+        await expect(userTokens.consumeToken('verify_email', 'abc')).resolves.toBe(record);
+        await expect(userTokens.consumeToken('verify_email', 'abc')).resolves.toBeNull();
+
+        const [values, { where, returning }] = db.user_token.update.mock.calls[0];
+        expect(values.usedAt).toBeInstanceOf(Date);
+        expect(where).toEqual({ purpose: 'verify_email', tokenHash: userTokens.hashToken('abc'), usedAt: null, expiresAt: { [Op.gt]: values.usedAt } });
+        expect(returning).toBe(true);
+    });
+
+    /**
+     * @function
+     * @description Tests that a token bound to a nonce stores the hash of the nonce and is only consumed with it.
+     */
+    it('should bind a token to a nonce', async () => {
+        const token = await userTokens.issueToken('magic_link', { userId: 3, email: 'test@example.com', nonce: 'browsernonce', expiresIn: '15m' });
+
+        const [record] = db.user_token.create.mock.calls[0];
+        expect(record.nonceHash).toBe(userTokens.hashToken('browsernonce'));
+
+        db.user_token.update.mockResolvedValueOnce([0, []]);
+        await expect(userTokens.consumeToken('magic_link', token, { nonce: 'othernonce' })).resolves.toBeNull();
+        const [, { where }] = db.user_token.update.mock.calls[0];
+        expect(where).toEqual(expect.objectContaining({ tokenHash: userTokens.hashToken(token), nonceHash: userTokens.hashToken('othernonce') }));
+    });
+
+    /**
+     * @function
+     * @description Tests that expired and used tokens are removed.
+     */
+    it('should purge expired and used tokens', async () => {
+        const { Op } = db.Sequelize;
+        const now = new Date('2024-01-01T00:00:00Z');
+
+        await expect(userTokens.purgeExpiredTokens(now)).resolves.toBe(1);
+
+        expect(db.user_token.destroy).toHaveBeenCalledWith({
+            where: { [Op.or]: [{ expiresAt: { [Op.lte]: now } }, { usedAt: { [Op.ne]: null } }] }
+        });
+    });
+});
+
+describe('passwordHistory', () => {
+    const originals = {
+        findAll: db.password_history.findAll,
+        create: db.password_history.create,
+        destroy: db.password_history.destroy
+    };
+    const { historyCount, maxAgeDays } = password_config;
+
+    beforeEach(() => {
+        db.password_history.findAll = jest.fn().mockResolvedValue([]);
+        db.password_history.create = jest.fn().mockResolvedValue({});
+        db.password_history.destroy = jest.fn().mockResolvedValue(1);
+    });
+
+    afterEach(() => {
+        Object.assign(db.password_history, originals);
+        Object.assign(password_config, { historyCount, maxAgeDays });
+    });
+
+    /**
+     * @function
+     * @description Tests that the previous password is kept and the history trimmed to the passwords that cannot be reused.
+     */
+    it('should keep the previous password and trim the history', async () => {
+        const user = { id: 2, password: 'old-hash' };
+        db.password_history.findAll.mockResolvedValue([{ id: 8 }, { id: 9 }]);
+
+        await passwordHistory.recordPasswordChange(user, 'new-hash');
+
+        expect(db.password_history.create).toHaveBeenCalledWith({ userId: 2, passwordHash: 'old-hash' });
+        expect(db.password_history.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 2 }, offset: historyCount - 1 }));
+        expect(db.password_history.destroy).toHaveBeenCalledWith({ where: { id: [8, 9] } });
+        expect(user).toEqual(expect.objectContaining({ password: 'new-hash', passwordChangedAt: expect.any(Date) }));
+    });
+
+    /**
+     * @function
+     * @description Tests that no password is refused and no history is kept when reuse is allowed.
+     */
+    it('should allow any password when the history is disabled', async () => {
+        password_config.historyCount = 0;
+
+        await expect(passwordHistory.isReused({ id: 2, password: 'hash' }, 'password')).resolves.toBe(false);
+        await passwordHistory.recordPasswordChange({ id: 2, password: 'hash' }, 'new-hash');
+
+        expect(db.password_history.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * @function
+     * @description Tests that passwords expire after the maximum age, counted from the creation of the account until the first change.
+     */
+    it('should expire passwords after the maximum age', () => {
+        const now = new Date('2024-04-01T00:00:00Z');
+        password_config.maxAgeDays = 30;
+
+        expect(passwordHistory.isExpired({ createdAt: new Date('2024-02-01T00:00:00Z') }, now)).toBe(true);
+        expect(passwordHistory.isExpired({ createdAt: new Date('2024-01-01T00:00:00Z'), passwordChangedAt: new Date('2024-03-15T00:00:00Z') }, now)).toBe(false);
+
+        password_config.maxAgeDays = 0;
+        expect(passwordHistory.isExpired({ createdAt: new Date('2020-01-01T00:00:00Z') }, now)).toBe(false);
+    });
+});
+
+describe('auditLog', () => {
+    const originalCreate = db.log.create;
+
+    afterEach(() => {
+        db.log.create = originalCreate;
+    });
+
+    /**
+     * @function
+     * @description Tests that audit events are logged with the `audit` level, the event name and its details.
+     */
+    it('should record the event with its details', async () => {
+        db.log.create = jest.fn().mockResolvedValue({});
+
+        await auditLog.record(4, 'password.changed', { ipAddress: '10.0.0.1' });
+
+        expect(db.log.create).toHaveBeenCalledWith({ level: 'audit', message: 'password.changed {"ipAddress":"10.0.0.1"}', userId: 4 });
+    });
+
+    /**
+     * @function
+     * @description Tests that a failure to record an event does not fail the audited operation.
+     */
+    it('should not throw when the event cannot be recorded', async () => {
+        db.log.create = jest.fn().mockRejectedValue(new Error('Database error'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(auditLog.record(4, 'password.reset')).resolves.toBeUndefined();
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+});
+
+describe('errorLog', () => {
+    const originalCreate = db.log.create;
+
+    afterEach(() => {
+        db.log.create = originalCreate;
+    });
+
+    /**
+     * @function
+     * @description Tests that errors that cannot be logged to the database are written to the console instead of being thrown.
+     */
+    it('should fall back to the console when the error cannot be recorded', async () => {
+        const error = new Error('Store error');
+        db.log.create = jest.fn().mockRejectedValue(new Error('Database error'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(errorLog.record('rateLimit(login)', error)).resolves.toBeUndefined();
+        expect(consoleError).toHaveBeenCalledWith('rateLimit(login):', error);
+        consoleError.mockRestore();
+    });
 });
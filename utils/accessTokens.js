@@ -0,0 +1,181 @@
+/**
+ * @file accessTokens.js
+ * @description This file contains the logic for personal access tokens, which let scripts and CI jobs authenticate as a user
+ * without their password.
+ *
+ * A personal access token is a random string starting with `pat_`, sent as `Authorization: Bearer <token>` or in the
+ * `X-API-Key` header. The database holds its SHA-256 hash, so the token is only shown when it is created. Each token is
+ * limited to scopes, which are permission names (see `utils/permissionService.js`): a request made with a token is granted
+ * only the permissions that are both in its scopes and granted to the user's roles, so removing a role from the user also
+ * narrows their tokens. Tokens are valid until they expire, if they were given an expiry, or are revoked.
+ *
+ * The service provides:
+ * - `isAccessToken`: Tells personal access tokens apart from JWTs.
+ * - `createAccessToken`: Creates a token for a user and returns it in plain text.
+ * - `findAccessToken`: Looks up a valid token.
+ * - `touchAccessToken`: Records that a token was used, at most once per `LAST_USED_RESOLUTION_MS`.
+ * - `listAccessTokens`: Lists the tokens of a user.
+ * - `revokeAccessToken`: Revokes one token of a user.
+ *
+ * @module access.tokens
+ * @requires crypto
+ * @requires sequelize
+ * @requires ../models
+ * @requires ./userTokens
+ *
+ * @example
+ * const accessTokens = require('./path/to/accessTokens');
+ * const { token } = await accessTokens.createAccessToken(user.id, { name: 'CI', scopes: ['users:read'] });
+ * const accessToken = await accessTokens.findAccessToken(token);
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { hashToken } = require('./userTokens');
+
+/**
+ * The prefix of personal access tokens, which tells them apart from JWTs and makes leaked tokens easy to search for.
+ *
+ * @constant {string}
+ */
+const TOKEN_PREFIX = 'pat_';
+
+/**
+ * How many characters of a token are kept in plain text to identify it.
+ *
+ * @constant {number}
+ */
+const DISPLAY_LENGTH = 12;
+
+/**
+ * How stale `lastUsedAt` may get before it is updated, so that requests made with a token do not all write to the database.
+ *
+ * @constant {number}
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Returns the attributes of a token that are safe to expose, excluding its hash.
+ *
+ * @function
+ * @param {Object} accessToken - The `AccessToken` instance.
+ * @returns {Object} The token data.
+ */
+const toAccessTokenData = (accessToken) => ({
+    id: accessToken.id,
+    name: accessToken.name,
+    prefix: accessToken.prefix,
+    scopes: accessToken.scopes,
+    expiresAt: accessToken.expiresAt,
+    lastUsedAt: accessToken.lastUsedAt,
+    lastUsedIp: accessToken.lastUsedIp,
+    createdAt: accessToken.createdAt
+});
+
+/**
+ * Tells whether a credential is a personal access token rather than a JWT.
+ *
+ * @function
+ * @param {string} token - The credential sent with a request.
+ * @returns {boolean} Whether the credential has the format of a personal access token.
+ */
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Creates a personal access token for a user.
+ *
+ * @function
+ * @param {number} userId - The ID of the user the token authenticates as.
+ * @param {Object} options - The token options.
+ * @param {string} options.name - The name of the token.
+ * @param {string[]} options.scopes - The permission names the token is limited to.
+ * @param {Date} [options.expiresAt] - When the token expires. Tokens without an expiry are valid until revoked.
+ * @returns {Promise<{accessToken: Object, token: string}>} The token data, and the token itself, which is not stored and cannot be retrieved again.
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const accessToken = await db.access_token.create({
+        userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, DISPLAY_LENGTH),
+        scopes: [...new Set(scopes)].sort(),
+        expiresAt
+    });
+    return { accessToken: toAccessTokenData(accessToken), token };
+};
+
+/**
+ * Looks up a personal access token that has not expired or been revoked.
+ *
+ * @function
+ * @param {string} token - The token sent with the request.
+ * @returns {Promise<Object|null>} The `AccessToken` instance, or `null` if the token is not valid.
+ */
+const findAccessToken = (token) => {
+    if (!isAccessToken(token)) {
+        return Promise.resolve(null);
+    }
+    return db.access_token.findOne({
+        where: {
+            tokenHash: hashToken(token),
+            [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+        }
+    });
+};
+
+/**
+ * Records that a token was used and where from. The update is skipped while the recorded time is recent enough
+ * and the IP address has not changed.
+ *
+ * @function
+ * @param {Object} accessToken - The `AccessToken` instance that was used.
+ * @param {string} [ipAddress] - The IP address of the request.
+ * @returns {Promise<void>}
+ */
+const touchAccessToken = async (accessToken, ipAddress = null) => {
+    const now = new Date();
+    if (accessToken.lastUsedAt && now - new Date(accessToken.lastUsedAt) < LAST_USED_RESOLUTION_MS && accessToken.lastUsedIp === ipAddress) {
+        return;
+    }
+    await db.access_token.update({ lastUsedAt: now, lastUsedIp: ipAddress }, { where: { id: accessToken.id } });
+};
+
+/**
+ * Lists the personal access tokens of a user that have not expired, most recently created first.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Object[]>} The token data.
+ */
+const listAccessTokens = async (userId) => {
+    const accessTokens = await db.access_token.findAll({
+        where: { userId, [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+        order: [['createdAt', 'DESC']]
+    });
+    return accessTokens.map(toAccessTokenData);
+};
+
+/**
+ * Revokes one personal access token of a user. Revoked tokens are deleted, so they stop working immediately.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {number} tokenId - The ID of the token.
+ * @returns {Promise<boolean>} Whether the token was found and revoked.
+ */
+const revokeAccessToken = async (userId, tokenId) => {
+    const revoked = await db.access_token.destroy({ where: { id: tokenId, userId } });
+    return revoked > 0;
+};
+
+module.exports = {
+    toAccessTokenData,
+    isAccessToken,
+    createAccessToken,
+    findAccessToken,
+    touchAccessToken,
+    listAccessTokens,
+    revokeAccessToken
+};
@@ -0,0 +1,296 @@
+/**
+ * @file accountStatus.js
+ * @description This file contains the logic for suspending, reactivating and deleting user accounts.
+ *
+ * An account is either `active` or `suspended`. Suspended accounts keep their data but cannot log in, refresh their tokens
+ * or use tokens issued before the suspension. When self-registration requires approval (`signupRequiresApproval`, see
+ * `account.config.js`), accounts created by signing up are `pending_approval` until an administrator approves them, which
+ * makes them `active`, or rejects them, which makes them `rejected`. Like suspended accounts, they cannot log in or use tokens. Deleting an account is a soft delete (the `User` model is paranoid), so a
+ * deleted account can be restored by an administrator. Suspending or deleting an account revokes all of its sessions.
+ *
+ * Users can also close their own account. The deletion is scheduled at the end of a grace period (`deletionGracePeriod`,
+ * see `account.config.js`), during which the user can still log in and cancel it. Once the grace period has ended, the
+ * account is purged: its logs are anonymized, its email addresses redacted from every log and its invitations deleted, its
+ * sessions and login attempts removed, and the user row itself is deleted permanently, together with the roles, two-factor
+ * settings, passkeys, tokens and consents that reference it.
+ *
+ * The service provides:
+ * - `isSuspended`: Checks whether an account is suspended.
+ * - `getAccessRefusal`: Tells why an account may not log in or use its tokens, if it may not.
+ * - `isPendingApproval`: Checks whether an account awaits an administrator's approval.
+ * - `approveAccount` / `rejectAccount`: Records an administrator's decision on an account awaiting approval.
+ * - `suspendAccount`: Suspends an account with an optional reason and revokes its sessions.
+ * - `reactivateAccount`: Lifts the suspension of an account.
+ * - `deleteAccount`: Soft deletes an account and revokes its sessions.
+ * - `hasOtherActiveAdministrator`: Checks that an administrator other than the given user can still manage the application.
+ * - `scheduleDeletion` / `cancelDeletion`: Schedules the purge of an account at the end of the grace period, or cancels it.
+ * - `purgeAccount`: Permanently deletes an account, anonymizes its logs and deletes its invitations.
+ * - `purgeDueAccounts`: Purges every account whose grace period has ended.
+ *
+ * @module account.status
+ * @requires ../models
+ * @requires ../config/account.config
+ * @requires ./tokenService
+ * @requires ./loginThrottle
+ * @requires ./duration
+ * @requires ./logRedaction
+ *
+ * @example
+ * const { suspendAccount } = require('./path/to/accountStatus');
+ * await suspendAccount(user, 'Spam');
+ */
+
+const db = require('../models');
+const account_config = require('../config/account.config');
+const tokenService = require('./tokenService');
+const loginThrottle = require('./loginThrottle');
+const { toMilliseconds } = require('./duration');
+const { REDACTED, TOKEN_URL_PATTERN } = require('./logRedaction');
+
+/**
+ * Checks whether an account is suspended.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {boolean} Whether the account is suspended.
+ */
+const isSuspended = (user) => user.status === 'suspended';
+
+/**
+ * Why accounts that are not active are refused, by status.
+ *
+ * @constant {Object<string, string>}
+ */
+const ACCESS_REFUSALS = Object.freeze({
+    suspended: 'Account is suspended',
+    pending_approval: 'Account is pending approval',
+    rejected: 'Account registration was rejected'
+});
+
+/**
+ * Tells why an account may not log in, refresh its tokens or use them.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {string|null} The message refusing the account, or `null` if it is active.
+ */
+const getAccessRefusal = (user) => ACCESS_REFUSALS[user.status] || null;
+
+/**
+ * Checks whether an account awaits an administrator's approval.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {boolean} Whether the account is pending approval.
+ */
+const isPendingApproval = (user) => user.status === 'pending_approval';
+
+/**
+ * Approves an account awaiting approval, which can then log in.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to approve.
+ * @param {number} reviewerId - The ID of the administrator approving the account.
+ * @returns {Promise<void>}
+ */
+const approveAccount = async (user, reviewerId) => {
+    user.status = 'active';
+    user.reviewedAt = new Date();
+    user.reviewedBy = reviewerId;
+    user.rejectionReason = null;
+    await user.save();
+};
+
+/**
+ * Rejects an account awaiting approval. The account is kept, so its username and email stay reserved,
+ * but it cannot log in; an administrator can still approve or delete it.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to reject.
+ * @param {number} reviewerId - The ID of the administrator rejecting the account.
+ * @param {string} [reason] - Why the registration is rejected, which is sent to the user.
+ * @returns {Promise<void>}
+ */
+const rejectAccount = async (user, reviewerId, reason = null) => {
+    user.status = 'rejected';
+    user.reviewedAt = new Date();
+    user.reviewedBy = reviewerId;
+    user.rejectionReason = reason;
+    await user.save();
+    await tokenService.revokeUserSessions(user.id);
+};
+
+/**
+ * Suspends an account and revokes all of its sessions.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to suspend.
+ * @param {string} [reason] - Why the account is suspended.
+ * @returns {Promise<void>}
+ */
+const suspendAccount = async (user, reason = null) => {
+    user.status = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    await user.save();
+    await tokenService.revokeUserSessions(user.id);
+};
+
+/**
+ * Lifts the suspension of an account. The user has to log in again, since their sessions were revoked.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to reactivate.
+ * @returns {Promise<void>}
+ */
+const reactivateAccount = async (user) => {
+    user.status = 'active';
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    await user.save();
+};
+
+/**
+ * Soft deletes an account and revokes all of its sessions. The account's roles, sessions and logs are kept.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to delete.
+ * @returns {Promise<void>}
+ */
+const deleteAccount = async (user) => {
+    await user.destroy();
+    await tokenService.revokeUserSessions(user.id);
+};
+
+/**
+ * Checks whether an active, non-deleted administrator other than the given user exists, i.e. whether the given user can be
+ * suspended, deleted or stripped of the `admin` role without leaving nobody to manage accounts and roles.
+ *
+ * @function
+ * @param {number} userId - The ID of the administrator about to lose access.
+ * @returns {Promise<boolean>} Whether another active administrator exists.
+ */
+const hasOtherActiveAdministrator = async (userId) => {
+    const { Op } = db.Sequelize;
+    const administrators = await db.user.count({
+        where: { id: { [Op.ne]: userId }, status: 'active' },
+        include: [{ model: db.role, where: { roleName: 'admin' }, attributes: [], through: { attributes: [] } }],
+        distinct: true
+    });
+    return administrators > 0;
+};
+
+/**
+ * Schedules the purge of an account at the end of the deletion grace period.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to delete.
+ * @returns {Promise<Date>} When the account will be purged.
+ */
+const scheduleDeletion = async (user) => {
+    user.deletionScheduledAt = new Date(Date.now() + toMilliseconds(account_config.deletionGracePeriod));
+    await user.save();
+    return user.deletionScheduledAt;
+};
+
+/**
+ * Cancels the scheduled deletion of an account.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to keep.
+ * @returns {Promise<void>}
+ */
+const cancelDeletion = async (user) => {
+    user.deletionScheduledAt = null;
+    await user.save();
+};
+
+/**
+ * Returns every email address known for an account: its current and pending addresses, the addresses its link tokens
+ * were sent to (including previous addresses, which receive the link reverting an email change), and the address it was invited at.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {Promise<string[]>} The distinct email addresses.
+ */
+const getKnownEmails = async (user) => {
+    const tokens = await db.user_token.findAll({ where: { userId: user.id }, attributes: ['email'] });
+    const invitations = await db.invitation.findAll({ where: { userId: user.id }, attributes: ['email'] });
+    const emails = [user.email, user.pendingEmail, ...tokens.map((token) => token.email), ...invitations.map((invitation) => invitation.email)];
+    return [...new Set(emails.filter(Boolean))];
+};
+
+/**
+ * Redacts email addresses, as written and URL encoded, from every log entry, including the audit entries of the
+ * administrators who invited them, and the tokens of the links sent by email from the request logs.
+ *
+ * @function
+ * @param {string[]} emails - The email addresses to redact.
+ * @returns {Promise<void>}
+ */
+const redactLogs = async (emails) => {
+    const { Op } = db.Sequelize;
+    const { fn, col } = db.sequelize;
+    const values = [...new Set(emails.flatMap((email) => [email, encodeURIComponent(email)]))];
+    for (const value of values) {
+        await db.log.update({ message: fn('replace', col('message'), value, REDACTED) }, { where: { message: { [Op.substring]: value } } });
+    }
+
+    // Requests following these links are not authenticated, so their logs cannot be attributed to the account
+    await db.log.update(
+        { message: fn('regexp_replace', col('message'), TOKEN_URL_PATTERN, `\\1${REDACTED}`, 'gi') },
+        { where: { message: { [Op.iRegexp]: TOKEN_URL_PATTERN } } }
+    );
+};
+
+/**
+ * Permanently deletes an account. Its logs are kept for auditing but no longer reference the user or contain its email
+ * addresses, its invitations are deleted, and its sessions and failed login attempts are removed; the roles, two-factor
+ * settings, passkeys, tokens and consents of the user are deleted with the user row.
+ *
+ * @function
+ * @param {Object} user - The `User` instance to purge.
+ * @returns {Promise<void>}
+ */
+const purgeAccount = async (user) => {
+    const { Op } = db.Sequelize;
+    const emails = await getKnownEmails(user);
+    await db.log.update({ userId: null }, { where: { userId: user.id } });
+    await redactLogs(emails);
+    await db.invitation.destroy({ where: { [Op.or]: [{ userId: user.id }, { email: emails }] } });
+    await db.session.destroy({ where: { userId: user.id } });
+    await loginThrottle.reset(loginThrottle.userKey(user.id));
+    await user.destroy({ force: true });
+};
+
+/**
+ * Purges every account whose deletion grace period has ended, including accounts deleted by an administrator since.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number[]>} The IDs of the purged users.
+ */
+const purgeDueAccounts = async (now = new Date()) => {
+    const { Op } = db.Sequelize;
+    const users = await db.user.findAll({ where: { deletionScheduledAt: { [Op.lte]: now } }, paranoid: false });
+    for (const user of users) {
+        await purgeAccount(user);
+    }
+    return users.map((user) => user.id);
+};
+
+module.exports = {
+    isSuspended,
+    getAccessRefusal,
+    isPendingApproval,
+    approveAccount,
+    rejectAccount,
+    suspendAccount,
+    reactivateAccount,
+    deleteAccount,
+    hasOtherActiveAdministrator,
+    scheduleDeletion,
+    cancelDeletion,
+    purgeAccount,
+    purgeDueAccounts
+};
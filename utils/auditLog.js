@@ -0,0 +1,44 @@
+/**
+ * @file auditLog.js
+ * @description This file contains the helper recording security events of user accounts in the `Log` model,
+ * alongside the request logs written by the `logger` middleware.
+ *
+ * Audit entries have the level `audit` and a message made of the event name, followed by its details as JSON,
+ * e.g. `password.changed {"sessionsRevoked":true}`. They reference the user the event concerns, so they are included
+ * in the user's data export and anonymized when the account is purged.
+ *
+ * @module audit.log
+ * @requires ../models
+ *
+ * @example
+ * const auditLog = require('./path/to/auditLog');
+ * await auditLog.record(user.id, 'password.changed', { ipAddress: req.ip });
+ */
+
+const db = require('../models');
+
+/**
+ * Records a security event of a user account. Failures are logged to the console rather than thrown, so that
+ * the operation being audited, which has already happened, is still reported as successful.
+ *
+ * @function
+ * @param {number} userId - The ID of the user the event concerns.
+ * @param {string} event - The event name, e.g. `password.changed`.
+ * @param {Object} [details] - Details of the event. Must not contain secrets.
+ * @returns {Promise<void>}
+ */
+const record = async (userId, event, details) => {
+    try {
+        await db.log.create({
+            level: 'audit',
+            message: details ? `${event} ${JSON.stringify(details)}` : event,
+            userId
+        });
+    } catch (error) {
+        console.error('Failed to record audit event:', error);
+    }
+};
+
+module.exports = {
+    record
+};
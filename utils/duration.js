@@ -0,0 +1,52 @@
+/**
+ * @file duration.js
+ * @description This file contains a helper converting the duration strings used in the configuration (e.g. `15m`, `7d`)
+ * to milliseconds, following the conventions of `jsonwebtoken`'s `expiresIn`: numbers are seconds, strings without
+ * a unit are milliseconds, and the units `ms`, `s`, `m`, `h`, `d`, `w` and `y` are supported.
+ *
+ * @module duration
+ *
+ * @example
+ * const { toMilliseconds } = require('./path/to/duration');
+ * toMilliseconds('7d'); // 604800000
+ */
+
+/**
+ * The length of each supported unit in milliseconds.
+ *
+ * @constant {Object<string, number>}
+ */
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    y: 365.25 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Converts a duration to milliseconds.
+ *
+ * @function
+ * @param {number|string} value - A number of seconds, or a string such as `500`, `30s`, `15m` or `7d`.
+ * @returns {number} The duration in milliseconds.
+ *
+ * @throws {Error} If the value is not a valid duration.
+ */
+const toMilliseconds = (value) => {
+    if (typeof value === 'number') {
+        return value * 1000;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w|y)?$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'ms').toLowerCase()]);
+};
+
+module.exports = {
+    toMilliseconds
+};
@@ -0,0 +1,80 @@
+/**
+ * @file emailChange.js
+ * @description This file contains the logic for changing the email address of an account safely.
+ *
+ * A user's new email address is not applied immediately: it is staged in `pendingEmail` and only replaces `email` once
+ * the user follows the confirmation link sent to the new address, so a typo or a hijacked session cannot take over the
+ * address used to log in and recover the account. The previous address is notified of the request, with a link reverting
+ * the change, which also works after the change has been confirmed and then revokes every session of the account.
+ *
+ * Both links carry a single-use token (see `userTokens.js`) of purpose `email_change` or `email_revert`, recording the
+ * address the account changes to. A new request invalidates the confirmation link of the previous one, but not its revert
+ * link, so a series of changes cannot hide the first one from the owner of the original address.
+ *
+ * The service provides:
+ * - `requestEmailChange`: Stages a new email address and sends the confirmation and revert links.
+ *
+ * @module email.change
+ * @requires ../config/config
+ * @requires ../config/account.config
+ * @requires ./emailService
+ * @requires ./userTokens
+ *
+ * @example
+ * const { requestEmailChange } = require('./path/to/emailChange');
+ * await requestEmailChange(user, 'new@example.com');
+ */
+
+const config = require('../config/config');
+const account_config = require('../config/account.config');
+const sendVerificationEmail = require('./emailService');
+const userTokens = require('./userTokens');
+
+/**
+ * Stages a new email address for a user, and sends a confirmation link to the new address and a notification with a
+ * link reverting the change to the current address. The user's `email` is left unchanged until the change is confirmed.
+ * If either email cannot be sent, both links are revoked and no change is left pending.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {string} email - The new (normalized) email address.
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} If an email cannot be sent.
+ */
+const requestEmailChange = async (user, email) => {
+    user.pendingEmail = email;
+    await user.save();
+
+    const confirmToken = await userTokens.issueToken(userTokens.PURPOSES.EMAIL_CHANGE, {
+        userId: user.id, email, expiresIn: account_config.emailChangeExpiresIn
+    });
+    const revertToken = await userTokens.issueToken(userTokens.PURPOSES.EMAIL_REVERT, {
+        userId: user.id, email: user.email, expiresIn: account_config.emailRevertExpiresIn, replace: false
+    });
+
+    try {
+        await sendVerificationEmail.sendEmail(
+            email,
+            'Confirm Your New Email',
+            `Please use the following link to confirm your new email address: ${config.baseUrl}/email-change/confirm/${confirmToken}`
+        );
+        await sendVerificationEmail.sendEmail(
+            user.email,
+            'Email Change Requested',
+            `A request was made to change the email address of your account to ${email}. Your current address stays in use until the change is confirmed. `
+            + `If this was not you, use the following link to cancel the change and sign out every session: ${config.baseUrl}/email-change/revert/${revertToken}`
+        );
+    } catch (error) {
+        // Issuing the confirmation link invalidated the link of any previous request, so that change cannot be confirmed either
+        await userTokens.revokeToken(userTokens.PURPOSES.EMAIL_CHANGE, confirmToken);
+        await userTokens.revokeToken(userTokens.PURPOSES.EMAIL_REVERT, revertToken);
+        user.pendingEmail = null;
+        await user.save();
+        throw error;
+    }
+};
+
+module.exports = {
+    requestEmailChange
+};
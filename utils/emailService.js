@@ -1,7 +1,17 @@
 /**
  * @file emailService.js
  * @description This file contains the logic for sending emails using Nodemailer.
- * It exports a function to send account verification emails to users.
+ * It exports a function to send account verification emails to users, and exposes a generic
+ * `sendEmail` function and a `sendNotification` function (as properties of the export) for other emails.
+ *
+ * Emails are sent under one of two policies:
+ * - Emails carrying a link the user needs (email verification, password reset, login links, email change confirmation
+ *   and invitations) are sent with `sendEmail`, which throws when the email cannot be sent. The caller then undoes what it
+ *   prepared for the email, such as the link's token, so that nothing is left waiting for a link that never arrived and
+ *   the request can simply be retried.
+ * - Notifications of something that has already happened (an account lock, a scheduled deletion, an approval or a rejection,
+ *   a password change) are sent with `sendNotification`, which never throws: what they report stays in effect, and the
+ *   failure is logged.
  * 
  * Nodemailer is configured with settings from the `mail.config.js` file, including
  * SMTP server details and authentication credentials. The `sendVerificationEmail` function
@@ -22,23 +32,25 @@
  * @example
  * const sendVerificationEmail = require('./path/to/email.service');
  * sendVerificationEmail('user@example.com', 'http://example.com/verify?token=123456');
+ * sendVerificationEmail.sendNotification('user@example.com', 'Account Locked', 'Your account has been locked.');
  */
 
 const nodemailer = require('nodemailer');
 const mail_config = require('../config/mail.config'); // Configuration file containing email settings
 
 /**
- * Sends a verification email to the specified address with a verification link.
+ * Sends a plain text email to the specified address.
  * 
  * @function
  * @param {string} email - The recipient's email address.
- * @param {string} link - The verification link to be included in the email body.
+ * @param {string} subject - The subject of the email.
+ * @param {string} text - The plain text body of the email.
  * 
  * @returns {Promise<void>} A promise that resolves when the email is sent.
  * 
  * @throws {Error} If there is an issue sending the email, an error is thrown.
  */
-const sendVerificationEmail = async (email, link) => {
+const sendEmail = async (email, subject, text) => {
     // Create a Nodemailer transporter using SMTP settings from the configuration
     const transporter = nodemailer.createTransport({
         host: mail_config.host,
@@ -53,16 +65,52 @@ const sendVerificationEmail = async (email, link) => {
     const mailOptions = {
         from: mail_config.username,
         to: email,
-        subject: 'Account Verification',
-        text: `Click the link to verify your account: ${link}`
+        subject: subject,
+        text: text
     };
 
     try {
         await transporter.sendMail(mailOptions);
     } catch (error) {
-        console.error('Error sending verification email:', error);
+        console.error(`Error sending email (${subject}):`, error);
         throw error; // Re-throw the error to be caught in the test
     }
 };
 
+/**
+ * Sends a verification email to the specified address with a verification link.
+ * 
+ * @function
+ * @param {string} email - The recipient's email address.
+ * @param {string} link - The verification link to be included in the email body.
+ * 
+ * @returns {Promise<void>} A promise that resolves when the email is sent.
+ * 
+ * @throws {Error} If there is an issue sending the email, an error is thrown.
+ */
+const sendVerificationEmail = async (email, link) => {
+    await sendEmail(email, 'Account Verification', `Click the link to verify your account: ${link}`);
+};
+
+/**
+ * Sends a notification email, without failing when it cannot be sent; the error is logged by `sendEmail`.
+ * 
+ * @function
+ * @param {string} email - The recipient's email address.
+ * @param {string} subject - The subject of the email.
+ * @param {string} text - The plain text body of the email.
+ * 
+ * @returns {Promise<boolean>} Whether the email was sent.
+ */
+const sendNotification = async (email, subject, text) => {
+    try {
+        await sendEmail(email, subject, text);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
 module.exports = sendVerificationEmail;
+module.exports.sendEmail = sendEmail;
+module.exports.sendNotification = sendNotification;
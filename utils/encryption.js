@@ -0,0 +1,96 @@
+/**
+ * @file encryption.js
+ * @description This file contains the encryption of the secrets the application stores in the database, such as the private
+ * signing keys and the TOTP secrets of two-factor authentication, so that reading the database is not enough to use them.
+ *
+ * Secrets are encrypted with AES-256-GCM under a key derived with HKDF-SHA256 from `JWT_KEY_ENCRYPTION_KEY`. Each kind of
+ * secret uses its own derived key, named by its `purpose`, so that a value encrypted for one purpose cannot be decrypted as another.
+ * Encrypted values are prefixed with `enc:v1:`, followed by the base64url encoded IV, authentication tag and ciphertext;
+ * values without the prefix were stored in plain text by earlier versions and are returned as they are.
+ *
+ * The module provides:
+ * - `encrypt`: Encrypts a secret for storage.
+ * - `decrypt`: Decrypts a stored secret.
+ * - `isEncrypted`: Tells whether a stored value is encrypted.
+ *
+ * @module encryption
+ * @requires crypto
+ * @requires ../config/jwt.config
+ *
+ * @example
+ * const encryption = require('./path/to/encryption');
+ * const stored = encryption.encrypt(secret, 'totp-secret-encryption');
+ * const secret = encryption.decrypt(stored, 'totp-secret-encryption');
+ */
+
+const crypto = require('crypto');
+const jwt_config = require('../config/jwt.config');
+
+// Prefix of encrypted values, followed by the base64url encoded IV, authentication tag and ciphertext
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Derives the AES-256 key that encrypts the secrets of a purpose from `keyEncryptionKey`.
+ *
+ * @function
+ * @param {string} purpose - What the key encrypts, e.g. `signing-key-encryption`.
+ * @returns {Buffer} The 32-byte key.
+ *
+ * @throws {Error} If no key encryption key is configured.
+ */
+const encryptionKey = (purpose) => {
+    if (!jwt_config.keyEncryptionKey) {
+        throw new Error('JWT_KEY_ENCRYPTION_KEY is not configured');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', jwt_config.keyEncryptionKey, '', purpose, 32));
+};
+
+/**
+ * Tells whether a stored value is encrypted.
+ *
+ * @function
+ * @param {string} storedValue - The value as stored in the database.
+ * @returns {boolean} Whether the value is encrypted.
+ */
+const isEncrypted = (storedValue) => storedValue.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Encrypts a secret for storage.
+ *
+ * @function
+ * @param {string} plaintext - The secret.
+ * @param {string} purpose - What the secret is, e.g. `totp-secret-encryption`.
+ * @returns {string} The encrypted secret.
+ */
+const encrypt = (plaintext, purpose) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(purpose), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join(':');
+};
+
+/**
+ * Decrypts a stored secret. Secrets stored in plain text by earlier versions are returned as they are.
+ *
+ * @function
+ * @param {string} storedValue - The secret as stored in the database.
+ * @param {string} purpose - What the secret is, as given to `encrypt`.
+ * @returns {string} The secret.
+ *
+ * @throws {Error} If the secret cannot be decrypted with the configured key encryption key.
+ */
+const decrypt = (storedValue, purpose) => {
+    if (!isEncrypted(storedValue)) {
+        return storedValue;
+    }
+    const [iv, tag, ciphertext] = storedValue.slice(ENCRYPTED_PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(purpose), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    encrypt,
+    decrypt,
+    isEncrypted
+};
@@ -0,0 +1,38 @@
+/**
+ * @file errorLog.js
+ * @description This file contains the helper recording errors that are handled without failing the request, such as an
+ * unavailable rate limit store, in the `Log` model alongside the request logs written by the `logger` middleware.
+ *
+ * Error entries have the level `error` and a message made of the source of the error followed by its message,
+ * e.g. `rateLimit(login): Connection refused`. They reference no user.
+ *
+ * @module error.log
+ * @requires ../models
+ *
+ * @example
+ * const errorLog = require('./path/to/errorLog');
+ * await errorLog.record('rateLimit(login)', error);
+ */
+
+const db = require('../models');
+
+/**
+ * Records an error. When the error cannot be recorded, for instance because the database is unavailable,
+ * it is written to the console instead, and never thrown.
+ *
+ * @function
+ * @param {string} source - Where the error occurred, e.g. `rateLimit(login)`.
+ * @param {Error} error - The error.
+ * @returns {Promise<void>}
+ */
+const record = async (source, error) => {
+    try {
+        await db.log.create({ level: 'error', message: `${source}: ${error.message}` });
+    } catch {
+        console.error(`${source}:`, error);
+    }
+};
+
+module.exports = {
+    record
+};
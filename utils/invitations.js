@@ -0,0 +1,169 @@
+/**
+ * @file invitations.js
+ * @description This file contains the logic for invitations, which let administrators create accounts for people on
+ * deployments where not everyone may sign up.
+ *
+ * Who can create an account is set by the signup mode (`SIGNUP_MODE`): `open` lets anyone sign up, `invite-only` only
+ * lets invited people create an account, and `disabled` allows no new accounts at all. An invitation is sent to an email
+ * address with the roles the account will be given. The link sent with it carries a single-use `invite` token (see
+ * `utils/userTokens.js`) issued for that address, with which the invitee chooses their username and password. Since the
+ * invitee proved they receive mail at the address, the account is created with its email address verified.
+ *
+ * An address has at most one pending invitation: inviting it again revokes the previous invitation and its link.
+ * An invitation is `pending` until it is accepted, revoked or expires.
+ *
+ * The service provides:
+ * - `SIGNUP_MODES`: The signup modes.
+ * - `getInvitationStatus`: Tells whether an invitation is pending, accepted, revoked or expired.
+ * - `whereStatus`: Builds the condition matching the invitations with a status.
+ * - `createInvitation`: Creates an invitation and returns the token of its link.
+ * - `findPendingInvitation`: Looks up the pending invitation a link was sent with.
+ * - `revokeInvitation`: Revokes a pending invitation and its link.
+ * - `toInvitationData`: Returns the attributes of an invitation that are safe to expose.
+ *
+ * @module invitations
+ * @requires sequelize
+ * @requires ../models
+ * @requires ../config/account.config
+ * @requires ./userTokens
+ * @requires ./duration
+ *
+ * @example
+ * const invitations = require('./path/to/invitations');
+ * const { invitation, token } = await invitations.createInvitation({ email: 'bob@example.com', roleIds: [1], invitedBy: admin.id });
+ * const pending = await invitations.findPendingInvitation(token);
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const account_config = require('../config/account.config');
+const userTokens = require('./userTokens');
+const { toMilliseconds } = require('./duration');
+
+/**
+ * Who can create an account.
+ *
+ * @constant {Object<string, string>}
+ */
+const SIGNUP_MODES = Object.freeze({
+    OPEN: 'open',
+    INVITE_ONLY: 'invite-only',
+    DISABLED: 'disabled'
+});
+
+/**
+ * Tells the status of an invitation.
+ *
+ * @function
+ * @param {Object} invitation - The `Invitation` instance.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {string} `accepted`, `revoked`, `expired` or `pending`.
+ */
+const getInvitationStatus = (invitation, now = new Date()) => {
+    if (invitation.acceptedAt) {
+        return 'accepted';
+    }
+    if (invitation.revokedAt) {
+        return 'revoked';
+    }
+    return new Date(invitation.expiresAt) <= now ? 'expired' : 'pending';
+};
+
+/**
+ * Builds the condition matching the invitations with a status.
+ *
+ * @function
+ * @param {string} status - `pending`, `accepted`, `revoked` or `expired`.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object} The `where` condition.
+ */
+const whereStatus = (status, now = new Date()) => ({
+    pending: { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } },
+    accepted: { acceptedAt: { [Op.ne]: null } },
+    revoked: { acceptedAt: null, revokedAt: { [Op.ne]: null } },
+    expired: { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } }
+})[status];
+
+/**
+ * Creates an invitation to an email address. The pending invitation previously sent to the address, if any, is revoked,
+ * and issuing the new link invalidates its link.
+ *
+ * @function
+ * @param {Object} options - The invitation.
+ * @param {string} options.email - The normalized email address to invite.
+ * @param {number[]} options.roleIds - The IDs of the roles the account is assigned.
+ * @param {number} options.invitedBy - The ID of the administrator sending the invitation.
+ * @returns {Promise<{invitation: Object, token: string}>} The `Invitation` instance, and the token of its link, which is not stored and cannot be retrieved again.
+ */
+const createInvitation = async ({ email, roleIds, invitedBy }) => {
+    const now = new Date();
+    await db.invitation.update({ revokedAt: now }, { where: { email, ...whereStatus('pending', now) } });
+
+    const token = await userTokens.issueToken(userTokens.PURPOSES.INVITE, { email, expiresIn: account_config.invitationExpiresIn });
+    const invitation = await db.invitation.create({
+        email,
+        roleIds,
+        invitedBy,
+        expiresAt: new Date(now.getTime() + toMilliseconds(account_config.invitationExpiresIn))
+    });
+    return { invitation, token };
+};
+
+/**
+ * Looks up the pending invitation a link was sent with, without using the link.
+ *
+ * @function
+ * @param {string} token - The token from the invitation link.
+ * @returns {Promise<Object|null>} The `Invitation` instance, or `null` if the link is not valid or the invitation is no longer pending.
+ */
+const findPendingInvitation = async (token) => {
+    const record = await userTokens.findToken(userTokens.PURPOSES.INVITE, token);
+    if (!record) {
+        return null;
+    }
+    return db.invitation.findOne({ where: { email: record.email, ...whereStatus('pending') }, order: [['createdAt', 'DESC']] });
+};
+
+/**
+ * Revokes a pending invitation. Its link stops working immediately.
+ *
+ * @function
+ * @param {Object} invitation - The `Invitation` instance.
+ * @returns {Promise<void>}
+ */
+const revokeInvitation = async (invitation) => {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await userTokens.revokeEmailTokens(invitation.email, [userTokens.PURPOSES.INVITE]);
+};
+
+/**
+ * Returns the attributes of an invitation that are safe to expose, with its status and the names of its roles.
+ *
+ * @function
+ * @param {Object} invitation - The `Invitation` instance.
+ * @param {Object[]} roles - The roles, among which those of the invitation are looked up. Deleted roles are left out.
+ * @returns {Object} The invitation data.
+ */
+const toInvitationData = (invitation, roles) => ({
+    id: invitation.id,
+    email: invitation.email,
+    roles: roles.filter((role) => invitation.roleIds.includes(role.id)).map((role) => role.roleName),
+    status: getInvitationStatus(invitation),
+    invitedBy: invitation.invitedBy,
+    userId: invitation.userId,
+    expiresAt: invitation.expiresAt,
+    acceptedAt: invitation.acceptedAt,
+    revokedAt: invitation.revokedAt,
+    createdAt: invitation.createdAt
+});
+
+module.exports = {
+    SIGNUP_MODES,
+    getInvitationStatus,
+    whereStatus,
+    createInvitation,
+    findPendingInvitation,
+    revokeInvitation,
+    toInvitationData
+};
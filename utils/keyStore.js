@@ -0,0 +1,304 @@
+/**
+ * @file keyStore.js
+ * @description This file contains the store of RSA keys used to sign and verify access and refresh tokens.
+ *
+ * Keys are persisted in the `SigningKey` model and identified by a `kid`, which is written to the header of every token
+ * so the matching key can be found when the token is verified; tokens without a `kid` are refused. The most recent key that has
+ * not been retired signs new tokens. Rotating generates a new signing key and retires the previous one; a retired key still
+ * verifies tokens (and is published in the JWKS) until the longest-lived token it could have signed has expired, after which it is removed.
+ *
+ * Private keys are stored encrypted with AES-256-GCM under a key derived from `keyEncryptionKey` (see `encryption.js`), so reading the table
+ * is not enough to sign tokens. Keys stored in plain text by earlier versions are encrypted when they are loaded.
+ *
+ * The keys are cached in memory and reloaded from the database after `keyCacheTtl`, or immediately when a token names an
+ * unknown `kid` (e.g. after another instance rotated the keys), so tokens are signed and verified without reading keys per request.
+ * When the database holds no keys yet, the store is seeded with the key pair from the configured key files, or a generated one.
+ *
+ * The store provides:
+ * - `getSigningKey`: Returns the key that signs new tokens.
+ * - `getVerificationKey`: Returns the public key for a `kid`.
+ * - `getKey`: Resolves verification keys for `jsonwebtoken`'s `verify` from token headers.
+ * - `getJwks`: Returns the public keys as a JSON Web Key Set.
+ * - `rotate`: Generates a new signing key and retires the current one.
+ * - `rotateIfDue`: Rotates when the signing key is older than `keyRotationInterval`.
+ * - `clearCache`: Forgets the cached keys.
+ *
+ * @module key.store
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ./duration
+ * @requires ./encryption
+ * @requires ../config/jwt.config
+ * @requires ../config/oidc.config
+ * @requires ../models
+ *
+ * @example
+ * const keyStore = require('./path/to/keyStore');
+ * const { kid, privateKey } = await keyStore.getSigningKey();
+ * const token = jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toMilliseconds } = require('./duration');
+const encryption = require('./encryption');
+const jwt_config = require('../config/jwt.config');
+const oidc_config = require('../config/oidc.config');
+const db = require('../models');
+
+// What the private keys are encrypted for, naming the key derived from `keyEncryptionKey`
+const ENCRYPTION_PURPOSE = 'signing-key-encryption';
+
+let cache = null;
+
+/**
+ * Encrypts a private key for storage.
+ *
+ * @function
+ * @param {string} privateKey - The PEM encoded private key.
+ * @returns {string} The encrypted private key.
+ */
+const encryptPrivateKey = (privateKey) => encryption.encrypt(privateKey, ENCRYPTION_PURPOSE);
+
+/**
+ * Decrypts a stored private key. Keys stored in plain text by earlier versions are returned as they are.
+ *
+ * @function
+ * @param {string} storedKey - The private key as stored in the database.
+ * @returns {string} The PEM encoded private key.
+ *
+ * @throws {Error} If the key cannot be decrypted with the configured key encryption key.
+ */
+const decryptPrivateKey = (storedKey) => encryption.decrypt(storedKey, ENCRYPTION_PURPOSE);
+
+/**
+ * Computes the RFC 7638 thumbprint of a public key, used as its `kid`.
+ *
+ * @function
+ * @param {string} publicKey - The PEM encoded public key.
+ * @returns {string} The base64url encoded SHA-256 thumbprint.
+ */
+const thumbprint = (publicKey) => {
+    const { e, kty, n } = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+    return crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+};
+
+/**
+ * Builds the attributes of a `SigningKey` for a key pair.
+ *
+ * @function
+ * @param {string} publicKey - The PEM encoded public key.
+ * @param {string} privateKey - The PEM encoded private key.
+ * @returns {Object} The key attributes, with the private key encrypted.
+ */
+const toKey = (publicKey, privateKey) => ({ kid: thumbprint(publicKey), algorithm: 'RS256', publicKey, privateKey: encryptPrivateKey(privateKey) });
+
+/**
+ * Generates a new 2048-bit RSA key pair.
+ *
+ * @function
+ * @returns {Object} The key attributes.
+ */
+const generateKey = () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    return toKey(publicKey, privateKey);
+};
+
+/**
+ * Creates the first signing key, from the configured key files if they exist and from a generated key pair otherwise.
+ *
+ * @function
+ * @returns {Promise<Object>} The `SigningKey` instance.
+ */
+const seed = async () => {
+    const { publicKeyPath, privateKeyPath } = jwt_config;
+    const key = publicKeyPath && privateKeyPath && fs.existsSync(path.resolve(privateKeyPath))
+        ? toKey(fs.readFileSync(path.resolve(publicKeyPath), 'utf8'), fs.readFileSync(path.resolve(privateKeyPath), 'utf8'))
+        : generateKey();
+
+    // Instances starting together may seed concurrently; the thumbprint makes the configured key pair a single row
+    const [signingKey] = await db.signing_key.findOrCreate({ where: { kid: key.kid }, defaults: key });
+    return signingKey;
+};
+
+/**
+ * Loads the keys that still verify tokens into the cache, most recent first.
+ *
+ * @function
+ * @returns {Promise<Object[]>} The `SigningKey` instances.
+ */
+const loadKeys = async () => {
+    const { Op } = db.Sequelize;
+    let keys = await db.signing_key.findAll({
+        where: { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+        order: [['createdAt', 'DESC']]
+    });
+    if (keys.length === 0) {
+        keys = [await seed()];
+    }
+    await Promise.all(keys
+        .filter((key) => !encryption.isEncrypted(key.privateKey))
+        .map((key) => key.update({ privateKey: encryptPrivateKey(key.privateKey) })));
+
+    cache = { keys, expiresAt: Date.now() + toMilliseconds(jwt_config.keyCacheTtl) };
+    return keys;
+};
+
+/**
+ * Returns the cached keys, reloading them once the cache has expired.
+ *
+ * @function
+ * @returns {Promise<Object[]>} The `SigningKey` instances.
+ */
+const getKeys = async () => (cache && cache.expiresAt > Date.now() ? cache.keys : loadKeys());
+
+/**
+ * Returns the key that signs new tokens.
+ *
+ * @function
+ * @returns {Promise<{kid: string, algorithm: string, privateKey: string}>} The `kid`, algorithm and decrypted private key of the signing key.
+ */
+const getSigningKey = async () => {
+    const keys = await getKeys();
+    const signingKey = keys.find((key) => !key.retiredAt) || await rotate();
+    return { kid: signingKey.kid, algorithm: signingKey.algorithm, privateKey: decryptPrivateKey(signingKey.privateKey) };
+};
+
+/**
+ * Returns the public key for a `kid`.
+ *
+ * @function
+ * @param {string} [kid] - The `kid` from the token header.
+ * @returns {Promise<string>} The PEM encoded public key.
+ *
+ * @throws {Error} If the token has no `kid`, or no key with the `kid` exists or it has expired.
+ */
+const getVerificationKey = async (kid) => {
+    if (!kid) {
+        throw new Error('Token has no key id');
+    }
+
+    let keys = await getKeys();
+    let key = keys.find((candidate) => candidate.kid === kid);
+    if (!key) {
+        // The key may have been created by another instance since the cache was loaded
+        keys = await loadKeys();
+        key = keys.find((candidate) => candidate.kid === kid);
+    }
+    if (!key) {
+        throw new Error('Unknown signing key');
+    }
+    return key.publicKey;
+};
+
+/**
+ * Resolves the verification key for `jsonwebtoken`'s `verify`, which accepts a function in place of the key.
+ *
+ * @function
+ * @param {Object} header - The decoded token header.
+ * @param {Function} callback - Called with an error or the public key.
+ * @returns {void}
+ */
+const getKey = (header, callback) => {
+    getVerificationKey(header.kid).then((publicKey) => callback(null, publicKey), callback);
+};
+
+/**
+ * Returns the public keys that still verify tokens as a JSON Web Key Set, for other services validating tokens.
+ *
+ * @function
+ * @returns {Promise<{keys: Object[]}>} The JSON Web Key Set.
+ */
+const getJwks = async () => {
+    const keys = await getKeys();
+    return {
+        keys: keys.map((key) => ({
+            ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.algorithm,
+            use: 'sig'
+        }))
+    };
+};
+
+/**
+ * Returns how long a retired key must keep verifying tokens: other instances may sign with it until their cache expires,
+ * and the tokens they sign are valid for up to the longest lifetime of any token signed with the store's keys.
+ *
+ * @function
+ * @returns {number} The retention in milliseconds.
+ */
+const retention = () => toMilliseconds(jwt_config.keyCacheTtl) + Math.max(...[
+    jwt_config.accessTokenExpiresIn,
+    jwt_config.refreshTokenExpiresIn,
+    jwt_config.serviceTokenExpiresIn,
+    oidc_config.accessTokenExpiresIn,
+    oidc_config.idTokenExpiresIn
+].map(toMilliseconds));
+
+/**
+ * Generates a new signing key and retires the current one. Retired keys verify tokens until the longest-lived
+ * token they could have signed has expired.
+ *
+ * @function
+ * @returns {Promise<Object>} The new `SigningKey` instance.
+ */
+const rotate = async () => {
+    const { Op } = db.Sequelize;
+    const now = Date.now();
+
+    const signingKey = await db.signing_key.create(generateKey());
+    await db.signing_key.update(
+        { retiredAt: new Date(now), expiresAt: new Date(now + retention()) },
+        { where: { retiredAt: null, kid: { [Op.ne]: signingKey.kid } } }
+    );
+    await db.signing_key.destroy({ where: { expiresAt: { [Op.lte]: new Date(now) } } });
+
+    cache = null;
+    return signingKey;
+};
+
+/**
+ * Rotates the signing key if it has been in use for longer than `keyRotationInterval`.
+ *
+ * @function
+ * @returns {Promise<Object|null>} The new `SigningKey` instance, or `null` if no rotation was due.
+ */
+const rotateIfDue = async () => {
+    // Always read the database, so that instances do not rotate again after another instance did
+    const keys = await loadKeys();
+    const signingKey = keys.find((key) => !key.retiredAt);
+    if (signingKey && Date.now() - new Date(signingKey.createdAt).getTime() < toMilliseconds(jwt_config.keyRotationInterval)) {
+        return null;
+    }
+    return rotate();
+};
+
+/**
+ * Forgets the cached keys, so they are reloaded on next use.
+ *
+ * @function
+ * @returns {void}
+ */
+const clearCache = () => {
+    cache = null;
+};
+
+module.exports = {
+    thumbprint,
+    encryptPrivateKey,
+    retention,
+    getSigningKey,
+    getVerificationKey,
+    getKey,
+    getJwks,
+    rotate,
+    rotateIfDue,
+    clearCache
+};
@@ -0,0 +1,45 @@
+/**
+ * @file logRedaction.js
+ * @description This file contains what the request and audit logs must not keep in clear: the single-use tokens carried in
+ * the path of the links sent by email (login links, email verification, email change, password reset and invitations),
+ * and the email addresses of purged accounts.
+ *
+ * `TOKEN_URL_PATTERN` is written so that it is both a JavaScript and a PostgreSQL regular expression, to be matched
+ * case-insensitively like the routes are; its first group is the path before the token, which is kept when the token is
+ * replaced with `REDACTED`. `redactUrl` applies it to the URLs written by the `logger` middleware, so the tokens are never stored.
+ *
+ * @module log.redaction
+ *
+ * @example
+ * const { redactUrl } = require('./path/to/logRedaction');
+ * redactUrl('/reset-password/abc?x=1'); // '/reset-password/[redacted]?x=1'
+ */
+
+/**
+ * The text replacing redacted values.
+ *
+ * @constant {string}
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * Matches the token segment of the URLs of the links sent by email.
+ *
+ * @constant {string}
+ */
+const TOKEN_URL_PATTERN = '(/(?:login/magic-link|verification|email-change/confirm|email-change/revert|reset-password|accept-invitation)/)[A-Za-z0-9_%-]+';
+
+/**
+ * Replaces the tokens in the path of a URL with `REDACTED`.
+ *
+ * @function
+ * @param {string} url - The URL, e.g. `req.originalUrl`.
+ * @returns {string} The URL without tokens.
+ */
+const redactUrl = (url) => url.replace(new RegExp(TOKEN_URL_PATTERN, 'gi'), `$1${REDACTED}`);
+
+module.exports = {
+    REDACTED,
+    TOKEN_URL_PATTERN,
+    redactUrl
+};
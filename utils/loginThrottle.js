@@ -0,0 +1,185 @@
+/**
+ * @file loginThrottle.js
+ * @description This file contains the logic protecting the login endpoints against password guessing.
+ *
+ * Failed attempts are counted per subject, where a subject is either an account (`user:<id>`) or an IP address (`ip:<address>`),
+ * and persisted in the `LoginAttempt` model. Each subject type has its own thresholds (see `lockout.config.js`):
+ * - Once the delay threshold is reached, the next attempt is refused until an exponentially growing delay has passed.
+ * - Once the lock threshold is reached, the subject is locked for a fixed duration and its counter starts over.
+ * A counter is forgotten after a window without failures, and a successful login clears it.
+ *
+ * The service provides:
+ * - `userKey` / `ipKey`: Build the subject keys.
+ * - `check`: Reports whether a subject is currently delayed or locked, and for how long.
+ * - `registerFailure`: Records a failed attempt and reports whether it locked the subject.
+ * - `reset`: Clears the counters and lock of one or more subjects (after a successful login or an admin unlock).
+ * - `purgeExpired`: Removes the counters that have left the attempt window and are not locked.
+ *
+ * @module login.throttle
+ * @requires sequelize
+ * @requires ../config/lockout.config
+ * @requires ../models
+ *
+ * @example
+ * const loginThrottle = require('./path/to/loginThrottle');
+ * const state = await loginThrottle.check(loginThrottle.userKey(user.id), 'account');
+ * if (state.blocked) { ... }
+ */
+
+const { Op } = require('sequelize');
+const lockout_config = require('../config/lockout.config');
+const db = require('../models');
+
+/**
+ * Builds the subject key for an account.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @returns {string} The subject key.
+ */
+const userKey = (userId) => `user:${userId}`;
+
+/**
+ * Builds the subject key for an IP address.
+ *
+ * @function
+ * @param {string} ip - The IP address.
+ * @returns {string} The subject key.
+ */
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Returns the delay required after a number of consecutive failures.
+ *
+ * @function
+ * @param {number} failedCount - The number of consecutive failures.
+ * @param {Object} policy - The thresholds for the subject type.
+ * @returns {number} The delay in milliseconds (`0` below the delay threshold).
+ */
+const delayFor = (failedCount, policy) => {
+    if (failedCount < policy.delayThreshold) {
+        return 0;
+    }
+    const delay = lockout_config.delayBaseMs * 2 ** (failedCount - policy.delayThreshold);
+    return Math.min(delay, lockout_config.delayMaxMs);
+};
+
+/**
+ * Determines whether a counter is still within the attempt window.
+ *
+ * @function
+ * @param {Object} attempt - The `LoginAttempt` row.
+ * @param {number} now - The current timestamp in milliseconds.
+ * @returns {boolean} Whether the counter is still relevant.
+ */
+const isWithinWindow = (attempt, now) => Boolean(attempt.lastFailedAt)
+    && now - new Date(attempt.lastFailedAt).getTime() < lockout_config.windowMinutes * 60 * 1000;
+
+/**
+ * Reports whether a subject may attempt to log in right now.
+ *
+ * @function
+ * @param {string} key - The subject key.
+ * @param {string} type - The subject type, `account` or `ip`.
+ * @returns {Promise<{blocked: boolean, locked?: boolean, retryAfter?: number}>} Whether attempts are refused,
+ * whether that is because of a lock (rather than a delay), and the number of seconds until the next attempt is allowed.
+ */
+const check = async (key, type) => {
+    const policy = lockout_config[type];
+    const attempt = await db.login_attempt.findOne({ where: { key } });
+    const now = Date.now();
+    if (!attempt) {
+        return { blocked: false };
+    }
+
+    const lockedUntil = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+        return { blocked: true, locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+    }
+
+    if (isWithinWindow(attempt, now)) {
+        const nextAttemptAt = new Date(attempt.lastFailedAt).getTime() + delayFor(attempt.failedCount, policy);
+        if (nextAttemptAt > now) {
+            return { blocked: true, locked: false, retryAfter: Math.ceil((nextAttemptAt - now) / 1000) };
+        }
+    }
+    return { blocked: false };
+};
+
+/**
+ * Records a failed login attempt for a subject, locking it once the lock threshold is reached.
+ * The counter is incremented in a single statement, so concurrent failures are all counted; when several of them reach
+ * the threshold, only the one that locks the subject reports it.
+ *
+ * @function
+ * @param {string} key - The subject key.
+ * @param {string} type - The subject type, `account` or `ip`.
+ * @returns {Promise<{lockedNow: boolean, lockedUntil: Date|null}>} Whether this failure locked the subject, and until when.
+ */
+const registerFailure = async (key, type) => {
+    const policy = lockout_config[type];
+    const now = new Date(Date.now());
+    const windowStart = new Date(now.getTime() - lockout_config.windowMinutes * 60 * 1000);
+
+    // Counters outside the window start over
+    const [{ failedCount }] = await db.sequelize.query(
+        `INSERT INTO "LoginAttempts" ("key", "failedCount", "lastFailedAt", "createdAt", "updatedAt")
+        VALUES (:key, 1, :now, :now, :now)
+        ON CONFLICT ("key") DO UPDATE SET
+            "failedCount" = CASE WHEN "LoginAttempts"."lastFailedAt" > :windowStart THEN "LoginAttempts"."failedCount" + 1 ELSE 1 END,
+            "lastFailedAt" = :now,
+            "updatedAt" = :now
+        RETURNING "failedCount"`,
+        { replacements: { key, now, windowStart }, type: db.Sequelize.QueryTypes.SELECT }
+    );
+    if (failedCount < policy.lockThreshold) {
+        return { lockedNow: false, lockedUntil: null };
+    }
+
+    // The lock is the penalty; the counter starts over once it expires
+    const lockedUntil = new Date(now.getTime() + lockout_config.lockDurationMinutes * 60 * 1000);
+    const [locked] = await db.login_attempt.update(
+        { lockedUntil, failedCount: 0 },
+        { where: { key, failedCount: { [Op.gte]: policy.lockThreshold } } }
+    );
+    return locked > 0 ? { lockedNow: true, lockedUntil } : { lockedNow: false, lockedUntil: null };
+};
+
+/**
+ * Clears the counters and locks of the given subjects.
+ *
+ * @function
+ * @param {...string} keys - The subject keys.
+ * @returns {Promise<number>} The number of cleared records.
+ */
+const reset = async (...keys) => db.login_attempt.destroy({ where: { key: keys } });
+
+/**
+ * Removes the counters whose last failure has left the attempt window and whose lock, if any, has expired: they no longer
+ * delay or lock anything, and would otherwise be kept for every account and IP address that ever failed to log in.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The number of removed records.
+ */
+const purgeExpired = async (now = new Date()) => {
+    const windowStart = new Date(now.getTime() - lockout_config.windowMinutes * 60 * 1000);
+    return db.login_attempt.destroy({
+        where: {
+            [Op.and]: [
+                { [Op.or]: [{ lastFailedAt: null }, { lastFailedAt: { [Op.lte]: windowStart } }] },
+                { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }] }
+            ]
+        }
+    });
+};
+
+module.exports = {
+    userKey,
+    ipKey,
+    delayFor,
+    check,
+    registerFailure,
+    reset,
+    purgeExpired
+};
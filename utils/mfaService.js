@@ -0,0 +1,129 @@
+/**
+ * @file mfaService.js
+ * @description This file contains the logic shared by the enrollment endpoints and the login flow for
+ * two-factor authentication (2FA): verifying TOTP codes and issuing and consuming recovery codes.
+ *
+ * The service provides:
+ * - `encryptSecret`: Encrypts a TOTP secret for storage.
+ * - `verifyCode`: Verifies a TOTP code for a user's second factor and records its time step so it cannot be replayed.
+ * - `generateRecoveryCodes`: Replaces a user's recovery codes with a fresh set and returns them in plain text.
+ * - `consumeRecoveryCode`: Marks a recovery code as used if it is valid and unused.
+ *
+ * Recovery codes are only returned once, when they are generated; the database holds their SHA-256 hashes.
+ * TOTP secrets are stored encrypted with the key encryption key (see `encryption.js`); secrets stored in plain text by
+ * earlier versions are encrypted the next time a code is verified against them.
+ *
+ * @module mfa.service
+ * @requires crypto
+ * @requires sequelize
+ * @requires ./totp
+ * @requires ./encryption
+ * @requires ../config/mfa.config
+ * @requires ../models
+ *
+ * @example
+ * const mfaService = require('./path/to/mfaService');
+ * const isValid = await mfaService.verifyCode(mfa, '123456');
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const totp = require('./totp');
+const encryption = require('./encryption');
+const mfa_config = require('../config/mfa.config');
+const db = require('../models');
+
+// What the TOTP secrets are encrypted for, naming the key derived from the key encryption key
+const ENCRYPTION_PURPOSE = 'totp-secret-encryption';
+
+/**
+ * Hashes a recovery code after normalizing it (dashes, whitespace and case are ignored).
+ *
+ * @function
+ * @param {string} code - The recovery code.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Encrypts a TOTP secret for storage in the `UserMfa` model.
+ *
+ * @function
+ * @param {string} secret - The base32 encoded secret.
+ * @returns {string} The encrypted secret.
+ */
+const encryptSecret = (secret) => encryption.encrypt(secret, ENCRYPTION_PURPOSE);
+
+/**
+ * Verifies a TOTP code for a user's second factor. Codes from a time step that was already used are rejected.
+ * The time step is recorded only if no later or equal step was recorded meanwhile, so that of concurrent requests
+ * with the same code, only one is accepted. A secret stored in plain text is encrypted when the step is recorded.
+ *
+ * @function
+ * @param {Object} mfa - The `UserMfa` instance.
+ * @param {string} code - The code entered by the user.
+ * @returns {Promise<boolean>} Whether the code is valid.
+ */
+const verifyCode = async (mfa, code) => {
+    const step = totp.verify(encryption.decrypt(mfa.secret, ENCRYPTION_PURPOSE), code, { afterStep: mfa.lastUsedStep });
+    if (step === null) {
+        return false;
+    }
+
+    const values = encryption.isEncrypted(mfa.secret) ? { lastUsedStep: step } : { lastUsedStep: step, secret: encryptSecret(mfa.secret) };
+    const [recorded] = await db.user_mfa.update(
+        values,
+        { where: { id: mfa.id, lastUsedStep: { [Op.or]: [null, { [Op.lt]: step }] } } }
+    );
+    if (recorded !== 1) {
+        return false;
+    }
+    Object.assign(mfa, values);
+    return true;
+};
+
+/**
+ * Replaces a user's recovery codes with a freshly generated set.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<string[]>} The new recovery codes in plain text (formatted as `xxxxx-xxxxx`).
+ */
+const generateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: mfa_config.recoveryCodeCount }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await db.mfa_recovery_code.destroy({ where: { userId } });
+    await db.mfa_recovery_code.bulkCreate(codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })));
+
+    return codes;
+};
+
+/**
+ * Consumes a recovery code. Each code can only be used once.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {Promise<boolean>} Whether the code was valid and has now been used.
+ */
+const consumeRecoveryCode = async (userId, code) => {
+    const [updated] = await db.mfa_recovery_code.update(
+        { usedAt: new Date() },
+        { where: { userId, codeHash: hashRecoveryCode(code), usedAt: null } }
+    );
+    return updated > 0;
+};
+
+module.exports = {
+    hashRecoveryCode,
+    encryptSecret,
+    verifyCode,
+    generateRecoveryCodes,
+    consumeRecoveryCode
+};
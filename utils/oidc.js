@@ -0,0 +1,391 @@
+/**
+ * @file oidc.js
+ * @description This file contains the logic of the OpenID Connect provider, which lets other applications log their users
+ * in with their account on this API, using the OAuth 2.0 authorization code grant with PKCE (RFC 7636) and OpenID Connect ID tokens.
+ *
+ * Applications are registered by administrators as OAuth clients, with the redirect URIs users may be sent back to and the
+ * scopes they may request. An application sends the user to the authorization page of the web app, which calls `/authorize`
+ * with the user's session: once the user has consented to the requested scopes, an authorization code is issued and the user
+ * is redirected back to the application with it. Codes are single-use, expire after `codeExpiresIn`, are stored hashed like the
+ * tokens sent in links, and are bound to the application, the redirect URI and the PKCE code challenge of the request, so a
+ * code intercepted on its way back cannot be exchanged without the code verifier only the application knows.
+ * PKCE with the `S256` method is required from every application, including confidential ones.
+ *
+ * The application exchanges the code at `POST /token` for an access token and an ID token, both signed with the same keys as
+ * the tokens issued on login and published at `/.well-known/jwks.json`. The access token only gives access to `/userinfo`:
+ * it is recorded in the `Session` model, so logging out of every device or suspending the account revokes it, but it is refused
+ * by the rest of the API. No refresh token is issued; the application sends the user through `/authorize` again, which does not
+ * ask for consent again while the recorded consent covers the request.
+ *
+ * The service provides:
+ * - `SCOPES`: The scopes applications can request, and `CLAIMS`, the claims each scope releases.
+ * - `parseScopes`: Splits a space-separated scope parameter.
+ * - `generateClientCredentials`: Generates a client ID and, for confidential clients, a secret.
+ * - `authenticateClient`: Finds the application a client ID belongs to and checks its secret.
+ * - `toClientData`: Returns the attributes of an application that are safe to expose.
+ * - `verifyCodeChallenge`: Checks a PKCE code verifier against the code challenge of a request.
+ * - `findConsent` / `grantConsent`: Look up and record the scopes a user allowed an application to access.
+ * - `issueAuthorizationCode` / `consumeAuthorizationCode`: Issue an authorization code and exchange it once.
+ * - `toClaims`: Returns the claims about a user released by a list of scopes.
+ * - `issueTokens`: Signs the access token and ID token issued for an authorization code.
+ * - `verifyAccessToken`: Verifies an access token issued to an application.
+ * - `purgeExpiredCodes`: Removes the expired and exchanged authorization codes.
+ *
+ * @module oidc
+ * @requires crypto
+ * @requires sequelize
+ * @requires jsonwebtoken
+ * @requires ../models
+ * @requires ../config/oidc.config
+ * @requires ./keyStore
+ * @requires ./userTokens
+ * @requires ./userIdentity
+ * @requires ./duration
+ *
+ * @example
+ * const oidc = require('./path/to/oidc');
+ * const code = await oidc.issueAuthorizationCode({ client, userId: user.id, redirectUri, scopes: ['openid'], codeChallenge });
+ * const { accessToken, idToken } = await oidc.issueTokens(user, { client, scopes: ['openid'] });
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const jwt = require('jsonwebtoken');
+const db = require('../models');
+const oidc_config = require('../config/oidc.config');
+const keyStore = require('./keyStore');
+const { hashToken } = require('./userTokens');
+const { toUserData } = require('./userIdentity');
+const { toMilliseconds } = require('./duration');
+
+/**
+ * The scopes applications can request, and the claims each releases (see `oidc.config.js`). The `sub` claim, the ID of
+ * the user, is always released.
+ */
+const { scopes: SCOPES, claims: CLAIMS } = oidc_config;
+
+/**
+ * The prefix of the client IDs of applications, which tells them apart from the client IDs of service accounts.
+ *
+ * @constant {string}
+ */
+const CLIENT_ID_PREFIX = 'app_';
+
+/**
+ * Splits a space-separated scope parameter into its scopes, without duplicates.
+ *
+ * @function
+ * @param {string} [scope] - The scope parameter.
+ * @returns {string[]} The scopes.
+ */
+const parseScopes = (scope) => [...new Set(String(scope || '').split(' ').filter(Boolean))];
+
+/**
+ * Generates the credentials of an application.
+ *
+ * @function
+ * @param {Object} [options] - The options.
+ * @param {boolean} [options.confidential=true] - Whether the application can keep a secret. Public clients get no secret.
+ * @returns {{clientId: string, clientSecret: string|null, clientSecretHash: string|null}} The client ID, the secret, which is
+ *   not stored and cannot be retrieved again, and the hash of the secret to store.
+ */
+const generateClientCredentials = ({ confidential = true } = {}) => {
+    const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null;
+    return {
+        clientId: `${CLIENT_ID_PREFIX}${crypto.randomBytes(12).toString('hex')}`,
+        clientSecret,
+        clientSecretHash: clientSecret ? hashToken(clientSecret) : null
+    };
+};
+
+/**
+ * Finds the application a client ID belongs to and checks its secret. Confidential clients must present their secret;
+ * public clients must not present one.
+ *
+ * @function
+ * @param {string} clientId - The client ID.
+ * @param {string} [clientSecret] - The client secret.
+ * @returns {Promise<Object|null>} The `OAuthClient` instance, or `null` if the credentials are invalid.
+ */
+const authenticateClient = async (clientId, clientSecret) => {
+    if (!clientId) {
+        return null;
+    }
+
+    const client = await db.oauth_client.findOne({ where: { clientId } });
+    if (!client) {
+        return null;
+    }
+    if (!client.clientSecretHash) {
+        return clientSecret ? null : client;
+    }
+    if (!clientSecret) {
+        return null;
+    }
+
+    // Compare the hashes in constant time, so the secret cannot be guessed from response times
+    const expected = Buffer.from(client.clientSecretHash, 'hex');
+    const actual = Buffer.from(hashToken(clientSecret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? client : null;
+};
+
+/**
+ * Returns the attributes of an application that are safe to expose, excluding the hash of its secret.
+ *
+ * @function
+ * @param {Object} client - The `OAuthClient` instance.
+ * @returns {Object} The application data.
+ */
+const toClientData = (client) => ({
+    id: client.id,
+    clientId: client.clientId,
+    name: client.name,
+    confidential: Boolean(client.clientSecretHash),
+    redirectUris: client.redirectUris,
+    scopes: client.scopes,
+    createdAt: client.createdAt,
+    updatedAt: client.updatedAt
+});
+
+/**
+ * Checks a PKCE code verifier against the code challenge of the authorization request, with the `S256` method:
+ * the challenge must be the base64url encoded SHA-256 hash of the verifier.
+ *
+ * @function
+ * @param {string} codeVerifier - The code verifier sent by the application with the code.
+ * @param {string} codeChallenge - The code challenge of the authorization request.
+ * @returns {boolean} Whether the verifier matches the challenge.
+ */
+const verifyCodeChallenge = (codeVerifier, codeChallenge) => {
+    if (typeof codeVerifier !== 'string' || typeof codeChallenge !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(codeChallenge);
+    const actual = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Looks up the consent a user gave an application.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {Object} client - The `OAuthClient` instance.
+ * @returns {Promise<Object|null>} The `OAuthConsent` instance, or `null` if the user never consented.
+ */
+const findConsent = (userId, client) => db.oauth_consent.findOne({ where: { userId, oauthClientId: client.id } });
+
+/**
+ * Records that a user allowed an application to access scopes, in addition to the scopes they allowed before.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {Object} client - The `OAuthClient` instance.
+ * @param {string[]} scopes - The scopes allowed.
+ * @returns {Promise<Object>} The `OAuthConsent` instance.
+ */
+const grantConsent = async (userId, client, scopes) => {
+    const consent = await findConsent(userId, client);
+    if (!consent) {
+        return db.oauth_consent.create({ userId, oauthClientId: client.id, scopes });
+    }
+
+    consent.scopes = [...new Set([...consent.scopes, ...scopes])];
+    await consent.save();
+    return consent;
+};
+
+/**
+ * Issues an authorization code answering an authorization request the user approved.
+ *
+ * @function
+ * @param {Object} request - The approved request.
+ * @param {Object} request.client - The `OAuthClient` instance of the application.
+ * @param {number} request.userId - The ID of the user.
+ * @param {string} request.redirectUri - The redirect URI of the request.
+ * @param {string[]} request.scopes - The scopes granted.
+ * @param {string} request.codeChallenge - The PKCE code challenge of the request.
+ * @param {string} [request.nonce] - The nonce of the request, copied to the ID token.
+ * @param {Date} [request.authenticatedAt] - When the user logged in, copied to the ID token.
+ * @returns {Promise<string>} The code, which is not stored and cannot be retrieved again.
+ */
+const issueAuthorizationCode = async ({ client, userId, redirectUri, scopes, codeChallenge, nonce = null, authenticatedAt = null }) => {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await db.oauth_authorization_code.create({
+        codeHash: hashToken(code),
+        oauthClientId: client.id,
+        userId,
+        redirectUri,
+        scopes,
+        codeChallenge,
+        nonce,
+        authenticatedAt,
+        expiresAt: new Date(Date.now() + toMilliseconds(oidc_config.codeExpiresIn))
+    });
+    return code;
+};
+
+/**
+ * Marks an authorization code as exchanged if it was issued to the application, has not been exchanged and has not expired.
+ * The caller must then check the redirect URI and the code verifier.
+ *
+ * @function
+ * @param {string} code - The authorization code.
+ * @param {Object} client - The `OAuthClient` instance of the application exchanging the code.
+ * @returns {Promise<Object|null>} The `OAuthAuthorizationCode` record, or `null` if the code is not valid.
+ */
+const consumeAuthorizationCode = async (code, client) => {
+    if (!code) {
+        return null;
+    }
+
+    const now = new Date();
+    const [updated, records] = await db.oauth_authorization_code.update({ usedAt: now }, {
+        where: { codeHash: hashToken(code), oauthClientId: client.id, usedAt: null, expiresAt: { [Op.gt]: now } },
+        returning: true
+    });
+    return updated > 0 ? records[0] : null;
+};
+
+/**
+ * Returns the claims about a user released by a list of scopes, from the same data as `GET /user`.
+ * Claims the user has no value for are left out.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {string[]} scopes - The granted scopes.
+ * @returns {Object} The claims.
+ */
+const toClaims = (user, scopes) => {
+    const data = toUserData(user);
+    const values = {
+        sub: String(data.id),
+        name: data.name,
+        preferred_username: data.username,
+        updated_at: data.updatedAt ? Math.floor(new Date(data.updatedAt).getTime() / 1000) : null,
+        email: data.email,
+        email_verified: Boolean(data.emailVerified),
+        phone_number: data.phoneNumber
+    };
+
+    const claims = {};
+    for (const claim of scopes.flatMap((scope) => CLAIMS[scope] || [])) {
+        if (values[claim] !== null && values[claim] !== undefined) {
+            claims[claim] = values[claim];
+        }
+    }
+    return claims;
+};
+
+/**
+ * Signs the access token and the ID token issued to an application for an authorization code, and records the access token
+ * in the `Session` model, in a token family of its own. The ID token carries the claims of the granted scopes, the nonce of
+ * the request and the hash of the access token (`at_hash`).
+ *
+ * @function
+ * @param {Object} user - The user the tokens are issued for (requires `id` and `username`).
+ * @param {Object} grant - What the code granted.
+ * @param {Object} grant.client - The `OAuthClient` instance of the application.
+ * @param {string[]} grant.scopes - The granted scopes.
+ * @param {string} [grant.nonce] - The nonce of the authorization request.
+ * @param {Date} [grant.authenticatedAt] - When the user logged in.
+ * @param {string} [grant.ipAddress] - The IP address of the application.
+ * @param {string} [grant.userAgent] - The user agent of the application.
+ * @returns {Promise<{accessToken: string, idToken: string, expiresAt: Date}>} The signed tokens and when the access token expires.
+ */
+const issueTokens = async (user, { client, scopes, nonce = null, authenticatedAt = null, ipAddress = null, userAgent = null }) => {
+    const { kid, algorithm, privateKey } = await keyStore.getSigningKey();
+
+    const accessToken = jwt.sign(
+        { id: user.id, username: user.username, type: 'oauth', client_id: client.clientId, scope: scopes.join(' ') },
+        privateKey,
+        { algorithm, keyid: kid, expiresIn: oidc_config.accessTokenExpiresIn, issuer: oidc_config.issuer, jwtid: crypto.randomUUID() }
+    );
+
+    // The at_hash claim is the left half of the SHA-256 hash of the access token, binding the two tokens together
+    const accessTokenHash = crypto.createHash('sha256').update(accessToken).digest();
+    const idToken = jwt.sign(
+        {
+            ...toClaims(user, scopes),
+            at_hash: accessTokenHash.subarray(0, accessTokenHash.length / 2).toString('base64url'),
+            ...(nonce ? { nonce } : {}),
+            ...(authenticatedAt ? { auth_time: Math.floor(new Date(authenticatedAt).getTime() / 1000) } : {})
+        },
+        privateKey,
+        { algorithm, keyid: kid, expiresIn: oidc_config.idTokenExpiresIn, issuer: oidc_config.issuer, audience: client.clientId }
+    );
+
+    const now = new Date();
+    const expiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+    await db.session.create({
+        token: accessToken, flag: false, type: 'access', expiresAt,
+        familyId: crypto.randomUUID(), authenticatedAt: authenticatedAt || now, lastSeenAt: now, ipAddress, userAgent, userId: user.id
+    });
+
+    return { accessToken, idToken, expiresAt };
+};
+
+/**
+ * Verifies an access token issued to an application: its signature, expiry, issuer and type, that it was not revoked, and
+ * that the user still consents to the application accessing its scopes. Revoking the consent, or deleting the application,
+ * therefore revokes the tokens issued under it, and consenting again later does not bring them back.
+ *
+ * @function
+ * @param {string} token - The access token.
+ * @returns {Promise<Object>} The decoded token payload, with the ID of the user in `id` and the granted scopes in `scope`.
+ * @throws {Error} If the token is invalid, expired, revoked or not issued to an application, or the consent was revoked.
+ */
+const verifyAccessToken = async (token) => {
+    const { header } = jwt.decode(token, { complete: true }) || {};
+    const publicKey = await keyStore.getVerificationKey(header?.kid);
+
+    const decoded = jwt.verify(token, publicKey, { algorithms: ['RS256'], issuer: oidc_config.issuer });
+    if (decoded.type !== 'oauth') {
+        throw new Error('Token was not issued to an application');
+    }
+
+    const session = await db.session.findOne({ where: { token } });
+    if (!session || session.flag) {
+        throw new Error('Token is revoked');
+    }
+
+    const consent = await db.oauth_consent.findOne({
+        where: { userId: decoded.id },
+        include: [{ model: db.oauth_client, as: 'client', where: { clientId: decoded.client_id } }]
+    });
+    const consentedAt = consent && Math.floor(new Date(consent.createdAt).getTime() / 1000);
+    if (!consent || consentedAt > decoded.iat || !parseScopes(decoded.scope).every((scope) => consent.scopes.includes(scope))) {
+        throw new Error('Consent was revoked');
+    }
+    return decoded;
+};
+
+/**
+ * Removes the authorization codes that have expired or been exchanged.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The number of codes removed.
+ */
+const purgeExpiredCodes = (now = new Date()) => db.oauth_authorization_code.destroy({
+    where: { [Op.or]: [{ expiresAt: { [Op.lte]: now } }, { usedAt: { [Op.ne]: null } }] }
+});
+
+module.exports = {
+    SCOPES,
+    CLAIMS,
+    parseScopes,
+    generateClientCredentials,
+    authenticateClient,
+    toClientData,
+    verifyCodeChallenge,
+    findConsent,
+    grantConsent,
+    issueAuthorizationCode,
+    consumeAuthorizationCode,
+    toClaims,
+    issueTokens,
+    verifyAccessToken,
+    purgeExpiredCodes
+};
@@ -0,0 +1,196 @@
+/**
+ * @file passkeys.js
+ * @description This file contains the logic for passkeys, WebAuthn credentials with which users log in without a password
+ * (see `utils/webauthn.js` for the protocol checks).
+ *
+ * Both ceremonies start with a challenge issued by the server and end with the browser's response, signed by the
+ * authenticator over that challenge. Challenges are single-use tokens (see `utils/userTokens.js`): the registration
+ * challenge is issued to the user registering a passkey, and issuing another replaces it; login challenges are not tied
+ * to a user, since passkeys are discoverable credentials and the user is identified by the passkey they pick.
+ * Passkeys must verify the user (with a PIN or biometrics), so logging in with one proves both possession and the user,
+ * and the TOTP second factor is not asked for.
+ *
+ * The database holds the public key of each passkey and its signature counter. An authenticator that reports a counter
+ * that did not increase may have been cloned, so its assertion is refused; authenticators that do not count report `0`.
+ *
+ * The service provides:
+ * - `toPasskeyData`: Returns the attributes of a passkey that are safe to expose.
+ * - `toUserHandle`: Returns the WebAuthn user handle of a user.
+ * - `createRegistrationOptions`: Starts the registration of a passkey for a user.
+ * - `registerPasskey`: Completes the registration of a passkey from the browser's response.
+ * - `createAuthenticationOptions`: Starts a login with a passkey.
+ * - `authenticatePasskey`: Completes a login with a passkey and returns the passkey that was used.
+ *
+ * @module passkeys
+ * @requires ../models
+ * @requires ../config/webauthn.config
+ * @requires ./webauthn
+ * @requires ./userTokens
+ * @requires ./duration
+ *
+ * @example
+ * const passkeys = require('./path/to/passkeys');
+ * const options = await passkeys.createAuthenticationOptions();
+ * const passkey = await passkeys.authenticatePasskey(req.body.credential);
+ */
+
+const db = require('../models');
+const webauthn_config = require('../config/webauthn.config');
+const webauthn = require('./webauthn');
+const userTokens = require('./userTokens');
+const { toMilliseconds } = require('./duration');
+
+/**
+ * Returns the attributes of a passkey that are safe to expose, excluding its credential ID and public key.
+ *
+ * @function
+ * @param {Object} passkey - The `Passkey` instance.
+ * @returns {Object} The passkey data.
+ */
+const toPasskeyData = (passkey) => ({
+    id: passkey.id,
+    name: passkey.name,
+    transports: passkey.transports,
+    lastUsedAt: passkey.lastUsedAt,
+    createdAt: passkey.createdAt
+});
+
+/**
+ * Returns the WebAuthn user handle of a user, the opaque ID authenticators store with a passkey and return when it is used.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @returns {string} The base64url encoded user handle.
+ */
+const toUserHandle = (userId) => Buffer.from(String(userId)).toString('base64url');
+
+/**
+ * Starts the registration of a passkey: issues a registration challenge to the user and returns the options to pass to
+ * `navigator.credentials.create()`, with binary values base64url encoded. The user's passkeys are excluded, so an
+ * authenticator is not registered twice.
+ *
+ * @function
+ * @param {Object} user - The `User` instance registering a passkey.
+ * @returns {Promise<Object>} The public key credential creation options.
+ */
+const createRegistrationOptions = async (user) => {
+    const passkeys = await db.passkey.findAll({ where: { userId: user.id } });
+    const challenge = await userTokens.issueToken(userTokens.PURPOSES.PASSKEY_REGISTRATION, {
+        userId: user.id, expiresIn: webauthn_config.challengeExpiresIn
+    });
+
+    return {
+        challenge,
+        rp: { id: webauthn_config.rpId, name: webauthn_config.rpName },
+        user: { id: toUserHandle(user.id), name: user.username, displayName: user.name || user.username },
+        pubKeyCredParams: webauthn.ALGORITHMS.map((alg) => ({ type: 'public-key', alg })),
+        timeout: toMilliseconds(webauthn_config.challengeExpiresIn),
+        attestation: 'none',
+        authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' },
+        excludeCredentials: passkeys.map((passkey) => ({ type: 'public-key', id: passkey.credentialId, transports: passkey.transports }))
+    };
+};
+
+/**
+ * Completes the registration of a passkey from the credential returned by `navigator.credentials.create()`.
+ * The client data must carry the registration challenge issued to the user, which is consumed, and the attestation must
+ * be for this relying party with the user verified.
+ *
+ * @function
+ * @param {number} userId - The ID of the user registering the passkey.
+ * @param {Object} credential - The credential, with `id` and a `response` holding base64url encoded `clientDataJSON` and `attestationObject`, and optionally `transports`.
+ * @param {string} name - The name of the passkey.
+ * @returns {Promise<{passkey: Object|null, conflict: boolean}>} The `Passkey` instance, or `null` if the response is not valid;
+ *   `conflict` is `true` if the credential is already registered.
+ */
+const registerPasskey = async (userId, credential, name) => {
+    const clientData = webauthn.readClientData(credential.response.clientDataJSON, { type: 'webauthn.create', origins: webauthn_config.origins });
+    const challenge = clientData && await userTokens.consumeToken(userTokens.PURPOSES.PASSKEY_REGISTRATION, clientData.challenge);
+    if (!challenge || challenge.userId !== userId) {
+        return { passkey: null, conflict: false };
+    }
+
+    const verified = webauthn.verifyAttestation(credential.response.attestationObject, { rpId: webauthn_config.rpId, requireUserVerification: true });
+    if (!verified || verified.credentialId !== credential.id) {
+        return { passkey: null, conflict: false };
+    }
+    if (await db.passkey.findOne({ where: { credentialId: verified.credentialId } })) {
+        return { passkey: null, conflict: true };
+    }
+
+    const passkey = await db.passkey.create({
+        userId,
+        name,
+        credentialId: verified.credentialId,
+        publicKey: verified.publicKey,
+        algorithm: verified.algorithm,
+        signCount: verified.signCount,
+        transports: Array.isArray(credential.response.transports) ? credential.response.transports : []
+    });
+    return { passkey, conflict: false };
+};
+
+/**
+ * Starts a login with a passkey: issues a login challenge and returns the options to pass to `navigator.credentials.get()`.
+ * No credentials are listed, so the browser offers the passkeys it has for this relying party.
+ *
+ * @function
+ * @returns {Promise<Object>} The public key credential request options.
+ */
+const createAuthenticationOptions = async () => {
+    const challenge = await userTokens.issueToken(userTokens.PURPOSES.PASSKEY_LOGIN, {
+        expiresIn: webauthn_config.challengeExpiresIn, replace: false
+    });
+
+    return {
+        challenge,
+        rpId: webauthn_config.rpId,
+        timeout: toMilliseconds(webauthn_config.challengeExpiresIn),
+        userVerification: 'required',
+        allowCredentials: []
+    };
+};
+
+/**
+ * Completes a login with a passkey from the credential returned by `navigator.credentials.get()`.
+ * The client data must carry a login challenge, which is consumed, the credential must be registered, the user handle
+ * (if returned) must be that of its user, and the signature must be valid with the user verified. The signature counter
+ * must have increased, unless the authenticator does not count. The counter and when the passkey was used are then recorded.
+ *
+ * @function
+ * @param {Object} credential - The credential, with `id` and a `response` holding base64url encoded `clientDataJSON`,
+ *   `authenticatorData`, `signature` and optionally `userHandle`.
+ * @returns {Promise<Object|null>} The `Passkey` instance that was used, or `null` if the login is not valid.
+ */
+const authenticatePasskey = async (credential) => {
+    const { response } = credential;
+    const clientData = webauthn.readClientData(response.clientDataJSON, { type: 'webauthn.get', origins: webauthn_config.origins });
+    if (!clientData || !await userTokens.consumeToken(userTokens.PURPOSES.PASSKEY_LOGIN, clientData.challenge)) {
+        return null;
+    }
+
+    const passkey = await db.passkey.findOne({ where: { credentialId: credential.id } });
+    if (!passkey || (response.userHandle && response.userHandle !== toUserHandle(passkey.userId))) {
+        return null;
+    }
+
+    const verified = webauthn.verifyAssertion(response, passkey, { rpId: webauthn_config.rpId, requireUserVerification: true });
+    const storedCount = Number(passkey.signCount);
+    if (!verified || ((verified.signCount > 0 || storedCount > 0) && verified.signCount <= storedCount)) {
+        return null;
+    }
+
+    passkey.signCount = verified.signCount;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
+    return passkey;
+};
+
+module.exports = {
+    toPasskeyData,
+    toUserHandle,
+    createRegistrationOptions,
+    registerPasskey,
+    createAuthenticationOptions,
+    authenticatePasskey
+};
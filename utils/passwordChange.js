@@ -0,0 +1,63 @@
+/**
+ * @file passwordChange.js
+ * @description This file contains what happens after a user's password has been changed or reset, so that both
+ * flows secure the account the same way.
+ *
+ * A stolen access or refresh token would otherwise stay valid until it expires, so every session of the account is
+ * revoked, except, when the user changed their password while logged in, optionally the session making the request.
+ * Outstanding password reset, email change and login links are invalidated. The event is recorded in the audit log, and the
+ * user is notified by email with a link choosing a new password, valid for `secureAccountExpiresIn`, in case the change
+ * was not made by them.
+ *
+ * @module password.change
+ * @requires ../config/config
+ * @requires ../config/token.config
+ * @requires ./tokenService
+ * @requires ./userTokens
+ * @requires ./auditLog
+ * @requires ./emailService
+ *
+ * @example
+ * const { completePasswordChange } = require('./path/to/passwordChange');
+ * await completePasswordChange(user, { event: 'password.changed', keepFamilyId: req.user.sessionId, ipAddress: req.ip });
+ */
+
+const config = require('../config/config');
+const token_config = require('../config/token.config');
+const tokenService = require('./tokenService');
+const userTokens = require('./userTokens');
+const auditLog = require('./auditLog');
+const sendVerificationEmail = require('./emailService');
+
+/**
+ * Secures an account after its password was changed or reset: revokes its sessions and outstanding links,
+ * records the event in the audit log and notifies the user by email. The new password must already be saved.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {Object} options - What happened.
+ * @param {string} options.event - The audit event, `password.changed` or `password.reset`.
+ * @param {string} [options.keepFamilyId] - The session to keep signed in, i.e. the one that changed the password.
+ * @param {string} [options.ipAddress] - The IP address the change was made from.
+ * @returns {Promise<void>}
+ */
+const completePasswordChange = async (user, { event, keepFamilyId, ipAddress = null }) => {
+    await tokenService.revokeUserSessions(user.id, keepFamilyId);
+    await userTokens.revokeTokens(user.id, userTokens.REVOKED_ON_PASSWORD_CHANGE);
+    await auditLog.record(user.id, event, { ipAddress, keptCurrentSession: Boolean(keepFamilyId) });
+
+    const resetToken = await userTokens.issueToken(userTokens.PURPOSES.RESET_PASSWORD, {
+        userId: user.id, email: user.email, expiresIn: token_config.secureAccountExpiresIn
+    });
+    await sendVerificationEmail.sendNotification(
+        user.email,
+        'Your Password Was Changed',
+        `The password of your account was changed on ${new Date().toISOString()}${ipAddress ? ` from ${ipAddress}` : ''}, `
+        + `and ${keepFamilyId ? 'your other sessions were' : 'every session was'} signed out. `
+        + `If this was not you, use the following link to choose a new password and sign out every session: ${config.baseUrl}/reset-password/${resetToken}`
+    );
+};
+
+module.exports = {
+    completePasswordChange
+};
@@ -0,0 +1,135 @@
+/**
+ * @file passwordHistory.js
+ * @description This file contains the logic for refusing recently used passwords and expiring old ones,
+ * configured in `password.config.js`.
+ *
+ * When a user changes or resets their password, the hash of the password being replaced is kept in the `PasswordHistory`
+ * model, and only the most recent hashes are kept. A new password is refused if it matches the current password or one
+ * of these previous ones, `historyCount` passwords in all.
+ *
+ * When `maxAgeDays` is set, a password expires that many days after it was last changed (or after the account was
+ * created, if it never was). Users with an expired password can still log in, but their tokens only permit changing
+ * the password until they do (see `middlewares/verifyToken.js`).
+ *
+ * The service provides:
+ * - `isReused`: Checks whether a password is one of the user's recent passwords.
+ * - `reuseFailure`: Describes the refusal of a recently used password, like the failed rules of the password policy.
+ * - `recordPasswordChange`: Replaces the user's password, keeping the previous one in the history.
+ * - `isExpired`: Checks whether the user's password has expired.
+ *
+ * @module password.history
+ * @requires bcrypt
+ * @requires ../config/password.config
+ * @requires ../models
+ *
+ * @example
+ * const passwordHistory = require('./path/to/passwordHistory');
+ * if (!await passwordHistory.isReused(user, newPassword)) {
+ *     await passwordHistory.recordPasswordChange(user, await bcrypt.hash(newPassword, 10));
+ *     await user.save();
+ * }
+ */
+
+const bcrypt = require('bcrypt');
+const password_config = require('../config/password.config');
+const db = require('../models');
+
+/**
+ * The length of a day in milliseconds.
+ *
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The order of a user's previous passwords, most recent first.
+ *
+ * @constant {Array[]}
+ */
+const MOST_RECENT_FIRST = [['createdAt', 'DESC'], ['id', 'DESC']];
+
+/**
+ * Checks whether a password is the user's current password or one of their previous passwords kept in the history.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {string} password - The new password, in plain text.
+ * @returns {Promise<boolean>} `true` if the password was used recently and must be refused.
+ */
+const isReused = async (user, password) => {
+    if (password_config.historyCount <= 0) {
+        return false;
+    }
+
+    const previous = password_config.historyCount > 1
+        ? await db.password_history.findAll({ where: { userId: user.id }, order: MOST_RECENT_FIRST, limit: password_config.historyCount - 1 })
+        : [];
+    for (const hash of [user.password, ...previous.map((entry) => entry.passwordHash)]) {
+        if (hash && await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Describes the refusal of a recently used password, like a failed rule of the password policy (see `passwordPolicy.checkPassword`).
+ *
+ * @function
+ * @returns {Object} The `rule` name and `message`.
+ */
+const reuseFailure = () => ({
+    rule: 'history',
+    message: password_config.historyCount > 1
+        ? `Password must not be one of your last ${password_config.historyCount} passwords`
+        : 'Password must not be your current password'
+});
+
+/**
+ * Replaces the user's password with a new hash and records when it changed. The previous hash is added to the history,
+ * and the history is trimmed to the number of passwords that cannot be reused. The user must be saved by the caller.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {string} hashedPassword - The bcrypt hash of the new password.
+ * @returns {Promise<void>}
+ */
+const recordPasswordChange = async (user, hashedPassword) => {
+    const kept = Math.max(password_config.historyCount - 1, 0);
+    if (kept > 0 && user.password) {
+        await db.password_history.create({ userId: user.id, passwordHash: user.password });
+    }
+
+    const stale = await db.password_history.findAll({ where: { userId: user.id }, order: MOST_RECENT_FIRST, offset: kept, attributes: ['id'] });
+    if (stale.length > 0) {
+        await db.password_history.destroy({ where: { id: stale.map((entry) => entry.id) } });
+    }
+
+    user.password = hashedPassword;
+    user.passwordChangedAt = new Date();
+};
+
+/**
+ * Checks whether the user's password has expired.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} `true` if password expiry is enabled and the password is older than `maxAgeDays`. Service accounts,
+ * which have no password, never have an expired password.
+ */
+const isExpired = (user, now = new Date()) => {
+    if (password_config.maxAgeDays <= 0 || user.accountType === 'service') {
+        return false;
+    }
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && new Date(changedAt).getTime() + password_config.maxAgeDays * DAY_MS <= now.getTime();
+};
+
+module.exports = {
+    isReused,
+    reuseFailure,
+    recordPasswordChange,
+    isExpired
+};
@@ -0,0 +1,142 @@
+/**
+ * @file passwordPolicy.js
+ * @description This file contains the password policy applied when users sign up, reset their password or change it,
+ * configured in `password.config.js`.
+ *
+ * A password is checked against every rule of the policy, and every rule it fails is reported, so users can fix their
+ * password in one go rather than one rule at a time. The rules are:
+ * - `minLength` / `maxLength`: The length limits. The maximum is counted in bytes, since bcrypt ignores what follows the 72nd byte.
+ * - `lowercase`, `uppercase`, `digit`, `symbol`: The character classes the password must contain, when required.
+ * - `personalInfo`: The password may not contain the username or the name of the email address (the part before `@`).
+ * - `common`: The password may not be one of the bundled common passwords (see `commonPasswords.js`), ignoring case.
+ *
+ * The policy provides:
+ * - `describePolicy`: Describes the rules in force, for clients to display them.
+ * - `checkPassword`: Lists the rules a password fails.
+ * - `toValidationErrors`: Formats failed rules like the errors of `express-validator`.
+ *
+ * @module password.policy
+ * @requires ../config/password.config
+ * @requires ./commonPasswords
+ *
+ * @example
+ * const { checkPassword } = require('./path/to/passwordPolicy');
+ * const failures = checkPassword('Secret123', { username: 'jdoe', email: 'jdoe@example.com' });
+ */
+
+const password_config = require('../config/password.config');
+const commonPasswords = new Set(require('./commonPasswords'));
+
+/**
+ * The shortest username or email name refused as part of a password; shorter ones match too many passwords by chance.
+ *
+ * @constant {number}
+ */
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+/**
+ * Lists the personal information a password may not contain: the username and the name of the email address, in lowercase.
+ *
+ * @function
+ * @param {Object} [identity] - The user the password is for.
+ * @param {string} [identity.username] - The username.
+ * @param {string} [identity.email] - The email address.
+ * @returns {string[]} The lowercase values.
+ */
+const personalInfo = ({ username, email } = {}) => [username, typeof email === 'string' ? email.split('@')[0] : null]
+    .filter((value) => typeof value === 'string' && value.trim().length >= MIN_PERSONAL_INFO_LENGTH)
+    .map((value) => value.trim().toLowerCase());
+
+/**
+ * Builds the rules in force from the configuration. Each rule has a `name`, the `message` reported when a password
+ * fails it, and a `test` returning whether a password passes it.
+ *
+ * @function
+ * @returns {Object[]} The rules.
+ */
+const rules = () => [
+    {
+        name: 'minLength',
+        message: `Password must be at least ${password_config.minLength} characters long`,
+        test: (password) => password.length >= password_config.minLength
+    },
+    {
+        name: 'maxLength',
+        message: `Password must be at most ${password_config.maxLength} bytes long`,
+        test: (password) => Buffer.byteLength(password) <= password_config.maxLength
+    },
+    password_config.requireLowercase && {
+        name: 'lowercase',
+        message: 'Password must contain a lowercase letter',
+        test: (password) => /\p{Ll}/u.test(password)
+    },
+    password_config.requireUppercase && {
+        name: 'uppercase',
+        message: 'Password must contain an uppercase letter',
+        test: (password) => /\p{Lu}/u.test(password)
+    },
+    password_config.requireDigit && {
+        name: 'digit',
+        message: 'Password must contain a digit',
+        test: (password) => /\p{Nd}/u.test(password)
+    },
+    password_config.requireSymbol && {
+        name: 'symbol',
+        message: 'Password must contain a symbol',
+        test: (password) => /[^\p{L}\p{Nd}]/u.test(password)
+    },
+    password_config.disallowPersonalInfo && {
+        name: 'personalInfo',
+        message: 'Password must not contain your username or email address',
+        test: (password, identity) => !personalInfo(identity).some((value) => password.toLowerCase().includes(value))
+    },
+    password_config.disallowCommon && {
+        name: 'common',
+        message: 'Password is too common',
+        test: (password) => !commonPasswords.has(password.toLowerCase())
+    }
+].filter(Boolean);
+
+/**
+ * Describes the rules in force, for clients to display them.
+ *
+ * @function
+ * @returns {Object[]} The `name` and `message` of each rule.
+ */
+const describePolicy = () => rules().map(({ name, message }) => ({ name, message }));
+
+/**
+ * Lists the rules a password fails.
+ *
+ * @function
+ * @param {string} password - The password.
+ * @param {Object} [identity] - The user the password is for, to refuse passwords containing their personal information.
+ * @param {string} [identity.username] - The username.
+ * @param {string} [identity.email] - The email address.
+ * @returns {Object[]} The `rule` name and `message` of each failed rule; empty if the password complies with the policy.
+ */
+const checkPassword = (password, identity = {}) => {
+    const value = typeof password === 'string' ? password : '';
+    return rules()
+        .filter((rule) => !rule.test(value, identity))
+        .map(({ name, message }) => ({ rule: name, message }));
+};
+
+/**
+ * Formats failed rules like the errors reported by `express-validator`, so that passwords refused by a controller
+ * are reported like passwords refused by the validators.
+ *
+ * @function
+ * @param {Object[]} failures - The failed rules, from `checkPassword`.
+ * @param {string} path - The name of the password field.
+ * @returns {Object[]} The validation errors.
+ */
+const toValidationErrors = (failures, path) => failures.map(({ message }) => ({
+    type: 'field', location: 'body', path, msg: message
+}));
+
+module.exports = {
+    describePolicy,
+    checkPassword,
+    toValidationErrors
+};
@@ -0,0 +1,86 @@
+/**
+ * @file permissionService.js
+ * @description This file contains the logic resolving the permissions of users.
+ *
+ * Permissions are granted to roles (see the `Permission` and `RolePermissions` models), and a user's effective permissions
+ * are the union of the permissions granted to all of their roles. Permissions are named `<resource>:<action>`, e.g. `users:read`.
+ * Requests made with a personal access token are further limited to the token's scopes (see `utils/accessTokens.js`).
+ *
+ * The service provides:
+ * - `getEffectivePermissions`: Returns the names of the permissions granted to any of a list of roles.
+ * - `getUserPermissions`: Returns the effective permissions of an authenticated user, resolved once per request.
+ * - `hasPermission`: Tells whether an authenticated user has a permission, for checks that depend on the request body.
+ *
+ * @module permission.service
+ * @requires ../models
+ *
+ * @example
+ * const permissionService = require('./path/to/permissionService');
+ * const permissions = await permissionService.getUserPermissions(req.user);
+ * if (permissions.includes('users:read')) { ... }
+ */
+
+const db = require('../models');
+
+/**
+ * Returns the names of the permissions granted to any of the given roles.
+ *
+ * @function
+ * @param {string[]} roleNames - The names of the roles.
+ * @returns {Promise<string[]>} The permission names, sorted and without duplicates.
+ */
+const getEffectivePermissions = async (roleNames) => {
+    if (!roleNames || roleNames.length === 0) {
+        return [];
+    }
+
+    const permissions = await db.permission.findAll({
+        attributes: ['name'],
+        include: [{ model: db.role, attributes: [], where: { roleName: roleNames }, through: { attributes: [] } }]
+    });
+    return [...new Set(permissions.map((permission) => permission.name))].sort();
+};
+
+/**
+ * Tells whether the credential of a request is scoped to every given permission. Sessions opened by logging in are not
+ * scoped, so they have every scope; personal access tokens only have the scopes they were created with.
+ *
+ * @function
+ * @param {Object} user - The user attached to the request by `verifyToken` (with the token's scopes in `scopes`, if any).
+ * @param {string[]} scopes - The permission names.
+ * @returns {boolean} Whether the credential has every scope.
+ */
+const hasScopes = (user, scopes) => !user.scopes || scopes.every((scope) => user.scopes.includes(scope));
+
+/**
+ * Returns the effective permissions of an authenticated user, limited to the scopes of the personal access token the request
+ * was made with, if any. The result is kept on `user.permissions`, so that several checks in the same request query the database once.
+ *
+ * @function
+ * @param {Object} user - The user attached to the request by `verifyToken` (with the role names in `role`).
+ * @returns {Promise<string[]>} The permission names.
+ */
+const getUserPermissions = async (user) => {
+    if (!user.permissions) {
+        const permissions = await getEffectivePermissions(user.role);
+        user.permissions = permissions.filter((permission) => hasScopes(user, [permission]));
+    }
+    return user.permissions;
+};
+
+/**
+ * Tells whether an authenticated user has a permission, limited like `getUserPermissions` to the scopes of a personal access token.
+ * For checks `requirePermission` cannot make on the route, because they depend on what the request asks for.
+ *
+ * @function
+ * @param {Object} user - The user attached to the request by `verifyToken`.
+ * @param {string} permission - The permission name.
+ * @returns {Promise<boolean>} Whether the user has the permission.
+ */
+const hasPermission = async (user, permission) => (await getUserPermissions(user)).includes(permission);
+
+module.exports = {
+    getEffectivePermissions,
+    getUserPermissions,
+    hasPermission
+};
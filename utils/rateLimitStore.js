@@ -0,0 +1,117 @@
+/**
+ * @file rateLimitStore.js
+ * @description This file contains the stores used by the `rateLimit` middleware to count requests.
+ *
+ * Counters use fixed windows: the first request for a key opens a window of `windowMs` milliseconds, every request in
+ * that window increments the counter, and the counter starts over once the window has ended.
+ *
+ * A store is any object implementing:
+ * - `increment(key, windowMs)`: Counts a request and resolves to `{ count, resetAt }`, the number of requests in the current
+ *   window (including this one) and the `Date` at which the window ends.
+ * - `reset(key)`: Forgets the counter of a key.
+ *
+ * Two stores are provided:
+ * - `createMemoryStore`: Keeps counters in process memory. Suitable for a single instance.
+ * - `createSequelizeStore`: Keeps counters in the `RateLimit` model, so that limits are shared between instances. Counters whose
+ *   window has ended are removed by `purgeExpiredCounters`, which the token cleanup job runs.
+ *
+ * @module rate.limit.store
+ * @requires ../models
+ *
+ * @example
+ * const { createMemoryStore } = require('./path/to/rateLimitStore');
+ * const store = createMemoryStore();
+ * const { count, resetAt } = await store.increment('login:ip:127.0.0.1', 60000);
+ */
+
+const db = require('../models');
+
+/**
+ * Creates a store keeping counters in process memory. Expired counters are swept periodically.
+ *
+ * @function
+ * @param {Object} [options] - The store options.
+ * @param {number} [options.sweepIntervalMs=60000] - How often expired counters are removed.
+ * @returns {Object} The store.
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const counters = new Map();
+
+    // The sweep must not keep the process alive
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+};
+
+/**
+ * Creates a store keeping counters in the database, shared by every instance of the application. Each request is counted
+ * by a single upsert, so concurrent requests, including the first requests for a key, are all counted.
+ *
+ * @function
+ * @param {Object} [model=db.rate_limit] - The Sequelize model holding the counters.
+ * @returns {Object} The store.
+ */
+const createSequelizeStore = (model = db.rate_limit) => ({
+    async increment(key, windowMs) {
+        const now = new Date();
+        const resetAt = new Date(now.getTime() + windowMs);
+
+        // Counters whose window has ended start over
+        const [counter] = await model.sequelize.query(
+            `INSERT INTO "RateLimits" ("key", "count", "resetAt", "createdAt", "updatedAt")
+            VALUES (:key, 1, :resetAt, :now, :now)
+            ON CONFLICT ("key") DO UPDATE SET
+                "count" = CASE WHEN "RateLimits"."resetAt" > :now THEN "RateLimits"."count" + 1 ELSE 1 END,
+                "resetAt" = CASE WHEN "RateLimits"."resetAt" > :now THEN "RateLimits"."resetAt" ELSE :resetAt END,
+                "updatedAt" = :now
+            RETURNING "count", "resetAt"`,
+            { replacements: { key, now, resetAt }, type: db.Sequelize.QueryTypes.SELECT }
+        );
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+        await model.destroy({ where: { key } });
+    }
+});
+
+/**
+ * Removes the database counters whose window has ended, which would otherwise be kept for every client ever counted.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time.
+ * @param {Object} [model=db.rate_limit] - The Sequelize model holding the counters.
+ * @returns {Promise<number>} The number of counters removed.
+ */
+const purgeExpiredCounters = (now = new Date(), model = db.rate_limit) => model.destroy({
+    where: { resetAt: { [db.Sequelize.Op.lte]: now } }
+});
+
+module.exports = {
+    createMemoryStore,
+    createSequelizeStore,
+    purgeExpiredCounters
+};
@@ -0,0 +1,123 @@
+/**
+ * @file serviceAccounts.js
+ * @description This file contains the logic for service accounts, the accounts other systems use to call the API.
+ *
+ * A service account is a row of the `Users` table with the account type `service`, so it is assigned roles through the
+ * `UserRoles` table and authorized like any user. It owns no email address or password: it authenticates with a client ID
+ * and a client secret, exchanged at `POST /token` for a short-lived access token (the client credentials grant).
+ * The database holds a SHA-256 hash of the secret, so the secret is only shown when it is generated.
+ *
+ * The service provides:
+ * - `ACCOUNT_TYPES`: The types of accounts.
+ * - `isServiceAccount`: Tells service accounts apart from the accounts of people.
+ * - `generateCredentials`: Generates a client ID and secret.
+ * - `authenticateClient`: Finds the service account a client ID and secret belong to.
+ * - `toServiceAccountData`: Returns the attributes of a service account that are safe to expose.
+ *
+ * @module service.accounts
+ * @requires crypto
+ * @requires ../models
+ * @requires ./userTokens
+ *
+ * @example
+ * const serviceAccounts = require('./path/to/serviceAccounts');
+ * const { clientId, clientSecret, clientSecretHash } = serviceAccounts.generateCredentials();
+ * const account = await serviceAccounts.authenticateClient(clientId, clientSecret);
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const { hashToken } = require('./userTokens');
+
+/**
+ * The types of accounts.
+ *
+ * @constant {Object<string, string>}
+ */
+const ACCOUNT_TYPES = Object.freeze({
+    USER: 'user',
+    SERVICE: 'service'
+});
+
+/**
+ * The prefix of client IDs, which makes them recognizable in configuration files.
+ *
+ * @constant {string}
+ */
+const CLIENT_ID_PREFIX = 'svc_';
+
+/**
+ * Tells whether an account is a service account.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {boolean} Whether the account is a service account.
+ */
+const isServiceAccount = (user) => user?.accountType === ACCOUNT_TYPES.SERVICE;
+
+/**
+ * Generates the credentials of a service account.
+ *
+ * @function
+ * @returns {{clientId: string, clientSecret: string, clientSecretHash: string}} The client ID, the secret, which is not
+ * stored and cannot be retrieved again, and the hash of the secret to store.
+ */
+const generateCredentials = () => {
+    const clientSecret = crypto.randomBytes(32).toString('base64url');
+    return {
+        clientId: `${CLIENT_ID_PREFIX}${crypto.randomBytes(12).toString('hex')}`,
+        clientSecret,
+        clientSecretHash: hashToken(clientSecret)
+    };
+};
+
+/**
+ * Finds the service account a client ID belongs to and checks its secret. Deleted service accounts are not found.
+ *
+ * @function
+ * @param {string} clientId - The client ID.
+ * @param {string} clientSecret - The client secret.
+ * @returns {Promise<Object|null>} The `User` instance of the service account, or `null` if the credentials are invalid.
+ */
+const authenticateClient = async (clientId, clientSecret) => {
+    if (!clientId || !clientSecret) {
+        return null;
+    }
+
+    const account = await db.user.findOne({ where: { clientId, accountType: ACCOUNT_TYPES.SERVICE } });
+    if (!account?.clientSecretHash) {
+        return null;
+    }
+
+    // Compare the hashes in constant time, so the secret cannot be guessed from response times
+    const expected = Buffer.from(account.clientSecretHash, 'hex');
+    const actual = Buffer.from(hashToken(clientSecret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? account : null;
+};
+
+/**
+ * Returns the attributes of a service account that are safe to expose. When its roles were loaded, they are included
+ * as a list of role names.
+ *
+ * @function
+ * @param {Object} account - The `User` instance of the service account.
+ * @returns {Object} The service account data.
+ */
+const toServiceAccountData = (account) => ({
+    id: account.id,
+    username: account.username,
+    name: account.name,
+    clientId: account.clientId,
+    status: account.status,
+    ...(account.Roles ? { roles: account.Roles.map((role) => role.roleName) } : {}),
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt
+});
+
+module.exports = {
+    ACCOUNT_TYPES,
+    isServiceAccount,
+    generateCredentials,
+    authenticateClient,
+    toServiceAccountData
+};
@@ -0,0 +1,249 @@
+/**
+ * @file tokenService.js
+ * @description This file contains the logic for issuing and verifying the RS256 tokens that make up a user session.
+ *
+ * A session consists of a short-lived access token and a long-lived refresh token. Both tokens are recorded in
+ * the `Session` model and share a `familyId`, which identifies every token descended from the same login.
+ * Refresh tokens are rotated on each use; the family is what gets revoked when a rotated refresh token is replayed
+ * or when the user logs out.
+ *
+ * To the user, a token family is a session (a logged in device): its ID is the `familyId`, and every token in it records
+ * the IP address and user agent it was issued to, when the user originally logged in, and when the session was last used.
+ *
+ * The service provides:
+ * - `issueTokens`: Signs a new access/refresh token pair for a user and records both in the `Session` model.
+ * - `issueServiceToken`: Signs a short-lived access token for a service account, without a refresh token, and records it in the `Session` model.
+ * - `verifyRefreshToken`: Verifies the signature, expiry and type of a refresh token.
+ * - `revokeFamily`: Blacklists every token belonging to a token family.
+ * - `touchSession`: Records that a session was used, at most once per `LAST_SEEN_RESOLUTION_MS`.
+ * - `listSessions`: Lists the active sessions of a user.
+ * - `revokeSession`: Revokes one active session of a user.
+ * - `revokeUserSessions`: Revokes every active session of a user, optionally except one.
+ *
+ * Tokens are signed with the current key of the key store, whose `kid` is written to the token header.
+ *
+ * @module token.service
+ * @requires crypto
+ * @requires jsonwebtoken
+ * @requires ./keyStore
+ * @requires ../config/jwt.config
+ * @requires ../models
+ *
+ * @example
+ * const { issueTokens } = require('./path/to/tokenService');
+ * const { token, refreshToken } = await issueTokens(user);
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const keyStore = require('./keyStore');
+const jwt_config = require('../config/jwt.config');
+const db = require('../models');
+
+/**
+ * How stale `lastSeenAt` may get before it is updated, so that authenticated requests do not all write to the database.
+ *
+ * @constant {number}
+ */
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Reads the expiry of a signed token.
+ *
+ * @function
+ * @param {string} token - The signed token.
+ * @returns {Date|null} The expiry date, or `null` if the token has none.
+ */
+const expiryOf = (token) => {
+    const { exp } = jwt.decode(token) || {};
+    return exp ? new Date(exp * 1000) : null;
+};
+
+/**
+ * Signs an access token and a refresh token for the given user and stores both in the `Session` model.
+ *
+ * @function
+ * @param {Object} user - The user the tokens are issued for (requires `id`, `username` and `emailVerified`).
+ * @param {Object} [session] - The session to issue the tokens into.
+ * @param {string} [session.familyId] - The token family to issue into. A new family is started when omitted (i.e. on login).
+ * @param {Date} [session.authenticatedAt] - When the user logged in. Defaults to now (i.e. on login).
+ * @param {string} [session.ipAddress] - The IP address of the client the tokens are issued to.
+ * @param {string} [session.userAgent] - The user agent of the client the tokens are issued to.
+ *
+ * @returns {Promise<{token: string, refreshToken: string}>} The signed access and refresh tokens.
+ */
+const issueTokens = async (user, { familyId = crypto.randomUUID(), authenticatedAt = new Date(), ipAddress = null, userAgent = null } = {}) => {
+    const { kid, algorithm, privateKey } = await keyStore.getSigningKey();
+
+    // The jwtid keeps tokens unique even when two are signed for the same user within the same second
+    const token = jwt.sign(
+        { id: user.id, username: user.username, verified: user.emailVerified, type: 'access' },
+        privateKey,
+        { algorithm, keyid: kid, expiresIn: jwt_config.accessTokenExpiresIn, jwtid: crypto.randomUUID() }
+    );
+    const refreshToken = jwt.sign(
+        { id: user.id, type: 'refresh', family: familyId },
+        privateKey,
+        { algorithm, keyid: kid, expiresIn: jwt_config.refreshTokenExpiresIn, jwtid: crypto.randomUUID() }
+    );
+
+    const metadata = { familyId, authenticatedAt, lastSeenAt: new Date(), ipAddress, userAgent, userId: user.id };
+    await db.session.create({ token: token, flag: false, type: 'access', expiresAt: expiryOf(token), ...metadata });
+    await db.session.create({ token: refreshToken, flag: false, type: 'refresh', expiresAt: expiryOf(refreshToken), ...metadata });
+
+    return { token, refreshToken };
+};
+
+/**
+ * Signs an access token for a service account and stores it in the `Session` model, in a token family of its own.
+ * No refresh token is issued: service accounts request a new token with their client credentials when it expires.
+ *
+ * @function
+ * @param {Object} account - The service account the token is issued for (requires `id` and `username`).
+ * @param {Object} [client] - The client the token is issued to.
+ * @param {string} [client.ipAddress] - The IP address of the client.
+ * @param {string} [client.userAgent] - The user agent of the client.
+ *
+ * @returns {Promise<{token: string, expiresAt: Date}>} The signed access token and when it expires.
+ */
+const issueServiceToken = async (account, { ipAddress = null, userAgent = null } = {}) => {
+    const { kid, algorithm, privateKey } = await keyStore.getSigningKey();
+
+    const token = jwt.sign(
+        { id: account.id, username: account.username, verified: false, type: 'access' },
+        privateKey,
+        { algorithm, keyid: kid, expiresIn: jwt_config.serviceTokenExpiresIn, jwtid: crypto.randomUUID() }
+    );
+
+    const now = new Date();
+    const expiresAt = expiryOf(token);
+    await db.session.create({
+        token, flag: false, type: 'access', expiresAt,
+        familyId: crypto.randomUUID(), authenticatedAt: now, lastSeenAt: now, ipAddress, userAgent, userId: account.id
+    });
+
+    return { token, expiresAt };
+};
+
+/**
+ * Verifies a refresh token's signature and expiry and ensures it is not an access token.
+ *
+ * @function
+ * @param {string} refreshToken - The refresh token to verify.
+ *
+ * @returns {Promise<Object>} The decoded token payload.
+ *
+ * @throws {Error} If the token is invalid, expired, signed with an unknown key or not a refresh token.
+ */
+const verifyRefreshToken = async (refreshToken) => {
+    const { header } = jwt.decode(refreshToken, { complete: true }) || {};
+    const publicKey = await keyStore.getVerificationKey(header?.kid);
+
+    const decoded = jwt.verify(refreshToken, publicKey, { algorithms: ['RS256'] });
+    if (!decoded || decoded.type !== 'refresh') {
+        throw new Error('Token is not a refresh token');
+    }
+    return decoded;
+};
+
+/**
+ * Blacklists every access and refresh token belonging to a token family.
+ *
+ * @function
+ * @param {string} familyId - The token family to revoke.
+ *
+ * @returns {Promise<void>} A promise that resolves once the family is revoked.
+ */
+const revokeFamily = async (familyId) => {
+    await db.session.update({ flag: true }, { where: { familyId } });
+};
+
+/**
+ * Records that a session was used. The update is skipped while the recorded time is recent enough.
+ *
+ * @function
+ * @param {Object} session - The `Session` instance of the token that was used.
+ *
+ * @returns {Promise<void>} A promise that resolves once the session is updated.
+ */
+const touchSession = async (session) => {
+    const now = new Date();
+    if (session.lastSeenAt && now - new Date(session.lastSeenAt) < LAST_SEEN_RESOLUTION_MS) {
+        return;
+    }
+    const where = session.familyId ? { familyId: session.familyId } : { id: session.id };
+    await db.session.update({ lastSeenAt: now }, { where });
+};
+
+/**
+ * Lists the active sessions of a user, most recently used first.
+ * A session is active while its current refresh token is neither revoked, rotated nor expired.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {string} [currentFamilyId] - The session making the request, which is marked as `current`.
+ *
+ * @returns {Promise<Object[]>} The sessions, with their ID, login time, last use, IP address, user agent and expiry.
+ */
+const listSessions = async (userId, currentFamilyId) => {
+    const { Op } = db.Sequelize;
+    const refreshTokens = await db.session.findAll({
+        where: { userId, type: 'refresh', flag: false, expiresAt: { [Op.gt]: new Date() } },
+        order: [['lastSeenAt', 'DESC']]
+    });
+
+    return refreshTokens.map((session) => ({
+        id: session.familyId,
+        createdAt: session.authenticatedAt,
+        lastSeenAt: session.lastSeenAt,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        expiresAt: session.expiresAt,
+        current: session.familyId === currentFamilyId
+    }));
+};
+
+/**
+ * Revokes one active session of a user.
+ *
+ * @function
+ * @param {number} userId - The ID of the user owning the session.
+ * @param {string} familyId - The ID of the session.
+ *
+ * @returns {Promise<boolean>} Whether an active session was found and revoked.
+ */
+const revokeSession = async (userId, familyId) => {
+    const [revoked] = await db.session.update({ flag: true }, { where: { userId, familyId, flag: false } });
+    return revoked > 0;
+};
+
+/**
+ * Revokes every active session of a user.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {string} [exceptFamilyId] - A session to keep, i.e. the one making the request when logging out other devices.
+ *
+ * @returns {Promise<number>} The number of revoked tokens.
+ */
+const revokeUserSessions = async (userId, exceptFamilyId) => {
+    const { Op } = db.Sequelize;
+    const where = { userId, flag: false };
+    if (exceptFamilyId) {
+        // Tokens without a family predate token families and never match the kept session
+        where[Op.or] = [{ familyId: null }, { familyId: { [Op.ne]: exceptFamilyId } }];
+    }
+    const [revoked] = await db.session.update({ flag: true }, { where });
+    return revoked;
+};
+
+module.exports = {
+    issueTokens,
+    issueServiceToken,
+    verifyRefreshToken,
+    revokeFamily,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeUserSessions
+};
@@ -0,0 +1,189 @@
+/**
+ * @file totp.js
+ * @description This file implements time-based one-time passwords (TOTP) as defined in RFC 6238,
+ * which is the algorithm used by authenticator apps such as Google Authenticator or Authy.
+ *
+ * The module provides:
+ * - `generateSecret`: Creates a random base32 encoded shared secret.
+ * - `generate`: Computes the code for a secret at a given time.
+ * - `verify`: Checks a code against a secret, allowing for a small clock drift.
+ * - `keyUri`: Builds the `otpauth://` URI that authenticator apps import (usually via a QR code).
+ *
+ * Codes use HMAC-SHA1, 6 digits and a 30 second time step, which is what authenticator apps expect by default.
+ *
+ * @module totp
+ * @requires crypto
+ *
+ * @example
+ * const totp = require('./path/to/totp');
+ * const secret = totp.generateSecret();
+ * const step = totp.verify(secret, '123456'); // matched time step or null
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // Seconds per time step
+
+/**
+ * Encodes a buffer as an unpadded base32 string (RFC 4648).
+ *
+ * @function
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 encoded string.
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes a base32 string (RFC 4648). Padding, spaces and lowercase letters are accepted.
+ *
+ * @function
+ * @param {string} input - The base32 string to decode.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} If the string contains characters outside the base32 alphabet.
+ */
+const base32Decode = (input) => {
+    const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Computes an HOTP code (RFC 4226) for a key and counter.
+ *
+ * @function
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The moving factor (the time step for TOTP).
+ * @returns {string} The zero-padded code.
+ */
+const hotp = (key, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Returns the time step for a timestamp.
+ *
+ * @function
+ * @param {number} [time=Date.now()] - The timestamp in milliseconds.
+ * @returns {number} The time step.
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+/**
+ * Generates a random base32 encoded secret.
+ *
+ * @function
+ * @param {number} [size=20] - The number of random bytes (20 bytes matches the SHA-1 block recommendation).
+ * @returns {string} The base32 encoded secret.
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Computes the TOTP code for a secret.
+ *
+ * @function
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} [time=Date.now()] - The timestamp in milliseconds.
+ * @returns {string} The 6 digit code.
+ */
+const generate = (secret, time = Date.now()) => hotp(base32Decode(secret), timeStep(time));
+
+/**
+ * Verifies a TOTP code, accepting codes from adjacent time steps to tolerate clock drift.
+ *
+ * @function
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code entered by the user.
+ * @param {Object} [options] - Verification options.
+ * @param {number} [options.window=1] - The number of time steps accepted before and after the current one.
+ * @param {number} [options.time=Date.now()] - The timestamp in milliseconds to verify against.
+ * @param {number} [options.afterStep] - Only accept time steps later than this one (prevents replaying a used code).
+ * @returns {number|null} The matched time step, or `null` if the code is invalid.
+ */
+const verify = (secret, code, { window = 1, time = Date.now(), afterStep } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (afterStep !== undefined && afterStep !== null && step <= afterStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the `otpauth://` key URI understood by authenticator apps.
+ *
+ * @function
+ * @param {Object} options - The URI parameters.
+ * @param {string} options.secret - The base32 encoded secret.
+ * @param {string} options.label - The account label (usually the username or email).
+ * @param {string} options.issuer - The name of the service shown in the authenticator app.
+ * @returns {string} The key URI.
+ */
+const keyUri = ({ secret, label, issuer }) => {
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD) });
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generate,
+    verify,
+    keyUri
+};
@@ -0,0 +1,151 @@
+/**
+ * @file userIdentity.js
+ * @description This file contains helpers for normalizing and looking up the identifiers a user can be found by:
+ * their username and their email address, and for exposing a user's attributes without their secrets.
+ *
+ * Emails are stored trimmed and lowercased, and usernames are stored trimmed with their original casing for display.
+ * Both are compared case-insensitively, so `Bob@x.com` and `bob@x.com` (or `Bob` and `bob`) identify the same account.
+ * Usernames may not contain `@`, which keeps a login identifier unambiguous: anything containing `@` is an email.
+ *
+ * The helpers provided are:
+ * - `normalizeEmail` / `normalizeUsername`: Normalize identifiers before they are stored or compared.
+ * - `whereEmail` / `whereUsername`: Build case-insensitive `where` conditions for a single identifier.
+ * - `whereLogin`: Builds the condition for a login identifier that may be a username or an email.
+ * - `wherePerson`: Restricts a condition to the accounts of people, excluding service accounts.
+ * - `findConflictingUser`: Finds another user already holding a username or email.
+ * - `toUserData`: Returns the attributes of a user that are safe to expose, as returned by `GET /user` and the OpenID Connect userinfo endpoint.
+ *
+ * @module user.identity
+ * @requires ../models
+ *
+ * @example
+ * const { whereLogin } = require('./path/to/userIdentity');
+ * const user = await db.user.findOne({ where: whereLogin('Bob@Example.com') });
+ */
+
+const db = require('../models');
+
+/**
+ * Normalizes an email address (trimmed and lowercased).
+ *
+ * @function
+ * @param {string} email - The email address.
+ * @returns {string} The normalized email address.
+ */
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : email);
+
+/**
+ * Normalizes a username (trimmed; casing is preserved for display).
+ *
+ * @function
+ * @param {string} username - The username.
+ * @returns {string} The normalized username.
+ */
+const normalizeUsername = (username) => (typeof username === 'string' ? username.trim() : username);
+
+/**
+ * Builds a case-insensitive equality condition on a column.
+ *
+ * @function
+ * @param {string} column - The column name.
+ * @param {string} value - The (normalized) value to compare with.
+ * @returns {Object} A Sequelize `where` condition.
+ */
+const lowerEquals = (column, value) => db.Sequelize.where(
+    db.Sequelize.fn('lower', db.Sequelize.col(column)),
+    value.toLowerCase()
+);
+
+/**
+ * Builds a case-insensitive condition matching a user's email address.
+ *
+ * @function
+ * @param {string} email - The email address.
+ * @returns {Object} A Sequelize `where` condition.
+ */
+const whereEmail = (email) => lowerEquals('email', normalizeEmail(email));
+
+/**
+ * Builds a case-insensitive condition matching a user's username.
+ *
+ * @function
+ * @param {string} username - The username.
+ * @returns {Object} A Sequelize `where` condition.
+ */
+const whereUsername = (username) => lowerEquals('username', normalizeUsername(username));
+
+/**
+ * Builds the condition for a login identifier, which is treated as an email if it contains `@` and as a username otherwise.
+ *
+ * @function
+ * @param {string} identifier - The username or email address entered by the user.
+ * @returns {Object} A Sequelize `where` condition.
+ */
+const whereLogin = (identifier) => (identifier.includes('@') ? whereEmail(identifier) : whereUsername(identifier));
+
+/**
+ * Restricts a condition to the accounts of people, excluding service accounts, which have no email address or password
+ * and are kept out of the login and email flows.
+ *
+ * @function
+ * @param {Object} condition - A Sequelize `where` condition.
+ * @returns {Object} The restricted condition.
+ */
+const wherePerson = (condition) => ({ [db.Sequelize.Op.and]: [condition, { accountType: 'user' }] });
+
+/**
+ * Finds a user (other than `excludeId`) that already holds the given username or email, compared case-insensitively.
+ * Deleted users are included, since their identifiers stay reserved until the account is erased.
+ *
+ * @function
+ * @param {Object} identifiers - The identifiers to check. Either may be omitted.
+ * @param {string} [identifiers.username] - The username to check.
+ * @param {string} [identifiers.email] - The email address to check.
+ * @param {number} [excludeId] - The ID of a user to ignore (the user being updated).
+ * @returns {Promise<Object|null>} The conflicting user, or `null` if the identifiers are free.
+ */
+const findConflictingUser = async ({ username, email }, excludeId) => {
+    const { Op } = db.Sequelize;
+    const conditions = [];
+    if (username) {
+        conditions.push(whereUsername(username));
+    }
+    if (email) {
+        conditions.push(whereEmail(email));
+    }
+    if (conditions.length === 0) {
+        return null;
+    }
+
+    const where = { [Op.or]: conditions };
+    if (excludeId !== undefined) {
+        where.id = { [Op.ne]: excludeId };
+    }
+    return db.user.findOne({ where, paranoid: false });
+};
+
+/**
+ * Returns the attributes of a user that are safe to expose, excluding the password and, for service accounts, the hash of the client secret.
+ * When the user's roles were loaded, they are included as a list of role names.
+ *
+ * @function
+ * @param {Object} user - The `User` instance.
+ * @returns {Object} The user data.
+ */
+const toUserData = (user) => {
+    // Exclude sensitive information
+    // eslint-disable-next-line no-unused-vars
+    const { password, clientSecretHash, Roles, ...userData } = user.toJSON();
+    return Roles ? { ...userData, roles: Roles.map((role) => role.roleName) } : userData;
+};
+
+module.exports = {
+    normalizeEmail,
+    normalizeUsername,
+    whereEmail,
+    whereUsername,
+    whereLogin,
+    wherePerson,
+    findConflictingUser,
+    toUserData
+};
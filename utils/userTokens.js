@@ -0,0 +1,206 @@
+/**
+ * @file userTokens.js
+ * @description This file contains the logic for the single-use tokens sent to users in links: email verification,
+ * password reset, email change, invitation and login links. The challenges of WebAuthn ceremonies are issued the same way
+ * (see `utils/passkeys.js`).
+ *
+ * Each token is a random string bound to a purpose. The database holds its SHA-256 hash, the user or email address it
+ * was issued for and when it expires, so a leaked database does not reveal usable links and a token issued for one
+ * purpose cannot be used for another. A token can only be used once: consuming it marks it as used in the same update
+ * that checks it, so two requests racing with the same link cannot both succeed. Issuing a new token for a purpose
+ * invalidates the outstanding tokens of that purpose, so only the most recent link sent works.
+ *
+ * A token can also be bound to a nonce, a second random string that is handed to the client that asked for the link
+ * rather than sent with it. Only the hash of the nonce is stored, and consuming the token then requires the nonce too,
+ * so a link intercepted on its way or opened on another device cannot be used on its own.
+ *
+ * The service provides:
+ * - `issueToken`: Creates a token for a purpose and returns it in plain text.
+ * - `findToken`: Looks up a valid token without using it.
+ * - `consumeToken`: Marks a token as used if it is valid, unused and not expired.
+ * - `revokeToken`: Invalidates a token, e.g. when the email carrying it could not be sent.
+ * - `revokeTokens`: Invalidates the outstanding tokens of a user.
+ * - `revokeEmailTokens`: Invalidates the outstanding tokens issued for an email address, such as invitations.
+ * - `purgeExpiredTokens`: Removes the expired and used tokens.
+ *
+ * @module user.tokens
+ * @requires crypto
+ * @requires sequelize
+ * @requires ../models
+ * @requires ./duration
+ *
+ * @example
+ * const userTokens = require('./path/to/userTokens');
+ * const token = await userTokens.issueToken(userTokens.PURPOSES.RESET_PASSWORD, { userId: user.id, expiresIn: '1h' });
+ * const record = await userTokens.consumeToken(userTokens.PURPOSES.RESET_PASSWORD, token);
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { toMilliseconds } = require('./duration');
+
+/**
+ * What a token can be used for.
+ *
+ * @constant {Object<string, string>}
+ */
+const PURPOSES = Object.freeze({
+    VERIFY_EMAIL: 'verify_email',
+    RESET_PASSWORD: 'reset_password',
+    EMAIL_CHANGE: 'email_change',
+    EMAIL_REVERT: 'email_revert',
+    INVITE: 'invite',
+    MAGIC_LINK: 'magic_link',
+    PASSKEY_REGISTRATION: 'passkey_registration',
+    PASSKEY_LOGIN: 'passkey_login'
+});
+
+/**
+ * The purposes whose outstanding tokens are invalidated when a user's password changes. Email revert links are kept,
+ * since they are how the owner of an account recovers it from someone who changed its email address and password.
+ *
+ * @constant {string[]}
+ */
+const REVOKED_ON_PASSWORD_CHANGE = [PURPOSES.RESET_PASSWORD, PURPOSES.EMAIL_CHANGE, PURPOSES.MAGIC_LINK];
+
+/**
+ * Hashes a token.
+ *
+ * @function
+ * @param {string} token - The token.
+ * @returns {string} The hex encoded SHA-256 hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Creates a token for a purpose. Unless `replace` is `false`, the outstanding tokens of the same purpose issued for the
+ * same user (or, without a user, the same email address) are invalidated.
+ *
+ * @function
+ * @param {string} purpose - One of `PURPOSES`.
+ * @param {Object} options - The token options.
+ * @param {number} [options.userId] - The user the token is issued to.
+ * @param {string} [options.email] - The email address the token is sent to or applies to.
+ * @param {string} [options.nonce] - The nonce the token is bound to, which must then be presented to consume it.
+ * @param {string|number} options.expiresIn - The lifetime of the token (e.g. `1h`).
+ * @param {boolean} [options.replace=true] - Whether to invalidate the outstanding tokens of the same purpose.
+ * @returns {Promise<string>} The token, which is not stored and cannot be retrieved again.
+ */
+const issueToken = async (purpose, { userId = null, email = null, nonce = null, expiresIn, replace = true }) => {
+    if (replace) {
+        await db.user_token.destroy({ where: { purpose, usedAt: null, ...(userId ? { userId } : { email }) } });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.user_token.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        email,
+        nonceHash: nonce ? hashToken(nonce) : null,
+        expiresAt: new Date(Date.now() + toMilliseconds(expiresIn))
+    });
+    return token;
+};
+
+/**
+ * Looks up a token that was issued for the purpose, has not been used and has not expired, without using it.
+ * Requests that must check something before the token is used look it up first, then consume it.
+ *
+ * @function
+ * @param {string} purpose - One of `PURPOSES`.
+ * @param {string} token - The token from the link.
+ * @returns {Promise<Object|null>} The `UserToken` record, or `null` if the token is not valid.
+ */
+const findToken = (purpose, token) => {
+    if (!token) {
+        return Promise.resolve(null);
+    }
+    return db.user_token.findOne({
+        where: { purpose, tokenHash: hashToken(token), usedAt: null, expiresAt: { [Op.gt]: new Date() } }
+    });
+};
+
+/**
+ * Marks a token as used if it was issued for the purpose, has not been used and has not expired.
+ * When a nonce is given, the token must also have been bound to that nonce.
+ *
+ * @function
+ * @param {string} purpose - One of `PURPOSES`.
+ * @param {string} token - The token from the link.
+ * @param {Object} [options] - The consume options.
+ * @param {string} [options.nonce] - The nonce the token must be bound to.
+ * @returns {Promise<Object|null>} The `UserToken` record, with the `userId` and `email` it was issued for, or `null` if the token is not valid.
+ */
+const consumeToken = async (purpose, token, { nonce } = {}) => {
+    if (!token) {
+        return null;
+    }
+
+    const now = new Date();
+    const where = { purpose, tokenHash: hashToken(token), usedAt: null, expiresAt: { [Op.gt]: now } };
+    if (nonce !== undefined) {
+        where.nonceHash = hashToken(nonce);
+    }
+    const [updated, records] = await db.user_token.update({ usedAt: now }, { where, returning: true });
+    return updated > 0 ? records[0] : null;
+};
+
+/**
+ * Invalidates a token, e.g. when the email carrying it could not be sent.
+ *
+ * @function
+ * @param {string} purpose - One of `PURPOSES`.
+ * @param {string} token - The token.
+ * @returns {Promise<number>} The number of tokens invalidated.
+ */
+const revokeToken = (purpose, token) => db.user_token.destroy({ where: { purpose, tokenHash: hashToken(token) } });
+
+/**
+ * Invalidates the outstanding tokens issued to a user.
+ *
+ * @function
+ * @param {number} userId - The ID of the user.
+ * @param {string[]} [purposes] - The purposes of the tokens to invalidate. Defaults to every purpose.
+ * @returns {Promise<number>} The number of tokens invalidated.
+ */
+const revokeTokens = (userId, purposes = Object.values(PURPOSES)) => db.user_token.destroy({
+    where: { userId, purpose: purposes, usedAt: null }
+});
+
+/**
+ * Invalidates the outstanding tokens issued for an email address rather than a user, such as invitation links.
+ *
+ * @function
+ * @param {string} email - The email address.
+ * @param {string[]} purposes - The purposes of the tokens to invalidate.
+ * @returns {Promise<number>} The number of tokens invalidated.
+ */
+const revokeEmailTokens = (email, purposes) => db.user_token.destroy({
+    where: { email, purpose: purposes, usedAt: null }
+});
+
+/**
+ * Removes the tokens that have expired or been used.
+ *
+ * @function
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The number of tokens removed.
+ */
+const purgeExpiredTokens = (now = new Date()) => db.user_token.destroy({
+    where: { [Op.or]: [{ expiresAt: { [Op.lte]: now } }, { usedAt: { [Op.ne]: null } }] }
+});
+
+module.exports = {
+    PURPOSES,
+    REVOKED_ON_PASSWORD_CHANGE,
+    hashToken,
+    issueToken,
+    findToken,
+    consumeToken,
+    revokeToken,
+    revokeTokens,
+    revokeEmailTokens,
+    purgeExpiredTokens
+};
@@ -0,0 +1,292 @@
+/**
+ * @file webauthn.js
+ * @description This file implements the server side checks of the Web Authentication (WebAuthn) ceremonies
+ * through which browsers register passkeys and log in with them, as defined in the W3C Web Authentication Level 2
+ * recommendation.
+ *
+ * The module provides:
+ * - `ALGORITHMS`: The COSE algorithms of the public keys accepted for passkeys.
+ * - `readClientData`: Decodes the client data of a ceremony and checks its type and origin.
+ * - `verifyAttestation`: Checks the attestation object of a new credential and extracts its public key.
+ * - `verifyAssertion`: Checks the signature an authenticator made with a registered credential.
+ *
+ * Attestation statements are not verified: registration asks for `none` attestation, since passkeys are synced between
+ * devices and the make of the authenticator is not relied on. Binary values are exchanged as unpadded base64url strings.
+ * Invalid or malformed responses are reported with `null`, like invalid TOTP codes.
+ *
+ * @module webauthn
+ * @requires crypto
+ *
+ * @example
+ * const webauthn = require('./path/to/webauthn');
+ * const clientData = webauthn.readClientData(response.clientDataJSON, { type: 'webauthn.get', origins: ['https://example.com'] });
+ * const result = webauthn.verifyAssertion(response, passkey, { rpId: 'example.com', requireUserVerification: true });
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The COSE algorithms accepted for passkeys, in order of preference: EdDSA (Ed25519), ES256 (ECDSA with P-256 and SHA-256)
+ * and RS256 (RSASSA-PKCS1-v1_5 with SHA-256).
+ *
+ * @constant {number[]}
+ */
+const ALGORITHMS = Object.freeze([-8, -7, -257]);
+
+// Flags of the authenticator data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Decodes one CBOR (RFC 8949) data item. Only the definite-length items used by WebAuthn are supported;
+ * maps are decoded as `Map`s, since COSE keys use integer labels.
+ *
+ * @function
+ * @param {Buffer} buffer - The encoded data.
+ * @param {number} [offset=0] - Where the item starts.
+ * @returns {{value: *, offset: number}} The decoded item and where the next item starts.
+ * @throws {Error} If the data is truncated or uses an unsupported encoding.
+ */
+const decodeCbor = (buffer, offset = 0) => {
+    const initial = buffer.readUInt8(offset);
+    const major = initial >> 5;
+    const info = initial & 31;
+    offset += 1;
+
+    let length = info;
+    if (info === 24) {
+        length = buffer.readUInt8(offset);
+        offset += 1;
+    } else if (info === 25) {
+        length = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (info === 26) {
+        length = buffer.readUInt32BE(offset);
+        offset += 4;
+    } else if (info === 27) {
+        length = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    } else if (info > 27) {
+        throw new Error('Unsupported CBOR encoding');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset };
+        case 1:
+            return { value: -1 - length, offset };
+        case 2:
+        case 3: {
+            if (offset + length > buffer.length) {
+                throw new Error('Truncated CBOR data');
+            }
+            const bytes = buffer.subarray(offset, offset + length);
+            return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: offset + length };
+        }
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeCbor(buffer, offset);
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i++) {
+                const key = decodeCbor(buffer, offset);
+                const entry = decodeCbor(buffer, key.offset);
+                map.set(key.value, entry.value);
+                offset = entry.offset;
+            }
+            return { value: map, offset };
+        }
+        case 6:
+            // The tag is ignored and the tagged item returned
+            return decodeCbor(buffer, offset);
+        default: {
+            const simple = { 20: false, 21: true, 22: null, 23: undefined };
+            if (!(info in simple)) {
+                throw new Error('Unsupported CBOR simple value');
+            }
+            return { value: simple[info], offset };
+        }
+    }
+};
+
+/**
+ * Parses authenticator data: the hash of the relying party ID, the flags, the signature counter and,
+ * when a credential is being registered, the credential ID and its COSE public key.
+ *
+ * @function
+ * @param {Buffer} data - The authenticator data.
+ * @returns {Object} The parsed authenticator data.
+ * @throws {Error} If the data is malformed.
+ */
+const parseAuthenticatorData = (data) => {
+    if (data.length < 37) {
+        throw new Error('Truncated authenticator data');
+    }
+
+    const flags = data.readUInt8(32);
+    const parsed = {
+        rpIdHash: data.subarray(0, 32),
+        userPresent: Boolean(flags & FLAG_USER_PRESENT),
+        userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+        signCount: data.readUInt32BE(33)
+    };
+
+    if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+        const idLength = data.readUInt16BE(53);
+        parsed.credentialId = data.subarray(55, 55 + idLength);
+        parsed.credentialPublicKey = decodeCbor(data, 55 + idLength).value;
+    }
+    return parsed;
+};
+
+/**
+ * Converts a COSE public key to a PEM encoded SubjectPublicKeyInfo.
+ *
+ * @function
+ * @param {Map} coseKey - The decoded COSE key.
+ * @returns {{publicKey: string, algorithm: number}|null} The public key and its COSE algorithm, or `null` if the key type or algorithm is not supported.
+ */
+const coseToPublicKey = (coseKey) => {
+    const algorithm = coseKey.get(3);
+    const encode = (label) => Buffer.from(coseKey.get(label)).toString('base64url');
+
+    let jwk;
+    if (algorithm === -7 && coseKey.get(1) === 2 && coseKey.get(-1) === 1) {
+        jwk = { kty: 'EC', crv: 'P-256', x: encode(-2), y: encode(-3) };
+    } else if (algorithm === -8 && coseKey.get(1) === 1 && coseKey.get(-1) === 6) {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: encode(-2) };
+    } else if (algorithm === -257 && coseKey.get(1) === 3) {
+        jwk = { kty: 'RSA', n: encode(-1), e: encode(-2) };
+    } else {
+        return null;
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+    return { publicKey, algorithm };
+};
+
+/**
+ * Tells whether authenticator data was produced for the relying party, with the user present and,
+ * if required, verified.
+ *
+ * @function
+ * @param {Object} authData - The parsed authenticator data.
+ * @param {Object} options - The expected values.
+ * @param {string} options.rpId - The relying party ID.
+ * @param {boolean} options.requireUserVerification - Whether the user must have been verified by the authenticator.
+ * @returns {boolean} Whether the authenticator data is acceptable.
+ */
+const checkAuthenticatorData = (authData, { rpId, requireUserVerification }) => {
+    const expectedHash = crypto.createHash('sha256').update(rpId).digest();
+    return crypto.timingSafeEqual(authData.rpIdHash, expectedHash)
+        && authData.userPresent
+        && (authData.userVerified || !requireUserVerification);
+};
+
+/**
+ * Decodes the client data the browser collected for a ceremony and checks that it is of the expected type,
+ * comes from an allowed origin and was not collected in a cross-origin frame. The challenge it carries must
+ * then be checked by the caller against the one that was issued.
+ *
+ * @function
+ * @param {string} clientDataJSON - The base64url encoded client data.
+ * @param {Object} options - The expected values.
+ * @param {string} options.type - `webauthn.create` for registration or `webauthn.get` for authentication.
+ * @param {string[]} options.origins - The allowed origins.
+ * @returns {Object|null} The client data, with its `challenge`, or `null` if it is not acceptable.
+ */
+const readClientData = (clientDataJSON, { type, origins }) => {
+    try {
+        const clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+        if (clientData.type !== type || !origins.includes(clientData.origin) || clientData.crossOrigin === true
+            || typeof clientData.challenge !== 'string') {
+            return null;
+        }
+        return clientData;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks the attestation object of a credential being registered and extracts its public key.
+ * The authenticator data must be for the relying party, with the user present (and verified, if required),
+ * and carry a credential whose public key uses one of `ALGORITHMS`.
+ *
+ * @function
+ * @param {string} attestationObject - The base64url encoded attestation object.
+ * @param {Object} options - The expected values.
+ * @param {string} options.rpId - The relying party ID.
+ * @param {boolean} options.requireUserVerification - Whether the user must have been verified by the authenticator.
+ * @returns {{credentialId: string, publicKey: string, algorithm: number, signCount: number}|null} The credential, with its ID
+ *   base64url encoded and its public key in PEM, or `null` if the attestation is not acceptable.
+ */
+const verifyAttestation = (attestationObject, { rpId, requireUserVerification }) => {
+    try {
+        const attestation = decodeCbor(Buffer.from(attestationObject, 'base64url')).value;
+        const authData = parseAuthenticatorData(attestation.get('authData'));
+        if (!authData.credentialId || !checkAuthenticatorData(authData, { rpId, requireUserVerification })) {
+            return null;
+        }
+
+        const key = coseToPublicKey(authData.credentialPublicKey);
+        if (!key) {
+            return null;
+        }
+        return {
+            credentialId: authData.credentialId.toString('base64url'),
+            publicKey: key.publicKey,
+            algorithm: key.algorithm,
+            signCount: authData.signCount
+        };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks an assertion made with a registered credential: the authenticator data must be for the relying party,
+ * with the user present (and verified, if required), and the signature over the authenticator data and the hash of
+ * the client data must be valid for the credential's public key.
+ *
+ * @function
+ * @param {Object} response - The assertion response, with base64url encoded `authenticatorData`, `clientDataJSON` and `signature`.
+ * @param {Object} credential - The registered credential.
+ * @param {string} credential.publicKey - The PEM encoded public key.
+ * @param {number} credential.algorithm - The COSE algorithm of the key.
+ * @param {Object} options - The expected values.
+ * @param {string} options.rpId - The relying party ID.
+ * @param {boolean} options.requireUserVerification - Whether the user must have been verified by the authenticator.
+ * @returns {{signCount: number, userVerified: boolean}|null} The signature counter reported by the authenticator, or `null` if the assertion is not valid.
+ */
+const verifyAssertion = ({ authenticatorData, clientDataJSON, signature }, { publicKey, algorithm }, { rpId, requireUserVerification }) => {
+    try {
+        const authDataBuffer = Buffer.from(authenticatorData, 'base64url');
+        const authData = parseAuthenticatorData(authDataBuffer);
+        if (!checkAuthenticatorData(authData, { rpId, requireUserVerification })) {
+            return null;
+        }
+
+        const clientDataHash = crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest();
+        const signed = Buffer.concat([authDataBuffer, clientDataHash]);
+        // EdDSA signs the message itself; ES256 signatures are DER encoded
+        const isValid = crypto.verify(algorithm === -8 ? null : 'sha256', signed, publicKey, Buffer.from(signature, 'base64url'));
+        return isValid ? { signCount: authData.signCount, userVerified: authData.userVerified } : null;
+    } catch {
+        return null;
+    }
+};
+
+module.exports = {
+    ALGORITHMS,
+    readClientData,
+    verifyAttestation,
+    verifyAssertion
+};